@@ -344,4 +344,99 @@ export const getCurrencyByCode = async (req, res, next) => {
   } catch (error) {
     next(error);
   }
-};
\ No newline at end of file
+};
+
+// Add a dated exchange rate
+export const addCurrencyRate = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { rate, effectiveDate, remarks } = req.body;
+
+    if (rate === undefined || isNaN(rate) || rate <= 0) {
+      throw createAppError(
+        "Rate must be a positive number",
+        400,
+        "INVALID_CONVERSION_RATE"
+      );
+    }
+
+    const date = effectiveDate ? new Date(effectiveDate) : new Date();
+    if (isNaN(date.getTime())) {
+      throw createAppError(
+        "Effective date is invalid",
+        400,
+        "INVALID_EFFECTIVE_DATE"
+      );
+    }
+
+    const entry = await CurrencyMasterService.addRate(
+      id,
+      {
+        rate: parseFloat(rate),
+        effectiveDate: date,
+        remarks: remarks ? remarks.trim() : null,
+      },
+      req.admin.id
+    );
+
+    res.status(201).json({
+      success: true,
+      message: "Exchange rate recorded successfully",
+      data: entry,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get exchange rate history
+export const getCurrencyRates = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { page = 1, limit = 50, fromDate, toDate } = req.query;
+
+    const filters = {};
+    if (fromDate) filters.fromDate = new Date(fromDate);
+    if (toDate) filters.toDate = new Date(toDate);
+
+    const result = await CurrencyMasterService.getRateHistory(
+      id,
+      filters,
+      parseInt(page),
+      parseInt(limit)
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Exchange rate history retrieved successfully",
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get the exchange rate effective on a date
+export const getCurrencyRateAt = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const date = req.query.date ? new Date(req.query.date) : new Date();
+    if (isNaN(date.getTime())) {
+      throw createAppError(
+        "Date is invalid",
+        400,
+        "INVALID_DATE"
+      );
+    }
+
+    const result = await CurrencyMasterService.getRateAt(id, date);
+
+    res.status(200).json({
+      success: true,
+      message: "Exchange rate retrieved successfully",
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,55 @@
+import DealerQuoteService from "../../services/modules/DealerQuoteService.js";
+
+// Lock a fixing price for a party; the quote id is then sent with the fixing order
+export const createDealerQuote = async (req, res, next) => {
+  try {
+    const { partyId, metalType, quantityGm, side, ttlSeconds } = req.body;
+
+    const quote = await DealerQuoteService.createQuote(
+      {
+        partyId: partyId?.trim(),
+        metalType: metalType?.trim(),
+        quantityGm: parseFloat(quantityGm),
+        side: side?.trim(),
+        ttlSeconds: parseInt(ttlSeconds) || undefined,
+      },
+      req.admin.id
+    );
+
+    res.status(201).json({
+      success: true,
+      message: `Quote ${quote.quoteId} valid until ${quote.expiresAt.toISOString()}`,
+      data: quote,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getDealerQuote = async (req, res, next) => {
+  try {
+    const quote = await DealerQuoteService.getQuote(req.params.quoteId);
+
+    res.status(200).json({
+      success: true,
+      message: "Quote retrieved successfully",
+      data: quote,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const cancelDealerQuote = async (req, res, next) => {
+  try {
+    const quote = await DealerQuoteService.cancelQuote(req.params.quoteId);
+
+    res.status(200).json({
+      success: true,
+      message: `Quote ${quote.quoteId} cancelled`,
+      data: quote,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -9,6 +9,8 @@ import { createAppError } from "../../utils/errorHandler.js";
 import CurrencyMaster from "../../models/modules/CurrencyMaster.js";
 import InventoryLog from "../../models/modules/InventoryLog.js";
 import Inventory from "../../models/modules/inventory.js";
+import FiscalPeriodService from "../../services/modules/FiscalPeriodService.js";
+import CreditExposureService from "../../services/modules/CreditExposureService.js";
 
 const createEntry = async (req, res) => {
   try {
@@ -88,6 +90,28 @@ const createEntry = async (req, res) => {
     };
 
 
+    // The override is only recorded once the entry is saved
+    const periodOverrides = await FiscalPeriodService.assertPeriodOpen(entryData.voucherDate || new Date(), {
+      adminId: req.admin.id,
+      action: "create",
+      voucherType: type,
+      voucherNumber: entryData.voucherCode,
+      override: req.body.periodOverride,
+      defer: true,
+    });
+
+    // Metal given to the party adds to their unfixed gold exposure
+    let creditCheck = null;
+    if (type === "metal-payment") {
+      const goldOut = stockItems.reduce((sum, item) => sum + (Number(item.purityWeight) || 0), 0);
+      const exposure = await CreditExposureService.assertWithinLimits(
+        entryData.party,
+        { goldDelta: -goldOut },
+        { action: "metal-payment" }
+      );
+      creditCheck = CreditExposureService.toCreditCheck(exposure);
+    }
+
     const entry = new Entry(entryData);
 
     // Handle specific entry types
@@ -104,18 +128,21 @@ const createEntry = async (req, res) => {
 
     // Save entry
     await entry.save();
+    await FiscalPeriodService.recordOverrides(periodOverrides);
 
     res.status(201).json({
       success: true,
       data: entry,
+      creditCheck,
       message: `${type} entry created successfully`,
     });
   } catch (err) {
     console.error("Error creating entry:", err);
-    res.status(500).json({
+    res.status(err.statusCode || 500).json({
       success: false,
-      message: "Internal server error",
+      message: err.statusCode ? err.message : "Internal server error",
       error: err.message,
+      ...(err.details && { details: err.details }),
     });
   }
 };
@@ -179,6 +206,24 @@ const editEntry = async (req, res) => {
       }
     }
 
+    // Reject edits that touch a closed accounting period (old or new voucher date)
+    const existingEntry = await Entry.findOne({ voucherCode });
+    let periodOverrides = [];
+    if (existingEntry) {
+      periodOverrides = await FiscalPeriodService.assertPeriodOpen(
+        [existingEntry.voucherDate, req.body.voucherDate],
+        {
+          adminId: req.admin.id,
+          action: "update",
+          voucherType: existingEntry.type,
+          voucherId: existingEntry._id,
+          voucherNumber: voucherCode,
+          override: req.body.periodOverride,
+          defer: true,
+        }
+      );
+    }
+
     // First, delete related registry records
     await RegistryService.deleteRegistryByVoucher(voucherCode);
 
@@ -252,6 +297,7 @@ const editEntry = async (req, res) => {
 
     // Save updated entry
     await entry.save();
+    await FiscalPeriodService.recordOverrides(periodOverrides);
 
     return res.status(200).json({
       success: true,
@@ -260,10 +306,11 @@ const editEntry = async (req, res) => {
     });
   } catch (err) {
     console.error("Error editing entry:", err);
-    return res.status(500).json({
+    return res.status(err.statusCode || 500).json({
       success: false,
-      message: "Internal server error",
+      message: err.statusCode ? err.message : "Internal server error",
       error: err.message,
+      ...(err.details && { details: err.details }),
     });
   }
 };
@@ -294,32 +341,23 @@ const reverseAccountBalances = async (partyId, originalData, entry) => {
       );
     }
 
-    account.balances.cashBalance = account.balances.cashBalance || {
-      currency: cashItem.currency,
-      amount: 0,
-      lastUpdated: new Date(),
-    };
-
     // Calculate new balances
     const amount = Number(cashItem.amount) || 0;
     if (amount <= 0) {
       throw createAppError("Amount must be positive", 400, "INVALID_AMOUNT");
     }
 
-    let balanceAfter;
-    const previousBalance = account.balances.cashBalance.amount || 0;
+    const previousBalance = account.getCashBalanceFor(cashItem.currency);
+    const conversionRate =
+      cashItem.conversionRate ||
+      (await CurrencyMaster.getConversionRate(cashItem.currency, null, originalData.voucherDate));
 
-    if (previousBalance < 0) {
-      // if balance is already negative → move towards zero
-      balanceAfter = previousBalance + amount;
-    } else {
-      // normal subtraction when balance is positive
-      balanceAfter = previousBalance - amount;
-    }
-
-    // Update balances
-    account.balances.cashBalance.amount = balanceAfter;
-    account.balances.cashBalance.lastUpdated = new Date();
+    // if balance is already negative → move towards zero, otherwise subtract
+    account.applyCashMovement(
+      cashItem.currency,
+      previousBalance < 0 ? amount : -amount,
+      conversionRate
+    );
 
 
     if (cashAccount.openingBalance < 0) {
@@ -500,25 +538,25 @@ const handleCashReceipt = async (entry) => {
       );
     }
 
-    // Initialize account balances
-    account.balances = account.balances || {};
-    account.balances.cashBalance = account.balances.cashBalance || {
-      currency: cashItem.currency,
-      amount: 0,
-      lastUpdated: new Date(),
-    };
-
     // Calculate new balances
     const amount = Number(cashItem.amount) || 0;
     if (amount <= 0) {
       throw createAppError("Amount must be positive", 400, "INVALID_AMOUNT");
     }
-    const previousBalance = account.balances.cashBalance.amount || 0;
-    const balanceAfter = previousBalance + amount;
 
-    // Update balances
-    account.balances.cashBalance.amount = balanceAfter;
-    account.balances.cashBalance.lastUpdated = new Date();
+    // get the currency
+    const currency = await CurrencyMaster.findOne({ _id: cashItem.currency });
+    if (!currency) {
+      throw createAppError(
+        `Currency not found for ID: ${cashItem.currency}`,
+        404,
+        "CURRENCY_NOT_FOUND"
+      );
+    }
+
+    // Update the party's sub-balance in the receipt currency at the voucher date's rate
+    cashItem.conversionRate = await CurrencyMaster.getConversionRate(currency._id, null, entry.voucherDate);
+    account.applyCashMovement(currency._id, amount, cashItem.conversionRate);
     cashAccount.openingBalance = (cashAccount.openingBalance || 0) + amount;
 
     // Create registry entries
@@ -530,6 +568,8 @@ const handleCashReceipt = async (entry) => {
         description,
         value: amount,
         credit: amount,
+        currency: currency._id,
+        conversionRate: cashItem.conversionRate,
         reference: entry.voucherCode || "",
         createdBy: entry.enteredBy,
         party: entry.party?.toString(),
@@ -541,6 +581,8 @@ const handleCashReceipt = async (entry) => {
         description,
         value: amount,
         debit: amount,
+        currency: currency._id,
+        conversionRate: cashItem.conversionRate,
         reference: entry.voucherCode || "",
         createdBy: entry.enteredBy,
         party: null,
@@ -562,16 +604,6 @@ const handleCashReceipt = async (entry) => {
         isBullion: false,
       });
     }
-    // get the currency 
-    const currency = await CurrencyMaster.findOne({ _id: cashItem.currency });
-    if (!currency) {
-      throw createAppError(
-        `Currency not found for ID: ${cashItem.currency}`,
-        404,
-        "CURRENCY_NOT_FOUND"
-      );
-    }
-
     // Create account log entry
     const accountLogEntry = {
       accountId: cashItem.cashType,
@@ -627,21 +659,21 @@ const handleCashPayment = async (entry) => {
       );
     }
 
-    // Initialize account balances
-    account.balances = account.balances || {};
-    account.balances.cashBalance = account.balances.cashBalance || {
-      currency: cashItem.currency,
-      amount: 0,
-      lastUpdated: new Date(),
-    };
-
     // Calculate new balances
     const amount = Number(cashItem.amount) || 0;
     if (amount <= 0) {
       throw createAppError("Amount must be positive", 400, "INVALID_AMOUNT");
     }
-    const previousBalance = account.balances.cashBalance.amount || 0;
-    const balanceAfter = previousBalance - amount;
+
+    // get the currency
+    const currency = await CurrencyMaster.findOne({ _id: cashItem.currency });
+    if (!currency) {
+      throw createAppError(
+        `Currency not found for ID: ${cashItem.currency}`,
+        404,
+        "CURRENCY_NOT_FOUND"
+      );
+    }
 
     // Check for sufficient balance
     // if (balanceAfter < 0) {
@@ -652,9 +684,9 @@ const handleCashPayment = async (entry) => {
     //   );
     // }
 
-    // Update balances
-    account.balances.cashBalance.amount = balanceAfter;
-    account.balances.cashBalance.lastUpdated = new Date();
+    // Update the party's sub-balance in the payment currency at the voucher date's rate
+    cashItem.conversionRate = await CurrencyMaster.getConversionRate(currency._id, null, entry.voucherDate);
+    account.applyCashMovement(currency._id, -amount, cashItem.conversionRate);
     cashAccount.openingBalance = (cashAccount.openingBalance || 0) - amount;
 
     // Create registry entries
@@ -666,6 +698,8 @@ const handleCashPayment = async (entry) => {
         description,
         value: amount,
         debit: amount,
+        currency: currency._id,
+        conversionRate: cashItem.conversionRate,
         reference: entry.voucherCode || "",
         createdBy: entry.enteredBy,
         party: entry.party?.toString(),
@@ -677,6 +711,8 @@ const handleCashPayment = async (entry) => {
         description,
         value: amount,
         credit: amount,
+        currency: currency._id,
+        conversionRate: cashItem.conversionRate,
         reference: entry.voucherCode || "",
         createdBy: entry.enteredBy,
         party: null,
@@ -699,17 +735,6 @@ const handleCashPayment = async (entry) => {
       });
     }
 
-    // get the currency
-    const currency = await CurrencyMaster.findOne({ _id: cashItem.currency });
-    if (!currency) {
-      throw createAppError(
-        `Currency not found for ID: ${cashItem.currency}`,
-        404,
-        "CURRENCY_NOT_FOUND"
-      );
-    }
-
-
     // Create account log entry
     const accountLogEntry = {
       accountId: cashItem.cashType,
@@ -940,10 +965,10 @@ const handleDeleteCashReceipt = async (entry) => {
     const amount = Number(cashItem.amount) || 0;
 
     // Reverse balances (subtract what was added)
-    if (account.balances && account.balances.cashBalance) {
-      account.balances.cashBalance.amount -= amount;
-      account.balances.cashBalance.lastUpdated = new Date();
-    }
+    const conversionRate =
+      cashItem.conversionRate ||
+      (await CurrencyMaster.getConversionRate(cashItem.currency, null, entry.voucherDate));
+    account.applyCashMovement(cashItem.currency, -amount, conversionRate);
     cashAccount.openingBalance = (cashAccount.openingBalance || 0) - amount;
 
     // Save changes
@@ -975,10 +1000,10 @@ const handleDeleteCashPayment = async (entry) => {
     const amount = Number(cashItem.amount) || 0;
 
     // Reverse balances (add back what was subtracted)
-    if (account.balances && account.balances.cashBalance) {
-      account.balances.cashBalance.amount += amount;
-      account.balances.cashBalance.lastUpdated = new Date();
-    }
+    const conversionRate =
+      cashItem.conversionRate ||
+      (await CurrencyMaster.getConversionRate(cashItem.currency, null, entry.voucherDate));
+    account.applyCashMovement(cashItem.currency, amount, conversionRate);
     cashAccount.openingBalance = (cashAccount.openingBalance || 0) + amount;
 
     // Save changes
@@ -1098,6 +1123,16 @@ const deleteEntryById = async (req, res) => {
 
     console.log("Deleting entry:", entry);
 
+    const periodOverrides = await FiscalPeriodService.assertPeriodOpen(entry.voucherDate, {
+      adminId: req.admin.id,
+      action: "delete",
+      voucherType: entry.type,
+      voucherId: entry._id,
+      voucherNumber: entry.voucherCode,
+      override: req.body?.periodOverride,
+      defer: true,
+    });
+
 
     // Delete related registry entries
     await RegistryService.deleteRegistryByVoucher(entry.voucherCode);
@@ -1121,15 +1156,17 @@ const deleteEntryById = async (req, res) => {
 
     // Delete the entry itself
     await entry.deleteOne();
+    await FiscalPeriodService.recordOverrides(periodOverrides);
     console.log("Entry deleted successfully");
 
     res.json({ success: true, message: "Entry deleted successfully" });
   } catch (err) {
     console.error("Error deleting entry:", err);
-    res.status(500).json({
+    res.status(err.statusCode || 500).json({
       success: false,
-      message: "Failed to delete entry",
+      message: err.statusCode ? err.message : "Failed to delete entry",
       error: err.message,
+      ...(err.details && { details: err.details }),
     });
   }
 };
@@ -0,0 +1,132 @@
+import { createAppError } from "../../utils/errorHandler.js";
+import FiscalPeriodService from "../../services/modules/FiscalPeriodService.js";
+
+// Create fiscal period
+export const createFiscalPeriod = async (req, res, next) => {
+  try {
+    const { code, description, startDate, endDate } = req.body;
+
+    if (!code || !startDate || !endDate) {
+      throw createAppError(
+        "All required fields must be provided: code, startDate, endDate",
+        400,
+        "REQUIRED_FIELDS_MISSING"
+      );
+    }
+
+    const period = await FiscalPeriodService.createPeriod(
+      {
+        code: code.trim().toUpperCase(),
+        description: description?.trim(),
+        startDate,
+        endDate,
+      },
+      req.admin.id
+    );
+
+    res.status(201).json({
+      success: true,
+      message: "Fiscal period created successfully",
+      data: period,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get all fiscal periods
+export const getAllFiscalPeriods = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 10, status, year } = req.query;
+
+    const result = await FiscalPeriodService.getAllPeriods(
+      parseInt(page),
+      parseInt(limit),
+      { status, year }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Fiscal periods retrieved successfully",
+      data: result.periods,
+      pagination: result.pagination,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get fiscal period by ID (includes balance snapshots and override log)
+export const getFiscalPeriodById = async (req, res, next) => {
+  try {
+    const period = await FiscalPeriodService.getPeriodById(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: "Fiscal period retrieved successfully",
+      data: period,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Update open fiscal period
+export const updateFiscalPeriod = async (req, res, next) => {
+  try {
+    const { description, startDate, endDate } = req.body;
+
+    const period = await FiscalPeriodService.updatePeriod(
+      req.params.id,
+      { description, startDate, endDate },
+      req.admin.id
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Fiscal period updated successfully",
+      data: period,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Close fiscal period (soft-closed or hard-closed)
+export const closeFiscalPeriod = async (req, res, next) => {
+  try {
+    const { status = "soft-closed" } = req.body;
+
+    const period = await FiscalPeriodService.closePeriod(
+      req.params.id,
+      status,
+      req.admin.id
+    );
+
+    res.status(200).json({
+      success: true,
+      message: `Fiscal period ${period.code} is now ${period.status}`,
+      data: period,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Reopen soft-closed fiscal period
+export const reopenFiscalPeriod = async (req, res, next) => {
+  try {
+    const period = await FiscalPeriodService.reopenPeriod(
+      req.params.id,
+      req.admin.id
+    );
+
+    res.status(200).json({
+      success: true,
+      message: `Fiscal period ${period.code} reopened successfully`,
+      data: period,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
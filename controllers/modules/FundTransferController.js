@@ -2,7 +2,7 @@ import FundTransferService from "../../services/modules/FundTransferService.js";
 // Named export
 export const accountToAccountTransfer = async (req, res, next) => {
   try {
-    const { senderId, receiverId, value, assetType, voucher } = req.body;
+    const { senderId, receiverId, value, assetType, voucher, currency } = req.body;
     const adminId = req.admin.id;
 
     if (!senderId || !receiverId || value === undefined || value === null || !assetType) {
@@ -24,7 +24,8 @@ export const accountToAccountTransfer = async (req, res, next) => {
       value,
       assetType,
       adminId,
-      voucher
+      voucher,
+      currency
     );
 
     const transferType = value < 0 ? "Reverse transfer" : "Transfer";
@@ -41,14 +42,14 @@ export const accountToAccountTransfer = async (req, res, next) => {
 export const openingBalanceTransfer = async (req, res, next) => {
 
   try {
-    const { receiverId, value, assetType, voucher } = req.body;
+    const { receiverId, value, assetType, voucher, currency } = req.body;
     const adminId = req.admin.id;
 
     if (!receiverId || !value || !assetType) {
       return res.status(400).json({ message: "Missing required fields" });
     }
 
-    await FundTransferService.openingBalanceTransfer(receiverId, value, adminId, assetType, voucher);
+    await FundTransferService.openingBalanceTransfer(receiverId, value, adminId, assetType, voucher, currency);
 
     res.status(200).json({ message: "Opening balance transfer successful" });
   } catch (error) {
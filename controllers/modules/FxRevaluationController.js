@@ -0,0 +1,73 @@
+import FxRevaluationService from "../../services/modules/FxRevaluationService.js";
+
+// Revalue foreign-currency party balances for a month, or preview with dryRun
+export const runFxRevaluation = async (req, res, next) => {
+  try {
+    const { period, remarks, dryRun, periodOverride } = req.body;
+    const isDryRun = dryRun === true || dryRun === "true";
+
+    const result = await FxRevaluationService.runRevaluation(
+      { period, remarks: remarks?.trim(), dryRun: isDryRun },
+      req.admin.id,
+      { periodOverride }
+    );
+
+    res.status(isDryRun ? 200 : 201).json({
+      success: true,
+      message: isDryRun
+        ? `FX revaluation preview for ${period}`
+        : `FX revaluation ${result.revaluationNumber} posted`,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const reverseFxRevaluation = async (req, res, next) => {
+  try {
+    const revaluation = await FxRevaluationService.reverseRevaluation(req.params.id, req.admin.id, {
+      reason: req.body?.reason?.trim(),
+      periodOverride: req.body?.periodOverride,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `FX revaluation ${revaluation.revaluationNumber} reversed`,
+      data: revaluation,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getFxRevaluations = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, status } = req.query;
+
+    const result = await FxRevaluationService.getRevaluations(parseInt(page), parseInt(limit), { status });
+
+    res.status(200).json({
+      success: true,
+      message: "FX revaluations retrieved successfully",
+      data: result.revaluations,
+      pagination: result.pagination,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getFxRevaluationById = async (req, res, next) => {
+  try {
+    const revaluation = await FxRevaluationService.getRevaluationById(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: "FX revaluation retrieved successfully",
+      data: revaluation,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,102 @@
+import InventoryReservationService from "../../services/modules/InventoryReservationService.js";
+
+// Hold stock for a confirmed sale order; the reservation id is then sent with the sale voucher
+export const createReservation = async (req, res, next) => {
+  try {
+    const { party, reference, items, ttlHours, expiresAt, remarks } = req.body;
+
+    const reservation = await InventoryReservationService.createReservation(
+      {
+        party: party?.trim(),
+        reference,
+        items: Array.isArray(items)
+          ? items.map((item) => ({
+              stockCode: item.stockCode?.trim(),
+              pieces: item.pieces,
+              grossWeight: item.grossWeight,
+            }))
+          : items,
+        ttlHours,
+        expiresAt,
+        remarks,
+      },
+      req.admin.id
+    );
+
+    res.status(201).json({
+      success: true,
+      message: `Stock reserved until ${reservation.expiresAt.toISOString()}`,
+      data: reservation,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getReservations = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 50, status, party, stockCode } = req.query;
+
+    const result = await InventoryReservationService.getReservations(
+      { status, party, stockCode },
+      parseInt(page),
+      parseInt(limit)
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Reservations retrieved successfully",
+      data: result.reservations,
+      pagination: result.pagination,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getReservationById = async (req, res, next) => {
+  try {
+    const reservation = await InventoryReservationService.getReservationById(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: "Reservation retrieved successfully",
+      data: reservation,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const releaseReservation = async (req, res, next) => {
+  try {
+    const reservation = await InventoryReservationService.releaseReservation(
+      req.params.id,
+      req.admin.id,
+      req.body.reason?.trim() || null
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Reservation released",
+      data: reservation,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Lapsed reservations stop holding stock at expiry; this marks them expired for a scheduler
+export const expireReservations = async (req, res, next) => {
+  try {
+    const expired = await InventoryReservationService.expireStaleReservations();
+
+    res.status(200).json({
+      success: true,
+      message: `${expired} reservation(s) expired`,
+      data: { expired },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,89 @@
+import MarginCallService from "../../services/modules/MarginCallService.js";
+
+// Get margin calls with filters
+export const getAllMarginCalls = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, status, level, party } = req.query;
+
+    const result = await MarginCallService.getAllMarginCalls(
+      parseInt(page),
+      parseInt(limit),
+      { status, level, party }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Margin calls retrieved successfully",
+      data: result.marginCalls,
+      pagination: result.pagination,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get margin call by ID
+export const getMarginCallById = async (req, res, next) => {
+  try {
+    const marginCall = await MarginCallService.getMarginCallById(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: "Margin call retrieved successfully",
+      data: marginCall,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Revalue unfixed positions against the latest rate now
+export const runMarginCallMonitor = async (req, res, next) => {
+  try {
+    const summary = await MarginCallService.runMonitor(req.admin.id);
+
+    res.status(200).json({
+      success: true,
+      message: "Margin call monitor completed",
+      data: summary,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const acknowledgeMarginCall = async (req, res, next) => {
+  try {
+    const marginCall = await MarginCallService.acknowledgeMarginCall(
+      req.params.id,
+      req.admin.id,
+      req.body?.remarks?.trim()
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Margin call acknowledged",
+      data: marginCall,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const resolveMarginCall = async (req, res, next) => {
+  try {
+    const marginCall = await MarginCallService.resolveMarginCall(
+      req.params.id,
+      req.admin.id,
+      req.body?.remarks?.trim()
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Margin call resolved",
+      data: marginCall,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
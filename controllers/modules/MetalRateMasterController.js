@@ -1,5 +1,7 @@
 import { createAppError } from "../../utils/errorHandler.js";
 import MetalRateMasterService from "../../services/modules/MetalRateMasterService.js";
+import RateFeedService from "../../services/modules/RateFeedService.js";
+import { generateStreamToken } from "../../services/core/authService.js";
 
 // Create metal rate
 export const createMetalRate = async (req, res, next) => {
@@ -14,7 +16,8 @@ export const createMetalRate = async (req, res, next) => {
       posMarginMin,
       posMarginMax,
       addOnRate,
-      isDefault
+      isDefault,
+      feedSymbol
     } = req.body;
     
     // Validation
@@ -69,7 +72,8 @@ export const createMetalRate = async (req, res, next) => {
       posMarginMin: parseFloat(posMarginMin),
       posMarginMax: parseFloat(posMarginMax),
       addOnRate: parseFloat(addOnRate),
-      isDefault: isDefault || false
+      isDefault: isDefault || false,
+      feedSymbol: feedSymbol ? feedSymbol.trim().toUpperCase() : null
     };
 
     const metalRate = await MetalRateMasterService.createMetalRate(
@@ -181,6 +185,9 @@ export const updateMetalRate = async (req, res, next) => {
     // Clean and format data
     if (updateData.metal) updateData.metal = updateData.metal;
     if (updateData.rateType) updateData.rateType = updateData.rateType.trim().toUpperCase();
+    if (updateData.feedSymbol !== undefined) {
+      updateData.feedSymbol = updateData.feedSymbol ? updateData.feedSymbol.trim().toUpperCase() : null;
+    }
 
     const metalRate = await MetalRateMasterService.updateMetalRate(
       id,
@@ -237,4 +244,103 @@ export const getActiveMetalRatesByDivision = async (req, res, next) => {
   } catch (error) {
     next(error);
   }
-};
\ No newline at end of file
+};
+
+// Get rate history of a metal rate
+export const getMetalRateHistory = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { page = 1, limit = 50, from, to } = req.query;
+
+    const filters = {};
+    if (from) filters.from = new Date(from);
+    if (to) filters.to = new Date(to);
+    if ((filters.from && isNaN(filters.from)) || (filters.to && isNaN(filters.to))) {
+      throw createAppError("from and to must be valid dates", 400, "INVALID_DATE");
+    }
+
+    const result = await MetalRateMasterService.getRateHistory(id, filters, parseInt(page), parseInt(limit));
+
+    res.status(200).json({
+      success: true,
+      message: "Metal rate history retrieved successfully",
+      data: result.ticks,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get the rate in force at a timestamp (?at=ISO date, defaults to now)
+export const getMetalRateAt = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const at = req.query.at ? new Date(req.query.at) : new Date();
+    if (isNaN(at)) {
+      throw createAppError("at must be a valid date", 400, "INVALID_DATE");
+    }
+
+    const rate = await MetalRateMasterService.getRateAt(id, at);
+
+    res.status(200).json({
+      success: true,
+      message: "Metal rate retrieved successfully",
+      data: rate
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Latest live rates from the rate feed
+export const getLiveMetalRates = async (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      message: "Live metal rates retrieved successfully",
+      data: RateFeedService.getSnapshot()
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Short-lived token for opening the rate stream with EventSource (?token=)
+export const createStreamToken = async (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      message: "Stream token issued successfully",
+      data: generateStreamToken(req.admin.id)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Server-Sent Events stream of live rates; sends the current snapshot first
+export const streamMetalRates = (req, res) => {
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no"
+  });
+  res.flushHeaders();
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  send("snapshot", RateFeedService.getSnapshot());
+  const unsubscribe = RateFeedService.subscribe((update) => send("rates", update));
+
+  // Comment lines keep proxies from closing an idle stream
+  const heartbeat = setInterval(() => res.write(": heartbeat\n\n"), 25000);
+
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+};
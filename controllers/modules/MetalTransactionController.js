@@ -1,5 +1,5 @@
-import InventoryService from "../../services/modules/inventoryService.js";
 import MetalTransactionService from "../../services/modules/MetalTransactionService.js";
+import MetalTransactionImportService from "../../services/modules/MetalTransactionImportService.js";
 import { createAppError } from "../../utils/errorHandler.js";
 
 export const createMetalTransaction = async (req, res, next) => {
@@ -112,34 +112,57 @@ export const createMetalTransaction = async (req, res, next) => {
       },
       status: status || "draft",
       notes: notes?.trim(),
+      reservation: req.body.reservation?.trim() || null,
       voucherType: voucherType,
       voucherNumber: voucherNumber
 
     };
     const metalTransaction = await MetalTransactionService.createMetalTransaction(
       transactionData,
-      req.admin.id
+      req.admin.id,
+      {
+        periodOverride: req.body.periodOverride,
+        submitForApproval:
+          req.body.submitForApproval === true || req.body.submitForApproval === "true",
+      }
     );
 
-    switch (metalTransaction.transactionType) {
-      case "purchase":
-      case "saleReturn":
-        await InventoryService.updateInventory(metalTransaction, false);
-        break;
-
-      case "sale":
-      case "purchaseReturn":
-        await InventoryService.updateInventory(metalTransaction, true);
-        break;
+    // Registry, balances and inventory are posted when the voucher is approved
+    res.status(201).json({
+      success: true,
+      message: `Metal ${transactionType} created successfully and is ${metalTransaction.approvalStatus === "pending" ? "awaiting approval" : "saved as draft"}`,
+      data: metalTransaction,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
 
-      default:
-        throw new Error("Invalid transaction type");
+// Import purchase/sale vouchers from CSV or XLSX - dry run unless mode=commit
+export const importMetalTransactions = async (req, res, next) => {
+  try {
+    const mode = (req.query.mode || req.body.mode || "dry-run").toLowerCase();
+    if (!["dry-run", "commit"].includes(mode)) {
+      throw createAppError("Mode must be 'dry-run' or 'commit'", 400, "INVALID_MODE");
     }
 
-    res.status(201).json({
+    const result = await MetalTransactionImportService.importMetalTransactions(
+      req.file,
+      req.admin.id,
+      {
+        commit: mode === "commit",
+        transactionType: req.body.transactionType,
+        periodOverride: req.body.periodOverride,
+      }
+    );
+
+    res.status(mode === "commit" ? 201 : 200).json({
       success: true,
-      message: `Metal ${transactionType} created successfully`,
-      data: metalTransaction,
+      message:
+        mode === "commit"
+          ? `${result.summary.imported} vouchers imported and submitted for approval`
+          : `Validated ${result.summary.totalRows} rows: ${result.summary.validRows} valid, ${result.summary.invalidRows} invalid`,
+      data: result,
     });
   } catch (error) {
     next(error);
@@ -157,6 +180,7 @@ export const getAllMetalTransactions = async (req, res, next) => {
       startDate,
       endDate,
       stockCode,
+      includeReversed,
     } = req.query;
 
     const filters = {};
@@ -166,6 +190,7 @@ export const getAllMetalTransactions = async (req, res, next) => {
     if (startDate) filters.startDate = startDate;
     if (endDate) filters.endDate = endDate;
     if (stockCode) filters.stockCode = stockCode;
+    if (includeReversed === "true") filters.includeReversed = true;
 
     const result = await MetalTransactionService.getAllMetalTransactions(
       parseInt(page),
@@ -350,7 +375,8 @@ export const updateMetalTransaction = async (req, res, next) => {
     const updatedTransaction = await MetalTransactionService.updateMetalTransaction(
       id,
       transactionData,
-      req.admin.id
+      req.admin.id,
+      { periodOverride: updateData.periodOverride }
     );
 
     // Send success response
@@ -383,12 +409,43 @@ export const deleteMetalTransaction = async (req, res, next) => {
 
     const result = await MetalTransactionService.deleteMetalTransaction(
       id,
-      req.admin.id
+      req.admin.id,
+      { periodOverride: req.body?.periodOverride }
     );
 
     res.status(200).json({
       success: true,
       message: result.message,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const reverseMetalTransaction = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { reason, periodOverride } = req.body || {};
+
+    if (!reason?.trim()) {
+      throw createAppError(
+        "Reversal reason is required",
+        400,
+        "MISSING_REVERSAL_REASON"
+      );
+    }
+
+    const result = await MetalTransactionService.reverseMetalTransaction(
+      id,
+      req.admin.id,
+      { reason: reason.trim(), periodOverride }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Metal transaction reversed successfully",
+      data: result,
     });
   } catch (error) {
     next(error);
@@ -461,7 +518,8 @@ export const updateTransactionStatus = async (req, res, next) => {
       await MetalTransactionService.updateMetalTransaction(
         id,
         { status },
-        req.admin.id
+        req.admin.id,
+        { periodOverride: req.body.periodOverride }
       );
 
     res.status(200).json({
@@ -696,7 +754,9 @@ export const getUnfixedTransactions = async (req, res, next) => {
           },
           cashBalance: party.cashBalance,
           shortMargin: party.shortMargin,
+          unfixedWeight: party.unfixedWeight || 0,
         })),
+        vouchers: result.vouchers,
       },
       pagination: result.pagination,
       summary: result.summary,
@@ -752,3 +812,90 @@ export const getUnfixedTransactionsWithAccounts = async (req, res, next) => {
     next(error);
   }
 };
+
+export const submitMetalTransaction = async (req, res, next) => {
+  try {
+    const transaction = await MetalTransactionService.submitMetalTransaction(
+      req.params.id,
+      req.admin.id
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Metal transaction submitted for approval",
+      data: transaction,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const approveMetalTransaction = async (req, res, next) => {
+  try {
+    const { remarks, periodOverride } = req.body || {};
+
+    const result = await MetalTransactionService.approveMetalTransaction(
+      req.params.id,
+      req.admin.id,
+      { remarks: remarks?.trim(), periodOverride }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: result.posted
+        ? "Metal transaction approved and posted successfully"
+        : "Approval recorded, awaiting second approver",
+      data: result.transaction,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const rejectMetalTransaction = async (req, res, next) => {
+  try {
+    const { reason } = req.body || {};
+    if (!reason?.trim()) {
+      throw createAppError(
+        "Rejection reason is required",
+        400,
+        "MISSING_REJECTION_REASON"
+      );
+    }
+
+    const transaction = await MetalTransactionService.rejectMetalTransaction(
+      req.params.id,
+      req.admin.id,
+      reason.trim()
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Metal transaction rejected",
+      data: transaction,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getPendingApprovals = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 50 } = req.query;
+
+    const result = await MetalTransactionService.getPendingApprovals(
+      parseInt(page),
+      parseInt(limit),
+      req.admin.id
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Pending approvals retrieved successfully",
+      data: result.transactions,
+      pagination: result.pagination,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
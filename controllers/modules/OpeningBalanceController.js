@@ -0,0 +1,102 @@
+import OpeningBalanceService from "../../services/modules/OpeningBalanceService.js";
+import { createAppError } from "../../utils/errorHandler.js";
+
+// Validate an upload or JSON lines and save the batch for confirmation
+export const previewOpeningBalances = async (req, res, next) => {
+  try {
+    const { openingDate, remarks } = req.body;
+    let input;
+    if (req.file) {
+      input = await OpeningBalanceService.parseFile(req.file);
+    } else {
+      let lines = req.body.lines;
+      if (typeof lines === "string") {
+        try {
+          lines = JSON.parse(lines);
+        } catch (error) {
+          throw createAppError("Lines must be a JSON array", 400, "INVALID_LINES");
+        }
+      }
+      input = { lines, source: "json" };
+    }
+
+    const result = await OpeningBalanceService.previewBatch(
+      { ...input, openingDate, remarks: remarks?.trim() },
+      req.admin.id
+    );
+
+    res.status(result.batch ? 201 : 200).json({
+      success: true,
+      message: result.batch
+        ? `Opening balance batch ${result.batch.batchNumber} ready for confirmation`
+        : `${result.summary.invalidLines} of ${result.summary.totalLines} lines are invalid - nothing was saved`,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const confirmOpeningBalances = async (req, res, next) => {
+  try {
+    const batch = await OpeningBalanceService.confirmBatch(req.params.id, req.admin.id, {
+      periodOverride: req.body?.periodOverride,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Opening balance batch ${batch.batchNumber} posted`,
+      data: batch,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const reverseOpeningBalances = async (req, res, next) => {
+  try {
+    const batch = await OpeningBalanceService.reverseBatch(req.params.id, req.admin.id, {
+      reason: req.body?.reason?.trim(),
+      periodOverride: req.body?.periodOverride,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Opening balance batch ${batch.batchNumber} reversed`,
+      data: batch,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getOpeningBalanceBatches = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, status } = req.query;
+
+    const result = await OpeningBalanceService.getBatches(parseInt(page), parseInt(limit), { status });
+
+    res.status(200).json({
+      success: true,
+      message: "Opening balance batches retrieved successfully",
+      data: result.batches,
+      pagination: result.pagination,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getOpeningBalanceBatchById = async (req, res, next) => {
+  try {
+    const batch = await OpeningBalanceService.getBatchById(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: "Opening balance batch retrieved successfully",
+      data: batch,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,94 @@
+import RefiningJobService from "../../services/modules/RefiningJobService.js";
+
+// Issue metal to a refiner - items: [{ stockCode, pieces, grossWeight }]
+export const issueRefiningJob = async (req, res, next) => {
+  try {
+    const { refiner, items, issueDate, remarks, periodOverride } = req.body;
+
+    const job = await RefiningJobService.issueJob(
+      { refiner: refiner?.trim(), items, issueDate, remarks: remarks?.trim() },
+      req.admin.id,
+      { periodOverride }
+    );
+
+    res.status(201).json({
+      success: true,
+      message: `Refining job ${job.jobNumber} issued - ${job.expectedPureWeight} g pure expected back`,
+      data: job,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Refined bars back into stock - items: [{ stockCode, pieces, grossWeight, purity }]
+export const receiveRefinedMetal = async (req, res, next) => {
+  try {
+    const { items, receivedAt, periodOverride } = req.body;
+
+    const job = await RefiningJobService.receiveBars(req.params.id, { items, receivedAt }, req.admin.id, {
+      periodOverride,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Refined metal received - ${job.outstandingPureWeight} g pure still outstanding`,
+      data: job,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const completeRefiningJob = async (req, res, next) => {
+  try {
+    const { charges, completedAt, remarks, periodOverride } = req.body || {};
+
+    const job = await RefiningJobService.completeJob(
+      req.params.id,
+      { charges, completedAt, remarks: remarks?.trim() },
+      req.admin.id,
+      { periodOverride }
+    );
+
+    const { lossPureWeight } = job.result;
+    res.status(200).json({
+      success: true,
+      message: `Refining job ${job.jobNumber} completed with a ${lossPureWeight >= 0 ? "loss" : "gain"} of ${Math.abs(lossPureWeight)} g pure`,
+      data: job,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getRefiningJobs = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, status, refiner } = req.query;
+
+    const result = await RefiningJobService.getJobs(parseInt(page), parseInt(limit), { status, refiner });
+
+    res.status(200).json({
+      success: true,
+      message: "Refining jobs retrieved successfully",
+      data: result.jobs,
+      pagination: result.pagination,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getRefiningJobById = async (req, res, next) => {
+  try {
+    const job = await RefiningJobService.getJobById(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: "Refining job retrieved successfully",
+      data: job,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
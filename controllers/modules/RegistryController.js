@@ -1,5 +1,6 @@
 import { createAppError } from "../../utils/errorHandler.js";
 import RegistryService from "../../services/modules/RegistryService.js";
+import LedgerIntegrityService from "../../services/modules/LedgerIntegrityService.js";
 
 // Create new registry entry
 export const createRegistry = async (req, res, next) => {
@@ -433,4 +434,54 @@ export const getPremiumOrDiscountRegistries = async (req, res, next) => {
   } catch (error) {
     next(error);
   }
-};
\ No newline at end of file
+};
+
+
+// Check double-entry integrity of the registry ledger
+export const getRegistryIntegrity = async (req, res, next) => {
+  try {
+    const { startDate, endDate, party, metalTransactionId, transactionId, tolerance } = req.query;
+
+    const report = await LedgerIntegrityService.checkIntegrity({
+      startDate,
+      endDate,
+      party,
+      metalTransactionId,
+      transactionId,
+      tolerance,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: report.summary.isHealthy
+        ? "Registry ledger is balanced"
+        : "Registry ledger integrity issues found",
+      data: report,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Repair registry integrity issues (dry-run by default)
+export const repairRegistryIntegrity = async (req, res, next) => {
+  try {
+    const { dryRun = true, startDate, endDate, party, metalTransactionId, transactionId, tolerance } = req.body;
+    const adminId = req.admin.id;
+
+    const result = await LedgerIntegrityService.repairIntegrity(
+      { dryRun, startDate, endDate, party, metalTransactionId, transactionId, tolerance },
+      adminId
+    );
+
+    res.status(200).json({
+      success: true,
+      message: result.dryRun
+        ? "Registry repair dry-run completed, no changes were made"
+        : "Registry repair applied successfully",
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,70 @@
+import ScrapConversionService from "../../services/modules/ScrapConversionService.js";
+
+// Melt goods into scrap stock (mode "convert") or write them off (mode "writeOff")
+export const createScrapConversion = async (req, res, next) => {
+  try {
+    const { mode, reason, stockCode, scrapStockCode, pieces, grossWeight, meltingLoss, conversionDate, remarks, periodOverride } =
+      req.body;
+
+    const conversion = await ScrapConversionService.convert(
+      {
+        mode,
+        reason,
+        stockCode: stockCode?.trim(),
+        scrapStockCode: scrapStockCode?.trim(),
+        pieces,
+        grossWeight,
+        meltingLoss,
+        conversionDate,
+        remarks: remarks?.trim(),
+      },
+      req.admin.id,
+      { periodOverride }
+    );
+
+    res.status(201).json({
+      success: true,
+      message:
+        conversion.mode === "convert"
+          ? `${conversion.source.code} converted into ${conversion.scrap.code} (${conversion.conversionNumber})`
+          : `${conversion.source.code} written off (${conversion.conversionNumber})`,
+      data: conversion,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getScrapConversions = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, mode, stockCode } = req.query;
+
+    const result = await ScrapConversionService.getConversions(parseInt(page), parseInt(limit), {
+      mode,
+      stockCode,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Scrap conversions retrieved successfully",
+      data: result.conversions,
+      pagination: result.pagination,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getScrapConversionById = async (req, res, next) => {
+  try {
+    const conversion = await ScrapConversionService.getConversionById(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: "Scrap conversion retrieved successfully",
+      data: conversion,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
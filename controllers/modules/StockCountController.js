@@ -0,0 +1,135 @@
+import StockCountService from "../../services/modules/StockCountService.js";
+import { createAppError } from "../../utils/errorHandler.js";
+
+// Open a stock-take for a division and/or cost center as at countedAt (default now)
+export const openStockCount = async (req, res, next) => {
+  try {
+    const { division, costCenter, countedAt, remarks } = req.body;
+
+    const count = await StockCountService.openCount(
+      { division, costCenter, countedAt, remarks: remarks?.trim() },
+      req.admin.id
+    );
+
+    res.status(201).json({
+      success: true,
+      message: `Stock count ${count.countNumber} opened`,
+      data: count,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// [{ stockCode, pieces, grossWeight, remarks }]
+export const recordStockCountLines = async (req, res, next) => {
+  try {
+    const count = await StockCountService.recordLines(req.params.id, req.body.lines, req.admin.id);
+
+    res.status(200).json({
+      success: true,
+      message: "Counted quantities recorded",
+      data: count,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const submitStockCount = async (req, res, next) => {
+  try {
+    const count = await StockCountService.submitCount(req.params.id, req.admin.id);
+
+    res.status(200).json({
+      success: true,
+      message: `Stock count ${count.countNumber} submitted for approval`,
+      data: count,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const approveStockCount = async (req, res, next) => {
+  try {
+    const count = await StockCountService.approveCount(req.params.id, req.admin.id, {
+      periodOverride: req.body?.periodOverride,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Stock count ${count.countNumber} approved and ${count.totals.linesWithVariance} variance(s) posted`,
+      data: count,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const rejectStockCount = async (req, res, next) => {
+  try {
+    const { reason } = req.body || {};
+    if (!reason?.trim()) {
+      throw createAppError("Rejection reason is required", 400, "REJECTION_REASON_REQUIRED");
+    }
+
+    const count = await StockCountService.rejectCount(req.params.id, req.admin.id, reason.trim());
+
+    res.status(200).json({
+      success: true,
+      message: `Stock count ${count.countNumber} returned for recounting`,
+      data: count,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const cancelStockCount = async (req, res, next) => {
+  try {
+    const count = await StockCountService.cancelCount(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: `Stock count ${count.countNumber} cancelled`,
+      data: count,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getStockCounts = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, status, division, costCenter } = req.query;
+
+    const result = await StockCountService.getCounts(parseInt(page), parseInt(limit), {
+      status,
+      division,
+      costCenter,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Stock counts retrieved successfully",
+      data: result.counts,
+      pagination: result.pagination,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getStockCountById = async (req, res, next) => {
+  try {
+    const count = await StockCountService.getCountById(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: "Stock count retrieved successfully",
+      data: count,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,104 @@
+import StockTransferService from "../../services/modules/StockTransferService.js";
+
+// from/to: { branch, costCenter } - items: [{ fromStock, toStock, pieces, grossWeight }]
+export const createStockTransfer = async (req, res, next) => {
+  try {
+    const { from, to, items, voucherDate, remarks, dispatch, periodOverride } = req.body;
+
+    const transfer = await StockTransferService.createTransfer(
+      { from, to, items, voucherDate, remarks: remarks?.trim(), dispatch: Boolean(dispatch), periodOverride },
+      req.admin.id
+    );
+
+    res.status(201).json({
+      success: true,
+      message: `Stock transfer ${transfer.voucherNumber} ${transfer.status === "inTransit" ? "dispatched" : "created"}`,
+      data: transfer,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const dispatchStockTransfer = async (req, res, next) => {
+  try {
+    const { dispatchedAt, periodOverride } = req.body || {};
+
+    const transfer = await StockTransferService.dispatchTransfer(req.params.id, req.admin.id, {
+      dispatchedAt,
+      periodOverride,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Stock transfer ${transfer.voucherNumber} dispatched - ${transfer.totals.pureWeight} g pure in transit`,
+      data: transfer,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const receiveStockTransfer = async (req, res, next) => {
+  try {
+    const { receivedAt, periodOverride } = req.body || {};
+
+    const transfer = await StockTransferService.receiveTransfer(req.params.id, req.admin.id, {
+      receivedAt,
+      periodOverride,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Stock transfer ${transfer.voucherNumber} received`,
+      data: transfer,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const cancelStockTransfer = async (req, res, next) => {
+  try {
+    const transfer = await StockTransferService.cancelTransfer(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: `Stock transfer ${transfer.voucherNumber} cancelled`,
+      data: transfer,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getStockTransfers = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, status, branch } = req.query;
+
+    const result = await StockTransferService.getTransfers(parseInt(page), parseInt(limit), { status, branch });
+
+    res.status(200).json({
+      success: true,
+      message: "Stock transfers retrieved successfully",
+      data: result.transfers,
+      pagination: result.pagination,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getStockTransferById = async (req, res, next) => {
+  try {
+    const transfer = await StockTransferService.getTransferById(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: "Stock transfer retrieved successfully",
+      data: transfer,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -101,6 +101,7 @@ export const createTransaction = async (req, res, next) => {
         goldBidValue: parseFloat(order.goldBidValue) || 0,
         metalType: order.metalType?.trim(),
         paymentTerms: order.paymentTerms || DEFAULT_PAYMENT_TERMS,
+        quoteId: order.quoteId?.trim() || null,
       })) || [],
     };
 
@@ -108,7 +109,11 @@ export const createTransaction = async (req, res, next) => {
 
     const transaction = await TransactionFixingService.createTransaction(
       transactionData,
-      req.admin.id
+      req.admin.id,
+      {
+        periodOverride: req.body.periodOverride,
+        allocations: req.body.allocations,
+      }
     );
 
     res.status(201).json({
@@ -278,7 +283,11 @@ export const updateTransaction = async (req, res, next) => {
     const transaction = await TransactionFixingService.updateTransaction(
       id.trim(),
       updateData,
-      req.admin.id
+      req.admin.id,
+      {
+        periodOverride: req.body.periodOverride,
+        allocations: req.body.allocations,
+      }
     );
 
     res.status(200).json({
@@ -308,7 +317,8 @@ export const deleteTransaction = async (req, res, next) => {
 
     const deletedTransaction = await TransactionFixingService.deleteTransaction(
       id.trim(),
-      req.admin.id
+      req.admin.id,
+      { periodOverride: req.body?.periodOverride }
     );
 
     res.status(200).json({
@@ -404,6 +414,68 @@ export const restoreTransaction = async (req, res, next) => {
   }
 };
 
+/**
+ * Get the unfixed vouchers a fixing has been allocated against
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const getTransactionAllocations = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (!id?.trim()) {
+      throw createAppError("Transaction ID is required", 400, "MISSING_ID");
+    }
+
+    const result = await TransactionFixingService.getTransactionAllocations(id.trim());
+
+    res.status(200).json({
+      success: true,
+      message: "Fixing allocations retrieved successfully",
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Replace a fixing's FIFO allocations with a manual allocation
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const reallocateTransaction = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (!id?.trim()) {
+      throw createAppError("Transaction ID is required", 400, "MISSING_ID");
+    }
+
+    const allocations = req.body.allocations?.map((allocation) => ({
+      metalTransactionId: allocation.metalTransactionId?.trim(),
+      metalType: allocation.metalType?.trim(),
+      weight: parseFloat(allocation.weight) || 0,
+    }));
+
+    const result = await TransactionFixingService.reallocateTransaction(
+      id.trim(),
+      allocations,
+      req.admin.id
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Fixing reallocated successfully",
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Get transactions by party ID
  * @param {Object} req - Express request object
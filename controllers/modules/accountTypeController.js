@@ -1,4 +1,6 @@
 import AccountTypeService from "../../services/modules/AccountTypeService.js";
+import CreditExposureService from "../../services/modules/CreditExposureService.js";
+import PartyPositionService from "../../services/modules/PartyPositionService.js";
 import { createAppError } from "../../utils/errorHandler.js";
 
 // Create new trade debtor
@@ -938,3 +940,40 @@ export const bulkDeleteDebtors = async (req, res, next) => {
     next(error);
   }
 };
+
+// Credit exposure breakdown, optionally projected with a proposed cash/gold change
+export const getCreditExposure = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const cashDelta = parseFloat(req.query.cashDelta) || 0;
+    const goldDelta = parseFloat(req.query.goldDelta) || 0;
+
+    const exposure = await CreditExposureService.calculateExposure(id, {
+      cashDelta,
+      goldDelta,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Credit exposure calculated successfully",
+      data: exposure,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Cash, gold, unfixed and credit picture for one party in a single call
+export const getPartyPosition = async (req, res, next) => {
+  try {
+    const position = await PartyPositionService.getPartyPosition(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: "Party position retrieved successfully",
+      data: position,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,4 +1,9 @@
 import { ReportService } from "../../services/modules/reportService.js";
+import ValuationService from "../../services/modules/ValuationService.js";
+import AgeingService from "../../services/modules/AgeingService.js";
+import FinancialStatementService from "../../services/modules/FinancialStatementService.js";
+import VatReturnService from "../../services/modules/VatReturnService.js";
+import StockTransferService from "../../services/modules/StockTransferService.js";
 
 const reportService = new ReportService();
 
@@ -403,3 +408,275 @@ export const metalFixing = async (req, res) => {
     });
   }
 };
+
+export const profitLoss = async (req, res) => {
+  try {
+    const filters = req.body;
+    // Average-cost realized and unrealized P&L
+    const reportData = await ValuationService.getProfitLoss(filters);
+    res.status(200).json({
+      success: true,
+      message: "Profit and loss valuation generated successfully",
+      data: reportData,
+      totalRecords: reportData.realized.length + reportData.openPositions.length,
+      filters: reportData.filters
+    });
+  } catch (error) {
+    console.error("Error in profitLoss:", error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        error: error.message.includes("From date cannot be greater than to date")
+          ? "INVALID_DATE_RANGE"
+          : "INVALID_FILTERS"
+      });
+    }
+
+    // Generic error response
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while generating report",
+      error: error.message
+    });
+  }
+};
+
+export const agedBalances = async (req, res) => {
+  try {
+    const filters = req.body;
+    // Outstanding party balances split into ageing buckets, cash or gold
+    const reportData = await AgeingService.getAgedBalances(filters);
+    res.status(200).json({
+      success: true,
+      message: "Aged receivables and payables generated successfully",
+      data: reportData,
+      totalRecords: reportData.receivables.length + reportData.payables.length,
+      filters: reportData.filters
+    });
+  } catch (error) {
+    console.error("Error in agedBalances:", error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        error: "INVALID_FILTERS"
+      });
+    }
+
+    // Generic error response
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while generating report",
+      error: error.message
+    });
+  }
+};
+
+export const chartOfAccounts = async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      message: "Chart of accounts retrieved successfully",
+      data: FinancialStatementService.getChartOfAccounts()
+    });
+  } catch (error) {
+    console.error("Error in chartOfAccounts:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while loading the chart of accounts",
+      error: error.message
+    });
+  }
+};
+
+export const trialBalance = async (req, res) => {
+  try {
+    const filters = req.body;
+    const reportData = await FinancialStatementService.getTrialBalance(filters);
+    res.status(200).json({
+      success: true,
+      message: "Trial balance generated successfully",
+      data: reportData,
+      totalRecords: reportData.accounts.length + reportData.metal.accounts.length,
+      filters: reportData.filters
+    });
+  } catch (error) {
+    console.error("Error in trialBalance:", error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        error: "INVALID_FILTERS"
+      });
+    }
+
+    // Generic error response
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while generating report",
+      error: error.message
+    });
+  }
+};
+
+export const incomeStatement = async (req, res) => {
+  try {
+    const filters = req.body;
+    const reportData = await FinancialStatementService.getProfitAndLoss(filters);
+    res.status(200).json({
+      success: true,
+      message: "Profit and loss statement generated successfully",
+      data: reportData,
+      filters: reportData.filters
+    });
+  } catch (error) {
+    console.error("Error in incomeStatement:", error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        error: "INVALID_FILTERS"
+      });
+    }
+
+    // Generic error response
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while generating report",
+      error: error.message
+    });
+  }
+};
+
+export const balanceSheet = async (req, res) => {
+  try {
+    const filters = req.body;
+    const reportData = await FinancialStatementService.getBalanceSheet(filters);
+    res.status(200).json({
+      success: true,
+      message: "Balance sheet generated successfully",
+      data: reportData,
+      filters: reportData.filters
+    });
+  } catch (error) {
+    console.error("Error in balanceSheet:", error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        error: "INVALID_FILTERS"
+      });
+    }
+
+    // Generic error response
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while generating report",
+      error: error.message
+    });
+  }
+};
+
+export const accountDrillDown = async (req, res) => {
+  try {
+    const filters = req.body;
+    const reportData = await FinancialStatementService.getAccountRows(filters);
+    res.status(200).json({
+      success: true,
+      message: "Account rows retrieved successfully",
+      data: reportData,
+      totalRecords: reportData.pagination.totalItems,
+      filters: reportData.filters
+    });
+  } catch (error) {
+    console.error("Error in accountDrillDown:", error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        error: "INVALID_FILTERS"
+      });
+    }
+
+    // Generic error response
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while generating report",
+      error: error.message
+    });
+  }
+};
+
+export const vatReturn = async (req, res) => {
+  try {
+    const filters = req.body;
+    const reportData = await VatReturnService.getVatReturn(filters);
+
+    // Filing-ready box layout
+    if (filters.format === "csv") {
+      const csv = await VatReturnService.toCsv(reportData);
+      const from = filters.fromDate ? String(filters.fromDate).slice(0, 10) : "";
+      const to = filters.toDate ? String(filters.toDate).slice(0, 10) : "";
+      res.setHeader("Content-Type", "text/csv");
+      res.setHeader("Content-Disposition", `attachment; filename="vat-return-${from}-${to}.csv"`);
+      return res.status(200).send(csv);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "VAT return generated successfully",
+      data: reportData,
+      totalRecords: reportData.periods.length,
+      filters: reportData.filters
+    });
+  } catch (error) {
+    console.error("Error in vatReturn:", error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        error: "INVALID_FILTERS"
+      });
+    }
+
+    // Generic error response
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while generating report",
+      error: error.message
+    });
+  }
+};
+
+// Dispatched but not yet received as at filters.toDate
+export const stockInTransit = async (req, res) => {
+  try {
+    const filters = req.body;
+    const reportData = await StockTransferService.getStockInTransit(filters);
+
+    res.status(200).json({
+      success: true,
+      message: "Stock in transit report generated successfully",
+      data: reportData,
+      totalRecords: reportData.totals.transfers,
+      filters
+    });
+  } catch (error) {
+    console.error("Error in stockInTransit:", error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        error: "INVALID_FILTERS"
+      });
+    }
+
+    // Generic error response
+    res.status(500).json({
+      success: false,
+      message: "Internal server error while generating report",
+      error: error.message
+    });
+  }
+};
@@ -1,4 +1,4 @@
-import { verifyToken } from "../services/core/authService.js";
+import { verifyToken, verifyStreamToken } from "../services/core/authService.js";
 import { createAppError } from "../utils/errorHandler.js";
 import Admin from "../models/core/adminModel.js";
 
@@ -54,6 +54,60 @@ export const authenticateToken = async (req, res, next) => {
   }
 };
 
+/**
+ * Authentication for Server-Sent Events streams
+ * Browser EventSource cannot send an Authorization header, so a short-lived
+ * stream token is accepted as `?token=`. A Bearer header still works as usual.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const authenticateStreamToken = async (req, res, next) => {
+  if (req.headers.authorization) {
+    return authenticateToken(req, res, next);
+  }
+
+  try {
+    const token = req.query.token;
+    if (!token) {
+      return res.status(401).json({
+        success: false,
+        message: "Access token is required",
+        error: "MISSING_TOKEN"
+      });
+    }
+
+    const decoded = verifyStreamToken(token);
+
+    const admin = await Admin.findById(decoded.id);
+    if (!admin || !admin.isActive || admin.status !== "active") {
+      return res.status(401).json({
+        success: false,
+        message: "Admin not found or inactive",
+        error: "ADMIN_INACTIVE"
+      });
+    }
+
+    req.admin = {
+      id: decoded.id,
+      email: admin.email,
+      type: admin.type,
+      permissions: admin.permissions,
+      name: admin.name
+    };
+
+    next();
+
+  } catch (error) {
+    console.error("Stream authentication error:", error);
+    return res.status(401).json({
+      success: false,
+      message: "Invalid token",
+      error: error.message
+    });
+  }
+};
+
 /**
  * Optional Authentication Middleware
  * Similar to authenticateToken but doesn't throw error if no token
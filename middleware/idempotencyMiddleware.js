@@ -0,0 +1,127 @@
+import crypto from "crypto";
+import IdempotencyKey from "../models/modules/IdempotencyKey.js";
+import { createAppError } from "../utils/errorHandler.js";
+
+const HEADER = "idempotency-key";
+
+/**
+ * Serialize with sorted keys so the same body always hashes the same
+ * @param {*} value - Request body
+ * @returns {string} - Canonical JSON
+ */
+const canonicalize = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalize(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+};
+
+const hashBody = (body) =>
+  crypto.createHash("sha256").update(canonicalize(body || {})).digest("hex");
+
+// Read lazily - dotenv is loaded after route modules are imported
+const getTtlHours = () => parseFloat(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24;
+// How long a key stays claimed by a request that never settles (e.g. the process died)
+const getProcessingTtlMinutes = () => parseFloat(process.env.IDEMPOTENCY_PROCESSING_TTL_MINUTES) || 10;
+
+/**
+ * Idempotency Middleware for posting endpoints
+ * Requests carrying an Idempotency-Key header are posted once: a retry with the same
+ * key and body replays the stored response, the same key with a different body is
+ * rejected. Only successful responses are kept, so a failed attempt can be retried.
+ * A request that never responds holds its key for IDEMPOTENCY_PROCESSING_TTL_MINUTES.
+ * Must run after authenticateToken - keys are scoped to the calling admin.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+export const idempotency = async (req, res, next) => {
+  const key = req.get(HEADER)?.trim();
+  if (!key) {
+    return next();
+  }
+
+  try {
+    if (key.length > 255) {
+      throw createAppError("Idempotency-Key cannot exceed 255 characters", 400, "INVALID_IDEMPOTENCY_KEY");
+    }
+
+    const scope = {
+      key,
+      admin: req.admin?.id || null,
+      method: req.method,
+      path: `${req.baseUrl}${req.path}`,
+    };
+    const requestHash = hashBody(req.body);
+
+    let record;
+    try {
+      record = await IdempotencyKey.create({
+        ...scope,
+        requestHash,
+        expiresAt: new Date(Date.now() + getProcessingTtlMinutes() * 60 * 1000),
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+
+      const existing = await IdempotencyKey.findOne(scope).lean();
+      if (!existing) {
+        throw createAppError("Idempotency key is being released, retry the request", 409, "IDEMPOTENCY_KEY_IN_USE");
+      }
+      if (existing.requestHash !== requestHash) {
+        throw createAppError(
+          "Idempotency-Key has already been used with a different request body",
+          422,
+          "IDEMPOTENCY_KEY_CONFLICT"
+        );
+      }
+      if (existing.status !== "completed") {
+        throw createAppError(
+          "A request with this Idempotency-Key is still being processed",
+          409,
+          "IDEMPOTENCY_REQUEST_IN_PROGRESS"
+        );
+      }
+
+      res.set("Idempotent-Replayed", "true");
+      return res.status(existing.responseStatus).json(existing.responseBody);
+    }
+
+    // Capture the response so a retry can be answered without posting again. The key
+    // stays claimed until the handler responds, even if the client has gone away.
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      const succeeded = res.statusCode >= 200 && res.statusCode < 300;
+      const settle = succeeded
+        ? IdempotencyKey.updateOne(
+            { _id: record._id },
+            {
+              status: "completed",
+              expiresAt: new Date(Date.now() + getTtlHours() * 60 * 60 * 1000),
+              responseStatus: res.statusCode,
+              // Plain JSON copy - handlers often respond with mongoose documents
+              responseBody: JSON.parse(JSON.stringify(body)),
+            }
+          )
+        : IdempotencyKey.deleteOne({ _id: record._id });
+
+      // Respond only once the result is stored, so a quick retry sees it
+      settle
+        .catch((error) => {
+          console.error("Failed to store idempotency result:", error);
+        })
+        .finally(() => originalJson(body));
+      return res;
+    };
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
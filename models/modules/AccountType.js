@@ -49,11 +49,23 @@ const AccountSchema = new mongoose.Schema(
         totalValue: { type: Number, default: 0 },
         lastUpdated: { type: Date, default: Date.now }
       },
+      // Base-currency total of cashBalances below
       cashBalance: {
         currency: { type: mongoose.Schema.Types.ObjectId, ref: "CurrencyMaster", default: null },
         amount: { type: Number, default: 0 },
         lastUpdated: { type: Date, default: Date.now }
       },
+      // One sub-balance per traded currency; baseAmount is the booked base-currency equivalent
+      cashBalances: {
+        type: [{
+          _id: false,
+          currency: { type: mongoose.Schema.Types.ObjectId, ref: "CurrencyMaster", required: true },
+          amount: { type: Number, default: 0 },
+          baseAmount: { type: Number, default: 0 },
+          lastUpdated: { type: Date, default: Date.now }
+        }],
+        default: []
+      },
       totalOutstanding: { type: Number, default: 0 },
       lastBalanceUpdate: { type: Date, default: Date.now }
     },
@@ -93,7 +105,12 @@ const AccountSchema = new mongoose.Schema(
           max: 100,
           required: [true, "Short margin is required"]
         },
-        longMargin: { type: Number, min: 0, max: 100, default: 0 }
+        longMargin: { type: Number, min: 0, max: 100, default: 0 },
+        // Maximum exposure allowed for the party (0 = no limit)
+        creditLimitAmt: { type: Number, min: 0, default: 0 },
+        creditLimitMtl: { type: Number, min: 0, default: 0 },
+        // Per-gram amount dealer quotes add on sales to the party and take off purchases
+        quoteMargin: { type: Number, min: 0, default: 0 }
       }],
       default: []
     },
@@ -243,6 +260,7 @@ AccountSchema.index({ "vatGstDetails.vatNumber": 1 });
 AccountSchema.index({ "balances.totalOutstanding": 1 });
 AccountSchema.index({ "balances.goldBalance.totalGrams": 1 });
 AccountSchema.index({ "balances.cashBalance.amount": 1 });
+AccountSchema.index({ "balances.cashBalances.currency": 1 });
 
 // Pre-save middleware
 AccountSchema.pre("save", function (next) {
@@ -290,6 +308,83 @@ AccountSchema.statics.getActiveAccounts = function () {
   return this.find({ isActive: true, status: "active" });
 };
 
+const roundCash = (value) => Number((value || 0).toFixed(2));
+
+// Balances kept before per-currency sub-balances existed sit in the cash currency at par
+const legacyCashBalance = (account) => ({
+  currency:
+    account.balances?.cashBalance?.currency ||
+    account.acDefinition?.currencies?.find(c => c.isDefault)?.currency ||
+    account.acDefinition?.currencies?.[0]?.currency,
+  amount: account.balances.cashBalance.amount,
+  baseAmount: account.balances.cashBalance.amount,
+  lastUpdated: new Date()
+});
+
+const needsLegacySeed = (account) =>
+  !account.balances?.cashBalances?.length && (account.balances?.cashBalance?.amount || 0) !== 0;
+
+/**
+ * Post a cash movement to one currency sub-balance without loading and saving the account,
+ * so concurrent postings for the same party do not overwrite each other.
+ * @param {ObjectId} accountId
+ * @param {ObjectId} currency - Currency the amount is in
+ * @param {number} amount - Signed amount in that currency
+ * @param {number} conversionRate - Base-currency value of one unit of the currency
+ * @param {ClientSession} session
+ */
+AccountSchema.statics.incrementCashBalance = async function (accountId, currency, amount, conversionRate = 1, session = null) {
+  const account = await this.findById(accountId)
+    .select("balances acDefinition.currencies")
+    .session(session)
+    .lean();
+  if (!account) return null;
+
+  if (needsLegacySeed(account)) {
+    const legacy = legacyCashBalance(account);
+    if (legacy.currency) {
+      await this.updateOne(
+        { _id: accountId, "balances.cashBalances.0": { $exists: false } },
+        { $push: { "balances.cashBalances": legacy } },
+        { session }
+      );
+    }
+  }
+
+  const currencyId = currency || legacyCashBalance(account).currency;
+  if (!currencyId) {
+    throw new Error("Account has no currency for its cash balance");
+  }
+
+  await this.updateOne(
+    { _id: accountId, "balances.cashBalances.currency": { $ne: currencyId } },
+    { $push: { "balances.cashBalances": { currency: currencyId, amount: 0, baseAmount: 0 } } },
+    { session }
+  );
+
+  const baseAmount = roundCash(amount * conversionRate);
+  const now = new Date();
+  const set = {
+    "balances.cashBalances.$[entry].lastUpdated": now,
+    "balances.cashBalance.lastUpdated": now,
+    "balances.lastBalanceUpdate": now,
+  };
+  if (!account.balances?.cashBalance?.currency) set["balances.cashBalance.currency"] = currencyId;
+
+  return this.findOneAndUpdate(
+    { _id: accountId },
+    {
+      $inc: {
+        "balances.cashBalances.$[entry].amount": roundCash(amount),
+        "balances.cashBalances.$[entry].baseAmount": baseAmount,
+        "balances.cashBalance.amount": baseAmount,
+      },
+      $set: set,
+    },
+    { arrayFilters: [{ "entry.currency": currencyId }], session, new: true }
+  );
+};
+
 // Instance Methods
 AccountSchema.methods.getPrimaryContact = function () {
   return this.employees?.find(emp => emp.isPrimary) || this.employees?.[0];
@@ -334,6 +429,74 @@ AccountSchema.methods.getCashBalance = function () {
   return this.balances.cashBalance.amount || 0;
 };
 
+AccountSchema.methods.getCashBalanceFor = function (currency) {
+  const entry = this.balances.cashBalances?.find(
+    c => c.currency?.toString() === currency?.toString()
+  );
+  if (entry) return entry.amount || 0;
+  // Before any sub-balance exists the whole legacy balance is in the cash currency
+  return needsLegacySeed(this) && legacyCashBalance(this).currency?.toString() === currency?.toString()
+    ? this.balances.cashBalance.amount
+    : 0;
+};
+
+// Sub-balances of a loaded account, moving a legacy single balance into one first
+AccountSchema.methods.ensureCashBalances = function () {
+  if (needsLegacySeed(this)) {
+    const legacy = legacyCashBalance(this);
+    if (legacy.currency) this.balances.cashBalances.push(legacy);
+  }
+  return this.balances.cashBalances;
+};
+
+// Apply a signed cash movement in one currency to a loaded account (caller saves)
+AccountSchema.methods.applyCashMovement = function (currency, amount, conversionRate = 1) {
+  this.ensureCashBalances();
+
+  const currencyId = currency || legacyCashBalance(this).currency;
+  if (!currencyId) {
+    throw new Error("Account has no currency for its cash balance");
+  }
+
+  let entry = this.balances.cashBalances.find(
+    c => c.currency?.toString() === currencyId.toString()
+  );
+  if (!entry) {
+    this.balances.cashBalances.push({ currency: currencyId, amount: 0, baseAmount: 0 });
+    entry = this.balances.cashBalances[this.balances.cashBalances.length - 1];
+  }
+
+  const previousBalance = entry.amount || 0;
+  const baseAmount = roundCash(amount * conversionRate);
+  entry.amount = roundCash(previousBalance + amount);
+  entry.baseAmount = roundCash((entry.baseAmount || 0) + baseAmount);
+  entry.lastUpdated = new Date();
+
+  this.balances.cashBalance.amount = roundCash((this.balances.cashBalance.amount || 0) + baseAmount);
+  this.balances.cashBalance.currency = this.balances.cashBalance.currency || currencyId;
+  this.balances.cashBalance.lastUpdated = new Date();
+  this.balances.lastBalanceUpdate = new Date();
+
+  return { currency: currencyId, previousBalance, balance: entry.amount, baseAmount };
+};
+
+// Change only the base-currency value of a sub-balance, as an FX revaluation does (caller saves)
+AccountSchema.methods.adjustCashBaseAmount = function (currency, delta) {
+  const entry = this.ensureCashBalances().find(
+    c => c.currency?.toString() === currency?.toString()
+  );
+  if (!entry) {
+    throw new Error("Account has no cash balance in this currency");
+  }
+
+  entry.baseAmount = roundCash((entry.baseAmount || 0) + delta);
+  entry.lastUpdated = new Date();
+  this.balances.cashBalance.amount = roundCash((this.balances.cashBalance.amount || 0) + delta);
+  this.balances.cashBalance.lastUpdated = new Date();
+  this.balances.lastBalanceUpdate = new Date();
+  return entry;
+};
+
 AccountSchema.methods.getCashBalanceCurrency = function () {
   return this.balances.cashBalance.currency;
 };
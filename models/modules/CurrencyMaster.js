@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import CurrencyRateHistory from "./CurrencyRateHistory.js";
 
 const CurrencyMasterSchema = new mongoose.Schema(
   {
@@ -120,6 +121,28 @@ CurrencyMasterSchema.methods.isRateInRange = function(rate) {
   return rate >= this.minRate && rate <= this.maxRate;
 };
 
+// Base currency code is read lazily - dotenv is loaded after models are imported
+CurrencyMasterSchema.statics.getBaseCurrencyCode = function() {
+  return (process.env.BASE_CURRENCY_CODE || "AED").toUpperCase();
+};
+
+CurrencyMasterSchema.statics.getBaseCurrency = function(session = null) {
+  return this.findOne({ currencyCode: this.getBaseCurrencyCode() }).session(session);
+};
+
+// Base-currency value of one unit; amounts without a currency are already in base.
+// With a date, the rate effective on that date is used, falling back to the current rate
+// for currencies that have no history yet.
+CurrencyMasterSchema.statics.getConversionRate = async function(currencyId, session = null, date = null) {
+  if (!currencyId) return 1;
+  if (date) {
+    const effective = await CurrencyRateHistory.findEffective(currencyId, date, session);
+    if (effective) return effective.rate;
+  }
+  const currency = await this.findById(currencyId).select("conversionRate").session(session).lean();
+  return currency?.conversionRate || 1;
+};
+
 const CurrencyMaster = mongoose.model("CurrencyMaster", CurrencyMasterSchema);
 
 export default CurrencyMaster;
\ No newline at end of file
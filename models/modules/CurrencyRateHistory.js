@@ -0,0 +1,58 @@
+import mongoose from "mongoose";
+
+// Dated conversion rates - a voucher uses the rate effective on its voucher date
+const CurrencyRateHistorySchema = new mongoose.Schema(
+  {
+    currency: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "CurrencyMaster",
+      required: [true, "Currency is required"],
+    },
+    // Base-currency value of one unit of the currency
+    rate: {
+      type: Number,
+      required: [true, "Rate is required"],
+      validate: {
+        validator: (value) => value > 0,
+        message: "Rate must be a positive number",
+      },
+    },
+    effectiveDate: {
+      type: Date,
+      required: [true, "Effective date is required"],
+    },
+    source: {
+      type: String,
+      enum: ["manual", "master"],
+      default: "manual",
+    },
+    remarks: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Remarks cannot exceed 500 characters"],
+      default: null,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+CurrencyRateHistorySchema.index({ currency: 1, effectiveDate: -1, createdAt: -1 });
+
+// Latest rate effective on or before the date; a later entry on the same date wins
+CurrencyRateHistorySchema.statics.findEffective = function (currencyId, date = new Date(), session = null) {
+  return this.findOne({ currency: currencyId, effectiveDate: { $lte: date } })
+    .sort({ effectiveDate: -1, createdAt: -1 })
+    .session(session)
+    .lean();
+};
+
+const CurrencyRateHistory = mongoose.model("CurrencyRateHistory", CurrencyRateHistorySchema);
+
+export default CurrencyRateHistory;
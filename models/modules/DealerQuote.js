@@ -0,0 +1,99 @@
+import mongoose from "mongoose";
+
+// A price given to a party for one fixing order, valid until it expires or is used
+const DealerQuoteSchema = new mongoose.Schema(
+  {
+    quoteId: {
+      type: String,
+      required: true,
+      trim: true,
+      uppercase: true,
+      unique: true,
+    },
+    party: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Account",
+      required: [true, "Party is required"],
+    },
+    metalType: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "MetalRateMaster",
+      required: [true, "Metal type is required"],
+    },
+    // Fixing side: PURCHASE - we buy from the party, SELL - we sell to the party
+    side: {
+      type: String,
+      enum: ["PURCHASE", "SELL"],
+      required: [true, "Side is required"],
+    },
+    quantityGm: {
+      type: Number,
+      required: [true, "Quantity in grams is required"],
+      min: [0, "Quantity cannot be negative"],
+    },
+    // MetalRateMaster rate the quote was built from
+    goldBidValue: {
+      type: Number,
+      required: true,
+    },
+    convFactGms: {
+      type: Number,
+      required: true,
+    },
+    marketPricePerGram: {
+      type: Number,
+      required: true,
+    },
+    margin: {
+      type: Number,
+      default: 0,
+    },
+    // Quoted price per gram and its total
+    price: {
+      type: Number,
+      required: true,
+    },
+    totalValue: {
+      type: Number,
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["open", "consumed", "cancelled"],
+      default: "open",
+    },
+    consumedAt: {
+      type: Date,
+      default: null,
+    },
+    fixingTransactionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "TransactionFixing",
+      default: null,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+DealerQuoteSchema.index({ party: 1, createdAt: -1 });
+DealerQuoteSchema.index({ status: 1, expiresAt: 1 });
+
+DealerQuoteSchema.virtual("isExpired").get(function () {
+  return this.expiresAt <= new Date();
+});
+
+const DealerQuote = mongoose.model("DealerQuote", DealerQuoteSchema);
+export default DealerQuote;
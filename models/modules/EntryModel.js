@@ -123,6 +123,11 @@ const entrySchema = new mongoose.Schema(
           ref: "CurrencyMaster",
           required: [true, "Currency is required for cash entries"],
         },
+        // Rate effective on the voucher date, captured when the entry is posted
+        conversionRate: {
+          type: Number,
+          default: null,
+        },
         amount: {
           type: Number,
           required: [true, "Amount is required for cash entries"],
@@ -0,0 +1,200 @@
+import mongoose from "mongoose";
+
+const BalanceSnapshotSchema = new mongoose.Schema(
+  {
+    party: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Account",
+      required: true,
+    },
+    accountCode: {
+      type: String,
+      trim: true,
+    },
+    customerName: {
+      type: String,
+      trim: true,
+    },
+    goldBalance: {
+      totalGrams: { type: Number, default: 0 },
+      totalValue: { type: Number, default: 0 },
+    },
+    cashBalance: {
+      currency: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "CurrencyMaster",
+        default: null,
+      },
+      amount: { type: Number, default: 0 },
+    },
+    // Per-currency sub-balances; baseAmount is the booked base-currency equivalent
+    cashBalances: {
+      type: [
+        {
+          _id: false,
+          currency: { type: mongoose.Schema.Types.ObjectId, ref: "CurrencyMaster", required: true },
+          amount: { type: Number, default: 0 },
+          baseAmount: { type: Number, default: 0 },
+        },
+      ],
+      default: [],
+    },
+    totalOutstanding: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { _id: false }
+);
+
+const PeriodOverrideSchema = new mongoose.Schema(
+  {
+    admin: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      required: true,
+    },
+    action: {
+      type: String,
+      enum: ["create", "update", "delete"],
+      required: true,
+    },
+    voucherType: {
+      type: String,
+      trim: true,
+    },
+    voucherId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    voucherNumber: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    voucherDate: {
+      type: Date,
+    },
+    reason: {
+      type: String,
+      trim: true,
+      required: [true, "Override reason is required"],
+      maxlength: [500, "Override reason cannot exceed 500 characters"],
+    },
+    overriddenAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: true }
+);
+
+const FiscalPeriodSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: [true, "Period code is required"],
+      trim: true,
+      uppercase: true,
+      maxlength: [20, "Period code cannot exceed 20 characters"],
+      match: [
+        /^[A-Z0-9-]+$/,
+        "Period code should contain only uppercase letters, numbers and hyphens",
+      ],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [200, "Description cannot exceed 200 characters"],
+    },
+    startDate: {
+      type: Date,
+      required: [true, "Period start date is required"],
+    },
+    endDate: {
+      type: Date,
+      required: [true, "Period end date is required"],
+    },
+    status: {
+      type: String,
+      enum: ["open", "soft-closed", "hard-closed"],
+      default: "open",
+    },
+    closedAt: {
+      type: Date,
+      default: null,
+    },
+    closedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      default: null,
+    },
+    balanceSnapshots: {
+      type: [BalanceSnapshotSchema],
+      default: [],
+    },
+    overrides: {
+      type: [PeriodOverrideSchema],
+      default: [],
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      required: true,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes for better performance
+FiscalPeriodSchema.index({ code: 1 }, { unique: true });
+FiscalPeriodSchema.index({ startDate: 1, endDate: 1 });
+FiscalPeriodSchema.index({ status: 1 });
+FiscalPeriodSchema.index({ isActive: 1 });
+
+FiscalPeriodSchema.pre("validate", function (next) {
+  if (this.startDate && this.endDate && this.endDate < this.startDate) {
+    this.invalidate("endDate", "Period end date must be on or after the start date");
+  }
+  next();
+});
+
+// Static method to find the period that contains a given date
+FiscalPeriodSchema.statics.findByDate = async function (date, session = null) {
+  const query = this.findOne({
+    isActive: true,
+    startDate: { $lte: date },
+    endDate: { $gte: date },
+  });
+  if (session) query.session(session);
+  return query;
+};
+
+// Static method to check overlap with existing periods
+FiscalPeriodSchema.statics.hasOverlap = async function (startDate, endDate, excludeId = null) {
+  const query = {
+    isActive: true,
+    startDate: { $lte: endDate },
+    endDate: { $gte: startDate },
+  };
+  if (excludeId) {
+    query._id = { $ne: excludeId };
+  }
+  const period = await this.findOne(query);
+  return !!period;
+};
+
+const FiscalPeriod = mongoose.model("FiscalPeriod", FiscalPeriodSchema);
+export default FiscalPeriod;
@@ -0,0 +1,74 @@
+import mongoose from "mongoose";
+
+// Links a price fixing order to the unfixed metal voucher weight it closes
+const FixingAllocationSchema = new mongoose.Schema(
+  {
+    fixingTransactionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "TransactionFixing",
+      required: [true, "Fixing transaction is required"],
+    },
+    metalTransactionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "MetalTransaction",
+      required: [true, "Metal transaction is required"],
+    },
+    party: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Account",
+      required: [true, "Party is required"],
+    },
+    metalType: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "MetalRateMaster",
+      required: [true, "Metal type is required"],
+    },
+    allocatedWeight: {
+      type: Number,
+      required: [true, "Allocated weight is required"],
+      min: [0, "Allocated weight cannot be negative"],
+    },
+    price: {
+      type: Number,
+      default: 0,
+      min: [0, "Price cannot be negative"],
+    },
+    method: {
+      type: String,
+      enum: ["fifo", "manual"],
+      default: "fifo",
+    },
+    status: {
+      type: String,
+      enum: ["active", "released"],
+      default: "active",
+    },
+    releasedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      default: null,
+    },
+    releasedAt: {
+      type: Date,
+      default: null,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes for better performance
+FixingAllocationSchema.index({ fixingTransactionId: 1, status: 1 });
+FixingAllocationSchema.index({ metalTransactionId: 1, status: 1 });
+FixingAllocationSchema.index({ party: 1, metalType: 1, status: 1 });
+
+const FixingAllocation = mongoose.model("FixingAllocation", FixingAllocationSchema);
+export default FixingAllocation;
@@ -18,6 +18,16 @@ const FundTransferSchema = new mongoose.Schema(
       enum: ["CASH", "GOLD"],
       required: [true, "Asset type is required"],
     },
+    // Cash transfers: value is in this currency
+    currency: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "CurrencyMaster",
+      default: null,
+    },
+    conversionRate: {
+      type: Number,
+      default: null,
+    },
     type: {
       type: String,
       required: [true, "Transaction type is required"],
@@ -81,6 +91,21 @@ const FundTransferSchema = new mongoose.Schema(
       required: [true, "Transaction date is required"],
       default: () => new Date(),
     },
+    // Reversed transfers are kept for the audit trail
+    status: {
+      type: String,
+      enum: ["active", "reversed"],
+      default: "active",
+    },
+    reversedAt: {
+      type: Date,
+      default: null,
+    },
+    reversedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      default: null,
+    },
     createdBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Admin",
@@ -0,0 +1,141 @@
+import mongoose from "mongoose";
+
+// One party sub-balance revalued at the month-end rate
+const FxRevaluationLineSchema = new mongoose.Schema(
+  {
+    party: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Account",
+      required: true,
+    },
+    accountCode: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    customerName: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    currency: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "CurrencyMaster",
+      required: true,
+    },
+    currencyCode: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    // Sub-balance in its own currency, signed from the party's side (negative = party owes us)
+    amount: {
+      type: Number,
+      default: 0,
+    },
+    rate: {
+      type: Number,
+      required: true,
+    },
+    bookedBaseAmount: {
+      type: Number,
+      default: 0,
+    },
+    revaluedBaseAmount: {
+      type: Number,
+      default: 0,
+    },
+    // Change in the party's base-currency balance; positive means we owe more, i.e. a loss
+    difference: {
+      type: Number,
+      default: 0,
+    },
+    registryIds: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Registry",
+      },
+    ],
+  },
+  { _id: false }
+);
+
+const FxRevaluationSchema = new mongoose.Schema(
+  {
+    revaluationNumber: {
+      type: String,
+      required: [true, "Revaluation number is required"],
+      trim: true,
+      uppercase: true,
+      unique: true,
+    },
+    // Month revalued, as YYYY-MM
+    period: {
+      type: String,
+      required: [true, "Period is required"],
+      match: [/^\d{4}-(0[1-9]|1[0-2])$/, "Period must be in YYYY-MM format"],
+    },
+    revaluationDate: {
+      type: Date,
+      required: [true, "Revaluation date is required"],
+    },
+    status: {
+      type: String,
+      enum: ["posted", "reversed"],
+      default: "posted",
+    },
+    lines: [FxRevaluationLineSchema],
+    totals: {
+      lines: { type: Number, default: 0 },
+      gain: { type: Number, default: 0 },
+      loss: { type: Number, default: 0 },
+      net: { type: Number, default: 0 },
+    },
+    remarks: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Remarks cannot exceed 500 characters"],
+      default: null,
+    },
+    reversedAt: {
+      type: Date,
+      default: null,
+    },
+    reversedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      default: null,
+    },
+    reversalReason: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Reversal reason cannot exceed 500 characters"],
+      default: null,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// A month is revalued at most once unless the run is reversed
+FxRevaluationSchema.index(
+  { period: 1 },
+  { unique: true, partialFilterExpression: { status: "posted" } }
+);
+FxRevaluationSchema.index({ status: 1, revaluationDate: -1 });
+
+// FXR-YYYYMM-01, numbered per period so a re-run after reversal gets a new number
+FxRevaluationSchema.statics.generateRevaluationNumber = async function (period, session = null) {
+  const prefix = `FXR-${period.replace("-", "")}-`;
+  const count = await this.countDocuments({ revaluationNumber: { $regex: `^${prefix}` } }).session(session);
+  return `${prefix}${(count + 1).toString().padStart(2, "0")}`;
+};
+
+const FxRevaluation = mongoose.model("FxRevaluation", FxRevaluationSchema);
+export default FxRevaluation;
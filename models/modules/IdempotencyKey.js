@@ -0,0 +1,57 @@
+import mongoose from "mongoose";
+
+// Stored result of a POST made with an Idempotency-Key header
+const IdempotencyKeySchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: [true, "Idempotency key is required"],
+      trim: true,
+      maxlength: [255, "Idempotency key cannot exceed 255 characters"],
+    },
+    admin: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      default: null,
+    },
+    method: {
+      type: String,
+      required: true,
+    },
+    path: {
+      type: String,
+      required: true,
+    },
+    requestHash: {
+      type: String,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["processing", "completed"],
+      default: "processing",
+    },
+    responseStatus: {
+      type: Number,
+      default: null,
+    },
+    responseBody: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One record per key, caller and endpoint; expired keys are removed by MongoDB
+IdempotencyKeySchema.index({ key: 1, admin: 1, method: 1, path: 1 }, { unique: true });
+IdempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const IdempotencyKey = mongoose.model("IdempotencyKey", IdempotencyKeySchema);
+export default IdempotencyKey;
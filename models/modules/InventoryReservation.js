@@ -0,0 +1,110 @@
+import mongoose from "mongoose";
+
+const ReservationItemSchema = new mongoose.Schema(
+  {
+    stockCode: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "MetalStock",
+      required: [true, "Stock code is required"],
+    },
+    pieces: {
+      type: Number,
+      default: 0,
+      min: [0, "Pieces cannot be negative"],
+    },
+    grossWeight: {
+      type: Number,
+      default: 0,
+      min: [0, "Gross weight cannot be negative"],
+    },
+    pureWeight: {
+      type: Number,
+      default: 0,
+      min: [0, "Pure weight cannot be negative"],
+    },
+  },
+  { _id: true }
+);
+
+// Stock held back for a confirmed sale order until the sale voucher is posted
+const InventoryReservationSchema = new mongoose.Schema(
+  {
+    party: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Account",
+      required: [true, "Party is required"],
+    },
+    // Sale order number or other customer reference
+    reference: {
+      type: String,
+      trim: true,
+      maxlength: [100, "Reference cannot exceed 100 characters"],
+      default: null,
+    },
+    items: {
+      type: [ReservationItemSchema],
+      validate: {
+        validator: (items) => items.length > 0,
+        message: "At least one item is required",
+      },
+    },
+    status: {
+      type: String,
+      enum: ["active", "converted", "released", "expired"],
+      default: "active",
+    },
+    expiresAt: {
+      type: Date,
+      required: [true, "Expiry is required"],
+    },
+    // Sale voucher the reservation was turned into
+    metalTransactionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "MetalTransaction",
+      default: null,
+    },
+    convertedAt: {
+      type: Date,
+      default: null,
+    },
+    releasedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      default: null,
+    },
+    releasedAt: {
+      type: Date,
+      default: null,
+    },
+    releaseReason: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Reason cannot exceed 500 characters"],
+      default: null,
+    },
+    remarks: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Remarks cannot exceed 500 characters"],
+      default: null,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+InventoryReservationSchema.index({ status: 1, expiresAt: 1 });
+InventoryReservationSchema.index({ "items.stockCode": 1, status: 1 });
+InventoryReservationSchema.index({ party: 1, createdAt: -1 });
+
+const InventoryReservation = mongoose.model("InventoryReservation", InventoryReservationSchema);
+
+export default InventoryReservation;
@@ -0,0 +1,130 @@
+import mongoose from "mongoose";
+
+const MarginCallSchema = new mongoose.Schema(
+  {
+    party: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Account",
+      required: [true, "Party is required"],
+    },
+    level: {
+      type: String,
+      enum: ["warning", "call", "liquidation"],
+      required: [true, "Margin call level is required"],
+    },
+    status: {
+      type: String,
+      enum: ["open", "acknowledged", "resolved"],
+      default: "open",
+    },
+    position: {
+      type: String,
+      enum: ["long", "short"],
+      required: true,
+    },
+    // Revaluation figures at the time of the last check
+    goldGrams: {
+      type: Number,
+      default: 0,
+    },
+    bookedValue: {
+      type: Number,
+      default: 0,
+    },
+    marketValue: {
+      type: Number,
+      default: 0,
+    },
+    markToMarketLoss: {
+      type: Number,
+      default: 0,
+    },
+    marginPercentage: {
+      type: Number,
+      default: 0,
+    },
+    marginAmount: {
+      type: Number,
+      default: 0,
+    },
+    lossToMarginRatio: {
+      type: Number,
+      default: 0,
+    },
+    metalRate: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "MetalRateMaster",
+      default: null,
+    },
+    ratePerGram: {
+      type: Number,
+      default: 0,
+    },
+    escalatedAt: {
+      type: Date,
+      default: null,
+    },
+    lastCheckedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    acknowledgedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      default: null,
+    },
+    acknowledgedAt: {
+      type: Date,
+      default: null,
+    },
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      default: null,
+    },
+    resolvedAt: {
+      type: Date,
+      default: null,
+    },
+    remarks: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Remarks cannot exceed 500 characters"],
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      default: null,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes for better performance
+MarginCallSchema.index({ party: 1, status: 1 });
+MarginCallSchema.index({ level: 1, status: 1 });
+MarginCallSchema.index({ createdAt: -1 });
+
+// Static method to find the live (not resolved) call for a party
+MarginCallSchema.statics.findOpenForParty = async function (partyId) {
+  return this.findOne({
+    party: partyId,
+    isActive: true,
+    status: { $in: ["open", "acknowledged"] },
+  });
+};
+
+const MarginCall = mongoose.model("MarginCall", MarginCallSchema);
+export default MarginCall;
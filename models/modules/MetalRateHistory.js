@@ -0,0 +1,89 @@
+import mongoose from "mongoose";
+
+// Every change of a MetalRateMaster rate, kept so any timestamp can be priced again
+const MetalRateHistorySchema = new mongoose.Schema(
+  {
+    metalRate: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "MetalRateMaster",
+      required: [true, "Metal rate is required"],
+    },
+    metal: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "DivisionMaster",
+      required: [true, "Division is required"],
+    },
+    rateType: {
+      type: String,
+      required: [true, "Rate type is required"],
+      trim: true,
+    },
+    convertrate: {
+      type: Number,
+      required: [true, "Rate is required"],
+      min: [0, "Rate cannot be negative"],
+    },
+    convFactGms: {
+      type: Number,
+      required: [true, "Conversion Factor (GMS) is required"],
+    },
+    currencyId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "CurrencyMaster",
+      default: null,
+    },
+    effectiveAt: {
+      type: Date,
+      required: [true, "Effective time is required"],
+    },
+    source: {
+      type: String,
+      enum: ["master", "manual", "feed"],
+      default: "master",
+    },
+    // Null for ticks that arrive from a rate feed
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+MetalRateHistorySchema.index({ metalRate: 1, effectiveAt: -1 });
+MetalRateHistorySchema.index({ metal: 1, rateType: 1, effectiveAt: -1 });
+
+// Tick in force at the given time
+MetalRateHistorySchema.statics.findEffective = function (metalRateId, at = new Date(), session = null) {
+  return this.findOne({ metalRate: metalRateId, effectiveAt: { $lte: at } })
+    .sort({ effectiveAt: -1, createdAt: -1 })
+    .session(session)
+    .lean();
+};
+
+// Record the current state of a MetalRateMaster document as a tick
+MetalRateHistorySchema.statics.recordTick = function (metalRate, options = {}) {
+  const { adminId = null, source = "master", effectiveAt = new Date(), session = null } = options;
+  return this.create(
+    [
+      {
+        metalRate: metalRate._id,
+        metal: metalRate.metal?._id || metalRate.metal,
+        rateType: metalRate.rateType,
+        convertrate: metalRate.convertrate,
+        convFactGms: metalRate.convFactGms,
+        currencyId: metalRate.currencyId?._id || metalRate.currencyId || null,
+        effectiveAt,
+        source,
+        createdBy: adminId,
+      },
+    ],
+    { session }
+  ).then(([tick]) => tick);
+};
+
+const MetalRateHistory = mongoose.model("MetalRateHistory", MetalRateHistorySchema);
+export default MetalRateHistory;
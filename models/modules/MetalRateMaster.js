@@ -58,6 +58,14 @@ const MetalRateMasterSchema = new mongoose.Schema(
       required: [true, "Add On Rate is required"],
       min: [0, "Add On Rate cannot be negative"]
     },
+    // Spot symbol this rate follows on the live rate feed (null = not fed)
+    feedSymbol: {
+      type: String,
+      enum: ["XAU", "XAG", null],
+      uppercase: true,
+      trim: true,
+      default: null
+    },
     isDefault: {
       type: Boolean,
       default: false
@@ -68,6 +68,24 @@ const StockItemSchema = new mongoose.Schema(
       ref: "MetalRateMaster",
       required: [true, "Metal Rate is required for stock item"],
     },
+    // Master rate in force at the voucher date, kept so reports reproduce the same figures
+    rateSnapshot: {
+      tick: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "MetalRateHistory",
+        default: null,
+      },
+      rateType: { type: String, default: null },
+      convertrate: { type: Number, default: null },
+      convFactGms: { type: Number, default: null },
+      ratePerGram: { type: Number, default: null },
+      currencyId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "CurrencyMaster",
+        default: null,
+      },
+      effectiveAt: { type: Date, default: null },
+    },
     // Metal Rate & Requirements for this specific item
     metalRateRequirements: {
       amount: {
@@ -201,6 +219,24 @@ const MetalTransactionSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    // Price-fixing coverage of unfixed weight. Kept apart from fixed/unfix, which
+    // decide how the voucher was posted and must not change after posting.
+    fixingStatus: {
+      type: String,
+      enum: ["unfixed", "partial", "fixed"],
+      default: "unfixed",
+    },
+    fixedWeight: {
+      type: Number,
+      default: 0,
+      min: [0, "Fixed weight cannot be negative"],
+    },
+    // Inventory reservation this sale order was confirmed against
+    reservation: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "InventoryReservation",
+      default: null,
+    },
     voucherType: {
       type: String,
       trim: true,
@@ -232,6 +268,11 @@ const MetalTransactionSchema = new mongoose.Schema(
       ref: "CurrencyMaster",
       required: [true, "Party Currency is required"],
     },
+    // Party currency rate effective on the voucher date, captured when the voucher is saved
+    partyCurrencyRate: {
+      type: Number,
+      default: null,
+    },
     itemCurrency: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "CurrencyMaster",
@@ -301,10 +342,113 @@ const MetalTransactionSchema = new mongoose.Schema(
     // Status and Tracking
     status: {
       type: String,
-      enum: ["draft", "confirmed", "completed", "cancelled"],
+      enum: ["draft", "confirmed", "completed", "cancelled", "reversed"],
       default: "draft",
       index: true,
     },
+    // Result of the party credit/margin check at the time of booking
+    creditCheck: {
+      withinLimits: { type: Boolean, default: true },
+      mode: { type: String, enum: ["block", "flag"], default: "block" },
+      projectedExposure: { type: Number, default: 0 },
+      breaches: [
+        {
+          _id: false,
+          code: { type: String },
+          message: { type: String },
+        },
+      ],
+      checkedAt: { type: Date, default: null },
+    },
+    // Maker-checker approval - registry, balances and inventory are posted on approval.
+    // Vouchers created before the workflow existed default to approved (already posted).
+    // A cancelled voucher was deleted before approval and can no longer be posted.
+    approvalStatus: {
+      type: String,
+      enum: ["draft", "pending", "approved", "rejected", "cancelled"],
+      default: "approved",
+      index: true,
+    },
+    requiredApprovals: {
+      type: Number,
+      default: 1,
+      min: [1, "At least one approval is required"],
+      max: [2, "No more than two approvals can be required"],
+    },
+    approvals: [
+      {
+        approver: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Admin",
+          required: true,
+        },
+        approvedAt: {
+          type: Date,
+          default: Date.now,
+        },
+        remarks: {
+          type: String,
+          trim: true,
+          maxlength: [500, "Approval remarks cannot exceed 500 characters"],
+        },
+      },
+    ],
+    submittedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      default: null,
+    },
+    submittedAt: {
+      type: Date,
+      default: null,
+    },
+    approvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      default: null,
+    },
+    approvedAt: {
+      type: Date,
+      default: null,
+    },
+    rejectedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      default: null,
+    },
+    rejectedAt: {
+      type: Date,
+      default: null,
+    },
+    rejectionReason: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Rejection reason cannot exceed 500 characters"],
+    },
+    // Reversal tracking - posted vouchers are reversed, never deleted
+    isReversal: {
+      type: Boolean,
+      default: false,
+    },
+    reversalOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "MetalTransaction",
+      default: null,
+    },
+    reversedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "MetalTransaction",
+      default: null,
+    },
+    reversedAt: {
+      type: Date,
+      default: null,
+    },
+    reversalReason: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Reversal reason cannot exceed 500 characters"],
+    },
     isActive: {
       type: Boolean,
       default: true,
@@ -345,6 +489,9 @@ MetalTransactionSchema.index({ transactionType: 1, createdAt: -1 });
 MetalTransactionSchema.index({ "stockItems.stockCode": 1, transactionType: 1 });
 MetalTransactionSchema.index({ voucherDate: -1, isActive: 1 });
 MetalTransactionSchema.index({ partyCode: 1, isActive: 1, status: 1 });
+MetalTransactionSchema.index({ reversalOf: 1 });
+MetalTransactionSchema.index({ approvalStatus: 1, createdAt: -1 });
+MetalTransactionSchema.index({ partyCode: 1, unfix: 1, fixingStatus: 1, voucherDate: 1 });
 
 // Virtual for formatted voucher date
 MetalTransactionSchema.virtual("formattedVoucherDate").get(function () {
@@ -366,6 +513,11 @@ MetalTransactionSchema.virtual("isSale").get(function () {
   return this.transactionType === "sale";
 });
 
+// Virtual to check if registry, balances and inventory have been posted
+MetalTransactionSchema.virtual("isPosted").get(function () {
+  return this.approvalStatus === "approved";
+});
+
 // Virtual to get total number of stock items
 MetalTransactionSchema.virtual("totalStockItems").get(function () {
   return this.stockItems ? this.stockItems.length : 0;
@@ -0,0 +1,194 @@
+import mongoose from "mongoose";
+
+// One line of an opening balance import, with the balance it moves from and to
+const OpeningBalanceLineSchema = new mongoose.Schema(
+  {
+    lineNumber: {
+      type: Number,
+      required: true,
+    },
+    lineType: {
+      type: String,
+      enum: ["partyCash", "partyGold", "stock"],
+      required: [true, "Line type is required"],
+    },
+    party: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Account",
+      default: null,
+    },
+    accountCode: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    currency: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "CurrencyMaster",
+      default: null,
+    },
+    currencyCode: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    conversionRate: {
+      type: Number,
+      default: null,
+    },
+    stock: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "MetalStock",
+      default: null,
+    },
+    stockCode: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    // Cash amount or gold grams, signed from the party's side (negative = party owes us)
+    value: {
+      type: Number,
+      default: 0,
+    },
+    grossWeight: {
+      type: Number,
+      default: 0,
+    },
+    pureWeight: {
+      type: Number,
+      default: 0,
+    },
+    previousBalance: {
+      type: Number,
+      default: 0,
+    },
+    resultingBalance: {
+      type: Number,
+      default: 0,
+    },
+    previousPureWeight: {
+      type: Number,
+      default: 0,
+    },
+    resultingPureWeight: {
+      type: Number,
+      default: 0,
+    },
+    // Documents written when the batch was posted
+    fundTransferId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "FundTransfer",
+      default: null,
+    },
+    inventoryLogId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "InventoryLog",
+      default: null,
+    },
+    registryIds: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Registry",
+      },
+    ],
+  },
+  { _id: false }
+);
+
+const OpeningBalanceBatchSchema = new mongoose.Schema(
+  {
+    batchNumber: {
+      type: String,
+      required: [true, "Batch number is required"],
+      trim: true,
+      uppercase: true,
+      unique: true,
+    },
+    status: {
+      type: String,
+      enum: ["preview", "posted", "reversed"],
+      default: "preview",
+    },
+    openingDate: {
+      type: Date,
+      required: [true, "Opening date is required"],
+    },
+    source: {
+      type: String,
+      enum: ["csv", "xlsx", "json"],
+      default: "json",
+    },
+    lines: {
+      type: [OpeningBalanceLineSchema],
+      validate: {
+        validator: (lines) => lines.length > 0,
+        message: "An opening balance batch needs at least one line",
+      },
+    },
+    summary: {
+      partyCashLines: { type: Number, default: 0 },
+      partyGoldLines: { type: Number, default: 0 },
+      stockLines: { type: Number, default: 0 },
+      totalGoldGrams: { type: Number, default: 0 },
+      totalStockGrossWeight: { type: Number, default: 0 },
+      totalStockPureWeight: { type: Number, default: 0 },
+    },
+    remarks: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Remarks cannot exceed 500 characters"],
+      default: null,
+    },
+    postedAt: {
+      type: Date,
+      default: null,
+    },
+    postedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      default: null,
+    },
+    reversedAt: {
+      type: Date,
+      default: null,
+    },
+    reversedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      default: null,
+    },
+    reversalReason: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Reversal reason cannot exceed 500 characters"],
+      default: null,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+OpeningBalanceBatchSchema.index({ status: 1, createdAt: -1 });
+OpeningBalanceBatchSchema.index({ "lines.party": 1 });
+
+// OB-YYYYMMDD-001, numbered per day
+OpeningBalanceBatchSchema.statics.generateBatchNumber = async function (date = new Date()) {
+  const day = date.toISOString().slice(0, 10).replace(/-/g, "");
+  const prefix = `OB-${day}-`;
+  const last = await this.findOne({ batchNumber: { $regex: `^${prefix}` } })
+    .sort({ batchNumber: -1 })
+    .select("batchNumber")
+    .lean();
+  const next = last ? parseInt(last.batchNumber.slice(prefix.length), 10) + 1 : 1;
+  return `${prefix}${next.toString().padStart(3, "0")}`;
+};
+
+const OpeningBalanceBatch = mongoose.model("OpeningBalanceBatch", OpeningBalanceBatchSchema);
+export default OpeningBalanceBatch;
@@ -0,0 +1,180 @@
+import mongoose from "mongoose";
+
+// Metal sent to the refiner; expected pure weight is at the karat's standard purity
+const RefiningIssueSchema = new mongoose.Schema(
+  {
+    stockCode: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "MetalStock",
+      required: true,
+    },
+    code: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    pieces: {
+      type: Number,
+      default: 0,
+    },
+    grossWeight: {
+      type: Number,
+      required: true,
+      min: [0, "Gross weight cannot be negative"],
+    },
+    purity: {
+      type: Number,
+      default: 0,
+    },
+    expectedPureWeight: {
+      type: Number,
+      default: 0,
+    },
+    inventoryLogId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "InventoryLog",
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
+// Refined bars returned into a target stock, at their assayed purity
+const RefiningReceiptSchema = new mongoose.Schema(
+  {
+    stockCode: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "MetalStock",
+      required: true,
+    },
+    code: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    pieces: {
+      type: Number,
+      default: 0,
+    },
+    grossWeight: {
+      type: Number,
+      required: true,
+      min: [0, "Gross weight cannot be negative"],
+    },
+    purity: {
+      type: Number,
+      default: 0,
+    },
+    pureWeight: {
+      type: Number,
+      default: 0,
+    },
+    receivedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    receivedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      default: null,
+    },
+    inventoryLogId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "InventoryLog",
+      default: null,
+    },
+  },
+  { _id: true }
+);
+
+const RefiningJobSchema = new mongoose.Schema(
+  {
+    jobNumber: {
+      type: String,
+      required: [true, "Job number is required"],
+      trim: true,
+      uppercase: true,
+      unique: true,
+    },
+    refiner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Account",
+      required: [true, "Refiner is required"],
+    },
+    issueDate: {
+      type: Date,
+      required: [true, "Issue date is required"],
+    },
+    status: {
+      type: String,
+      enum: ["issued", "partiallyReceived", "completed"],
+      default: "issued",
+    },
+    issues: {
+      type: [RefiningIssueSchema],
+      validate: {
+        validator: (items) => items.length > 0,
+        message: "At least one item must be issued",
+      },
+    },
+    receipts: [RefiningReceiptSchema],
+    expectedPureWeight: {
+      type: Number,
+      default: 0,
+    },
+    receivedPureWeight: {
+      type: Number,
+      default: 0,
+    },
+    // Settled on completion; lossPureWeight is negative when the refiner returned more
+    result: {
+      lossPureWeight: { type: Number, default: 0 },
+      lossValue: { type: Number, default: 0 },
+      ratePerGram: { type: Number, default: 0 },
+      charges: { type: Number, default: 0 },
+    },
+    registryIds: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Registry",
+      },
+    ],
+    remarks: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Remarks cannot exceed 500 characters"],
+      default: null,
+    },
+    completedAt: {
+      type: Date,
+      default: null,
+    },
+    completedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      default: null,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+RefiningJobSchema.index({ refiner: 1, status: 1 });
+RefiningJobSchema.index({ status: 1, issueDate: -1 });
+
+// RF-YYYYMMDD-01, numbered per issue day
+RefiningJobSchema.statics.generateJobNumber = async function (date, session = null) {
+  const day = date.toISOString().slice(0, 10).replace(/-/g, "");
+  const prefix = `RF-${day}-`;
+  const count = await this.countDocuments({ jobNumber: { $regex: `^${prefix}` } }).session(session);
+  return `${prefix}${(count + 1).toString().padStart(2, "0")}`;
+};
+
+const RefiningJob = mongoose.model("RefiningJob", RefiningJobSchema);
+export default RefiningJob;
@@ -76,6 +76,16 @@ const RegistrySchema = new mongoose.Schema(
       required: [true, "Transaction value is required"],
       // min: [0, "Value cannot be negative"],
     },
+    // Cash rows: value is in this currency; null means the base currency
+    currency: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "CurrencyMaster",
+      default: null,
+    },
+    conversionRate: {
+      type: Number,
+      default: null,
+    },
     goldBidValue: {
       type: Number,
       default: null,
@@ -0,0 +1,131 @@
+import mongoose from "mongoose";
+
+const ScrapLegSchema = new mongoose.Schema(
+  {
+    stockCode: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "MetalStock",
+      required: true,
+    },
+    code: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    karat: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "KaratMaster",
+      default: null,
+    },
+    pieces: {
+      type: Number,
+      default: 0,
+    },
+    grossWeight: {
+      type: Number,
+      default: 0,
+    },
+    purity: {
+      type: Number,
+      default: 0,
+    },
+    pureWeight: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { _id: false }
+);
+
+// Goods taken out of saleable stock, either melted into a scrap stock or written off
+const ScrapConversionSchema = new mongoose.Schema(
+  {
+    conversionNumber: {
+      type: String,
+      required: [true, "Conversion number is required"],
+      trim: true,
+      uppercase: true,
+      unique: true,
+    },
+    mode: {
+      type: String,
+      enum: ["convert", "writeOff"],
+      required: [true, "Mode is required"],
+    },
+    reason: {
+      type: String,
+      enum: ["damaged", "scrap", "other"],
+      default: "damaged",
+    },
+    conversionDate: {
+      type: Date,
+      required: [true, "Conversion date is required"],
+    },
+    source: {
+      type: ScrapLegSchema,
+      required: true,
+    },
+    // Scrap stock received; null for a write-off
+    scrap: {
+      type: ScrapLegSchema,
+      default: null,
+    },
+    // Pure gold lost - the melting loss on a conversion, everything on a write-off
+    loss: {
+      grossWeight: { type: Number, default: 0 },
+      pureWeight: { type: Number, default: 0 },
+      value: { type: Number, default: 0 },
+    },
+    rate: {
+      rateId: { type: mongoose.Schema.Types.ObjectId, ref: "MetalRateMaster", default: null },
+      ratePerGram: { type: Number, default: 0 },
+    },
+    costCenter: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      default: null,
+    },
+    inventoryLogIds: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "InventoryLog",
+      },
+    ],
+    registryIds: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Registry",
+      },
+    ],
+    remarks: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Remarks cannot exceed 500 characters"],
+      default: null,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+ScrapConversionSchema.index({ conversionDate: -1 });
+ScrapConversionSchema.index({ "source.stockCode": 1 });
+ScrapConversionSchema.index({ "scrap.stockCode": 1 });
+
+// SCR-YYYYMMDD-01, numbered per day
+ScrapConversionSchema.statics.generateConversionNumber = async function (date, session = null) {
+  const day = date.toISOString().slice(0, 10).replace(/-/g, "");
+  const prefix = `SCR-${day}-`;
+  const count = await this.countDocuments({ conversionNumber: { $regex: `^${prefix}` } }).session(session);
+  return `${prefix}${(count + 1).toString().padStart(2, "0")}`;
+};
+
+const ScrapConversion = mongoose.model("ScrapConversion", ScrapConversionSchema);
+export default ScrapConversion;
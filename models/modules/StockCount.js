@@ -0,0 +1,172 @@
+import mongoose from "mongoose";
+
+const QuantitySchema = new mongoose.Schema(
+  {
+    pieces: { type: Number, default: 0 },
+    grossWeight: { type: Number, default: 0 },
+  },
+  { _id: false }
+);
+
+// One stock code as counted, against the system quantity at the count timestamp
+const StockCountLineSchema = new mongoose.Schema(
+  {
+    stockCode: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "MetalStock",
+      required: [true, "Stock code is required"],
+    },
+    code: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    pcs: {
+      type: Boolean,
+      default: false,
+    },
+    purity: {
+      type: Number,
+      default: 0,
+    },
+    counted: {
+      type: QuantitySchema,
+      default: () => ({}),
+    },
+    // Filled in when the count is submitted
+    system: {
+      type: QuantitySchema,
+      default: null,
+    },
+    // counted - system; positive is a surplus, negative a shortage
+    variance: {
+      pieces: { type: Number, default: 0 },
+      grossWeight: { type: Number, default: 0 },
+      pureWeight: { type: Number, default: 0 },
+      value: { type: Number, default: 0 },
+    },
+    remarks: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Remarks cannot exceed 500 characters"],
+      default: null,
+    },
+    countedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      default: null,
+    },
+    inventoryLogId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "InventoryLog",
+      default: null,
+    },
+    registryIds: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Registry",
+      },
+    ],
+  },
+  { _id: false }
+);
+
+const StockCountSchema = new mongoose.Schema(
+  {
+    countNumber: {
+      type: String,
+      required: [true, "Count number is required"],
+      trim: true,
+      uppercase: true,
+      unique: true,
+    },
+    // Scope of the count; stock codes outside it cannot be counted in this session
+    division: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "DivisionMaster",
+      default: null,
+    },
+    costCenter: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "CostCenterMaster",
+      default: null,
+    },
+    // System quantities are taken as at this moment
+    countedAt: {
+      type: Date,
+      required: [true, "Count timestamp is required"],
+    },
+    status: {
+      type: String,
+      enum: ["open", "submitted", "approved", "cancelled"],
+      default: "open",
+    },
+    lines: [StockCountLineSchema],
+    // Metal rate the variances were valued at when posted
+    rate: {
+      rateId: { type: mongoose.Schema.Types.ObjectId, ref: "MetalRateMaster", default: null },
+      ratePerGram: { type: Number, default: 0 },
+      asOf: { type: Date, default: null },
+    },
+    totals: {
+      lines: { type: Number, default: 0 },
+      linesWithVariance: { type: Number, default: 0 },
+      surplusPureWeight: { type: Number, default: 0 },
+      shortagePureWeight: { type: Number, default: 0 },
+      netPureWeight: { type: Number, default: 0 },
+      netValue: { type: Number, default: 0 },
+    },
+    remarks: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Remarks cannot exceed 500 characters"],
+      default: null,
+    },
+    submittedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      default: null,
+    },
+    submittedAt: {
+      type: Date,
+      default: null,
+    },
+    approvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      default: null,
+    },
+    approvedAt: {
+      type: Date,
+      default: null,
+    },
+    // Last rejection; a rejected count goes back to open for recounting
+    rejection: {
+      rejectedBy: { type: mongoose.Schema.Types.ObjectId, ref: "Admin", default: null },
+      rejectedAt: { type: Date, default: null },
+      reason: { type: String, trim: true, maxlength: 500, default: null },
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+StockCountSchema.index({ status: 1, countedAt: -1 });
+StockCountSchema.index({ division: 1, costCenter: 1, status: 1 });
+
+// SC-YYYYMMDD-01, numbered per count day
+StockCountSchema.statics.generateCountNumber = async function (countedAt, session = null) {
+  const day = countedAt.toISOString().slice(0, 10).replace(/-/g, "");
+  const prefix = `SC-${day}-`;
+  const count = await this.countDocuments({ countNumber: { $regex: `^${prefix}` } }).session(session);
+  return `${prefix}${(count + 1).toString().padStart(2, "0")}`;
+};
+
+const StockCount = mongoose.model("StockCount", StockCountSchema);
+export default StockCount;
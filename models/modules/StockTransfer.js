@@ -0,0 +1,164 @@
+import mongoose from "mongoose";
+
+const TransferLocationSchema = new mongoose.Schema(
+  {
+    branch: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    costCenter: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "CostCenterMaster",
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
+// Quantity moved from a stock code at the source to its counterpart at the destination
+const StockTransferItemSchema = new mongoose.Schema(
+  {
+    fromStock: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "MetalStock",
+      required: [true, "Source stock is required"],
+    },
+    fromCode: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    toStock: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "MetalStock",
+      required: [true, "Destination stock is required"],
+    },
+    toCode: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    pieces: {
+      type: Number,
+      default: 0,
+      min: [0, "Pieces cannot be negative"],
+    },
+    grossWeight: {
+      type: Number,
+      default: 0,
+      min: [0, "Gross weight cannot be negative"],
+    },
+    purity: {
+      type: Number,
+      default: 0,
+    },
+    pureWeight: {
+      type: Number,
+      default: 0,
+    },
+    dispatchLogId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "InventoryLog",
+      default: null,
+    },
+    receiptLogId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "InventoryLog",
+      default: null,
+    },
+  },
+  { _id: true }
+);
+
+const StockTransferSchema = new mongoose.Schema(
+  {
+    voucherNumber: {
+      type: String,
+      required: [true, "Voucher number is required"],
+      trim: true,
+      uppercase: true,
+      unique: true,
+    },
+    voucherType: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    voucherDate: {
+      type: Date,
+      required: [true, "Voucher date is required"],
+    },
+    from: {
+      type: TransferLocationSchema,
+      required: true,
+    },
+    to: {
+      type: TransferLocationSchema,
+      required: true,
+    },
+    items: {
+      type: [StockTransferItemSchema],
+      validate: {
+        validator: (items) => items.length > 0,
+        message: "At least one item is required",
+      },
+    },
+    // Stock is in transit between dispatch and receipt
+    status: {
+      type: String,
+      enum: ["draft", "inTransit", "received", "cancelled"],
+      default: "draft",
+    },
+    totals: {
+      pieces: { type: Number, default: 0 },
+      grossWeight: { type: Number, default: 0 },
+      pureWeight: { type: Number, default: 0 },
+    },
+    dispatchedAt: {
+      type: Date,
+      default: null,
+    },
+    dispatchedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      default: null,
+    },
+    receivedAt: {
+      type: Date,
+      default: null,
+    },
+    receivedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      default: null,
+    },
+    registryIds: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Registry",
+      },
+    ],
+    remarks: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Remarks cannot exceed 500 characters"],
+      default: null,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+StockTransferSchema.index({ status: 1, dispatchedAt: -1 });
+StockTransferSchema.index({ "from.branch": 1, "to.branch": 1, status: 1 });
+StockTransferSchema.index({ "items.fromStock": 1 });
+StockTransferSchema.index({ "items.toStock": 1 });
+
+const StockTransfer = mongoose.model("StockTransfer", StockTransferSchema);
+export default StockTransfer;
@@ -22,6 +22,13 @@ const OrderSchema = new mongoose.Schema(
       ref: "MetalRateMaster",
       required: [true, "Metal type is required"],
     },
+    // Dealer quote the price was locked with
+    quoteId: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      default: null,
+    },
     paymentTerms: {
       type: String,
       trim: true,
@@ -109,6 +116,20 @@ const TransactionFixingSchema = new mongoose.Schema(
       enum: ["active", "inactive", "cancelled"],
       default: "active",
     },
+    // Result of the party credit/margin check at the time of booking
+    creditCheck: {
+      withinLimits: { type: Boolean, default: true },
+      mode: { type: String, enum: ["block", "flag"], default: "block" },
+      projectedExposure: { type: Number, default: 0 },
+      breaches: [
+        {
+          _id: false,
+          code: { type: String },
+          message: { type: String },
+        },
+      ],
+      checkedAt: { type: Date, default: null },
+    },
     createdBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Admin",
@@ -41,6 +41,11 @@ const InventorySchema = new mongoose.Schema(
             maxlength: 500,
             default: "",
         },
+        // Bumped by every reservation of this stock so concurrent ones conflict
+        reservationVersion: {
+            type: Number,
+            default: 0,
+        },
         createdBy: {
             type: mongoose.Schema.Types.ObjectId,
             ref: "Admin",
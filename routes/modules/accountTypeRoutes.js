@@ -12,6 +12,8 @@ import {
   getDebtorStatistics,
   bulkUpdateStatus,
   bulkDeleteDebtors,
+  getCreditExposure,
+  getPartyPosition,
 } from "../../controllers/modules/accountTypeController.js";
 import { authenticateToken } from "../../middleware/authMiddleware.js";
 import { tradeDebtorUploadHandler } from "../../utils/fileUpload.js";
@@ -26,6 +28,8 @@ router.get("/", getAllTradeDebtors);
 router.get("/active", getActiveDebtorsList);
 router.get("/search", searchDebtors);
 router.get("/statistics", getDebtorStatistics);
+router.get("/:id/credit-exposure", getCreditExposure);
+router.get("/:id/position", getPartyPosition);
 router.get("/:id", getTradeDebtorById);
 router.post(
   "/",
@@ -8,6 +8,9 @@ import {
   permanentDeleteCurrency,
   getActiveCurrencies,
   getCurrencyByCode,
+  addCurrencyRate,
+  getCurrencyRates,
+  getCurrencyRateAt,
 } from "../../controllers/modules/CurrencyMasterController.js";
 import { authenticateToken } from "../../middleware/authMiddleware.js";
 import {
@@ -26,6 +29,9 @@ router.get("/", getAllCurrencies);
 router.get("/active", getActiveCurrencies);
 router.get("/code/:code", validateCurrencyCode, getCurrencyByCode);
 router.get("/:id", validateCurrencyId, getCurrencyById);
+router.get("/:id/rates", validateCurrencyId, getCurrencyRates);
+router.post("/:id/rates", validateCurrencyId, addCurrencyRate);
+router.get("/:id/rate-at", validateCurrencyId, getCurrencyRateAt);
 router.put("/:id", validateCurrencyId, validateUpdateCurrency, updateCurrency);
 router.delete("/:id", validateCurrencyId, deleteCurrency);
 router.delete("/:id/permanent", validateCurrencyId, permanentDeleteCurrency);
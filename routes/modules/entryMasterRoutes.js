@@ -1,10 +1,11 @@
 import express from "express";
 import { authenticateToken } from "../../middleware/authMiddleware.js";
+import { idempotency } from "../../middleware/idempotencyMiddleware.js";
 import entryMasterController from "../../controllers/modules/EntryMasterController.js";
 
 const router = express.Router();
 
-router.post('/', authenticateToken, entryMasterController.createEntry);
+router.post('/', authenticateToken, idempotency, entryMasterController.createEntry);
 router.put('/:id', authenticateToken, entryMasterController.editEntry);
 router.get('/cash-receipts', authenticateToken, entryMasterController.getCashReceipts);
 router.get('/cash-payments', authenticateToken, entryMasterController.getCashPayments);
@@ -0,0 +1,31 @@
+import express from "express";
+import {
+  authenticateToken,
+  requireSuperAdmin,
+} from "../../middleware/authMiddleware.js";
+import {
+  createFiscalPeriod,
+  getAllFiscalPeriods,
+  getFiscalPeriodById,
+  updateFiscalPeriod,
+  closeFiscalPeriod,
+  reopenFiscalPeriod,
+} from "../../controllers/modules/FiscalPeriodController.js";
+import { validateObjectId } from "../../utils/validators/RegistryValidation.js";
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+router.post("/", createFiscalPeriod);
+router.get("/", getAllFiscalPeriods);
+router.get("/:id", validateObjectId("id"), getFiscalPeriodById);
+router.put("/:id", validateObjectId("id"), updateFiscalPeriod);
+
+// Close period and snapshot party balances
+router.patch("/:id/close", validateObjectId("id"), requireSuperAdmin, closeFiscalPeriod);
+
+// Reopen soft-closed period
+router.patch("/:id/reopen", validateObjectId("id"), requireSuperAdmin, reopenFiscalPeriod);
+
+export default router;
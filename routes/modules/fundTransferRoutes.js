@@ -1,11 +1,12 @@
 import express from "express";
 import { authenticateToken } from '../../middleware/authMiddleware.js';
+import { idempotency } from '../../middleware/idempotencyMiddleware.js';
 import { accountToAccountTransfer, openingBalanceTransfer, getFundTransfers } from '../../controllers/modules/FundTransferController.js';
 
 const router = express.Router();
 router.use(authenticateToken);
 
-router.post('/', accountToAccountTransfer);
+router.post('/', idempotency, accountToAccountTransfer);
 router.get('/', getFundTransfers);
 router.post('/opening-balance', openingBalanceTransfer);
 
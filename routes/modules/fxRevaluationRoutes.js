@@ -0,0 +1,26 @@
+import express from "express";
+import {
+  authenticateToken,
+  requirePermission,
+} from "../../middleware/authMiddleware.js";
+import {
+  runFxRevaluation,
+  reverseFxRevaluation,
+  getFxRevaluations,
+  getFxRevaluationById,
+} from "../../controllers/modules/FxRevaluationController.js";
+import { validateObjectId } from "../../utils/validators/RegistryValidation.js";
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+router.get("/", getFxRevaluations);
+
+// { period: "YYYY-MM", dryRun } - month-end run, one per period
+router.post("/", requirePermission("transactions_manage"), runFxRevaluation);
+
+router.get("/:id", validateObjectId("id"), getFxRevaluationById);
+router.post("/:id/reverse", validateObjectId("id"), requirePermission("transactions_manage"), reverseFxRevaluation);
+
+export default router;
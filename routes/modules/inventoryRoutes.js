@@ -1,12 +1,37 @@
 import express from "express";
 import { authenticateToken } from '../../middleware/authMiddleware.js';
 import { getAllInventory, createInventory, updateInventory, getInventoryById, getAllLogs } from '../../controllers/modules/inventoryController.js';
+import {
+  createReservation,
+  getReservations,
+  getReservationById,
+  releaseReservation,
+  expireReservations,
+} from '../../controllers/modules/InventoryReservationController.js';
+import {
+  createScrapConversion,
+  getScrapConversions,
+  getScrapConversionById,
+} from '../../controllers/modules/ScrapConversionController.js';
 
 const router = express.Router();
 router.use(authenticateToken);
 
 router.post("/", createInventory);
 router.get("/logs", getAllLogs);        
+
+// Stock reservations for confirmed sale orders - before "/:id"
+router.get("/reservations", getReservations);
+router.post("/reservations", createReservation);
+router.post("/reservations/expire", expireReservations);
+router.get("/reservations/:id", getReservationById);
+router.post("/reservations/:id/release", releaseReservation);
+
+// Damaged goods melted into scrap or written off
+router.get("/scrap", getScrapConversions);
+router.post("/scrap", createScrapConversion);
+router.get("/scrap/:id", getScrapConversionById);
+
 router.get("/", getAllInventory);
 router.put("/", updateInventory);
 router.get("/:id", getInventoryById);    
@@ -0,0 +1,33 @@
+import express from "express";
+import {
+  authenticateToken,
+  requirePermission,
+} from "../../middleware/authMiddleware.js";
+import {
+  getAllMarginCalls,
+  getMarginCallById,
+  runMarginCallMonitor,
+  acknowledgeMarginCall,
+  resolveMarginCall,
+} from "../../controllers/modules/MarginCallController.js";
+import { validateObjectId } from "../../utils/validators/RegistryValidation.js";
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+router.get("/", getAllMarginCalls);
+
+// Manual revaluation run (also triggered on every metal rate update)
+router.post("/run", requirePermission("transactions_manage"), runMarginCallMonitor);
+
+router.get("/:id", validateObjectId("id"), getMarginCallById);
+router.patch("/:id/acknowledge", validateObjectId("id"), acknowledgeMarginCall);
+router.patch(
+  "/:id/resolve",
+  validateObjectId("id"),
+  requirePermission("transactions_manage"),
+  resolveMarginCall
+);
+
+export default router;
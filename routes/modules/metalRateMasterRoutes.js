@@ -1,23 +1,34 @@
 import express from 'express';
-import { authenticateToken } from '../../middleware/authMiddleware.js';
+import { authenticateToken, authenticateStreamToken } from '../../middleware/authMiddleware.js';
 import {
   createMetalRate,
   getAllMetalRates,
   getMetalRateById,
   updateMetalRate,
   deleteMetalRate,
-  getActiveMetalRatesByDivision
+  getActiveMetalRatesByDivision,
+  getMetalRateHistory,
+  getMetalRateAt,
+  getLiveMetalRates,
+  createStreamToken,
+  streamMetalRates
 } from '../../controllers/modules/MetalRateMasterController.js';
 
 const router = express.Router();
 
+// EventSource cannot send headers - the stream also accepts a token from POST /stream-token
+router.get('/stream', authenticateStreamToken, streamMetalRates);       // GET /api/metal-rates/stream?token= (SSE)
 
 router.use(authenticateToken);
 
 // Metal Rate Master Routes
 router.post('/', createMetalRate);                                    // POST /api/metal-rates
 router.get('/', getAllMetalRates);                                    // GET /api/metal-rates
+router.get('/live', getLiveMetalRates);                               // GET /api/metal-rates/live
+router.post('/stream-token', createStreamToken);                      // POST /api/metal-rates/stream-token
 router.get('/division/:divisionId', getActiveMetalRatesByDivision);   // GET /api/metal-rates/division/:divisionId
+router.get('/:id/history', getMetalRateHistory);                      // GET /api/metal-rates/:id/history
+router.get('/:id/rate-at', getMetalRateAt);                           // GET /api/metal-rates/:id/rate-at?at=
 router.get('/:id', getMetalRateById);                                 // GET /api/metal-rates/:id
 router.put('/:id', updateMetalRate);                                  // PUT /api/metal-rates/:id
 router.delete('/:id', deleteMetalRate);                               // DELETE /api/metal-rates/:id
@@ -5,6 +5,11 @@ import {
   getMetalTransactionById,
   updateMetalTransaction,
   deleteMetalTransaction,
+  reverseMetalTransaction,
+  submitMetalTransaction,
+  approveMetalTransaction,
+  rejectMetalTransaction,
+  getPendingApprovals,
   getMetalTransactionsByParty,
   getTransactionStatistics,
   updateTransactionStatus,
@@ -16,8 +21,14 @@ import {
   calculateSessionTotals,
   getUnfixedTransactions,
   getUnfixedTransactionsWithAccounts,
+  importMetalTransactions,
 } from "../../controllers/modules/MetalTransactionController.js";
-import { authenticateToken } from "../../middleware/authMiddleware.js";
+import {
+  authenticateToken,
+  requirePermission,
+} from "../../middleware/authMiddleware.js";
+import { idempotency } from "../../middleware/idempotencyMiddleware.js";
+import { importUpload } from "../../utils/importUpload.js";
 import {
   validateObjectId,
   validatePagination,
@@ -34,7 +45,10 @@ const router = express.Router();
 router.use(authenticateToken);
 
 // Create a new metal transaction (purchase or sale)
-router.post("/", createMetalTransaction);
+router.post("/", idempotency, createMetalTransaction);
+
+// Bulk import from CSV/XLSX (?mode=dry-run|commit)
+router.post("/import", importUpload("file"), importMetalTransactions);
 
 // Get all metal transactions with optional filtering
 router.get("/", validatePagination, validateDateRange, getAllMetalTransactions);
@@ -55,6 +69,14 @@ router.get(
   getUnfixedTransactionsWithAccounts
 );
 
+// Vouchers awaiting approval by the current admin
+router.get(
+  "/approvals/pending",
+  requirePermission("transactions_approve"),
+  validatePagination,
+  getPendingApprovals
+);
+
 // Get transaction statistics
 router.get("/statistics", validateDateRange, getTransactionStatistics);
 
@@ -88,9 +110,27 @@ router.patch(
   updateTransactionStatus
 );
 
-// Delete metal transaction (soft delete)
+// Delete metal transaction (recorded as a reversal, never physically removed)
 router.delete("/:id", validateObjectId("id"), deleteMetalTransaction);
 
+// Reverse metal transaction with a linked reversal voucher
+router.post("/:id/reverse", validateObjectId("id"), reverseMetalTransaction);
+
+// Maker-checker approval workflow
+router.post("/:id/submit", validateObjectId("id"), submitMetalTransaction);
+router.post(
+  "/:id/approve",
+  validateObjectId("id"),
+  requirePermission("transactions_approve"),
+  approveMetalTransaction
+);
+router.post(
+  "/:id/reject",
+  validateObjectId("id"),
+  requirePermission("transactions_approve"),
+  rejectMetalTransaction
+);
+
 // Stock item management
 router.post(
   "/:id/stock",
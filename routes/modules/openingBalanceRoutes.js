@@ -0,0 +1,29 @@
+import express from "express";
+import {
+  authenticateToken,
+  requirePermission,
+} from "../../middleware/authMiddleware.js";
+import {
+  previewOpeningBalances,
+  confirmOpeningBalances,
+  reverseOpeningBalances,
+  getOpeningBalanceBatches,
+  getOpeningBalanceBatchById,
+} from "../../controllers/modules/OpeningBalanceController.js";
+import { importUpload } from "../../utils/importUpload.js";
+import { validateObjectId } from "../../utils/validators/RegistryValidation.js";
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+router.get("/", getOpeningBalanceBatches);
+
+// CSV/XLSX upload (field "file") or JSON { lines: [...] }
+router.post("/preview", requirePermission("transactions_manage"), importUpload("file"), previewOpeningBalances);
+
+router.get("/:id", validateObjectId("id"), getOpeningBalanceBatchById);
+router.post("/:id/confirm", validateObjectId("id"), requirePermission("transactions_manage"), confirmOpeningBalances);
+router.post("/:id/reverse", validateObjectId("id"), requirePermission("transactions_manage"), reverseOpeningBalances);
+
+export default router;
@@ -0,0 +1,28 @@
+import express from "express";
+import {
+  authenticateToken,
+  requirePermission,
+} from "../../middleware/authMiddleware.js";
+import {
+  issueRefiningJob,
+  receiveRefinedMetal,
+  completeRefiningJob,
+  getRefiningJobs,
+  getRefiningJobById,
+} from "../../controllers/modules/RefiningJobController.js";
+import { validateObjectId } from "../../utils/validators/RegistryValidation.js";
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+router.get("/", getRefiningJobs);
+router.post("/", requirePermission("transactions_manage"), issueRefiningJob);
+
+router.get("/:id", validateObjectId("id"), getRefiningJobById);
+router.post("/:id/receipts", validateObjectId("id"), requirePermission("transactions_manage"), receiveRefinedMetal);
+
+// Settles the refining loss or gain and the refiner's charges
+router.post("/:id/complete", validateObjectId("id"), requirePermission("transactions_manage"), completeRefiningJob);
+
+export default router;
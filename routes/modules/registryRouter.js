@@ -16,8 +16,10 @@ import {
   getMakingChargesRegistries,
   getRegistriesByPartyId,
   getPremiumOrDiscountRegistries,
+  getRegistryIntegrity,
+  repairRegistryIntegrity,
 } from "../../controllers/modules/RegistryController.js";
-import { authenticateToken } from "../../middleware/authMiddleware.js";
+import { authenticateToken, requirePermission } from "../../middleware/authMiddleware.js";
 import {
   validateObjectId,
   validatePagination,
@@ -41,6 +43,16 @@ router.get("/", getAllRegistries);
 // Get registry statistics
 router.get("/statistics", validateDateRange, getRegistryStatistics);
 
+// Ledger integrity check (unbalanced vouchers and orphaned rows)
+router.get("/integrity", validateDateRange, getRegistryIntegrity);
+
+// Repair ledger integrity issues (dryRun defaults to true)
+router.post(
+  "/integrity/repair",
+  requirePermission("transactions_manage"),
+  repairRegistryIntegrity
+);
+
 // get registy for the premium and discount
 router.get("/get-premium-discount", getPremiumOrDiscountRegistries);
 
@@ -1,5 +1,5 @@
 import express from "express";
-import { getReports, getStockBalance, getSalesAnalysis, getStockMovement, getStockAnalysis, getOwnStock, getTransactionSummary, metalFixing, accountStatements } from "../../controllers/modules/reportsController.js";
+import { getReports, getStockBalance, getSalesAnalysis, getStockMovement, getStockAnalysis, getOwnStock, getTransactionSummary, metalFixing, accountStatements, profitLoss, agedBalances, chartOfAccounts, trialBalance, incomeStatement, balanceSheet, accountDrillDown, vatReturn, stockInTransit } from "../../controllers/modules/reportsController.js";
 
 import { authenticateToken } from "../../middleware/authMiddleware.js";
 
@@ -15,5 +15,16 @@ router.post("/sales-analysis", getSalesAnalysis);
 router.post("/own-stock", getOwnStock);
 router.post("/metal-fixing", metalFixing);
 router.post("/account-statements", accountStatements);
+router.post("/profit-loss", profitLoss);
+router.post("/aged-balances", agedBalances);
+router.post("/vat-return", vatReturn);
+router.post("/stock-in-transit", stockInTransit);
+
+// Financial statements drawn from the Registry
+router.get("/financial/chart-of-accounts", chartOfAccounts);
+router.post("/financial/trial-balance", trialBalance);
+router.post("/financial/profit-and-loss", incomeStatement);
+router.post("/financial/balance-sheet", balanceSheet);
+router.post("/financial/account-rows", accountDrillDown);
 
 export default router;
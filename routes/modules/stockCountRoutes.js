@@ -0,0 +1,44 @@
+import express from "express";
+import {
+  authenticateToken,
+  requirePermission,
+} from "../../middleware/authMiddleware.js";
+import {
+  openStockCount,
+  recordStockCountLines,
+  submitStockCount,
+  approveStockCount,
+  rejectStockCount,
+  cancelStockCount,
+  getStockCounts,
+  getStockCountById,
+} from "../../controllers/modules/StockCountController.js";
+import { validateObjectId } from "../../utils/validators/RegistryValidation.js";
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+router.get("/", getStockCounts);
+router.post("/", openStockCount);
+
+router.get("/:id", validateObjectId("id"), getStockCountById);
+router.put("/:id/lines", validateObjectId("id"), recordStockCountLines);
+router.post("/:id/submit", validateObjectId("id"), submitStockCount);
+router.post("/:id/cancel", validateObjectId("id"), cancelStockCount);
+
+// Variances are posted to inventory and the registry on approval
+router.post(
+  "/:id/approve",
+  validateObjectId("id"),
+  requirePermission("transactions_approve"),
+  approveStockCount
+);
+router.post(
+  "/:id/reject",
+  validateObjectId("id"),
+  requirePermission("transactions_approve"),
+  rejectStockCount
+);
+
+export default router;
@@ -0,0 +1,30 @@
+import express from "express";
+import {
+  authenticateToken,
+  requirePermission,
+} from "../../middleware/authMiddleware.js";
+import {
+  createStockTransfer,
+  dispatchStockTransfer,
+  receiveStockTransfer,
+  cancelStockTransfer,
+  getStockTransfers,
+  getStockTransferById,
+} from "../../controllers/modules/StockTransferController.js";
+import { validateObjectId } from "../../utils/validators/RegistryValidation.js";
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+router.get("/", getStockTransfers);
+router.post("/", requirePermission("transactions_manage"), createStockTransfer);
+
+router.get("/:id", validateObjectId("id"), getStockTransferById);
+
+// Dispatch moves stock out of the source into transit; receipt books it in at the destination
+router.post("/:id/dispatch", validateObjectId("id"), requirePermission("transactions_manage"), dispatchStockTransfer);
+router.post("/:id/receive", validateObjectId("id"), requirePermission("transactions_manage"), receiveStockTransfer);
+router.post("/:id/cancel", validateObjectId("id"), requirePermission("transactions_manage"), cancelStockTransfer);
+
+export default router;
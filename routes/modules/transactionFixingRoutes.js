@@ -11,8 +11,16 @@ import {
   getTransactionsByParty,
   getTransactionsByMetal,
   getPartyMetalSummary,
+  getTransactionAllocations,
+  reallocateTransaction,
 } from "../../controllers/modules/TransactionFixingController.js";
+import {
+  createDealerQuote,
+  getDealerQuote,
+  cancelDealerQuote,
+} from "../../controllers/modules/DealerQuoteController.js";
 import { authenticateToken } from "../../middleware/authMiddleware.js";
+import { idempotency } from "../../middleware/idempotencyMiddleware.js";
 
 const router = express.Router();
 
@@ -22,17 +30,22 @@ router.use(authenticateToken);
 // GET routes
 router.get("/transactions", getAllTransactions);
 router.get("/transactions/:id", getTransactionById);
+router.get("/transactions/:id/allocations", getTransactionAllocations);
 router.get("/party/:partyId/transactions", getTransactionsByParty);
 router.get("/metal/:metalType/transactions", getTransactionsByMetal);
 router.get("/party/:partyId/metal/:metalType/summary", getPartyMetalSummary);
+router.get("/quotes/:quoteId", getDealerQuote);
 
 // POST routes
-router.post("/transactions", createTransaction);
+router.post("/transactions", idempotency, createTransaction);
+router.post("/quotes", createDealerQuote);
+router.post("/quotes/:quoteId/cancel", cancelDealerQuote);
 
 // PUT routes
 router.put("/transactions/:id", updateTransaction);
 router.put("/transactions/:id/restore", restoreTransaction);
 router.put("/transactions/:id/cancel", cancelTransaction);
+router.put("/transactions/:id/allocations", reallocateTransaction);
 
 // DELETE routes
 router.delete("/transactions/:id", deleteTransaction);
@@ -22,10 +22,18 @@ import entryRoutes from "./routes/modules/entryMasterRoutes.js";
 import fundTransferRoutes from "./routes/modules/fundTransferRoutes.js";
 import inventoryRoutes from "./routes/modules/inventoryRoutes.js";
 import reportsRoutes from "./routes/modules/reportsRoutes.js";
+import fiscalPeriodRoutes from "./routes/modules/fiscalPeriodRoutes.js";
+import marginCallRoutes from "./routes/modules/marginCallRoutes.js";
+import openingBalanceRoutes from "./routes/modules/openingBalanceRoutes.js";
+import fxRevaluationRoutes from "./routes/modules/fxRevaluationRoutes.js";
+import stockCountRoutes from "./routes/modules/stockCountRoutes.js";
+import refiningJobRoutes from "./routes/modules/refiningJobRoutes.js";
+import stockTransferRoutes from "./routes/modules/stockTransferRoutes.js";
 
 
 import { mongodb } from "./config/db.js";
 import { errorHandler } from "./utils/errorHandler.js";
+import RateFeedService from "./services/modules/RateFeedService.js";
 
 dotenv.config();
 
@@ -55,7 +63,8 @@ const corsOptions = {
     }
   },
   methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"], // Ensure OPTIONS is included
-  allowedHeaders: ["Content-Type", "x-secret-key", "Authorization"], // Match headers sent by frontend
+  allowedHeaders: ["Content-Type", "x-secret-key", "Authorization", "Idempotency-Key"], // Match headers sent by frontend
+  exposedHeaders: ["Idempotent-Replayed"],
   credentials: true, // Allow cookies or Authorization headers
   preflightContinue: false,
   optionsSuccessStatus: 204,
@@ -86,6 +95,13 @@ app.use("/api/v1/entry", entryRoutes);
 app.use("/api/v1/fund-transfer", fundTransferRoutes);
 app.use("/api/v1/inventory", inventoryRoutes);
 app.use("/api/v1/reports", reportsRoutes)
+app.use("/api/v1/fiscal-periods", fiscalPeriodRoutes);
+app.use("/api/v1/margin-calls", marginCallRoutes);
+app.use("/api/v1/opening-balances", openingBalanceRoutes);
+app.use("/api/v1/fx-revaluations", fxRevaluationRoutes);
+app.use("/api/v1/stock-counts", stockCountRoutes);
+app.use("/api/v1/refining-jobs", refiningJobRoutes);
+app.use("/api/v1/stock-transfers", stockTransferRoutes);
 
 // Global error handling middleware
 app.use(errorHandler);
@@ -93,4 +109,9 @@ app.use(errorHandler);
 app.listen(port, () => {
   console.log("Server running !!!!!");
   console.log(`http://localhost:${port}`);
+
+  // Live rates are optional - set RATE_FEED_ADAPTER to "mock" or "poll" to enable
+  RateFeedService.start().catch((error) => {
+    console.error("Rate feed failed to start:", error);
+  });
 });
@@ -6,6 +6,7 @@ import { createAppError } from "../../utils/errorHandler.js";
 const JWT_SECRET = process.env.JWT_SECRET || "your-secret-key";
 const JWT_EXPIRES_IN = "7d";
 const JWT_REFRESH_EXPIRES_IN = "30d";
+const STREAM_TOKEN_EXPIRES_IN = "60s";
 
 
 export const generateTokens = (payload) => {
@@ -24,6 +25,34 @@ export const generateTokens = (payload) => {
   return { accessToken, refreshToken };
 };
 
+/**
+ * Short-lived token for endpoints the browser opens without headers (EventSource).
+ * It carries its own audience, so it is never accepted as an access token.
+ */
+export const generateStreamToken = (adminId) => {
+  const token = jwt.sign({ id: adminId, type: "stream" }, JWT_SECRET, {
+    expiresIn: STREAM_TOKEN_EXPIRES_IN,
+    issuer: "bullion-system",
+    audience: "bullion-stream",
+  });
+
+  return { token, expiresIn: STREAM_TOKEN_EXPIRES_IN };
+};
+
+export const verifyStreamToken = (token) => {
+  try {
+    return jwt.verify(token, JWT_SECRET, {
+      issuer: "bullion-system",
+      audience: "bullion-stream",
+    });
+  } catch (error) {
+    if (error.name === "TokenExpiredError") {
+      throw createAppError("Stream token has expired", 401, "STREAM_TOKEN_EXPIRED");
+    }
+    throw createAppError("Invalid stream token", 401, "INVALID_STREAM_TOKEN");
+  }
+};
+
 
 export const verifyToken = (token) => {
   let type = "access"; // default to access if decoding fails
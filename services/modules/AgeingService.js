@@ -0,0 +1,300 @@
+import mongoose from "mongoose";
+import moment from "moment";
+import Registry from "../../models/modules/Registry.js";
+import { createAppError } from "../../utils/errorHandler.js";
+
+const CASH_TYPES = ["PARTY_CASH_BALANCE", "FX_REVALUATION", "REFINING_CHARGES"];
+// Metal voucher rows that move the party's cash balance (MetalTransactionService.calculateBalanceChanges):
+// a fixed voucher moves its full total, an unfixed one only its making charges, premium and discount
+const VOUCHER_CASH_TYPES = {
+  fix: ["PARTY_CASH_BALANCE"],
+  unfix: ["MAKING_CHARGES", "PREMIUM", "DISCOUNT"],
+};
+const GOLD_TYPES = ["PARTY_GOLD_BALANCE"];
+const TOLERANCE = { cash: 0.005, gold: 0.0005 };
+
+export const AGEING_BUCKETS = [
+  { key: "0-30", from: 0, to: 30 },
+  { key: "31-60", from: 31, to: 60 },
+  { key: "61-90", from: 61, to: 90 },
+  { key: "90+", from: 91, to: Infinity },
+];
+
+const round = (value, decimals = 2) => Number((value || 0).toFixed(decimals));
+
+/**
+ * Aged receivables and payables per party.
+ *
+ * Each party's registry rows are replayed in date order. Debits (the party owes us more)
+ * and credits (we owe the party more) settle the oldest open items on the other side
+ * first (FIFO); whatever is left is the outstanding balance, item by item. An item falls
+ * due creditDays (or crDays) after its voucher date, else after the party's
+ * creditDaysAmt / creditDaysMtl, and is bucketed by days past due - items not yet due
+ * sit in the first bucket and are also shown as notDue. Cash is aged in base currency;
+ * the gold denomination ages the unfixed pure-gram balance the same way. Only the rows
+ * that moved the party's balance are aged, so an ageing as of today reconciles to it.
+ */
+class AgeingService {
+  static parseFilters(filters = {}) {
+    const party = (Array.isArray(filters.party) ? filters.party : filters.party ? [filters.party] : [])
+      .filter((id) => mongoose.Types.ObjectId.isValid(id))
+      .map((id) => new mongoose.Types.ObjectId(id));
+
+    const asOf = filters.toDate ? moment(filters.toDate).endOf("day").toDate() : new Date();
+    if (isNaN(asOf.getTime())) {
+      throw createAppError("Invalid as-of date", 400, "INVALID_DATE");
+    }
+
+    const denomination = filters.denomination || "cash";
+    if (!["cash", "gold"].includes(denomination)) {
+      throw createAppError("Denomination must be 'cash' or 'gold'", 400, "INVALID_DENOMINATION");
+    }
+
+    // Booked balances are current, so they only reconcile against an ageing as of today
+    const reconcile = !moment(asOf).isBefore(moment(), "day");
+
+    return { party, asOf, denomination, reconcile };
+  }
+
+  static buildPipeline(filters) {
+    const isGold = filters.denomination === "gold";
+    const types = isGold
+      ? GOLD_TYPES
+      : [...new Set([...CASH_TYPES, ...VOUCHER_CASH_TYPES.fix, ...VOUCHER_CASH_TYPES.unfix])];
+    const match = {
+      isActive: true,
+      party: filters.party.length ? { $in: filters.party } : { $ne: null },
+      type: { $in: types },
+      transactionDate: { $lte: filters.asOf },
+    };
+
+    // Keep only the rows that changed the cash balance, so each voucher ages by that change
+    const byVoucherMode = {
+      $or: [
+        { "voucher.0": { $exists: false }, type: { $in: CASH_TYPES } },
+        { "voucher.fixed": true, type: { $in: VOUCHER_CASH_TYPES.fix } },
+        { "voucher.0": { $exists: true }, "voucher.fixed": { $ne: true }, type: { $in: VOUCHER_CASH_TYPES.unfix } },
+      ],
+    };
+
+    return [
+      { $match: match },
+      {
+        $lookup: {
+          from: "metaltransactions",
+          localField: "metalTransactionId",
+          foreignField: "_id",
+          as: "voucher",
+        },
+      },
+      ...(isGold ? [] : [{ $match: byVoucherMode }]),
+      {
+        $project: {
+          party: 1,
+          transactionDate: 1,
+          reference: 1,
+          description: 1,
+          createdAt: 1,
+          // Gold rows are already in grams; cash rows are brought to base currency
+          debit: isGold
+            ? { $ifNull: ["$debit", 0] }
+            : { $multiply: [{ $ifNull: ["$debit", 0] }, { $ifNull: ["$conversionRate", 1] }] },
+          credit: isGold
+            ? { $ifNull: ["$credit", 0] }
+            : { $multiply: [{ $ifNull: ["$credit", 0] }, { $ifNull: ["$conversionRate", 1] }] },
+          voucherCreditDays: {
+            $let: {
+              vars: { voucher: { $arrayElemAt: ["$voucher", 0] } },
+              in: {
+                $cond: [
+                  { $gt: [{ $ifNull: ["$$voucher.creditDays", 0] }, 0] },
+                  "$$voucher.creditDays",
+                  { $ifNull: ["$$voucher.crDays", 0] },
+                ],
+              },
+            },
+          },
+        },
+      },
+      { $sort: { party: 1, transactionDate: 1, createdAt: 1 } },
+      {
+        $group: {
+          _id: "$party",
+          rows: {
+            $push: {
+              date: "$transactionDate",
+              reference: "$reference",
+              description: "$description",
+              debit: "$debit",
+              credit: "$credit",
+              creditDays: "$voucherCreditDays",
+            },
+          },
+        },
+      },
+      {
+        $lookup: {
+          from: "accounts",
+          localField: "_id",
+          foreignField: "_id",
+          as: "account",
+        },
+      },
+      { $unwind: "$account" },
+      {
+        $project: {
+          rows: 1,
+          accountCode: "$account.accountCode",
+          customerName: "$account.customerName",
+          limits: { $arrayElemAt: ["$account.limitsMargins", 0] },
+          // Booked balance, negated to the registry side (debit = the party owes us)
+          bookedBalance: {
+            $multiply: [
+              -1,
+              isGold
+                ? { $ifNull: ["$account.balances.goldBalance.totalGrams", 0] }
+                : { $ifNull: ["$account.balances.cashBalance.amount", 0] },
+            ],
+          },
+        },
+      },
+      { $sort: { accountCode: 1 } },
+    ];
+  }
+
+  // Replay rows FIFO; every open item left has the same side as the closing balance
+  static matchOpenItems(rows, tolerance) {
+    const open = [];
+
+    for (const row of rows) {
+      const net = (row.debit || 0) - (row.credit || 0);
+      if (Math.abs(net) < tolerance) continue;
+
+      const side = net > 0 ? "receivable" : "payable";
+      let remaining = Math.abs(net);
+
+      while (remaining >= tolerance && open.length && open[0].side !== side) {
+        const settled = Math.min(open[0].amount, remaining);
+        open[0].amount -= settled;
+        remaining -= settled;
+        if (open[0].amount < tolerance) open.shift();
+      }
+
+      if (remaining >= tolerance) {
+        open.push({ ...row, side, originalAmount: Math.abs(net), amount: remaining });
+      }
+    }
+
+    return open;
+  }
+
+  static emptyBuckets() {
+    return Object.fromEntries(AGEING_BUCKETS.map((b) => [b.key, 0]));
+  }
+
+  static bucketFor(daysPastDue) {
+    const days = Math.max(0, daysPastDue);
+    return AGEING_BUCKETS.find((b) => days >= b.from && days <= b.to).key;
+  }
+
+  static ageParty(party, filters) {
+    const isGold = filters.denomination === "gold";
+    const decimals = isGold ? 3 : 2;
+    const partyDays = (isGold ? party.limits?.creditDaysMtl : party.limits?.creditDaysAmt) || 0;
+    const asOf = moment(filters.asOf);
+
+    const items = this.matchOpenItems(party.rows, TOLERANCE[filters.denomination]).map((item) => {
+      // Voucher terms apply to invoices; receipts and advances fall back to the party's terms
+      const creditDays = item.creditDays || partyDays;
+      const dueDate = moment(item.date).add(creditDays, "days");
+      const daysPastDue = asOf.diff(dueDate, "days");
+      return {
+        date: item.date,
+        dueDate: dueDate.toDate(),
+        reference: item.reference,
+        description: item.description,
+        side: item.side,
+        originalAmount: round(item.originalAmount, decimals),
+        outstanding: round(item.amount, decimals),
+        creditDays,
+        daysPastDue,
+        bucket: this.bucketFor(daysPastDue),
+      };
+    });
+
+    const side = items[0]?.side || null;
+    const buckets = this.emptyBuckets();
+    let notDue = 0;
+    for (const item of items) {
+      buckets[item.bucket] += item.outstanding;
+      if (item.daysPastDue < 0) notDue += item.outstanding;
+    }
+    for (const key of Object.keys(buckets)) buckets[key] = round(buckets[key], decimals);
+
+    const total = round(items.reduce((sum, i) => sum + i.outstanding, 0), decimals);
+    const agedBalance = side === "payable" ? -total : total;
+    const difference = round(agedBalance - (party.bookedBalance || 0), decimals);
+    const reconciliation = filters.reconcile
+      ? {
+          bookedBalance: round(party.bookedBalance, decimals),
+          difference,
+          reconciled: Math.abs(difference) < TOLERANCE[filters.denomination],
+        }
+      : null;
+
+    return {
+      partyId: party._id,
+      accountCode: party.accountCode,
+      customerName: party.customerName,
+      side,
+      total,
+      notDue: round(notDue, decimals),
+      buckets,
+      // Aged total against the party's booked balance; a difference means rows and balance disagree
+      reconciliation,
+      items,
+    };
+  }
+
+  static summarise(parties, decimals) {
+    const summary = {
+      receivable: { total: 0, buckets: this.emptyBuckets(), partyCount: 0 },
+      payable: { total: 0, buckets: this.emptyBuckets(), partyCount: 0 },
+      unreconciledPartyCount: 0,
+    };
+
+    for (const party of parties) {
+      const side = summary[party.side];
+      side.partyCount += 1;
+      if (party.reconciliation && !party.reconciliation.reconciled) summary.unreconciledPartyCount += 1;
+      side.total = round(side.total + party.total, decimals);
+      for (const [key, value] of Object.entries(party.buckets)) {
+        side.buckets[key] = round(side.buckets[key] + value, decimals);
+      }
+    }
+
+    return summary;
+  }
+
+  static async getAgedBalances(rawFilters = {}) {
+    const filters = this.parseFilters(rawFilters);
+    const decimals = filters.denomination === "gold" ? 3 : 2;
+
+    const parties = (await Registry.aggregate(this.buildPipeline(filters)))
+      .map((party) => this.ageParty(party, filters))
+      .filter((party) => party.items.length > 0);
+
+    return {
+      asOf: filters.asOf,
+      denomination: filters.denomination,
+      unit: filters.denomination === "gold" ? "grams" : "base currency",
+      buckets: AGEING_BUCKETS.map((b) => b.key),
+      receivables: parties.filter((p) => p.side === "receivable"),
+      payables: parties.filter((p) => p.side === "payable"),
+      summary: this.summarise(parties, decimals),
+      filters,
+    };
+  }
+}
+
+export default AgeingService;
@@ -0,0 +1,268 @@
+import mongoose from "mongoose";
+import Account from "../../models/modules/AccountType.js";
+import MetalRateMaster from "../../models/modules/MetalRateMaster.js";
+import TransactionFixing from "../../models/modules/TransactionFixing.js";
+import { createAppError } from "../../utils/errorHandler.js";
+
+/**
+ * Party credit exposure engine.
+ *
+ * Balances are kept from the party's point of view, so a negative cash balance is
+ * money the party owes us and a negative gold balance is unfixed gold they owe us.
+ * Exposure = cash receivable + value of the unfixed gold position at the latest
+ * default MetalRateMaster rate. Fixings post straight into balances, so open fixing
+ * orders are reported alongside the exposure rather than added to it twice.
+ */
+class CreditExposureService {
+  // "block" rejects breaching vouchers, "flag" lets them through with the breakdown
+  static getEnforcementMode() {
+    return process.env.CREDIT_LIMIT_ENFORCEMENT === "flag" ? "flag" : "block";
+  }
+
+  // Latest default rate converted to a per-gram value
+  static async getLatestRatePerGram(session = null) {
+    const query = MetalRateMaster.findOne({ isActive: true })
+      .sort({ isDefault: -1, updatedAt: -1 })
+      .select("rateType convertrate convFactGms currencyId updatedAt")
+      .lean();
+    if (session) query.session(session);
+    return this.toRatePerGram(await query);
+  }
+
+  static toRatePerGram(rate) {
+    if (!rate || !rate.convFactGms) {
+      return { rateId: null, rateType: null, ratePerGram: 0, asOf: null };
+    }
+
+    return {
+      rateId: rate._id,
+      rateType: rate.rateType,
+      convertrate: rate.convertrate,
+      convFactGms: rate.convFactGms,
+      ratePerGram: rate.convertrate / rate.convFactGms,
+      asOf: rate.updatedAt,
+    };
+  }
+
+  static getPartyLimits(account) {
+    const limits = account.limitsMargins?.[0] || {};
+    return {
+      creditLimitAmt: limits.creditLimitAmt || 0,
+      creditLimitMtl: limits.creditLimitMtl || 0,
+      shortMargin: limits.shortMargin || 0,
+      longMargin: limits.longMargin || 0,
+      creditDaysAmt: limits.creditDaysAmt || 0,
+      creditDaysMtl: limits.creditDaysMtl || 0,
+    };
+  }
+
+  static async getOpenFixings(partyId, ratePerGram, session = null) {
+    const query = TransactionFixing.find({
+      partyId,
+      isActive: true,
+      status: "active",
+    })
+      .select("type orders")
+      .lean();
+    if (session) query.session(session);
+    const fixings = await query;
+
+    return this.summariseFixings(fixings, ratePerGram);
+  }
+
+  static summariseFixings(fixings, ratePerGram) {
+    const summary = {
+      count: fixings.length,
+      purchaseGrams: 0,
+      purchaseValue: 0,
+      saleGrams: 0,
+      saleValue: 0,
+    };
+
+    for (const fixing of fixings) {
+      const isSale = fixing.type?.toUpperCase() === "SELL";
+      for (const order of fixing.orders || []) {
+        const grams = order.quantityGm || 0;
+        const value = (order.price || 0) * grams;
+        if (isSale) {
+          summary.saleGrams += grams;
+          summary.saleValue += value;
+        } else {
+          summary.purchaseGrams += grams;
+          summary.purchaseValue += value;
+        }
+      }
+    }
+
+    // Mark-to-market of fixed prices against the current rate
+    summary.markToMarket =
+      summary.saleValue -
+      summary.saleGrams * ratePerGram -
+      (summary.purchaseValue - summary.purchaseGrams * ratePerGram);
+
+    return summary;
+  }
+
+  static buildPosition(cashBalance, goldGrams, ratePerGram, limits) {
+    const cashReceivable = Math.max(0, -cashBalance);
+    const unfixedGoldGrams = Math.max(0, -goldGrams);
+    const unfixedGoldValue = unfixedGoldGrams * ratePerGram;
+
+    // Margin is held against the open gold position out of the party's cash deposit
+    const shortValue = Math.max(0, -goldGrams) * ratePerGram;
+    const longValue = Math.max(0, goldGrams) * ratePerGram;
+    const marginRequired =
+      (shortValue * limits.shortMargin) / 100 +
+      (longValue * limits.longMargin) / 100;
+    const marginAvailable = Math.max(0, cashBalance);
+
+    return {
+      cashBalance,
+      goldGrams,
+      cashReceivable,
+      unfixedGoldGrams,
+      unfixedGoldValue,
+      totalExposure: cashReceivable + unfixedGoldValue,
+      marginRequired,
+      marginAvailable,
+      marginShortfall: Math.max(0, marginRequired - marginAvailable),
+    };
+  }
+
+  /**
+   * Current and projected exposure for a party.
+   * @param {string} partyId
+   * @param {Object} change - { cashDelta, goldDelta } applied to party balances by the new voucher
+   */
+  static async calculateExposure(partyId, change = {}, session = null) {
+    if (!mongoose.Types.ObjectId.isValid(partyId)) {
+      throw createAppError("Invalid party ID", 400, "INVALID_PARTY_ID");
+    }
+
+    const query = Account.findById(partyId)
+      .select("accountCode customerName balances limitsMargins")
+      .lean();
+    if (session) query.session(session);
+    const account = await query;
+    if (!account) {
+      throw createAppError("Account not found", 404, "ACCOUNT_NOT_FOUND");
+    }
+
+    const rate = await this.getLatestRatePerGram(session);
+    const limits = this.getPartyLimits(account);
+
+    const cashBalance = account.balances?.cashBalance?.amount || 0;
+    const goldGrams = account.balances?.goldBalance?.totalGrams || 0;
+    const cashDelta = change.cashDelta || 0;
+    const goldDelta = change.goldDelta || 0;
+
+    const current = this.buildPosition(cashBalance, goldGrams, rate.ratePerGram, limits);
+    const projected = this.buildPosition(
+      cashBalance + cashDelta,
+      goldGrams + goldDelta,
+      rate.ratePerGram,
+      limits
+    );
+
+    const openFixings = await this.getOpenFixings(partyId, rate.ratePerGram, session);
+    const breaches = this.findBreaches(current, projected, limits);
+
+    return {
+      party: {
+        _id: account._id,
+        accountCode: account.accountCode,
+        customerName: account.customerName,
+      },
+      rate,
+      limits,
+      change: { cashDelta, goldDelta },
+      current,
+      projected,
+      openFixings,
+      breaches,
+      withinLimits: breaches.length === 0,
+    };
+  }
+
+  // Only changes that make the position worse can breach; settlements always pass
+  static findBreaches(current, projected, limits) {
+    const breaches = [];
+
+    if (
+      limits.creditLimitAmt > 0 &&
+      projected.totalExposure > limits.creditLimitAmt &&
+      projected.totalExposure > current.totalExposure
+    ) {
+      breaches.push({
+        code: "CREDIT_LIMIT_EXCEEDED",
+        message: `Exposure ${projected.totalExposure.toFixed(2)} exceeds credit limit ${limits.creditLimitAmt.toFixed(2)}`,
+        limit: limits.creditLimitAmt,
+        projected: projected.totalExposure,
+      });
+    }
+
+    if (
+      limits.creditLimitMtl > 0 &&
+      projected.unfixedGoldGrams > limits.creditLimitMtl &&
+      projected.unfixedGoldGrams > current.unfixedGoldGrams
+    ) {
+      breaches.push({
+        code: "METAL_LIMIT_EXCEEDED",
+        message: `Unfixed gold ${projected.unfixedGoldGrams.toFixed(3)}g exceeds metal limit ${limits.creditLimitMtl.toFixed(3)}g`,
+        limit: limits.creditLimitMtl,
+        projected: projected.unfixedGoldGrams,
+      });
+    }
+
+    if (
+      projected.marginShortfall > 0 &&
+      projected.marginShortfall > current.marginShortfall
+    ) {
+      breaches.push({
+        code: "MARGIN_SHORTFALL",
+        message: `Margin shortfall of ${projected.marginShortfall.toFixed(2)} (required ${projected.marginRequired.toFixed(2)}, available ${projected.marginAvailable.toFixed(2)})`,
+        limit: projected.marginRequired,
+        projected: projected.marginAvailable,
+      });
+    }
+
+    return breaches;
+  }
+
+  /**
+   * Check a proposed change and reject it in "block" mode when it breaches a limit.
+   * Returns the exposure breakdown so callers can surface flags to the UI.
+   */
+  static async assertWithinLimits(partyId, change, context = {}) {
+    const exposure = await this.calculateExposure(partyId, change, context.session);
+    const mode = context.mode || this.getEnforcementMode();
+
+    exposure.mode = mode;
+    exposure.action = context.action || null;
+
+    if (!exposure.withinLimits && mode === "block") {
+      const error = createAppError(
+        `Credit check failed: ${exposure.breaches.map((b) => b.message).join("; ")}`,
+        422,
+        "CREDIT_LIMIT_BREACH"
+      );
+      error.details = exposure;
+      throw error;
+    }
+
+    return exposure;
+  }
+
+  // Short summary stored on vouchers so approvers can see the flags
+  static toCreditCheck(exposure) {
+    return {
+      withinLimits: exposure.withinLimits,
+      mode: exposure.mode,
+      projectedExposure: exposure.projected.totalExposure,
+      breaches: exposure.breaches.map(({ code, message }) => ({ code, message })),
+      checkedAt: new Date(),
+    };
+  }
+}
+
+export default CreditExposureService;
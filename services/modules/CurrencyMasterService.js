@@ -1,4 +1,5 @@
 import CurrencyMaster from "../../models/modules/CurrencyMaster.js";
+import CurrencyRateHistory from "../../models/modules/CurrencyRateHistory.js";
 import { createAppError } from "../../utils/errorHandler.js";
 
 class CurrencyMasterService {
@@ -40,6 +41,13 @@ class CurrencyMasterService {
       });
 
       const savedCurrency = await newCurrency.save();
+      await CurrencyRateHistory.create({
+        currency: savedCurrency._id,
+        rate: savedCurrency.conversionRate,
+        effectiveDate: new Date(),
+        source: "master",
+        createdBy: adminId
+      });
       return await CurrencyMaster.findById(savedCurrency._id)
         .populate('createdBy', 'name email')
         .populate('updatedBy', 'name email');
@@ -181,6 +189,17 @@ class CurrencyMasterService {
       ).populate('createdBy', 'name email')
        .populate('updatedBy', 'name email');
 
+      // A rate changed on the master takes effect from now; earlier vouchers keep their rate
+      if (updateData.conversionRate !== undefined && updateData.conversionRate !== existingCurrency.conversionRate) {
+        await CurrencyRateHistory.create({
+          currency: currencyId,
+          rate: updateData.conversionRate,
+          effectiveDate: new Date(),
+          source: "master",
+          createdBy: adminId
+        });
+      }
+
       return updatedCurrency;
     } catch (error) {
       if (error.code === 11000) {
@@ -236,6 +255,7 @@ class CurrencyMasterService {
       }
 
       await CurrencyMaster.findByIdAndDelete(currencyId);
+      await CurrencyRateHistory.deleteMany({ currency: currencyId });
       return { message: "Currency permanently deleted successfully" };
     } catch (error) {
       throw error;
@@ -257,6 +277,119 @@ class CurrencyMasterService {
     }
   }
 
+  // Record a dated rate. Backdated rates only affect vouchers posted afterwards;
+  // the master rate follows the latest effective entry.
+  static async addRate(currencyId, rateData, adminId) {
+    try {
+      const currency = await CurrencyMaster.findById(currencyId);
+      if (!currency) {
+        throw createAppError(
+          "Currency not found",
+          404,
+          "CURRENCY_NOT_FOUND"
+        );
+      }
+
+      if (!currency.isRateInRange(rateData.rate)) {
+        throw createAppError(
+          `Rate must be between ${currency.minRate} and ${currency.maxRate}`,
+          400,
+          "CONVERSION_RATE_OUT_OF_RANGE"
+        );
+      }
+
+      const entry = await CurrencyRateHistory.create({
+        currency: currencyId,
+        rate: rateData.rate,
+        effectiveDate: rateData.effectiveDate,
+        remarks: rateData.remarks,
+        source: "manual",
+        createdBy: adminId
+      });
+
+      const current = await CurrencyRateHistory.findEffective(currencyId, new Date());
+      if (current && current.rate !== currency.conversionRate) {
+        currency.conversionRate = current.rate;
+        currency.updatedBy = adminId;
+        await currency.save();
+      }
+
+      return entry;
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Rate history for a currency, newest first
+  static async getRateHistory(currencyId, filters = {}, page = 1, limit = 50) {
+    try {
+      const currency = await CurrencyMaster.findById(currencyId).select("currencyCode");
+      if (!currency) {
+        throw createAppError(
+          "Currency not found",
+          404,
+          "CURRENCY_NOT_FOUND"
+        );
+      }
+
+      const query = { currency: currencyId };
+      if (filters.fromDate || filters.toDate) {
+        query.effectiveDate = {};
+        if (filters.fromDate) query.effectiveDate.$gte = filters.fromDate;
+        if (filters.toDate) query.effectiveDate.$lte = filters.toDate;
+      }
+
+      const skip = (page - 1) * limit;
+      const [rates, total] = await Promise.all([
+        CurrencyRateHistory.find(query)
+          .populate('createdBy', 'name email')
+          .sort({ effectiveDate: -1, createdAt: -1 })
+          .skip(skip)
+          .limit(limit),
+        CurrencyRateHistory.countDocuments(query)
+      ]);
+
+      return {
+        currencyCode: currency.currencyCode,
+        rates,
+        pagination: {
+          current: page,
+          pages: Math.ceil(total / limit),
+          total,
+          limit
+        }
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Rate a voucher dated on the given day would use
+  static async getRateAt(currencyId, date = new Date()) {
+    try {
+      const currency = await CurrencyMaster.findById(currencyId).select("currencyCode conversionRate");
+      if (!currency) {
+        throw createAppError(
+          "Currency not found",
+          404,
+          "CURRENCY_NOT_FOUND"
+        );
+      }
+
+      const effective = await CurrencyRateHistory.findEffective(currencyId, date);
+      return {
+        currency: currency._id,
+        currencyCode: currency.currencyCode,
+        date,
+        rate: effective ? effective.rate : currency.conversionRate,
+        effectiveDate: effective ? effective.effectiveDate : null,
+        fromHistory: !!effective
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
   // Get currency by code
   static async getCurrencyByCode(currencyCode) {
     try {
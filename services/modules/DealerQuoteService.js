@@ -0,0 +1,240 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+import Account from "../../models/modules/AccountType.js";
+import DealerQuote from "../../models/modules/DealerQuote.js";
+import MetalRateMaster from "../../models/modules/MetalRateMaster.js";
+import { createAppError } from "../../utils/errorHandler.js";
+
+const SIDES = ["PURCHASE", "SELL"];
+const MAX_TTL_SECONDS = 300;
+const QUANTITY_TOLERANCE = 0.0001;
+
+const round = (value, decimals = 2) => Number((value || 0).toFixed(decimals));
+
+/**
+ * Dealer quotes lock a fixing price for a short time.
+ * The price is the MetalRateMaster rate per gram plus the party's quoteMargin on sales,
+ * or less it on purchases. A fixing order must carry an open, unexpired quote for the
+ * same party, metal, side and quantity; the quote is used up when the fixing is booked.
+ */
+class DealerQuoteService {
+  // Read lazily - dotenv is loaded after services are imported
+  static getTtlSeconds() {
+    return parseInt(process.env.FIXING_QUOTE_TTL_SECONDS) || 30;
+  }
+
+  static isQuoteRequired() {
+    return process.env.FIXING_QUOTES_REQUIRED !== "false";
+  }
+
+  static generateQuoteId() {
+    return `QT-${crypto.randomBytes(6).toString("hex").toUpperCase()}`;
+  }
+
+  static async createQuote(quoteData, adminId) {
+    const side = String(quoteData.side || "").toUpperCase();
+    if (!SIDES.includes(side)) {
+      throw createAppError("Side must be 'PURCHASE' or 'SELL'", 400, "INVALID_SIDE");
+    }
+    if (!mongoose.Types.ObjectId.isValid(quoteData.partyId)) {
+      throw createAppError("Invalid Party ID", 400, "INVALID_PARTY_ID");
+    }
+    if (!mongoose.Types.ObjectId.isValid(quoteData.metalType)) {
+      throw createAppError("Invalid metalType ID", 400, "INVALID_METAL_TYPE");
+    }
+    if (!(quoteData.quantityGm > 0)) {
+      throw createAppError("Quantity must be positive", 400, "INVALID_QUANTITY");
+    }
+
+    const ttlSeconds = Math.min(quoteData.ttlSeconds || this.getTtlSeconds(), MAX_TTL_SECONDS);
+
+    const party = await Account.findById(quoteData.partyId).select("isActive limitsMargins customerName").lean();
+    if (!party || !party.isActive) {
+      throw createAppError("Party not found or inactive", 404, "ACCOUNT_NOT_FOUND");
+    }
+
+    const metalRate = await MetalRateMaster.findById(quoteData.metalType)
+      .select("convertrate convFactGms isActive")
+      .lean();
+    if (!metalRate || !metalRate.isActive) {
+      throw createAppError("Metal rate not found or inactive", 404, "METAL_RATE_NOT_FOUND");
+    }
+    if (!(metalRate.convertrate > 0) || !(metalRate.convFactGms > 0)) {
+      throw createAppError("Metal rate has no current rate to quote from", 409, "METAL_RATE_NOT_SET");
+    }
+
+    const marketPricePerGram = metalRate.convertrate / metalRate.convFactGms;
+    const margin = party.limitsMargins?.[0]?.quoteMargin || 0;
+    const price = round(side === "SELL" ? marketPricePerGram + margin : marketPricePerGram - margin, 4);
+    if (price <= 0) {
+      throw createAppError("Party margin leaves no positive price", 409, "INVALID_QUOTE_PRICE");
+    }
+
+    return DealerQuote.create({
+      quoteId: this.generateQuoteId(),
+      party: party._id,
+      metalType: metalRate._id,
+      side,
+      quantityGm: quoteData.quantityGm,
+      goldBidValue: metalRate.convertrate,
+      convFactGms: metalRate.convFactGms,
+      marketPricePerGram: round(marketPricePerGram, 4),
+      margin,
+      price,
+      totalValue: round(price * quoteData.quantityGm),
+      expiresAt: new Date(Date.now() + ttlSeconds * 1000),
+      createdBy: adminId,
+    });
+  }
+
+  static async getQuote(quoteId) {
+    const quote = await DealerQuote.findOne({ quoteId: String(quoteId).toUpperCase() })
+      .populate("party", "accountCode customerName")
+      .populate("metalType", "rateType convertrate convFactGms")
+      .populate("createdBy", "name email");
+    if (!quote) {
+      throw createAppError("Quote not found", 404, "QUOTE_NOT_FOUND");
+    }
+    return quote;
+  }
+
+  static async cancelQuote(quoteId) {
+    const quote = await DealerQuote.findOneAndUpdate(
+      { quoteId: String(quoteId).toUpperCase(), status: "open" },
+      { $set: { status: "cancelled" } },
+      { new: true }
+    );
+    if (!quote) {
+      throw createAppError("Only open quotes can be cancelled", 409, "QUOTE_NOT_OPEN");
+    }
+    return quote;
+  }
+
+  /**
+   * Check every order's quote against the fixing and use it up. Orders take their
+   * price and gold bid value from the quote. Runs inside the fixing's transaction, so
+   * a failed booking leaves the quotes open.
+   * @returns {ObjectId[]} ids of the consumed quotes
+   */
+  static async consumeQuotes(transactionData, session) {
+    const side = transactionData.type.toUpperCase();
+    const consumed = [];
+
+    for (const [index, order] of transactionData.orders.entries()) {
+      const label = `Order ${index + 1}`;
+      if (!order.quoteId) {
+        if (this.isQuoteRequired()) {
+          throw createAppError(`${label}: a dealer quote is required`, 400, "QUOTE_REQUIRED");
+        }
+        continue;
+      }
+      consumed.push(await this.consumeQuote(order, label, side, transactionData.partyId, session));
+    }
+
+    return consumed;
+  }
+
+  /**
+   * Quote check for an edited fixing. An order may keep a quote this fixing already
+   * used, as long as it is still for the same party, metal, side and quantity - its
+   * price comes back from that quote. Any other order needs a new quote, used up as
+   * on booking. Once a fixing is quoted, none of its orders can be priced by hand.
+   * @returns {ObjectId[]} ids of the newly consumed quotes
+   */
+  static async consumeQuotesForUpdate(transactionData, fixingTransactionId, originalOrders, session) {
+    const side = transactionData.type.toUpperCase();
+    const wasQuoted = originalOrders.some((order) => order.quoteId);
+    const kept = new Set(originalOrders.filter((order) => order.quoteId).map((order) => order.quoteId));
+    const consumed = [];
+
+    for (const [index, order] of transactionData.orders.entries()) {
+      const label = `Order ${index + 1}`;
+      if (!order.quoteId) {
+        if (this.isQuoteRequired() || wasQuoted) {
+          throw createAppError(`${label}: a dealer quote is required`, 400, "QUOTE_REQUIRED");
+        }
+        continue;
+      }
+
+      const quoteId = String(order.quoteId).trim().toUpperCase();
+      if (!kept.has(quoteId)) {
+        consumed.push(await this.consumeQuote(order, label, side, transactionData.partyId, session));
+        continue;
+      }
+
+      // Each kept quote covers one order only
+      kept.delete(quoteId);
+      const quote = await DealerQuote.findOne({ quoteId, fixingTransactionId }).session(session).lean();
+      if (!quote) {
+        throw createAppError(`${label}: quote ${quoteId} not found`, 404, "QUOTE_NOT_FOUND");
+      }
+      this.assertQuoteMatches(quote, order, label, side, transactionData.partyId);
+
+      order.quoteId = quoteId;
+      order.price = quote.price;
+      order.goldBidValue = quote.goldBidValue;
+    }
+
+    return consumed;
+  }
+
+  static assertQuoteMatches(quote, order, label, side, partyId) {
+    const mismatches = [];
+    if (quote.party.toString() !== partyId.toString()) mismatches.push("party");
+    if (quote.metalType.toString() !== order.metalType.toString()) mismatches.push("metal type");
+    if (quote.side !== side) mismatches.push("side");
+    if (Math.abs(quote.quantityGm - order.quantityGm) > QUANTITY_TOLERANCE) mismatches.push("quantity");
+    if (mismatches.length) {
+      throw createAppError(
+        `${label}: quote ${quote.quoteId} was given for a different ${mismatches.join(", ")}`,
+        400,
+        "QUOTE_MISMATCH"
+      );
+    }
+  }
+
+  // Use up one open quote for an order and take its price
+  static async consumeQuote(order, label, side, partyId, session) {
+    const quoteId = String(order.quoteId).trim().toUpperCase();
+    const quote = await DealerQuote.findOne({ quoteId }).session(session).lean();
+    if (!quote) {
+      throw createAppError(`${label}: quote ${quoteId} not found`, 404, "QUOTE_NOT_FOUND");
+    }
+    if (quote.status === "consumed") {
+      throw createAppError(`${label}: quote ${quoteId} has already been used`, 409, "QUOTE_ALREADY_USED");
+    }
+    if (quote.status !== "open") {
+      throw createAppError(`${label}: quote ${quoteId} is ${quote.status}`, 409, "QUOTE_NOT_OPEN");
+    }
+    if (quote.expiresAt <= new Date()) {
+      throw createAppError(`${label}: quote ${quoteId} has expired`, 409, "QUOTE_EXPIRED");
+    }
+    this.assertQuoteMatches(quote, order, label, side, partyId);
+
+    // Status in the filter makes a concurrent second use fail
+    const used = await DealerQuote.findOneAndUpdate(
+      { _id: quote._id, status: "open" },
+      { $set: { status: "consumed", consumedAt: new Date() } },
+      { session, new: true }
+    );
+    if (!used) {
+      throw createAppError(`${label}: quote ${quoteId} has already been used`, 409, "QUOTE_ALREADY_USED");
+    }
+
+    order.quoteId = quoteId;
+    order.price = quote.price;
+    order.goldBidValue = quote.goldBidValue;
+    return quote._id;
+  }
+
+  static async linkQuotes(quoteIds, fixingTransactionId, session) {
+    if (!quoteIds.length) return;
+    await DealerQuote.updateMany(
+      { _id: { $in: quoteIds } },
+      { $set: { fixingTransactionId } },
+      { session }
+    );
+  }
+}
+
+export default DealerQuoteService;
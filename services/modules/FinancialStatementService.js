@@ -0,0 +1,558 @@
+import mongoose from "mongoose";
+import moment from "moment";
+import Registry from "../../models/modules/Registry.js";
+import { createAppError } from "../../utils/errorHandler.js";
+
+/**
+ * Ledger accounts the financial statements are drawn up in. Cash accounts are in base
+ * currency; metal accounts are in grams and are reported beside, not inside, the money
+ * statements.
+ */
+export const CHART_OF_ACCOUNTS = [
+  { key: "CASH", code: "1100", name: "Cash and bank", class: "asset", measure: "cash" },
+  { key: "PARTY_CASH", code: "1200", name: "Party cash accounts", class: "asset", measure: "cash" },
+  { key: "STOCK_VALUATION", code: "1250", name: "Stock valuation adjustments", class: "asset", measure: "cash" },
+  { key: "VAT", code: "2100", name: "VAT control", class: "liability", measure: "cash" },
+  { key: "OPENING_CASH_EQUITY", code: "3100", name: "Opening balance equity", class: "equity", measure: "cash" },
+  { key: "SALES", code: "4100", name: "Metal sales", class: "income", measure: "cash" },
+  { key: "MAKING_CHARGES", code: "4200", name: "Making charges", class: "income", measure: "cash" },
+  { key: "PREMIUM", code: "4300", name: "Premium", class: "income", measure: "cash" },
+  { key: "OTHER_CHARGES", code: "4400", name: "Other charges", class: "income", measure: "cash" },
+  { key: "FX_GAIN", code: "4500", name: "Unrealised FX gain", class: "income", measure: "cash" },
+  { key: "PURCHASES", code: "5100", name: "Metal purchases", class: "expense", measure: "cash" },
+  { key: "DISCOUNT", code: "5200", name: "Discounts", class: "expense", measure: "cash" },
+  { key: "FX_LOSS", code: "5300", name: "Unrealised FX loss", class: "expense", measure: "cash" },
+  { key: "STOCK_VARIANCE", code: "5400", name: "Stock count variance", class: "expense", measure: "cash" },
+  { key: "MELTING_LOSS", code: "5500", name: "Melting loss and write-offs", class: "expense", measure: "cash" },
+  { key: "REFINING_LOSS", code: "5600", name: "Refining loss (gain)", class: "expense", measure: "cash" },
+  { key: "REFINING_CHARGES", code: "5700", name: "Refining charges", class: "expense", measure: "cash" },
+  { key: "SUSPENSE", code: "9900", name: "Suspense - unmapped registry types", class: "asset", measure: "cash" },
+  { key: "GOLD_INVENTORY", code: "1300", name: "Gold inventory (pure)", class: "asset", measure: "gold" },
+  { key: "GOLD_STOCK", code: "1310", name: "Gold stock (gross)", class: "asset", measure: "gold" },
+  { key: "STOCK_BALANCE", code: "1320", name: "Stock balance", class: "asset", measure: "gold" },
+  { key: "STOCK_IN_TRANSIT", code: "1330", name: "Stock in transit", class: "asset", measure: "gold" },
+  { key: "PARTY_GOLD", code: "1400", name: "Party gold accounts", class: "asset", measure: "gold" },
+  { key: "FIXING_CLEARING", code: "1410", name: "Metal fixing clearing", class: "asset", measure: "gold" },
+  { key: "OPENING_GOLD_EQUITY", code: "3200", name: "Opening gold equity", class: "equity", measure: "gold" },
+  { key: "METAL_VARIANCE", code: "3300", name: "Metal gains and losses", class: "equity", measure: "gold" },
+];
+
+/**
+ * How each Registry `type` (upper-cased) posts to the chart.
+ *   direct - the row's debit/credit go to the account as they are
+ *   contra - the row is the other side of a party row, so it posts reversed
+ *   charge - rows with a party are the party's side: they post to party cash as they
+ *            are and to the account reversed; rows without a party post directly. On a
+ *            fixed metal voucher the party cash row already carries the charge, so the
+ *            account is posted reversed against sales or purchases instead
+ *   party  - party cash as it is, plus the reversed side to sales or purchases when
+ *            the row comes from a metal voucher or a fixing
+ */
+export const REGISTRY_TYPE_MAP = {
+  CASH: { rule: "direct", account: "CASH" },
+  PARTY_CASH_BALANCE: { rule: "party", account: "PARTY_CASH" },
+  FX_REVALUATION: { rule: "direct", account: "PARTY_CASH" },
+  MAKING_CHARGES: { rule: "charge", account: "MAKING_CHARGES" },
+  PREMIUM: { rule: "charge", account: "PREMIUM" },
+  DISCOUNT: { rule: "charge", account: "DISCOUNT" },
+  OTHER_CHARGES: { rule: "charge", account: "OTHER_CHARGES" },
+  VAT_AMOUNT: { rule: "charge", account: "VAT" },
+  OPENING_CASH_BALANCE: { rule: "contra", account: "OPENING_CASH_EQUITY" },
+  UNREALIZED_FX_GAIN: { rule: "direct", account: "FX_GAIN" },
+  UNREALIZED_FX_LOSS: { rule: "direct", account: "FX_LOSS" },
+  GOLD: { rule: "direct", account: "GOLD_INVENTORY" },
+  STOCK_ADJUSTMENT: { rule: "direct", account: "GOLD_INVENTORY" },
+  STOCK_VARIANCE: { rule: "direct", account: "STOCK_VARIANCE" },
+  MELTING_LOSS: { rule: "direct", account: "MELTING_LOSS" },
+  REFINING_LOSS: { rule: "direct", account: "REFINING_LOSS" },
+  REFINING_CHARGES: { rule: "charge", account: "REFINING_CHARGES" },
+  // Other side of stock gains and losses: the metal in grams, its value in cash
+  METAL_VARIANCE: { rule: "direct", account: "METAL_VARIANCE" },
+  STOCK_VALUATION: { rule: "direct", account: "STOCK_VALUATION" },
+  GOLD_STOCK: { rule: "direct", account: "GOLD_STOCK" },
+  STOCK_BALANCE: { rule: "direct", account: "STOCK_BALANCE" },
+  STOCK_IN_TRANSIT: { rule: "direct", account: "STOCK_IN_TRANSIT" },
+  PARTY_GOLD_BALANCE: { rule: "direct", account: "PARTY_GOLD" },
+  OPENING_GOLD_BALANCE: { rule: "contra", account: "OPENING_GOLD_EQUITY" },
+  "PURCHASE-FIXING": { rule: "direct", account: "FIXING_CLEARING" },
+  "SALES-FIXING": { rule: "direct", account: "FIXING_CLEARING" },
+  "SALE-FIXING": { rule: "direct", account: "FIXING_CLEARING" },
+  "SALE-RETURN-FIXING": { rule: "direct", account: "FIXING_CLEARING" },
+};
+
+const ACCOUNTS = new Map(CHART_OF_ACCOUNTS.map((a) => [a.key, a]));
+const DEFAULT_PAGE_SIZE = 50;
+const TOLERANCE = 0.005;
+
+const round = (value, decimals = 2) => Number((value || 0).toFixed(decimals));
+const decimalsOf = (account) => (account.measure === "gold" ? 3 : 2);
+// Natural side of the account: assets and expenses carry debit balances
+const isDebitNormal = (account) => ["asset", "expense"].includes(account.class);
+
+/**
+ * Trial balance, profit and loss and balance sheet built from Registry rows.
+ *
+ * Every row is turned into one or more postings through REGISTRY_TYPE_MAP, in one
+ * aggregation. Cash rows booked in a foreign currency are taken at their conversionRate.
+ * Metal stock is carried in grams only, so the P&L is a trading account - sales less
+ * purchases and charges - with no closing stock valuation (see the valuation P&L for that).
+ */
+class FinancialStatementService {
+  static parseFilters(filters = {}) {
+    const startDate = filters.fromDate ? moment(filters.fromDate).startOf("day").toDate() : null;
+    const endDate = filters.toDate ? moment(filters.toDate).endOf("day").toDate() : new Date();
+    if (startDate && startDate > endDate) {
+      throw createAppError("From date cannot be greater than to date", 400, "INVALID_DATE_RANGE");
+    }
+
+    const costCenter = filters.costCenter ? String(filters.costCenter).trim().toUpperCase() : null;
+    return { startDate, endDate, costCenter };
+  }
+
+  static getChartOfAccounts() {
+    return CHART_OF_ACCOUNTS.map((account) => ({
+      ...account,
+      registryTypes: Object.entries(REGISTRY_TYPE_MAP)
+        .filter(([, mapping]) => mapping.account === account.key)
+        .map(([type, mapping]) => ({ type, rule: mapping.rule })),
+    }));
+  }
+
+  // Rows up to the end date, each carrying its postings
+  static buildPostingPipeline(filters) {
+    const match = {
+      isActive: true,
+      status: { $ne: "cancelled" },
+      transactionDate: { $lte: filters.endDate },
+    };
+    if (filters.costCenter) match.costCenter = filters.costCenter;
+
+    return [{ $match: match }, ...this.postingStages()];
+  }
+
+  // Stages that unwind each matched Registry row into its postings ({ account, measure, party, debit, credit })
+  static postingStages() {
+    const amount = (field, measure) =>
+      measure === "cash"
+        ? { $multiply: [{ $ifNull: [field, 0] }, { $ifNull: ["$conversionRate", 1] }] }
+        : { $ifNull: [field, 0] };
+
+    const posting = (account, reversed, withParty) => {
+      const measure = ACCOUNTS.get(account)?.measure || "cash";
+      return {
+        account,
+        measure,
+        party: withParty ? "$party" : null,
+        debit: amount(reversed ? "$credit" : "$debit", measure),
+        credit: amount(reversed ? "$debit" : "$credit", measure),
+      };
+    };
+
+    const postingsFor = ({ rule, account }) => {
+      switch (rule) {
+        case "contra":
+          return [posting(account, true, false)];
+        case "charge":
+          return {
+            $switch: {
+              branches: [
+                { case: { $eq: [{ $ifNull: ["$party", null] }, null] }, then: [posting(account, false, false)] },
+                // The party cash row of a fixed voucher already holds the full total, so the
+                // charge only moves its share out of sales or purchases
+                ...["SALES", "PURCHASES"].map((trade) => ({
+                  case: { $and: ["$isFixedVoucher", { $eq: ["$tradeAccount", trade] }] },
+                  then: [posting(account, true, false), posting(trade, false, false)],
+                })),
+              ],
+              default: [posting("PARTY_CASH", false, true), posting(account, true, false)],
+            },
+          };
+        case "party":
+          return {
+            $concatArrays: [
+              [posting(account, false, true)],
+              {
+                $switch: {
+                  branches: ["SALES", "PURCHASES"].map((trade) => ({
+                    case: { $eq: ["$tradeAccount", trade] },
+                    then: [posting(trade, true, false)],
+                  })),
+                  default: [],
+                },
+              },
+            ],
+          };
+        default:
+          return [posting(account, false, account === "PARTY_CASH" || account === "PARTY_GOLD")];
+      }
+    };
+
+    return [
+      {
+        $lookup: {
+          from: "metaltransactions",
+          localField: "metalTransactionId",
+          foreignField: "_id",
+          as: "voucher",
+        },
+      },
+      {
+        $lookup: {
+          from: "transactionfixings",
+          localField: "fixingTransactionId",
+          foreignField: "_id",
+          as: "fixing",
+        },
+      },
+      {
+        $addFields: {
+          normType: { $toUpper: { $ifNull: ["$type", ""] } },
+          isFixedVoucher: { $eq: [{ $arrayElemAt: ["$voucher.fixed", 0] }, true] },
+          tradeAccount: {
+            $let: {
+              vars: {
+                voucherType: { $arrayElemAt: ["$voucher.transactionType", 0] },
+                fixingType: { $toUpper: { $ifNull: [{ $arrayElemAt: ["$fixing.type", 0] }, ""] } },
+              },
+              in: {
+                $switch: {
+                  branches: [
+                    { case: { $in: ["$$voucherType", ["sale", "saleReturn"]] }, then: "SALES" },
+                    { case: { $in: ["$$voucherType", ["purchase", "purchaseReturn"]] }, then: "PURCHASES" },
+                    { case: { $eq: ["$$fixingType", "SELL"] }, then: "SALES" },
+                    { case: { $eq: ["$$fixingType", "PURCHASE"] }, then: "PURCHASES" },
+                  ],
+                  default: null,
+                },
+              },
+            },
+          },
+        },
+      },
+      {
+        $addFields: {
+          postings: {
+            $switch: {
+              branches: Object.entries(REGISTRY_TYPE_MAP).map(([type, mapping]) => ({
+                case: { $eq: ["$normType", type] },
+                then: postingsFor(mapping),
+              })),
+              default: [posting("SUSPENSE", false, false)],
+            },
+          },
+        },
+      },
+      { $project: { voucher: 0, fixing: 0 } },
+      { $unwind: "$postings" },
+    ];
+  }
+
+  /**
+   * Posted totals per account (and per party on party accounts), split into what fell
+   * before the start date and what fell inside the range.
+   */
+  static async loadBalances(filters) {
+    const pipeline = this.buildPostingPipeline(filters);
+    pipeline.push({
+      $group: {
+        _id: {
+          account: "$postings.account",
+          party: "$postings.party",
+          beforeRange: filters.startDate ? { $lt: ["$transactionDate", filters.startDate] } : false,
+          unmappedType: { $cond: [{ $eq: ["$postings.account", "SUSPENSE"] }, "$normType", null] },
+        },
+        debit: { $sum: "$postings.debit" },
+        credit: { $sum: "$postings.credit" },
+        rows: { $sum: 1 },
+      },
+    });
+
+    const groups = await Registry.aggregate(pipeline).allowDiskUse(true);
+
+    const accounts = new Map();
+    const unmappedTypes = new Set();
+    for (const group of groups) {
+      const { account: key, party, beforeRange, unmappedType } = group._id;
+      if (unmappedType) unmappedTypes.add(unmappedType);
+
+      if (!accounts.has(key)) {
+        accounts.set(key, {
+          opening: { debit: 0, credit: 0 },
+          period: { debit: 0, credit: 0 },
+          rows: 0,
+          parties: new Map(),
+        });
+      }
+      const entry = accounts.get(key);
+      const bucket = beforeRange ? entry.opening : entry.period;
+      bucket.debit += group.debit;
+      bucket.credit += group.credit;
+      entry.rows += group.rows;
+
+      if (party) {
+        const id = party.toString();
+        entry.parties.set(id, (entry.parties.get(id) || 0) + group.debit - group.credit);
+      }
+    }
+
+    return { accounts, unmappedTypes: [...unmappedTypes] };
+  }
+
+  static describe(account) {
+    return { key: account.key, code: account.code, name: account.name, class: account.class };
+  }
+
+  static async getTrialBalance(rawFilters = {}) {
+    const filters = this.parseFilters(rawFilters);
+    const { accounts, unmappedTypes } = await this.loadBalances(filters);
+
+    const sections = { cash: [], gold: [] };
+    for (const account of CHART_OF_ACCOUNTS) {
+      const entry = accounts.get(account.key);
+      if (!entry) continue;
+
+      const decimals = decimalsOf(account);
+      const openingNet = entry.opening.debit - entry.opening.credit;
+      const closingNet = openingNet + entry.period.debit - entry.period.credit;
+      sections[account.measure].push({
+        ...this.describe(account),
+        opening: round(openingNet, decimals),
+        debit: round(entry.period.debit, decimals),
+        credit: round(entry.period.credit, decimals),
+        closingDebit: round(Math.max(0, closingNet), decimals),
+        closingCredit: round(Math.max(0, -closingNet), decimals),
+        rows: entry.rows,
+      });
+    }
+
+    const totals = (lines, decimals) => {
+      const sum = (field) => round(lines.reduce((s, l) => s + l[field], 0), decimals);
+      const result = {
+        debit: sum("debit"),
+        credit: sum("credit"),
+        closingDebit: sum("closingDebit"),
+        closingCredit: sum("closingCredit"),
+      };
+      result.difference = round(result.closingDebit - result.closingCredit, decimals);
+      result.balanced = Math.abs(result.difference) < TOLERANCE;
+      return result;
+    };
+
+    return {
+      filters,
+      unit: "base currency",
+      accounts: sections.cash,
+      totals: totals(sections.cash, 2),
+      metal: {
+        unit: "grams",
+        accounts: sections.gold,
+        totals: totals(sections.gold, 3),
+      },
+      unmappedTypes,
+    };
+  }
+
+  static nominalLines(accounts, accountClass, field) {
+    return CHART_OF_ACCOUNTS.filter((a) => a.class === accountClass && a.measure === "cash").map((account) => {
+      const entry = accounts.get(account.key);
+      const movement = (bucket) => (bucket ? bucket.credit - bucket.debit : 0);
+      const net =
+        field === "period"
+          ? movement(entry?.period)
+          : movement(entry?.opening) + movement(entry?.period);
+      // Income is shown as a credit balance, expenses as a debit balance
+      return { ...this.describe(account), amount: round(accountClass === "income" ? net : -net) };
+    });
+  }
+
+  static async getProfitAndLoss(rawFilters = {}) {
+    const filters = this.parseFilters(rawFilters);
+    const { accounts, unmappedTypes } = await this.loadBalances(filters);
+
+    const income = this.nominalLines(accounts, "income", "period");
+    const expenses = this.nominalLines(accounts, "expense", "period");
+    const totalIncome = round(income.reduce((s, l) => s + l.amount, 0));
+    const totalExpenses = round(expenses.reduce((s, l) => s + l.amount, 0));
+
+    return {
+      filters,
+      unit: "base currency",
+      income,
+      expenses,
+      totalIncome,
+      totalExpenses,
+      netProfit: round(totalIncome - totalExpenses),
+      unmappedTypes,
+    };
+  }
+
+  // Balance sheet as at the end date; a from-date only limits the "current period" profit
+  static async getBalanceSheet(rawFilters = {}) {
+    const filters = this.parseFilters(rawFilters);
+    const { accounts, unmappedTypes } = await this.loadBalances(filters);
+
+    const closing = (key) => {
+      const entry = accounts.get(key);
+      if (!entry) return 0;
+      return entry.opening.debit + entry.period.debit - entry.opening.credit - entry.period.credit;
+    };
+
+    const assets = [];
+    const liabilities = [];
+    const equity = [];
+    for (const account of CHART_OF_ACCOUNTS.filter((a) => a.measure === "cash")) {
+      if (["income", "expense"].includes(account.class) || !accounts.has(account.key)) continue;
+
+      // Party accounts split into what parties owe us and what we owe them
+      if (account.key === "PARTY_CASH") {
+        const nets = [...accounts.get(account.key).parties.values()];
+        assets.push({
+          ...this.describe(account),
+          name: "Trade debtors",
+          amount: round(nets.filter((n) => n > 0).reduce((s, n) => s + n, 0)),
+        });
+        liabilities.push({
+          ...this.describe(account),
+          name: "Trade creditors",
+          amount: round(-nets.filter((n) => n < 0).reduce((s, n) => s + n, 0)),
+        });
+        continue;
+      }
+
+      const net = closing(account.key);
+      const line = { ...this.describe(account), amount: round(isDebitNormal(account) ? net : -net) };
+      if (account.class === "asset") assets.push(line);
+      else if (account.class === "liability") liabilities.push(line);
+      else equity.push(line);
+    }
+
+    const lifetimeIncome = this.nominalLines(accounts, "income", "closing").reduce((s, l) => s + l.amount, 0);
+    const lifetimeExpenses = this.nominalLines(accounts, "expense", "closing").reduce((s, l) => s + l.amount, 0);
+    const periodIncome = this.nominalLines(accounts, "income", "period").reduce((s, l) => s + l.amount, 0);
+    const periodExpenses = this.nominalLines(accounts, "expense", "period").reduce((s, l) => s + l.amount, 0);
+    const currentProfit = filters.startDate ? periodIncome - periodExpenses : lifetimeIncome - lifetimeExpenses;
+    const retainedEarnings = lifetimeIncome - lifetimeExpenses - currentProfit;
+
+    equity.push(
+      { key: "RETAINED_EARNINGS", code: null, name: "Retained earnings", class: "equity", amount: round(retainedEarnings) },
+      { key: "CURRENT_PROFIT", code: null, name: "Current period profit", class: "equity", amount: round(currentProfit) }
+    );
+
+    const total = (lines) => round(lines.reduce((s, l) => s + l.amount, 0));
+    const totalAssets = total(assets);
+    const totalLiabilities = total(liabilities);
+    const totalEquity = total(equity);
+    const difference = round(totalAssets - totalLiabilities - totalEquity);
+
+    const metal = CHART_OF_ACCOUNTS.filter((a) => a.measure === "gold" && accounts.has(a.key)).map((account) => ({
+      ...this.describe(account),
+      grams: round(isDebitNormal(account) ? closing(account.key) : -closing(account.key), 3),
+    }));
+
+    return {
+      filters,
+      asOf: filters.endDate,
+      unit: "base currency",
+      assets,
+      liabilities,
+      equity,
+      totalAssets,
+      totalLiabilities,
+      totalEquity,
+      difference,
+      balanced: Math.abs(difference) < TOLERANCE,
+      metal: { unit: "grams", accounts: metal },
+      unmappedTypes,
+    };
+  }
+
+  // Registry rows behind one account's figure, with the amount each posted
+  static async getAccountRows(rawFilters = {}) {
+    const filters = this.parseFilters(rawFilters);
+    const account = ACCOUNTS.get(rawFilters.account);
+    if (!account) {
+      throw createAppError(`Unknown account ${rawFilters.account}`, 400, "INVALID_ACCOUNT");
+    }
+
+    const page = Math.max(1, parseInt(rawFilters.page) || 1);
+    const limit = Math.min(500, Math.max(1, parseInt(rawFilters.limit) || DEFAULT_PAGE_SIZE));
+
+    const rowMatch = { "postings.account": account.key };
+    if (filters.startDate) rowMatch.transactionDate = { $gte: filters.startDate };
+    if (rawFilters.party) {
+      if (!mongoose.Types.ObjectId.isValid(rawFilters.party)) {
+        throw createAppError("Invalid party ID", 400, "INVALID_PARTY_ID");
+      }
+      rowMatch["postings.party"] = new mongoose.Types.ObjectId(rawFilters.party);
+    }
+
+    const pipeline = this.buildPostingPipeline(filters);
+    pipeline.push(
+      { $match: rowMatch },
+      { $sort: { transactionDate: 1, createdAt: 1 } },
+      {
+        $facet: {
+          rows: [
+            { $skip: (page - 1) * limit },
+            { $limit: limit },
+            {
+              $project: {
+                transactionId: 1,
+                type: 1,
+                description: 1,
+                reference: 1,
+                party: 1,
+                costCenter: 1,
+                currency: 1,
+                conversionRate: 1,
+                transactionDate: 1,
+                metalTransactionId: 1,
+                fixingTransactionId: 1,
+                EntryTransactionId: 1,
+                TransferTransactionId: 1,
+                registryDebit: "$debit",
+                registryCredit: "$credit",
+                debit: "$postings.debit",
+                credit: "$postings.credit",
+              },
+            },
+          ],
+          totals: [
+            {
+              $group: {
+                _id: null,
+                count: { $sum: 1 },
+                debit: { $sum: "$postings.debit" },
+                credit: { $sum: "$postings.credit" },
+              },
+            },
+          ],
+        },
+      }
+    );
+
+    const [result] = await Registry.aggregate(pipeline).allowDiskUse(true);
+    const totals = result.totals[0] || { count: 0, debit: 0, credit: 0 };
+    const decimals = decimalsOf(account);
+
+    return {
+      account: { ...this.describe(account), measure: account.measure },
+      filters,
+      rows: result.rows,
+      totals: {
+        debit: round(totals.debit, decimals),
+        credit: round(totals.credit, decimals),
+        net: round(totals.debit - totals.credit, decimals),
+      },
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(totals.count / limit),
+        totalItems: totals.count,
+        hasNext: page < Math.ceil(totals.count / limit),
+        hasPrev: page > 1,
+      },
+    };
+  }
+}
+
+export default FinancialStatementService;
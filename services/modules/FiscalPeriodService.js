@@ -0,0 +1,335 @@
+import mongoose from "mongoose";
+import FiscalPeriod from "../../models/modules/FiscalPeriod.js";
+import Account from "../../models/modules/AccountType.js";
+import Admin from "../../models/core/adminModel.js";
+import { createAppError } from "../../utils/errorHandler.js";
+
+class FiscalPeriodService {
+  // Create new fiscal period
+  static async createPeriod(periodData, adminId) {
+    try {
+      const startDate = new Date(periodData.startDate);
+      const endDate = new Date(periodData.endDate);
+      if (isNaN(startDate.getTime()) || isNaN(endDate.getTime())) {
+        throw createAppError("Valid start and end dates are required", 400, "INVALID_DATE");
+      }
+
+      const overlaps = await FiscalPeriod.hasOverlap(startDate, endDate);
+      if (overlaps) {
+        throw createAppError(
+          "Fiscal period overlaps an existing period",
+          409,
+          "PERIOD_OVERLAP"
+        );
+      }
+
+      const period = new FiscalPeriod({
+        code: periodData.code,
+        description: periodData.description,
+        startDate,
+        endDate,
+        createdBy: adminId,
+      });
+
+      await period.save();
+      return period;
+    } catch (error) {
+      if (error.code === 11000) {
+        throw createAppError("Fiscal period code already exists", 409, "DUPLICATE_PERIOD");
+      }
+      throw error;
+    }
+  }
+
+  // Get all fiscal periods (snapshots and overrides are excluded from the list)
+  static async getAllPeriods(page = 1, limit = 10, filters = {}) {
+    const skip = (page - 1) * limit;
+    const query = { isActive: true };
+
+    if (filters.status) {
+      query.status = filters.status;
+    }
+    if (filters.year) {
+      query.startDate = { $lte: new Date(`${filters.year}-12-31T23:59:59.999Z`) };
+      query.endDate = { $gte: new Date(`${filters.year}-01-01T00:00:00.000Z`) };
+    }
+
+    const [periods, total] = await Promise.all([
+      FiscalPeriod.find(query)
+        .select("-balanceSnapshots -overrides")
+        .populate("closedBy", "name email")
+        .populate("createdBy", "name email")
+        .sort({ startDate: -1 })
+        .skip(skip)
+        .limit(limit),
+      FiscalPeriod.countDocuments(query),
+    ]);
+
+    return {
+      periods,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        itemsPerPage: limit,
+      },
+    };
+  }
+
+  // Get fiscal period by ID
+  static async getPeriodById(id) {
+    const period = await FiscalPeriod.findOne({ _id: id, isActive: true })
+      .populate("closedBy", "name email")
+      .populate("createdBy", "name email")
+      .populate("overrides.admin", "name email type")
+      .populate("balanceSnapshots.party", "accountCode customerName");
+
+    if (!period) {
+      throw createAppError("Fiscal period not found", 404, "PERIOD_NOT_FOUND");
+    }
+    return period;
+  }
+
+  // Update an open period's description or date range
+  static async updatePeriod(id, updateData, adminId) {
+    const period = await FiscalPeriod.findOne({ _id: id, isActive: true });
+    if (!period) {
+      throw createAppError("Fiscal period not found", 404, "PERIOD_NOT_FOUND");
+    }
+    if (period.status !== "open") {
+      throw createAppError(
+        "Only open fiscal periods can be edited",
+        400,
+        "PERIOD_NOT_OPEN"
+      );
+    }
+
+    const startDate = updateData.startDate ? new Date(updateData.startDate) : period.startDate;
+    const endDate = updateData.endDate ? new Date(updateData.endDate) : period.endDate;
+    if (await FiscalPeriod.hasOverlap(startDate, endDate, period._id)) {
+      throw createAppError(
+        "Fiscal period overlaps an existing period",
+        409,
+        "PERIOD_OVERLAP"
+      );
+    }
+
+    period.startDate = startDate;
+    period.endDate = endDate;
+    if (updateData.description !== undefined) period.description = updateData.description;
+    period.updatedBy = adminId;
+
+    await period.save();
+    return period;
+  }
+
+  /**
+   * Close a period (soft or hard) and snapshot party gold/cash balances
+   * from Account.balances so later reports can start from them.
+   */
+  static async closePeriod(id, status, adminId) {
+    if (!["soft-closed", "hard-closed"].includes(status)) {
+      throw createAppError(
+        "Status must be 'soft-closed' or 'hard-closed'",
+        400,
+        "INVALID_PERIOD_STATUS"
+      );
+    }
+
+    const session = await mongoose.startSession();
+    try {
+      let period;
+      await session.withTransaction(async () => {
+        period = await FiscalPeriod.findOne({ _id: id, isActive: true }).session(session);
+        if (!period) {
+          throw createAppError("Fiscal period not found", 404, "PERIOD_NOT_FOUND");
+        }
+        if (period.status === "hard-closed") {
+          throw createAppError(
+            "Fiscal period is already hard-closed",
+            400,
+            "PERIOD_HARD_CLOSED"
+          );
+        }
+        if (period.status === status) {
+          throw createAppError(`Fiscal period is already ${status}`, 400, "PERIOD_ALREADY_CLOSED");
+        }
+
+        // Refresh the snapshot whenever the period moves to a closed state
+        period.balanceSnapshots = await this.buildBalanceSnapshots(session);
+        period.status = status;
+        period.closedAt = new Date();
+        period.closedBy = adminId;
+        period.updatedBy = adminId;
+
+        await period.save({ session });
+      });
+
+      return period;
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  // Re-open a soft-closed period; hard-closed periods stay locked
+  static async reopenPeriod(id, adminId) {
+    const period = await FiscalPeriod.findOne({ _id: id, isActive: true });
+    if (!period) {
+      throw createAppError("Fiscal period not found", 404, "PERIOD_NOT_FOUND");
+    }
+    if (period.status === "hard-closed") {
+      throw createAppError(
+        "Hard-closed fiscal periods cannot be reopened",
+        400,
+        "PERIOD_HARD_CLOSED"
+      );
+    }
+    if (period.status === "open") {
+      throw createAppError("Fiscal period is already open", 400, "PERIOD_ALREADY_OPEN");
+    }
+
+    period.status = "open";
+    period.closedAt = null;
+    period.closedBy = null;
+    period.updatedBy = adminId;
+
+    await period.save();
+    return period;
+  }
+
+  static async buildBalanceSnapshots(session = null) {
+    const query = Account.find({ isActive: true })
+      .select("accountCode customerName balances")
+      .lean();
+    if (session) query.session(session);
+    const accounts = await query;
+
+    return accounts.map((account) => {
+      const cashBalance = {
+        currency: account.balances?.cashBalance?.currency || null,
+        amount: account.balances?.cashBalance?.amount || 0,
+      };
+      // Accounts not yet moved to sub-balances hold the whole balance in the cash currency
+      const cashBalances = account.balances?.cashBalances?.length
+        ? account.balances.cashBalances.map(({ currency, amount, baseAmount }) => ({
+            currency,
+            amount: amount || 0,
+            baseAmount: baseAmount || 0,
+          }))
+        : cashBalance.currency && cashBalance.amount
+          ? [{ currency: cashBalance.currency, amount: cashBalance.amount, baseAmount: cashBalance.amount }]
+          : [];
+
+      return {
+        party: account._id,
+        accountCode: account.accountCode,
+        customerName: account.customerName,
+        goldBalance: {
+          totalGrams: account.balances?.goldBalance?.totalGrams || 0,
+          totalValue: account.balances?.goldBalance?.totalValue || 0,
+        },
+        cashBalance,
+        cashBalances,
+        totalOutstanding: account.balances?.totalOutstanding || 0,
+      };
+    });
+  }
+
+  /**
+   * Shared guard for voucher create/update/delete. Rejects any voucher date that
+   * falls inside a closed period. A soft-closed period can be overridden by a
+   * super_admin who supplies `override.reason`; the override is recorded on the
+   * period. Hard-closed periods cannot be overridden.
+   *
+   * Callers that cannot run the voucher write in the same session pass `defer: true`
+   * and hand the returned overrides to recordOverrides() once the write has succeeded.
+   *
+   * @param {Date|string|Array} voucherDates - date(s) touched by the change (old and new)
+   * @param {Object} context - { adminId, action, voucherType, voucherId, voucherNumber, override, session, defer }
+   * @returns {Promise<Array>} overrides applied - [{ periodId, entry }]
+   */
+  static async assertPeriodOpen(voucherDates, context = {}) {
+    const {
+      adminId,
+      action = "update",
+      voucherType = null,
+      voucherId = null,
+      voucherNumber = null,
+      override = null,
+      session = null,
+      defer = false,
+    } = context;
+
+    const dates = (Array.isArray(voucherDates) ? voucherDates : [voucherDates])
+      .filter(Boolean)
+      .map((date) => new Date(date))
+      .filter((date) => !isNaN(date.getTime()));
+
+    const overrides = [];
+    for (const date of dates) {
+      const period = await FiscalPeriod.findByDate(date, session);
+      if (!period || period.status === "open") continue;
+
+      const dateLabel = date.toISOString().split("T")[0];
+
+      if (period.status === "hard-closed") {
+        throw createAppError(
+          `Voucher date ${dateLabel} falls in hard-closed period ${period.code}`,
+          423,
+          "PERIOD_HARD_CLOSED"
+        );
+      }
+
+      if (!override?.reason) {
+        throw createAppError(
+          `Voucher date ${dateLabel} falls in closed period ${period.code}`,
+          423,
+          "PERIOD_CLOSED"
+        );
+      }
+
+      const admin = await Admin.findById(adminId).select("type");
+      if (!admin || admin.type !== "super_admin") {
+        throw createAppError(
+          "Only a super admin can override a closed period",
+          403,
+          "PERIOD_OVERRIDE_FORBIDDEN"
+        );
+      }
+
+      overrides.push({
+        periodId: period._id,
+        entry: {
+          admin: adminId,
+          action,
+          voucherType,
+          voucherId,
+          voucherNumber,
+          voucherDate: date,
+          reason: override.reason,
+        },
+      });
+    }
+
+    if (!defer) await this.recordOverrides(overrides, session);
+    return overrides;
+  }
+
+  /**
+   * Record closed-period overrides returned by assertPeriodOpen on their periods.
+   *
+   * @param {Array} overrides - [{ periodId, entry }]
+   * @param {Object} [session]
+   */
+  static async recordOverrides(overrides = [], session = null) {
+    for (const { periodId, entry } of overrides) {
+      await FiscalPeriod.updateOne(
+        { _id: periodId },
+        { $push: { overrides: entry } },
+        session ? { session } : {}
+      );
+    }
+  }
+}
+
+export default FiscalPeriodService;
@@ -0,0 +1,350 @@
+import mongoose from "mongoose";
+import FixingAllocation from "../../models/modules/FixingAllocation.js";
+import MetalTransaction from "../../models/modules/MetalTransaction.js";
+import TransactionFixing from "../../models/modules/TransactionFixing.js";
+import { createAppError } from "../../utils/errorHandler.js";
+
+// Weights are compared to the milligram
+const WEIGHT_TOLERANCE = 0.001;
+
+// Fixing type -> voucher types whose unfixed weight it closes
+const MATCHING_VOUCHER_TYPES = {
+  purchase: ["purchase"],
+  sell: ["sale"],
+};
+
+/**
+ * Allocation of TransactionFixing orders against unfixed MetalTransaction weight.
+ *
+ * Each fixing order (metal type + grams) is spread over the party's open unfixed
+ * vouchers of the matching type, oldest first, unless the caller passes explicit
+ * allocations. Any weight left over stays unallocated on the fixing. A voucher's
+ * fixingStatus/fixedWeight is always recomputed from its active allocations.
+ */
+class FixingAllocationService {
+  static getMatchingVoucherTypes(fixingType) {
+    return MATCHING_VOUCHER_TYPES[fixingType?.toLowerCase()] || [];
+  }
+
+  // Pure weight on the voucher for one metal type (all metals when none given)
+  static getVoucherWeight(voucher, metalType = null) {
+    return (voucher.stockItems || [])
+      .filter(
+        (item) => !metalType || item.metalRate?.toString() === metalType.toString()
+      )
+      .reduce((sum, item) => sum + (item.pureWeight || 0), 0);
+  }
+
+  // Active allocated weight keyed by `${voucherId}:${metalType}`
+  static async getAllocatedWeights(voucherIds, session = null) {
+    if (!voucherIds.length) return new Map();
+
+    const pipeline = FixingAllocation.aggregate([
+      {
+        $match: {
+          metalTransactionId: { $in: voucherIds.map((id) => new mongoose.Types.ObjectId(id)) },
+          status: "active",
+        },
+      },
+      {
+        $group: {
+          _id: { voucher: "$metalTransactionId", metalType: "$metalType" },
+          allocatedWeight: { $sum: "$allocatedWeight" },
+        },
+      },
+    ]);
+    if (session) pipeline.session(session);
+    const rows = await pipeline;
+
+    return new Map(
+      rows.map((row) => [
+        `${row._id.voucher}:${row._id.metalType}`,
+        row.allocatedWeight,
+      ])
+    );
+  }
+
+  static getAllocatedForVoucher(allocated, voucherId, metalType = null) {
+    let total = 0;
+    for (const [key, weight] of allocated) {
+      const [voucher, metal] = key.split(":");
+      if (voucher === voucherId.toString() && (!metalType || metal === metalType.toString())) {
+        total += weight;
+      }
+    }
+    return total;
+  }
+
+  // Posted, live, unfixed vouchers of the party in FIFO order
+  static async getOpenVouchers(partyId, transactionTypes, session = null) {
+    const query = MetalTransaction.find({
+      partyCode: partyId,
+      transactionType: { $in: transactionTypes },
+      isActive: true,
+      unfix: true,
+      fixingStatus: { $ne: "fixed" },
+      approvalStatus: "approved",
+      status: { $nin: ["cancelled", "reversed"] },
+      isReversal: { $ne: true },
+    })
+      .select("voucherNumber voucherDate transactionType stockItems.metalRate stockItems.pureWeight createdAt")
+      .sort({ voucherDate: 1, createdAt: 1 })
+      .lean();
+    if (session) query.session(session);
+    return query;
+  }
+
+  /**
+   * Allocate a fixing against open vouchers.
+   * @param {Object} fixing - TransactionFixing document
+   * @param {Object} options - { allocations: [{ metalTransactionId, metalType, weight }], adminId, session }
+   *   When allocations are given they replace FIFO matching entirely.
+   */
+  static async allocateFixing(fixing, options = {}) {
+    const { allocations, adminId, session = null } = options;
+    // partyId may arrive populated
+    const partyId = fixing.partyId?._id || fixing.partyId;
+    const voucherTypes = this.getMatchingVoucherTypes(fixing.type);
+
+    // Fixing quantity and price per metal type
+    const orderTotals = new Map();
+    for (const order of fixing.orders || []) {
+      const metalType = (order.metalType?._id || order.metalType).toString();
+      const current = orderTotals.get(metalType) || { quantity: 0, value: 0 };
+      current.quantity += order.quantityGm || 0;
+      current.value += (order.price || 0) * (order.quantityGm || 0);
+      orderTotals.set(metalType, current);
+    }
+
+    const vouchers = await this.getOpenVouchers(partyId, voucherTypes, session);
+    const allocated = await this.getAllocatedWeights(
+      vouchers.map((v) => v._id),
+      session
+    );
+
+    const remainingFor = (voucher, metalType) =>
+      this.getVoucherWeight(voucher, metalType) -
+      (allocated.get(`${voucher._id}:${metalType}`) || 0);
+
+    const method = Array.isArray(allocations) && allocations.length > 0 ? "manual" : "fifo";
+    const planned = [];
+
+    if (method === "manual") {
+      const voucherMap = new Map(vouchers.map((v) => [v._id.toString(), v]));
+      const usedByMetal = new Map();
+
+      for (const [index, entry] of allocations.entries()) {
+        const voucher = voucherMap.get(entry.metalTransactionId?.toString());
+        if (!voucher) {
+          throw createAppError(
+            `Allocation ${index + 1}: voucher is not an open unfixed ${voucherTypes.join("/")} voucher of this party`,
+            400,
+            "INVALID_ALLOCATION_VOUCHER"
+          );
+        }
+
+        const metalType = (entry.metalType || [...orderTotals.keys()][0])?.toString();
+        if (!orderTotals.has(metalType)) {
+          throw createAppError(
+            `Allocation ${index + 1}: metal type is not on the fixing`,
+            400,
+            "INVALID_ALLOCATION_METAL"
+          );
+        }
+
+        const weight = parseFloat(entry.weight);
+        if (!weight || weight <= 0) {
+          throw createAppError(
+            `Allocation ${index + 1}: weight must be positive`,
+            400,
+            "INVALID_ALLOCATION_WEIGHT"
+          );
+        }
+
+        const key = `${voucher._id}:${metalType}`;
+        const remaining = remainingFor(voucher, metalType);
+        if (weight - remaining > WEIGHT_TOLERANCE) {
+          throw createAppError(
+            `Allocation ${index + 1}: ${weight}g exceeds the ${remaining.toFixed(3)}g left unfixed on voucher ${voucher.voucherNumber}`,
+            400,
+            "ALLOCATION_EXCEEDS_VOUCHER"
+          );
+        }
+
+        const used = (usedByMetal.get(metalType) || 0) + weight;
+        if (used - orderTotals.get(metalType).quantity > WEIGHT_TOLERANCE) {
+          throw createAppError(
+            `Allocations exceed the fixed quantity of ${orderTotals.get(metalType).quantity}g`,
+            400,
+            "ALLOCATION_EXCEEDS_FIXING"
+          );
+        }
+        usedByMetal.set(metalType, used);
+        allocated.set(key, (allocated.get(key) || 0) + weight);
+        planned.push({ voucher, metalType, weight });
+      }
+    } else {
+      for (const [metalType, totals] of orderTotals) {
+        let toAllocate = totals.quantity;
+        for (const voucher of vouchers) {
+          if (toAllocate <= WEIGHT_TOLERANCE) break;
+          const remaining = remainingFor(voucher, metalType);
+          if (remaining <= WEIGHT_TOLERANCE) continue;
+
+          const weight = Math.min(remaining, toAllocate);
+          const key = `${voucher._id}:${metalType}`;
+          allocated.set(key, (allocated.get(key) || 0) + weight);
+          planned.push({ voucher, metalType, weight });
+          toAllocate -= weight;
+        }
+      }
+    }
+
+    const docs = planned.map(({ voucher, metalType, weight }) => {
+      const totals = orderTotals.get(metalType);
+      return {
+        fixingTransactionId: fixing._id,
+        metalTransactionId: voucher._id,
+        party: partyId,
+        metalType,
+        allocatedWeight: weight,
+        price: totals.quantity > 0 ? totals.value / totals.quantity : 0,
+        method,
+        createdBy: adminId,
+      };
+    });
+
+    if (docs.length) {
+      await FixingAllocation.insertMany(docs, { session });
+      await this.refreshVoucherStatus(
+        [...new Set(docs.map((d) => d.metalTransactionId.toString()))],
+        session
+      );
+    }
+
+    const totalFixed = [...orderTotals.values()].reduce((sum, t) => sum + t.quantity, 0);
+    const totalAllocated = docs.reduce((sum, d) => sum + d.allocatedWeight, 0);
+
+    return {
+      method,
+      allocations: docs,
+      totalFixed,
+      totalAllocated,
+      unallocatedWeight: Math.max(0, totalFixed - totalAllocated),
+    };
+  }
+
+  // Release every active allocation of a fixing and reopen the vouchers it covered
+  static async releaseFixing(fixingId, adminId = null, session = null) {
+    return this.releaseAllocations({ fixingTransactionId: fixingId }, adminId, session);
+  }
+
+  // Release allocations against a voucher (e.g. when it is reversed) so the fix can be reused
+  static async releaseVoucher(voucherId, adminId = null, session = null) {
+    return this.releaseAllocations({ metalTransactionId: voucherId }, adminId, session);
+  }
+
+  static async releaseAllocations(filter, adminId, session) {
+    const query = FixingAllocation.find({ ...filter, status: "active" })
+      .select("metalTransactionId")
+      .lean();
+    if (session) query.session(session);
+    const active = await query;
+    if (!active.length) return 0;
+
+    await FixingAllocation.updateMany(
+      { _id: { $in: active.map((a) => a._id) } },
+      { status: "released", releasedBy: adminId, releasedAt: new Date() },
+      { session }
+    );
+    await this.refreshVoucherStatus(
+      [...new Set(active.map((a) => a.metalTransactionId.toString()))],
+      session
+    );
+    return active.length;
+  }
+
+  // Recompute fixedWeight/fixingStatus from active allocations
+  static async refreshVoucherStatus(voucherIds, session = null) {
+    if (!voucherIds.length) return;
+
+    const query = MetalTransaction.find({ _id: { $in: voucherIds } })
+      .select("stockItems.pureWeight")
+      .lean();
+    if (session) query.session(session);
+    const vouchers = await query;
+    const allocated = await this.getAllocatedWeights(voucherIds, session);
+
+    for (const voucher of vouchers) {
+      const totalWeight = this.getVoucherWeight(voucher);
+      const fixedWeight = this.getAllocatedForVoucher(allocated, voucher._id);
+
+      let fixingStatus = "unfixed";
+      if (fixedWeight > WEIGHT_TOLERANCE) {
+        fixingStatus = totalWeight - fixedWeight <= WEIGHT_TOLERANCE ? "fixed" : "partial";
+      }
+
+      // updateOne keeps the voucher's optimistic-concurrency version untouched
+      await MetalTransaction.updateOne(
+        { _id: voucher._id },
+        { $set: { fixedWeight, fixingStatus } },
+        { session }
+      );
+    }
+  }
+
+  // Manual override: replace a fixing's allocations with the ones given
+  static async reallocateFixing(fixingId, allocations, adminId) {
+    if (!mongoose.Types.ObjectId.isValid(fixingId)) {
+      throw createAppError("Invalid Transaction ID", 400, "INVALID_ID");
+    }
+
+    const session = await mongoose.startSession();
+    try {
+      let result;
+      await session.withTransaction(async () => {
+        const fixing = await TransactionFixing.findById(fixingId).session(session);
+        if (!fixing || !fixing.isActive || fixing.status !== "active") {
+          throw createAppError("Active fixing transaction not found", 404, "NOT_FOUND");
+        }
+
+        await this.releaseFixing(fixing._id, adminId, session);
+        result = await this.allocateFixing(fixing, { allocations, adminId, session });
+      });
+      return result;
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  static async getFixingAllocations(fixingId) {
+    if (!mongoose.Types.ObjectId.isValid(fixingId)) {
+      throw createAppError("Invalid Transaction ID", 400, "INVALID_ID");
+    }
+
+    const fixing = await TransactionFixing.findById(fixingId).select("orders").lean();
+    if (!fixing) {
+      throw createAppError("Transaction not found", 404, "NOT_FOUND");
+    }
+
+    const allocations = await FixingAllocation.find({ fixingTransactionId: fixingId })
+      .populate("metalTransactionId", "voucherNumber voucherDate transactionType fixingStatus fixedWeight")
+      .populate("metalType", "rateType")
+      .populate("createdBy", "name email")
+      .sort({ createdAt: 1 });
+
+    const totalFixed = fixing.orders.reduce((sum, o) => sum + (o.quantityGm || 0), 0);
+    const totalAllocated = allocations
+      .filter((a) => a.status === "active")
+      .reduce((sum, a) => sum + a.allocatedWeight, 0);
+
+    return {
+      allocations,
+      totalFixed,
+      totalAllocated,
+      unallocatedWeight: Math.max(0, totalFixed - totalAllocated),
+    };
+  }
+}
+
+export default FixingAllocationService;
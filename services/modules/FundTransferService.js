@@ -1,6 +1,7 @@
 import Registry from "../../models/modules/Registry.js";
 import AccountType from "../../models/modules/AccountType.js";
 import FundTransfer from "../../models/modules/FundTransfer.js";
+import CurrencyMaster from "../../models/modules/CurrencyMaster.js";
 import { createAppError } from "../../utils/errorHandler.js"; // Assuming createAppError is exported from a utility file
 
 class FundTransferService {
@@ -10,7 +11,8 @@ class FundTransferService {
     value,
     assetType,
     adminId,
-    voucher
+    voucher,
+    currency = null
   ) {
     try {
       // Remove or modify the negative value validation
@@ -45,7 +47,8 @@ class FundTransferService {
           receiverAccount,
           value,
           adminId,
-          voucher
+          voucher,
+          currency
         );
       }
 
@@ -68,7 +71,7 @@ class FundTransferService {
     }
   }
 
-  static async openingBalanceTransfer(receiverId, value, adminId, assetType, voucher) {
+  static async openingBalanceTransfer(receiverId, value, adminId, assetType, voucher, currency = null) {
     
     try {
       // ✅ Move these up top to avoid ReferenceError
@@ -99,19 +102,20 @@ class FundTransferService {
         // 🟡 Step 2: Revert previous value
         const revertValue = existingOpening.credit || -existingOpening.debit;
 
+        let updatedRunningBalance;
         if (assetType === "CASH") {
-          receiverAccount.balances.cashBalance.amount -= revertValue;
-          receiverAccount.balances.cashBalance.amount += value;
+          const cash = await resolveCashCurrency(receiverAccount, existingOpening.currency || currency, voucher);
+          updatedRunningBalance = receiverAccount.applyCashMovement(
+            cash.currency,
+            value - revertValue,
+            cash.conversionRate
+          ).balance;
         } else {
           receiverAccount.balances.goldBalance.totalGrams -= revertValue;
           receiverAccount.balances.goldBalance.totalGrams += value;
+          updatedRunningBalance = receiverAccount.balances.goldBalance.totalGrams;
         }
 
-        const updatedRunningBalance =
-          assetType === "CASH"
-            ? receiverAccount.balances.cashBalance.amount
-            : receiverAccount.balances.goldBalance.totalGrams;
-
         const previousBalance = updatedRunningBalance - value;
         // 🟡 Step 3: Update Registry
         const a = await Registry.updateMany(
@@ -158,15 +162,20 @@ class FundTransferService {
 
       // ➕ Handle new opening balance
       if (assetType === "CASH") {
-        const previousBalance = receiverAccount.balances.cashBalance.amount;
-        receiverAccount.balances.cashBalance.amount += value;
-        const runningBalance = receiverAccount.balances.cashBalance.amount;
+        const cash = await resolveCashCurrency(receiverAccount, currency, voucher);
+        const { previousBalance, balance: runningBalance } = receiverAccount.applyCashMovement(
+          cash.currency,
+          value,
+          cash.conversionRate
+        );
 
         const fundTransfer = new FundTransfer({
           transactionId: await FundTransfer.generateTransactionId(),
           description: `OPENING CASH BALANCE FOR ${receiverAccount.customerName}`,
           value: absoluteValue,
           assetType: "CASH",
+          currency: cash.currency,
+          conversionRate: cash.conversionRate,
           receivingParty: {
             party: receiverAccount._id,
             credit: isCredit ? absoluteValue : 0,
@@ -191,6 +200,8 @@ class FundTransferService {
           previousBalance: previousBalance,
           credit: isCredit ? absoluteValue : 0,
           debit: isDebit ? absoluteValue : 0,
+          currency: cash.currency,
+          conversionRate: cash.conversionRate,
           reference: voucher.voucherCode,
           createdBy: adminId,
           party: receiverAccount._id,
@@ -206,6 +217,8 @@ class FundTransferService {
           previousBalance: previousBalance,
           credit: isCredit ? absoluteValue : 0,
           debit: isDebit ? absoluteValue : 0,
+          currency: cash.currency,
+          conversionRate: cash.conversionRate,
           reference: voucher.voucherCode,
           createdBy: adminId,
           party: receiverAccount._id,
@@ -302,35 +315,56 @@ class FundTransferService {
   }
 }
 
+// Cash moves in one currency: the one given, else the sender's cash currency,
+// at the rate effective on the voucher date (today when the voucher has none)
+async function resolveCashCurrency(account, currency, voucher = null) {
+  const currencyId =
+    currency ||
+    account.balances?.cashBalance?.currency ||
+    account.getDefaultCurrency();
+  if (!currencyId) {
+    throw createAppError(
+      `No currency set for ${account.customerName}'s cash balance`,
+      400,
+      "CURRENCY_REQUIRED"
+    );
+  }
+  return {
+    currency: currencyId,
+    conversionRate: await CurrencyMaster.getConversionRate(
+      currencyId,
+      null,
+      voucher?.voucherDate ? new Date(voucher.voucherDate) : new Date()
+    ),
+  };
+}
+
 async function handleCashTransfer(
   senderAccount,
   receiverAccount,
   value,
   adminId,
-  voucher
+  voucher,
+  currency = null
 ) {
   // Calculate the actual amounts to debit/credit based on value sign
   const transferAmount = Math.abs(value);
   const isNegativeTransfer = value < 0;
-
-  // Store previous balances for registry logging
-  const senderPreviousBalance = senderAccount.balances.cashBalance.amount;
-  const receiverPreviousBalance = receiverAccount.balances.cashBalance.amount;
-  console.log(isNegativeTransfer);
-  if (isNegativeTransfer) {
-    // Negative transfer: sender gets credited, receiver gets debited
-    // Example: value = -2000, sender balance = -1000
-    // Result: sender = -1000 + 2000 = 1000, receiver = current - 2000
-    senderAccount.balances.cashBalance.amount -= transferAmount;
-    receiverAccount.balances.cashBalance.amount += transferAmount;
-  } else {
-
-    // Positive transfer: sender gets debited, receiver gets credited
-    // Example: value = 2000, sender balance = -1000
-    // Result: sender = -1000 - 2000 = -3000, receiver = current + 2000
-    senderAccount.balances.cashBalance.amount -= transferAmount;
-    receiverAccount.balances.cashBalance.amount += transferAmount;
-  }
+  const cash = await resolveCashCurrency(senderAccount, currency, voucher);
+
+  // Sender gets debited, receiver gets credited in the transfer currency
+  // Example: value = 2000, sender balance = -1000
+  // Result: sender = -1000 - 2000 = -3000, receiver = current + 2000
+  const senderMovement = senderAccount.applyCashMovement(
+    cash.currency,
+    -transferAmount,
+    cash.conversionRate
+  );
+  const receiverMovement = receiverAccount.applyCashMovement(
+    cash.currency,
+    transferAmount,
+    cash.conversionRate
+  );
 
   // Create fund transfer record
   const fundTransfer = new FundTransfer({
@@ -338,6 +372,8 @@ async function handleCashTransfer(
     description: `CASH TRANSFER FROM ${senderAccount.customerName} TO ${receiverAccount.customerName}`,
     value: value, // Keep original value (including sign)
     assetType: "CASH",
+    currency: cash.currency,
+    conversionRate: cash.conversionRate,
     receivingParty: {
       party: isNegativeTransfer ? senderAccount._id : receiverAccount._id,
       credit: transferAmount,
@@ -358,10 +394,12 @@ async function handleCashTransfer(
     type: "PARTY_CASH_BALANCE",
     description: `FUND TRANSFER FROM ${senderAccount.customerName} TO ${receiverAccount.customerName}`,
     value: Math.abs(value), // Use absolute value for registry
-    runningBalance: senderAccount.balances.cashBalance.amount,
-    previousBalance: senderPreviousBalance,
+    runningBalance: senderMovement.balance,
+    previousBalance: senderMovement.previousBalance,
     debit: transferAmount,
     credit: 0,
+    currency: cash.currency,
+    conversionRate: cash.conversionRate,
     reference: voucher.voucherCode,
     createdBy: adminId,
     party: senderAccount._id,
@@ -374,10 +412,12 @@ async function handleCashTransfer(
     type: "PARTY_CASH_BALANCE",
     description: `FUND TRANSFER TO ${receiverAccount.customerName} FROM ${senderAccount.customerName}`,
     value: Math.abs(value), // Use absolute value for registry
-    runningBalance: receiverAccount.balances.cashBalance.amount,
-    previousBalance: receiverPreviousBalance,
+    runningBalance: receiverMovement.balance,
+    previousBalance: receiverMovement.previousBalance,
     debit: 0,
     credit: transferAmount,
+    currency: cash.currency,
+    conversionRate: cash.conversionRate,
     reference: voucher.voucherCode,
     createdBy: adminId,
     party: receiverAccount._id,
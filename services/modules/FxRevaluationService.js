@@ -0,0 +1,344 @@
+import mongoose from "mongoose";
+import Account from "../../models/modules/AccountType.js";
+import CurrencyMaster from "../../models/modules/CurrencyMaster.js";
+import FxRevaluation from "../../models/modules/FxRevaluation.js";
+import Registry from "../../models/modules/Registry.js";
+import FiscalPeriodService from "./FiscalPeriodService.js";
+import { createAppError } from "../../utils/errorHandler.js";
+
+const VOUCHER_TYPE = "FX-REVALUATION";
+const PERIOD_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+const round = (value) => Number((value || 0).toFixed(2));
+
+class FxRevaluationService {
+  // Last moment of a YYYY-MM period
+  static getPeriodEnd(period) {
+    if (!PERIOD_PATTERN.test(period || "")) {
+      throw createAppError("Period must be in YYYY-MM format", 400, "INVALID_PERIOD");
+    }
+    const [year, month] = period.split("-").map(Number);
+    return new Date(year, month, 0, 23, 59, 59, 999);
+  }
+
+  /**
+   * Work out the revaluation of every foreign-currency party balance at the rate
+   * effective on the revaluation date. Nothing is changed.
+   * @returns {Object[]} lines - one per sub-balance whose base value moves
+   */
+  static async buildLines(revaluationDate, session = null) {
+    const baseCurrency = await CurrencyMaster.getBaseCurrency(session);
+    const baseId = baseCurrency?._id?.toString() || null;
+
+    // Parties still on a single legacy balance are included when it is in a foreign currency
+    const accounts = await Account.find({
+      $or: [
+        { "balances.cashBalances.0": { $exists: true } },
+        { "balances.cashBalance.amount": { $ne: 0 } },
+      ],
+    }).session(session);
+
+    const rates = new Map();
+    const lines = [];
+    for (const account of accounts) {
+      for (const entry of account.ensureCashBalances()) {
+        const currencyId = entry.currency.toString();
+        if (currencyId === baseId) continue;
+        if (!entry.amount && !entry.baseAmount) continue;
+
+        if (!rates.has(currencyId)) {
+          const currency = await CurrencyMaster.findById(currencyId).select("currencyCode").session(session).lean();
+          rates.set(currencyId, {
+            currencyCode: currency?.currencyCode || null,
+            rate: await CurrencyMaster.getConversionRate(currencyId, session, revaluationDate),
+          });
+        }
+        const { currencyCode, rate } = rates.get(currencyId);
+
+        const bookedBaseAmount = round(entry.baseAmount);
+        const revaluedBaseAmount = round(entry.amount * rate);
+        const difference = round(revaluedBaseAmount - bookedBaseAmount);
+        if (difference === 0) continue;
+
+        lines.push({
+          account,
+          party: account._id,
+          accountCode: account.accountCode,
+          customerName: account.customerName,
+          currency: entry.currency,
+          currencyCode,
+          amount: round(entry.amount),
+          rate,
+          bookedBaseAmount,
+          revaluedBaseAmount,
+          difference,
+        });
+      }
+    }
+    return lines;
+  }
+
+  static summarise(lines) {
+    // A party balance worth more in base currency is money we owe - a loss
+    const loss = round(lines.filter((l) => l.difference > 0).reduce((sum, l) => sum + l.difference, 0));
+    const gain = round(lines.filter((l) => l.difference < 0).reduce((sum, l) => sum - l.difference, 0));
+    return { lines: lines.length, gain, loss, net: round(gain - loss) };
+  }
+
+  static toPreviewLine({ account, ...line }) {
+    return line;
+  }
+
+  /**
+   * Month-end revaluation: each party's foreign-currency sub-balance is restated at the
+   * rate effective on the last day of the period and the change is posted as unrealized
+   * exchange gain or loss. The restated value becomes the booked value, so next month
+   * only the further movement is posted.
+   * @param {Object} input - { period: "YYYY-MM", remarks, dryRun }
+   * @param {string} adminId
+   * @param {Object} options - { periodOverride }
+   */
+  static async runRevaluation(input, adminId, options = {}) {
+    const revaluationDate = this.getPeriodEnd(input.period);
+    const [year, month] = input.period.split("-").map(Number);
+    if (new Date(year, month - 1, 1) > new Date()) {
+      throw createAppError("A period that has not started cannot be revalued", 400, "PERIOD_NOT_STARTED");
+    }
+
+    if (input.dryRun) {
+      const lines = await this.buildLines(revaluationDate);
+      return {
+        revaluation: null,
+        period: input.period,
+        revaluationDate,
+        lines: lines.map((line) => this.toPreviewLine(line)),
+        totals: this.summarise(lines),
+      };
+    }
+
+    const session = await mongoose.startSession();
+    try {
+      let revaluation;
+      await session.withTransaction(async () => {
+        const existing = await FxRevaluation.findOne({ period: input.period, status: "posted" })
+          .select("revaluationNumber")
+          .session(session)
+          .lean();
+        if (existing) {
+          throw createAppError(
+            `Period ${input.period} is already revalued by ${existing.revaluationNumber}`,
+            409,
+            "PERIOD_ALREADY_REVALUED"
+          );
+        }
+
+        // Runs build on each other's booked values, so they go forward in time only
+        const later = await FxRevaluation.findOne({ status: "posted", revaluationDate: { $gt: revaluationDate } })
+          .select("revaluationNumber period")
+          .session(session)
+          .lean();
+        if (later) {
+          throw createAppError(
+            `Period ${later.period} is already revalued - reverse ${later.revaluationNumber} first`,
+            409,
+            "LATER_REVALUATION_EXISTS"
+          );
+        }
+
+        const revaluationNumber = await FxRevaluation.generateRevaluationNumber(input.period, session);
+        await FiscalPeriodService.assertPeriodOpen(revaluationDate, {
+          adminId,
+          action: "create",
+          voucherType: VOUCHER_TYPE,
+          voucherNumber: revaluationNumber,
+          override: options.periodOverride,
+          session,
+        });
+
+        const lines = await this.buildLines(revaluationDate, session);
+        if (!lines.length) {
+          throw createAppError(
+            `No foreign-currency balances to revalue for ${input.period}`,
+            400,
+            "NOTHING_TO_REVALUE"
+          );
+        }
+
+        for (const line of lines) {
+          line.registryIds = await this.postLine(line, revaluationNumber, revaluationDate, adminId, session);
+        }
+
+        [revaluation] = await FxRevaluation.create(
+          [
+            {
+              revaluationNumber,
+              period: input.period,
+              revaluationDate,
+              lines: lines.map((line) => this.toPreviewLine(line)),
+              totals: this.summarise(lines),
+              remarks: input.remarks || null,
+              createdBy: adminId,
+            },
+          ],
+          { session }
+        );
+      });
+      return revaluation;
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  static async postLine(line, revaluationNumber, revaluationDate, adminId, session) {
+    const { account, difference } = line;
+    const previousBalance = account.balances.cashBalance.amount || 0;
+    account.adjustCashBaseAmount(line.currency, difference);
+    await account.save({ session });
+
+    const value = Math.abs(difference);
+    const isLoss = difference > 0;
+    const description = `FX REVALUATION OF ${line.currencyCode} BALANCE @ ${line.rate} FOR ${account.customerName}`;
+
+    // Party row is in base currency; the gain/loss row is the other side of it
+    const registries = await Registry.insertMany(
+      [
+        {
+          transactionId: await Registry.generateTransactionId(),
+          type: "FX_REVALUATION",
+          description,
+          party: account._id,
+          value,
+          credit: isLoss ? value : 0,
+          debit: isLoss ? 0 : value,
+          previousBalance,
+          runningBalance: account.balances.cashBalance.amount,
+          reference: revaluationNumber,
+          transactionDate: revaluationDate,
+          createdBy: adminId,
+        },
+        {
+          transactionId: await Registry.generateTransactionId(),
+          type: isLoss ? "UNREALIZED_FX_LOSS" : "UNREALIZED_FX_GAIN",
+          description,
+          value,
+          credit: isLoss ? 0 : value,
+          debit: isLoss ? value : 0,
+          reference: revaluationNumber,
+          transactionDate: revaluationDate,
+          createdBy: adminId,
+        },
+      ],
+      { session }
+    );
+    return registries.map((r) => r._id);
+  }
+
+  /**
+   * Undo a revaluation run: booked base values go back to what they were and its
+   * registry rows are cancelled. Only the latest posted run can be reversed.
+   */
+  static async reverseRevaluation(id, adminId, options = {}) {
+    const session = await mongoose.startSession();
+    try {
+      let revaluation;
+      await session.withTransaction(async () => {
+        revaluation = await FxRevaluation.findById(id).session(session);
+        if (!revaluation) {
+          throw createAppError("FX revaluation not found", 404, "REVALUATION_NOT_FOUND");
+        }
+        if (revaluation.status !== "posted") {
+          throw createAppError("FX revaluation is already reversed", 409, "REVALUATION_NOT_POSTED");
+        }
+
+        const later = await FxRevaluation.findOne({
+          status: "posted",
+          revaluationDate: { $gt: revaluation.revaluationDate },
+        })
+          .select("revaluationNumber")
+          .session(session)
+          .lean();
+        if (later) {
+          throw createAppError(
+            `Reverse the later revaluation ${later.revaluationNumber} first`,
+            409,
+            "LATER_REVALUATION_EXISTS"
+          );
+        }
+
+        await FiscalPeriodService.assertPeriodOpen(revaluation.revaluationDate, {
+          adminId,
+          action: "delete",
+          voucherType: VOUCHER_TYPE,
+          voucherId: revaluation._id,
+          voucherNumber: revaluation.revaluationNumber,
+          override: options.periodOverride,
+          session,
+        });
+
+        for (const line of revaluation.lines) {
+          const account = await Account.findById(line.party).session(session);
+          if (!account) continue;
+          account.adjustCashBaseAmount(line.currency, -line.difference);
+          await account.save({ session });
+        }
+
+        await Registry.updateMany(
+          { _id: { $in: revaluation.lines.flatMap((line) => line.registryIds) } },
+          { $set: { isActive: false, status: "cancelled", updatedBy: adminId } },
+          { session }
+        );
+
+        revaluation.status = "reversed";
+        revaluation.reversedAt = new Date();
+        revaluation.reversedBy = adminId;
+        revaluation.reversalReason = options.reason || null;
+        await revaluation.save({ session });
+      });
+      return revaluation;
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  static async getRevaluations(page = 1, limit = 20, filters = {}) {
+    const skip = (page - 1) * limit;
+    const query = {};
+    if (filters.status) query.status = filters.status;
+
+    const [revaluations, total] = await Promise.all([
+      FxRevaluation.find(query)
+        .select("-lines")
+        .populate("createdBy", "name email")
+        .populate("reversedBy", "name email")
+        .sort({ revaluationDate: -1, createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      FxRevaluation.countDocuments(query),
+    ]);
+
+    return {
+      revaluations,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        itemsPerPage: limit,
+      },
+    };
+  }
+
+  static async getRevaluationById(id) {
+    const revaluation = await FxRevaluation.findById(id)
+      .populate("lines.party", "accountCode customerName")
+      .populate("lines.currency", "currencyCode symbol")
+      .populate("createdBy", "name email")
+      .populate("reversedBy", "name email");
+
+    if (!revaluation) {
+      throw createAppError("FX revaluation not found", 404, "REVALUATION_NOT_FOUND");
+    }
+    return revaluation;
+  }
+}
+
+export default FxRevaluationService;
@@ -0,0 +1,414 @@
+import mongoose from "mongoose";
+import Account from "../../models/modules/AccountType.js";
+import Inventory from "../../models/modules/inventory.js";
+import InventoryReservation from "../../models/modules/InventoryReservation.js";
+import MetalStock from "../../models/modules/MetalStock.js";
+import { createAppError } from "../../utils/errorHandler.js";
+import { purityFactor } from "../../utils/inventoryUtils.js";
+
+const MAX_TTL_HOURS = 24 * 30;
+const WEIGHT_TOLERANCE = 0.0005;
+
+const round = (value, decimals = 3) => Number((value || 0).toFixed(decimals));
+
+/**
+ * Reservations hold stock for confirmed sale orders before they are invoiced.
+ * Available stock is on-hand less active reservations. A reservation stops holding
+ * stock at expiresAt - reads filter on it, and expireStaleReservations() marks lapsed
+ * ones expired for a scheduled sweep. It is marked converted when the sale voucher
+ * carrying it is posted - the voucher's own inventory movement then takes the stock
+ * out, so available stock does not move twice.
+ */
+class InventoryReservationService {
+  // Read lazily - dotenv is loaded after services are imported
+  static getDefaultTtlHours() {
+    return parseFloat(process.env.INVENTORY_RESERVATION_TTL_HOURS) || 48;
+  }
+
+  // Reservations that still hold stock
+  static liveMatch() {
+    return { status: "active", expiresAt: { $gt: new Date() } };
+  }
+
+  // Show a lapsed reservation as expired before the sweep has marked it
+  static withLiveStatus(reservation) {
+    if (reservation.status === "active" && reservation.expiresAt <= new Date()) {
+      reservation.status = "expired";
+    }
+    return reservation;
+  }
+
+  /**
+   * Serialise reservations per stock. Every reservation writes the stocks' inventory
+   * rows before reading availability, so two concurrent reservations of the same stock
+   * conflict and the later one is retried against the updated totals.
+   */
+  static async lockStocks(stockIds, session) {
+    await Inventory.updateMany(
+      { metal: { $in: stockIds.map((id) => new mongoose.Types.ObjectId(id)) } },
+      { $inc: { reservationVersion: 1 } },
+      { session }
+    );
+  }
+
+  static async expireStaleReservations(session = null) {
+    const result = await InventoryReservation.updateMany(
+      { status: "active", expiresAt: { $lte: new Date() } },
+      { $set: { status: "expired" } },
+      { session }
+    );
+    return result.modifiedCount || 0;
+  }
+
+  /**
+   * Active reserved quantities keyed by stock id.
+   * @param {ObjectId[]|null} stockIds - limit to these stocks, or all when null
+   * @param {ObjectId|null} excludeReservationId - leave out this reservation (the one a sale draws on)
+   */
+  static async getReservedByStock(stockIds = null, session = null, excludeReservationId = null) {
+    const match = this.liveMatch();
+    if (excludeReservationId) match._id = { $ne: new mongoose.Types.ObjectId(excludeReservationId) };
+    const pipeline = [{ $match: match }, { $unwind: "$items" }];
+    if (stockIds) {
+      pipeline.push({
+        $match: { "items.stockCode": { $in: stockIds.map((id) => new mongoose.Types.ObjectId(id)) } },
+      });
+    }
+    pipeline.push({
+      $group: {
+        _id: "$items.stockCode",
+        pieces: { $sum: "$items.pieces" },
+        grossWeight: { $sum: "$items.grossWeight" },
+        pureWeight: { $sum: "$items.pureWeight" },
+        reservations: { $addToSet: "$_id" },
+      },
+    });
+
+    const rows = await InventoryReservation.aggregate(pipeline).session(session);
+    return new Map(
+      rows.map((row) => [
+        row._id.toString(),
+        {
+          pieces: row.pieces,
+          grossWeight: row.grossWeight,
+          pureWeight: row.pureWeight,
+          reservationCount: row.reservations.length,
+        },
+      ])
+    );
+  }
+
+  static normaliseItems(items) {
+    if (!Array.isArray(items) || items.length === 0) {
+      throw createAppError("At least one item is required", 400, "INVALID_STOCK_ITEMS");
+    }
+
+    // Several lines for the same stock are reserved as one
+    const byStock = new Map();
+    items.forEach((item, index) => {
+      if (!mongoose.Types.ObjectId.isValid(item.stockCode)) {
+        throw createAppError(`Item ${index + 1}: invalid stock code`, 400, "INVALID_STOCK_ITEMS");
+      }
+      const pieces = Number(item.pieces || 0);
+      const grossWeight = Number(item.grossWeight || 0);
+      if (pieces < 0 || grossWeight < 0 || !Number.isFinite(pieces) || !Number.isFinite(grossWeight)) {
+        throw createAppError(`Item ${index + 1}: quantities cannot be negative`, 400, "INVALID_QUANTITY");
+      }
+      if (pieces === 0 && grossWeight === 0) {
+        throw createAppError(`Item ${index + 1}: pieces or gross weight is required`, 400, "INVALID_QUANTITY");
+      }
+
+      const key = item.stockCode.toString();
+      const line = byStock.get(key) || { stockCode: key, pieces: 0, grossWeight: 0 };
+      line.pieces += pieces;
+      line.grossWeight += grossWeight;
+      byStock.set(key, line);
+    });
+    return [...byStock.values()];
+  }
+
+  /**
+   * Fail when any line asks for more than is on hand less what others hold.
+   * @param {Object} options - excludeReservation: a reservation the caller draws on;
+   *   reservedOnly: only fail where the shortfall eats into reserved stock (sales may
+   *   still take on-hand stock negative, as before reservations existed)
+   */
+  static async assertAvailable(items, session, options = {}) {
+    const stockIds = items.map((i) => i.stockCode);
+    const inventories = await Inventory.find({ metal: { $in: stockIds } })
+      .select("metal pcsCount grossWeight")
+      .session(session)
+      .lean();
+    const onHand = new Map(inventories.map((inv) => [inv.metal.toString(), inv]));
+    const reserved = await this.getReservedByStock(stockIds, session, options.excludeReservation);
+
+    const shortfalls = [];
+    for (const item of items) {
+      const inventory = onHand.get(item.stockCode.toString());
+      const held = reserved.get(item.stockCode.toString()) || { pieces: 0, grossWeight: 0 };
+      if (options.reservedOnly && held.pieces <= 0 && held.grossWeight <= 0) continue;
+      const availablePieces = (inventory?.pcsCount || 0) - held.pieces;
+      const availableWeight = (inventory?.grossWeight || 0) - held.grossWeight;
+
+      if (item.pieces > availablePieces || item.grossWeight - availableWeight > WEIGHT_TOLERANCE) {
+        shortfalls.push({
+          stockCode: item.stockCode,
+          code: item.code,
+          requested: { pieces: item.pieces, grossWeight: round(item.grossWeight) },
+          available: { pieces: availablePieces, grossWeight: round(availableWeight) },
+        });
+      }
+    }
+
+    if (shortfalls.length) {
+      const error = createAppError(
+        `Insufficient available stock for ${shortfalls.map((s) => s.code || s.stockCode).join(", ")}`,
+        409,
+        "INSUFFICIENT_STOCK"
+      );
+      error.details = { shortfalls };
+      throw error;
+    }
+  }
+
+  static async createReservation(data, adminId) {
+    if (!mongoose.Types.ObjectId.isValid(data.party)) {
+      throw createAppError("Invalid party ID", 400, "INVALID_PARTY_ID");
+    }
+
+    const ttlHours = Math.min(parseFloat(data.ttlHours) || this.getDefaultTtlHours(), MAX_TTL_HOURS);
+    const expiresAt = data.expiresAt ? new Date(data.expiresAt) : new Date(Date.now() + ttlHours * 3600 * 1000);
+    if (isNaN(expiresAt.getTime()) || expiresAt <= new Date()) {
+      throw createAppError("Expiry must be in the future", 400, "INVALID_EXPIRY");
+    }
+
+    const items = this.normaliseItems(data.items);
+
+    const session = await mongoose.startSession();
+    let reservation;
+    try {
+      await session.withTransaction(async () => {
+        const party = await Account.findById(data.party).select("isActive").session(session).lean();
+        if (!party?.isActive) {
+          throw createAppError("Party not found or inactive", 404, "PARTY_NOT_FOUND");
+        }
+
+        const stocks = await MetalStock.find({ _id: { $in: items.map((i) => i.stockCode) } })
+          .select("code karat")
+          .populate("karat", "standardPurity")
+          .session(session)
+          .lean();
+        const stockById = new Map(stocks.map((s) => [s._id.toString(), s]));
+        for (const item of items) {
+          const stock = stockById.get(item.stockCode);
+          if (!stock) {
+            throw createAppError(`Metal stock ${item.stockCode} not found`, 404, "METAL_STOCK_NOT_FOUND");
+          }
+          item.code = stock.code;
+          item.pureWeight = round(item.grossWeight * purityFactor(stock.karat?.standardPurity));
+        }
+
+        await this.lockStocks(items.map((i) => i.stockCode), session);
+        await this.assertAvailable(items, session);
+
+        [reservation] = await InventoryReservation.create(
+          [
+            {
+              party: data.party,
+              reference: data.reference?.trim() || null,
+              items: items.map(({ stockCode, pieces, grossWeight, pureWeight }) => ({
+                stockCode,
+                pieces,
+                grossWeight,
+                pureWeight,
+              })),
+              expiresAt,
+              remarks: data.remarks?.trim() || null,
+              createdBy: adminId,
+            },
+          ],
+          { session }
+        );
+      });
+    } finally {
+      await session.endSession();
+    }
+
+    return this.getReservationById(reservation._id);
+  }
+
+  static async getReservations(filters = {}, page = 1, limit = 50) {
+    const query = {};
+    if (filters.status === "active") {
+      Object.assign(query, this.liveMatch());
+    } else if (filters.status === "expired") {
+      query.$or = [{ status: "expired" }, { status: "active", expiresAt: { $lte: new Date() } }];
+    } else if (filters.status) {
+      query.status = filters.status;
+    }
+    if (filters.party && mongoose.Types.ObjectId.isValid(filters.party)) query.party = filters.party;
+    if (filters.stockCode && mongoose.Types.ObjectId.isValid(filters.stockCode)) {
+      query["items.stockCode"] = filters.stockCode;
+    }
+
+    const [reservations, total] = await Promise.all([
+      InventoryReservation.find(query)
+        .populate("party", "accountCode customerName")
+        .populate("items.stockCode", "code description")
+        .populate("createdBy", "name email")
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      InventoryReservation.countDocuments(query),
+    ]);
+
+    return {
+      reservations: reservations.map((reservation) => this.withLiveStatus(reservation)),
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        itemsPerPage: limit,
+      },
+    };
+  }
+
+  static async getReservationById(id) {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      throw createAppError("Invalid reservation ID", 400, "INVALID_ID");
+    }
+
+    const reservation = await InventoryReservation.findById(id)
+      .populate("party", "accountCode customerName")
+      .populate("items.stockCode", "code description")
+      .populate("metalTransactionId", "voucherNumber voucherDate transactionType")
+      .populate("createdBy", "name email")
+      .populate("releasedBy", "name email");
+    if (!reservation) {
+      throw createAppError("Reservation not found", 404, "RESERVATION_NOT_FOUND");
+    }
+    return this.withLiveStatus(reservation);
+  }
+
+  static async releaseReservation(id, adminId, reason = null) {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      throw createAppError("Invalid reservation ID", 400, "INVALID_ID");
+    }
+
+    const reservation = await InventoryReservation.findOneAndUpdate(
+      { _id: id, ...this.liveMatch() },
+      {
+        $set: {
+          status: "released",
+          releasedBy: adminId,
+          releasedAt: new Date(),
+          releaseReason: reason,
+        },
+      },
+      { new: true }
+    );
+    if (!reservation) {
+      throw createAppError("Only active reservations can be released", 409, "RESERVATION_NOT_ACTIVE");
+    }
+    return this.getReservationById(id);
+  }
+
+  // Check a reservation quoted on a new sale voucher
+  static async assertUsableForSale(reservationId, transactionData, session = null) {
+    if (!mongoose.Types.ObjectId.isValid(reservationId)) {
+      throw createAppError("Invalid reservation ID", 400, "INVALID_ID");
+    }
+    if (transactionData.transactionType !== "sale") {
+      throw createAppError("Only sale vouchers can carry a reservation", 400, "INVALID_TRANSACTION_TYPE");
+    }
+
+    const reservation = await InventoryReservation.findById(reservationId).session(session).lean();
+    if (!reservation) {
+      throw createAppError("Reservation not found", 404, "RESERVATION_NOT_FOUND");
+    }
+    if (reservation.status !== "active" || reservation.expiresAt <= new Date()) {
+      throw createAppError(`Reservation is ${reservation.status === "active" ? "expired" : reservation.status}`, 409, "RESERVATION_NOT_ACTIVE");
+    }
+    if (reservation.party.toString() !== transactionData.partyCode.toString()) {
+      throw createAppError("Reservation belongs to a different party", 400, "RESERVATION_MISMATCH");
+    }
+
+    this.assertLinesMatch(reservation, transactionData);
+    return reservation;
+  }
+
+  // The voucher must be the sale the stock was held for: the same stock codes
+  static assertLinesMatch(reservation, transaction) {
+    const saleStocks = new Set(this.saleItems(transaction).map((item) => item.stockCode));
+    const reservedStocks = new Set(reservation.items.map((item) => item.stockCode.toString()));
+    const unreserved = [...saleStocks].filter((id) => !reservedStocks.has(id));
+    const unsold = [...reservedStocks].filter((id) => !saleStocks.has(id));
+    if (unreserved.length || unsold.length) {
+      const error = createAppError(
+        "Voucher stock lines do not match the reservation",
+        400,
+        "RESERVATION_MISMATCH"
+      );
+      error.details = { notReserved: unreserved, notOnVoucher: unsold };
+      throw error;
+    }
+  }
+
+  // Voucher stock lines summed per stock code
+  static saleItems(transaction) {
+    const byStock = new Map();
+    for (const item of transaction.stockItems || []) {
+      const stockId = (item.stockCode?._id || item.stockCode)?.toString();
+      if (!stockId) continue;
+      const line = byStock.get(stockId) || { stockCode: stockId, pieces: 0, grossWeight: 0 };
+      line.pieces += Number(item.pieces || 0);
+      line.grossWeight += Number(item.grossWeight || 0);
+      byStock.set(stockId, line);
+    }
+    return [...byStock.values()];
+  }
+
+  /**
+   * A sale may not take stock that other reservations hold. Its own reservation is
+   * left out, so a sale can use what was held for it plus any free stock.
+   */
+  static async assertSaleStock(transaction, session = null) {
+    if (transaction.transactionType !== "sale") return;
+    const items = this.saleItems(transaction);
+    if (!items.length) return;
+
+    await this.assertAvailable(items, session, {
+      excludeReservation: transaction.reservation,
+      reservedOnly: true,
+    });
+  }
+
+  /**
+   * Mark the voucher's reservation converted when the sale is posted. A reservation
+   * that lapsed in the meantime is left alone - the sale still posts against on-hand stock.
+   * The voucher may have been edited since booking, so its lines are checked again.
+   */
+  static async convertForTransaction(transaction, session = null) {
+    if (!transaction.reservation) return null;
+
+    const reservation = await InventoryReservation.findOne({ _id: transaction.reservation, ...this.liveMatch() })
+      .session(session)
+      .lean();
+    if (!reservation) return null;
+    this.assertLinesMatch(reservation, transaction);
+
+    return InventoryReservation.findOneAndUpdate(
+      { _id: reservation._id, status: "active" },
+      {
+        $set: {
+          status: "converted",
+          convertedAt: new Date(),
+          metalTransactionId: transaction._id,
+        },
+      },
+      { new: true, session }
+    );
+  }
+}
+
+export default InventoryReservationService;
@@ -0,0 +1,298 @@
+import mongoose from "mongoose";
+import Registry from "../../models/modules/Registry.js";
+import MetalTransaction from "../../models/modules/MetalTransaction.js";
+import Entry from "../../models/modules/EntryModel.js";
+import FundTransfer from "../../models/modules/FundTransfer.js";
+import TransactionFixing from "../../models/modules/TransactionFixing.js";
+import FinancialStatementService from "./FinancialStatementService.js";
+import { createAppError } from "../../utils/errorHandler.js";
+
+// Registry fields that link a row back to the voucher that posted it
+const SOURCE_LINKS = [
+  { field: "metalTransactionId", source: "MetalTransaction", model: MetalTransaction },
+  { field: "EntryTransactionId", source: "Entry", model: Entry },
+  { field: "TransferTransactionId", source: "FundTransfer", model: FundTransfer },
+  { field: "fixingTransactionId", source: "TransactionFixing", model: TransactionFixing },
+];
+
+// GOLD_STOCK rows carry the gross weight beside the pure-gram GOLD row; they have no other side
+const MEMO_ACCOUNTS = ["GOLD_STOCK"];
+
+const DEFAULT_TOLERANCE = 0.001;
+
+class LedgerIntegrityService {
+  // Full integrity report: unbalanced vouchers + orphaned registry rows
+  static async checkIntegrity(filters = {}) {
+    try {
+      const tolerance = this.resolveTolerance(filters.tolerance);
+      const match = this.buildMatch(filters);
+
+      const [unbalancedVouchers, orphanedRows, scannedRows] = await Promise.all([
+        this.findUnbalancedVouchers(match, tolerance),
+        this.findOrphanedRows(match),
+        Registry.countDocuments(match),
+      ]);
+
+      return {
+        summary: {
+          scannedRows,
+          unbalancedVoucherCount: unbalancedVouchers.length,
+          orphanedRowCount: orphanedRows.reduce((sum, o) => sum + o.rowCount, 0),
+          orphanedSourceCount: orphanedRows.length,
+          tolerance,
+          isHealthy: unbalancedVouchers.length === 0 && orphanedRows.length === 0,
+        },
+        unbalancedVouchers,
+        orphanedRows,
+      };
+    } catch (error) {
+      if (error.statusCode) throw error;
+      throw createAppError(
+        `Failed to check registry integrity: ${error.message}`,
+        500,
+        "INTEGRITY_CHECK_FAILED"
+      );
+    }
+  }
+
+  /**
+   * Turn every row into its postings (the same rules the financial statements use) and
+   * group them per voucher. Cash and gold postings must each net to zero; debit/credit
+   * of a row are grams or money depending on its type, so the two are never mixed.
+   */
+  static async findUnbalancedVouchers(match, tolerance = DEFAULT_TOLERANCE) {
+    const sumOf = (side, measure) => ({
+      $sum: { $cond: [{ $eq: ["$postings.measure", measure] }, `$postings.${side}`, 0] },
+    });
+
+    const pipeline = [
+      { $match: match },
+      ...FinancialStatementService.postingStages(),
+      { $match: { "postings.account": { $nin: MEMO_ACCOUNTS } } },
+      {
+        $addFields: {
+          voucherKey: {
+            $ifNull: [
+              "$metalTransactionId",
+              {
+                $ifNull: [
+                  "$EntryTransactionId",
+                  {
+                    $ifNull: [
+                      "$TransferTransactionId",
+                      {
+                        $ifNull: [
+                          "$fixingTransactionId",
+                          { $ifNull: ["$reference", "$transactionId"] },
+                        ],
+                      },
+                    ],
+                  },
+                ],
+              },
+            ],
+          },
+        },
+      },
+      {
+        $group: {
+          _id: "$voucherKey",
+          reference: { $first: "$reference" },
+          party: { $first: "$party" },
+          metalTransactionId: { $first: "$metalTransactionId" },
+          EntryTransactionId: { $first: "$EntryTransactionId" },
+          TransferTransactionId: { $first: "$TransferTransactionId" },
+          fixingTransactionId: { $first: "$fixingTransactionId" },
+          transactionIds: { $addToSet: "$transactionId" },
+          types: { $addToSet: "$type" },
+          rowIds: { $addToSet: "$_id" },
+          cashDebit: sumOf("debit", "cash"),
+          cashCredit: sumOf("credit", "cash"),
+          goldDebit: sumOf("debit", "gold"),
+          goldCredit: sumOf("credit", "gold"),
+          firstPostedAt: { $min: "$transactionDate" },
+        },
+      },
+      {
+        $addFields: {
+          cashDifference: { $subtract: ["$cashDebit", "$cashCredit"] },
+          goldDifference: { $subtract: ["$goldDebit", "$goldCredit"] },
+        },
+      },
+      {
+        $match: {
+          $or: [
+            { cashDifference: { $gt: tolerance } },
+            { cashDifference: { $lt: -tolerance } },
+            { goldDifference: { $gt: tolerance } },
+            { goldDifference: { $lt: -tolerance } },
+          ],
+        },
+      },
+      { $sort: { firstPostedAt: -1 } },
+    ];
+
+    const groups = await Registry.aggregate(pipeline).allowDiskUse(true);
+
+    return groups.map((group) => ({
+      voucherKey: group._id,
+      source: this.resolveSource(group),
+      reference: group.reference || null,
+      party: group.party || null,
+      transactionIds: group.transactionIds,
+      types: group.types,
+      rowCount: group.rowIds.length,
+      totals: {
+        cashDebit: group.cashDebit,
+        cashCredit: group.cashCredit,
+        goldDebit: group.goldDebit,
+        goldCredit: group.goldCredit,
+      },
+      differences: {
+        cash: group.cashDifference,
+        gold: group.goldDifference,
+      },
+      firstPostedAt: group.firstPostedAt,
+    }));
+  }
+
+  // Rows pointing at a MetalTransaction/Entry/FundTransfer/fixing that no longer exists
+  static async findOrphanedRows(match) {
+    const orphans = [];
+
+    for (const { field, source, model } of SOURCE_LINKS) {
+      const linkedIds = await Registry.distinct(field, {
+        ...match,
+        [field]: { $ne: null },
+      });
+      if (linkedIds.length === 0) continue;
+
+      const existingIds = await model.distinct("_id", { _id: { $in: linkedIds } });
+      const existing = new Set(existingIds.map((id) => id.toString()));
+      const missingIds = linkedIds.filter((id) => !existing.has(id.toString()));
+      if (missingIds.length === 0) continue;
+
+      const rows = await Registry.find(
+        { ...match, [field]: { $in: missingIds } },
+        `_id ${field} transactionId type reference`
+      ).lean();
+
+      for (const missingId of missingIds) {
+        const sourceRows = rows.filter((row) => row[field].equals(missingId));
+        orphans.push({
+          source,
+          field,
+          sourceId: missingId,
+          reference: sourceRows[0]?.reference || null,
+          rowCount: sourceRows.length,
+          registryIds: sourceRows.map((row) => row._id),
+          transactionIds: sourceRows.map((row) => row.transactionId),
+        });
+      }
+    }
+
+    return orphans;
+  }
+
+  /**
+   * Repair the registry. Orphaned rows are deactivated (isActive=false, status=cancelled)
+   * so they drop out of balances and reports; unbalanced vouchers cannot be fixed
+   * automatically and are returned for manual review.
+   * With dryRun=true (default) nothing is written.
+   */
+  static async repairIntegrity(options = {}, adminId) {
+    const dryRun = options.dryRun !== false && options.dryRun !== "false";
+    const report = await this.checkIntegrity(options);
+
+    const orphanIds = report.orphanedRows.flatMap((o) => o.registryIds);
+    const result = {
+      dryRun,
+      orphanedRowsDeactivated: 0,
+      orphanedRows: report.orphanedRows,
+      unbalancedVouchers: report.unbalancedVouchers,
+      requiresManualReview: report.unbalancedVouchers.length,
+    };
+
+    if (dryRun || orphanIds.length === 0) {
+      result.orphanedRowsToDeactivate = orphanIds.length;
+      return result;
+    }
+
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        const updateResult = await Registry.updateMany(
+          { _id: { $in: orphanIds } },
+          {
+            $set: {
+              isActive: false,
+              status: "cancelled",
+              updatedBy: adminId,
+            },
+          },
+          { session }
+        );
+        result.orphanedRowsDeactivated = updateResult.modifiedCount;
+      });
+      return result;
+    } catch (error) {
+      throw createAppError(
+        `Failed to repair registry integrity: ${error.message}`,
+        500,
+        "INTEGRITY_REPAIR_FAILED"
+      );
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  static buildMatch(filters = {}) {
+    const match = { isActive: true };
+
+    if (filters.startDate || filters.endDate) {
+      match.transactionDate = {};
+      if (filters.startDate) match.transactionDate.$gte = new Date(filters.startDate);
+      if (filters.endDate) match.transactionDate.$lte = new Date(filters.endDate);
+    }
+
+    if (filters.party) {
+      if (!mongoose.Types.ObjectId.isValid(filters.party)) {
+        throw createAppError("Invalid party ID", 400, "INVALID_PARTY_ID");
+      }
+      match.party = new mongoose.Types.ObjectId(filters.party);
+    }
+
+    if (filters.metalTransactionId) {
+      if (!mongoose.Types.ObjectId.isValid(filters.metalTransactionId)) {
+        throw createAppError("Invalid metal transaction ID", 400, "INVALID_TRANSACTION_ID");
+      }
+      match.metalTransactionId = new mongoose.Types.ObjectId(filters.metalTransactionId);
+    }
+
+    if (filters.transactionId) {
+      // Prefix match - escape the input so it is matched literally
+      const prefix = String(filters.transactionId).toUpperCase().replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+      match.transactionId = { $regex: `^${prefix}` };
+    }
+
+    return match;
+  }
+
+  static resolveTolerance(tolerance) {
+    const parsed = parseFloat(tolerance);
+    if (tolerance === undefined || tolerance === null || tolerance === "") {
+      return DEFAULT_TOLERANCE;
+    }
+    if (isNaN(parsed) || parsed < 0) {
+      throw createAppError("Tolerance must be a non-negative number", 400, "INVALID_TOLERANCE");
+    }
+    return parsed;
+  }
+
+  static resolveSource(group) {
+    const link = SOURCE_LINKS.find(({ field }) => group[field]);
+    return link ? link.source : "UNLINKED";
+  }
+}
+
+export default LedgerIntegrityService;
@@ -0,0 +1,221 @@
+import MarginCall from "../../models/modules/MarginCall.js";
+import Account from "../../models/modules/AccountType.js";
+import CreditExposureService from "./CreditExposureService.js";
+import { createAppError } from "../../utils/errorHandler.js";
+
+const LEVEL_ORDER = ["warning", "call", "liquidation"];
+
+class MarginCallService {
+  // Loss as a percentage of margin at which each level triggers
+  static getLevelThresholds() {
+    return {
+      warning: parseFloat(process.env.MARGIN_CALL_WARNING_PCT) || 50,
+      call: parseFloat(process.env.MARGIN_CALL_CALL_PCT) || 75,
+      liquidation: parseFloat(process.env.MARGIN_CALL_LIQUIDATION_PCT) || 100,
+    };
+  }
+
+  static resolveLevel(lossToMarginRatio) {
+    const thresholds = this.getLevelThresholds();
+    if (lossToMarginRatio >= thresholds.liquidation) return "liquidation";
+    if (lossToMarginRatio >= thresholds.call) return "call";
+    if (lossToMarginRatio >= thresholds.warning) return "warning";
+    return null;
+  }
+
+  /**
+   * Revalue a party's unfixed gold balance. Balances are from the party's side:
+   * a negative gram balance is a short position (gains for us when the rate rises
+   * are losses for them), a positive one is long.
+   */
+  static revalueParty(account, ratePerGram) {
+    const goldGrams = account.balances?.goldBalance?.totalGrams || 0;
+    if (!goldGrams || !ratePerGram) return null;
+
+    const limits = CreditExposureService.getPartyLimits(account);
+    const position = goldGrams < 0 ? "short" : "long";
+    const marginPercentage = position === "short" ? limits.shortMargin : limits.longMargin;
+    if (!marginPercentage) return null;
+
+    // Booked value falls back to the current rate when the balance carries no value
+    const marketValue = goldGrams * ratePerGram;
+    const bookedValue = account.balances?.goldBalance?.totalValue || marketValue;
+    const markToMarketLoss = Math.max(0, bookedValue - marketValue);
+    const marginAmount = (Math.abs(bookedValue) * marginPercentage) / 100;
+    const lossToMarginRatio = marginAmount > 0 ? (markToMarketLoss / marginAmount) * 100 : 0;
+
+    return {
+      position,
+      goldGrams,
+      bookedValue,
+      marketValue,
+      markToMarketLoss,
+      marginPercentage,
+      marginAmount,
+      lossToMarginRatio,
+      level: this.resolveLevel(lossToMarginRatio),
+    };
+  }
+
+  // Revalue every party with an unfixed gold balance and open, escalate or resolve calls
+  static async runMonitor(adminId = null) {
+    const rate = await CreditExposureService.getLatestRatePerGram();
+    if (!rate.ratePerGram) {
+      return { rate, checked: 0, opened: 0, escalated: 0, updated: 0, resolved: 0 };
+    }
+
+    const accounts = await Account.find({
+      isActive: true,
+      "balances.goldBalance.totalGrams": { $ne: 0 },
+    })
+      .select("accountCode customerName balances limitsMargins")
+      .lean();
+
+    const summary = { rate, checked: accounts.length, opened: 0, escalated: 0, updated: 0, resolved: 0 };
+    const now = new Date();
+
+    for (const account of accounts) {
+      const valuation = this.revalueParty(account, rate.ratePerGram);
+      const existing = await MarginCall.findOpenForParty(account._id);
+
+      if (!valuation?.level) {
+        if (existing) {
+          existing.status = "resolved";
+          existing.resolvedAt = now;
+          existing.remarks = "Margin restored on revaluation";
+          existing.lastCheckedAt = now;
+          await existing.save();
+          summary.resolved++;
+        }
+        continue;
+      }
+
+      const figures = {
+        position: valuation.position,
+        goldGrams: valuation.goldGrams,
+        bookedValue: valuation.bookedValue,
+        marketValue: valuation.marketValue,
+        markToMarketLoss: valuation.markToMarketLoss,
+        marginPercentage: valuation.marginPercentage,
+        marginAmount: valuation.marginAmount,
+        lossToMarginRatio: valuation.lossToMarginRatio,
+        metalRate: rate.rateId,
+        ratePerGram: rate.ratePerGram,
+        lastCheckedAt: now,
+      };
+
+      if (!existing) {
+        await MarginCall.create({
+          party: account._id,
+          level: valuation.level,
+          ...figures,
+          createdBy: adminId,
+        });
+        summary.opened++;
+        continue;
+      }
+
+      // A higher level re-opens an acknowledged call; levels never step down automatically
+      if (LEVEL_ORDER.indexOf(valuation.level) > LEVEL_ORDER.indexOf(existing.level)) {
+        existing.level = valuation.level;
+        existing.status = "open";
+        existing.escalatedAt = now;
+        summary.escalated++;
+      } else {
+        summary.updated++;
+      }
+      Object.assign(existing, figures, { updatedBy: adminId });
+      await existing.save();
+    }
+
+    return summary;
+  }
+
+  static async getAllMarginCalls(page = 1, limit = 20, filters = {}) {
+    const skip = (page - 1) * limit;
+    const query = { isActive: true };
+
+    if (filters.status) query.status = filters.status;
+    if (filters.level) query.level = filters.level;
+    if (filters.party) query.party = filters.party;
+
+    const [marginCalls, total] = await Promise.all([
+      MarginCall.find(query)
+        .populate("party", "accountCode customerName")
+        .populate("metalRate", "rateType convertrate convFactGms")
+        .populate("acknowledgedBy", "name email")
+        .populate("resolvedBy", "name email")
+        .sort({ updatedAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      MarginCall.countDocuments(query),
+    ]);
+
+    return {
+      marginCalls,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        itemsPerPage: limit,
+      },
+    };
+  }
+
+  static async getMarginCallById(id) {
+    const marginCall = await MarginCall.findOne({ _id: id, isActive: true })
+      .populate("party", "accountCode customerName balances limitsMargins")
+      .populate("metalRate", "rateType convertrate convFactGms")
+      .populate("acknowledgedBy", "name email")
+      .populate("resolvedBy", "name email");
+
+    if (!marginCall) {
+      throw createAppError("Margin call not found", 404, "MARGIN_CALL_NOT_FOUND");
+    }
+    return marginCall;
+  }
+
+  static async acknowledgeMarginCall(id, adminId, remarks) {
+    const marginCall = await MarginCall.findOne({ _id: id, isActive: true });
+    if (!marginCall) {
+      throw createAppError("Margin call not found", 404, "MARGIN_CALL_NOT_FOUND");
+    }
+    if (marginCall.status !== "open") {
+      throw createAppError(
+        `Cannot acknowledge a margin call that is ${marginCall.status}`,
+        400,
+        "INVALID_MARGIN_CALL_STATUS"
+      );
+    }
+
+    marginCall.status = "acknowledged";
+    marginCall.acknowledgedBy = adminId;
+    marginCall.acknowledgedAt = new Date();
+    if (remarks) marginCall.remarks = remarks;
+    marginCall.updatedBy = adminId;
+    await marginCall.save();
+
+    return marginCall;
+  }
+
+  static async resolveMarginCall(id, adminId, remarks) {
+    const marginCall = await MarginCall.findOne({ _id: id, isActive: true });
+    if (!marginCall) {
+      throw createAppError("Margin call not found", 404, "MARGIN_CALL_NOT_FOUND");
+    }
+    if (marginCall.status === "resolved") {
+      throw createAppError("Margin call is already resolved", 400, "MARGIN_CALL_RESOLVED");
+    }
+
+    marginCall.status = "resolved";
+    marginCall.resolvedBy = adminId;
+    marginCall.resolvedAt = new Date();
+    if (remarks) marginCall.remarks = remarks;
+    marginCall.updatedBy = adminId;
+    await marginCall.save();
+
+    return marginCall;
+  }
+}
+
+export default MarginCallService;
@@ -1,6 +1,9 @@
 import MetalRateMaster from "../../models/modules/MetalRateMaster.js";
+import MetalRateHistory from "../../models/modules/MetalRateHistory.js";
 import DivisionMaster from "../../models/modules/DivisionMaster.js";
 import { createAppError } from "../../utils/errorHandler.js";
+import MarginCallService from "./MarginCallService.js";
+import RateFeedService from "./RateFeedService.js";
 
 class MetalRateMasterService {
   // Create new metal rate
@@ -32,6 +35,8 @@ class MetalRateMasterService {
       });
 
       await metalRate.save();
+      await MetalRateHistory.recordTick(metalRate, { adminId });
+      RateFeedService.invalidateConfig();
 
       // Populate related data
       await metalRate.populate([
@@ -165,7 +170,19 @@ class MetalRateMasterService {
 
       // Update metal rate
       Object.assign(metalRate, updateData, { updatedBy: adminId });
+      const rateChanged = metalRate.isModified("convertrate") || metalRate.isModified("convFactGms");
       await metalRate.save();
+      if (rateChanged) {
+        await MetalRateHistory.recordTick(metalRate, { adminId });
+      }
+      RateFeedService.invalidateConfig();
+
+      // Revalue unfixed positions; a monitor failure must not fail the rate update
+      try {
+        await MarginCallService.runMonitor(adminId);
+      } catch (monitorError) {
+        console.error("Margin call monitor failed after rate update:", monitorError);
+      }
 
       // Populate related data
       await metalRate.populate([
@@ -203,6 +220,93 @@ class MetalRateMasterService {
     }
   }
 
+  // Rate ticks for a metal rate, newest first
+  static async getRateHistory(id, filters = {}, page = 1, limit = 50) {
+    try {
+      const metalRate = await MetalRateMaster.findById(id).select("metal rateType");
+      if (!metalRate) {
+        throw createAppError(
+          "Metal rate not found",
+          404,
+          "METAL_RATE_NOT_FOUND"
+        );
+      }
+
+      const query = { metalRate: id };
+      if (filters.from || filters.to) {
+        query.effectiveAt = {};
+        if (filters.from) query.effectiveAt.$gte = filters.from;
+        if (filters.to) query.effectiveAt.$lte = filters.to;
+      }
+
+      const skip = (page - 1) * limit;
+      const [ticks, total] = await Promise.all([
+        MetalRateHistory.find(query)
+          .populate([{ path: "createdBy", select: "name email" }])
+          .sort({ effectiveAt: -1, createdAt: -1 })
+          .skip(skip)
+          .limit(limit),
+        MetalRateHistory.countDocuments(query),
+      ]);
+
+      return {
+        ticks,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalItems: total,
+          itemsPerPage: limit,
+          hasNextPage: page < Math.ceil(total / limit),
+          hasPrevPage: page > 1,
+        },
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Rate in force at a timestamp
+  static async getRateAt(id, at = new Date()) {
+    try {
+      const metalRate = await MetalRateMaster.findById(id)
+        .select("metal rateType convertrate convFactGms currencyId createdAt")
+        .lean();
+      if (!metalRate) {
+        throw createAppError(
+          "Metal rate not found",
+          404,
+          "METAL_RATE_NOT_FOUND"
+        );
+      }
+
+      // Without an earlier tick the master value only answers if it has never changed
+      const tick = await MetalRateHistory.findEffective(id, at);
+      if (!tick && (at < metalRate.createdAt || (await MetalRateHistory.exists({ metalRate: id })))) {
+        throw createAppError(
+          "No rate recorded at or before the requested time",
+          404,
+          "METAL_RATE_NOT_AVAILABLE"
+        );
+      }
+
+      const source = tick || metalRate;
+      return {
+        metalRate: metalRate._id,
+        metal: metalRate.metal,
+        rateType: metalRate.rateType,
+        at,
+        convertrate: source.convertrate,
+        convFactGms: source.convFactGms,
+        ratePerGram: source.convFactGms ? source.convertrate / source.convFactGms : 0,
+        currencyId: source.currencyId || null,
+        effectiveAt: tick ? tick.effectiveAt : null,
+        tick: tick ? tick._id : null,
+      };
+    } catch (error) {
+      throw error;
+    }
+  }
+
   // Get active metal rates by division
   static async getActiveMetalRatesByDivision(divisionId) {
     try {
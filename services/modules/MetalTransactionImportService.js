@@ -0,0 +1,424 @@
+import { Readable } from "stream";
+import ExcelJS from "exceljs";
+import moment from "moment";
+import Account from "../../models/modules/AccountType.js";
+import MetalStock from "../../models/modules/MetalStock.js";
+import MetalRateMaster from "../../models/modules/MetalRateMaster.js";
+import MetalTransactionService from "./MetalTransactionService.js";
+import VoucherMasterService from "./VoucherMasterService.js";
+import { createAppError } from "../../utils/errorHandler.js";
+import { purityFactor } from "../../utils/inventoryUtils.js";
+
+const GRAMS_PER_TROY_OUNCE = 31.1035;
+const MAX_ROWS = 2000;
+const DATE_FORMATS = ["YYYY-MM-DD", "DD/MM/YYYY", "DD-MM-YYYY", "MM/DD/YYYY", moment.ISO_8601];
+
+// Normalised header -> row field
+const COLUMN_ALIASES = {
+  partycode: "partyCode",
+  party: "partyCode",
+  accountcode: "partyCode",
+  voucherdate: "voucherDate",
+  date: "voucherDate",
+  stockcode: "stockCode",
+  stock: "stockCode",
+  grossweight: "grossWeight",
+  gross: "grossWeight",
+  purity: "purity",
+  rate: "rate",
+  makingcharges: "makingCharges",
+  making: "makingCharges",
+  vat: "vatPercentage",
+  vatpercentage: "vatPercentage",
+  type: "transactionType",
+  transactiontype: "transactionType",
+  voucher: "voucherRef",
+  voucherref: "voucherRef",
+  vouchernumber: "voucherRef",
+  pieces: "pieces",
+  pcs: "pieces",
+  notes: "notes",
+};
+
+const TRANSACTION_TYPES = {
+  purchase: "purchase",
+  sale: "sale",
+  sell: "sale",
+};
+
+const VOUCHER_MODULES = {
+  purchase: "metal-purchase",
+  sale: "metal-sale",
+};
+
+/**
+ * CSV/XLSX import of metal purchase and sale vouchers.
+ *
+ * Every row is one stock line. Rows sharing type, party, date and voucher reference
+ * become one voucher. Dry-run returns the per-row validation report; commit creates
+ * the valid vouchers in one transaction and submits them for approval, where they
+ * are posted to the registry like any other voucher.
+ */
+class MetalTransactionImportService {
+  static async parseFile(file) {
+    if (!file?.buffer) {
+      throw createAppError("Import file is required", 400, "FILE_REQUIRED");
+    }
+
+    const workbook = new ExcelJS.Workbook();
+    const extension = file.originalname.split(".").pop().toLowerCase();
+    let worksheet;
+    if (extension === "csv") {
+      worksheet = await workbook.csv.read(Readable.from(file.buffer));
+    } else {
+      await workbook.xlsx.load(file.buffer);
+      worksheet = workbook.worksheets[0];
+    }
+
+    if (!worksheet || worksheet.rowCount < 2) {
+      throw createAppError("Import file has no data rows", 400, "EMPTY_IMPORT");
+    }
+    if (worksheet.rowCount - 1 > MAX_ROWS) {
+      throw createAppError(`Import is limited to ${MAX_ROWS} rows per file`, 400, "IMPORT_TOO_LARGE");
+    }
+
+    const headers = [];
+    worksheet.getRow(1).eachCell((cell, column) => {
+      const normalised = String(this.cellValue(cell.value) ?? "")
+        .toLowerCase()
+        .replace(/[^a-z]/g, "");
+      headers[column] = COLUMN_ALIASES[normalised] || null;
+    });
+
+    const missing = ["partyCode", "voucherDate", "stockCode", "grossWeight", "purity"].filter(
+      (field) => !headers.includes(field)
+    );
+    if (missing.length) {
+      throw createAppError(`Missing required columns: ${missing.join(", ")}`, 400, "MISSING_COLUMNS");
+    }
+
+    const rows = [];
+    worksheet.eachRow((row, rowNumber) => {
+      if (rowNumber === 1) return;
+      const values = { rowNumber };
+      row.eachCell((cell, column) => {
+        if (headers[column]) values[headers[column]] = this.cellValue(cell.value);
+      });
+      rows.push(values);
+    });
+    return rows;
+  }
+
+  // Formula results, rich text and hyperlinks come through as objects
+  static cellValue(value) {
+    if (value === null || value === undefined) return null;
+    if (value instanceof Date) return value;
+    if (typeof value === "object") {
+      if ("result" in value) return value.result;
+      if ("richText" in value) return value.richText.map((part) => part.text).join("");
+      if ("text" in value) return value.text;
+    }
+    return typeof value === "string" ? value.trim() : value;
+  }
+
+  static parseNumber(value) {
+    if (value === null || value === undefined || value === "") return null;
+    const number = typeof value === "number" ? value : parseFloat(String(value).replace(/,/g, ""));
+    return Number.isFinite(number) ? number : NaN;
+  }
+
+  static parseDate(value) {
+    if (value instanceof Date) return value;
+    if (!value) return null;
+    const parsed = moment(String(value), DATE_FORMATS, true);
+    return parsed.isValid() ? parsed.toDate() : null;
+  }
+
+  static async loadLookups(rows) {
+    const partyCodes = [...new Set(rows.map((r) => String(r.partyCode || "").toUpperCase()).filter(Boolean))];
+    const stockCodes = [...new Set(rows.map((r) => String(r.stockCode || "").toUpperCase()).filter(Boolean))];
+
+    const [parties, stocks, rates] = await Promise.all([
+      Account.find({ accountCode: { $in: partyCodes } })
+        .select("accountCode customerName isActive acDefinition.currencies balances.cashBalance.currency")
+        .lean(),
+      MetalStock.find({ code: { $in: stockCodes }, isActive: true })
+        .select("code description metalType karat")
+        .populate("karat", "karatCode standardPurity minimum maximum isActive")
+        .lean(),
+      MetalRateMaster.find({ isActive: true })
+        .select("metal isDefault updatedAt")
+        .sort({ isDefault: -1, updatedAt: -1 })
+        .lean(),
+    ]);
+
+    const ratesByMetal = new Map();
+    for (const rate of rates) {
+      const metal = rate.metal?.toString();
+      if (metal && !ratesByMetal.has(metal)) ratesByMetal.set(metal, rate._id);
+    }
+
+    return {
+      parties: new Map(parties.map((p) => [p.accountCode.toUpperCase(), p])),
+      stocks: new Map(stocks.map((s) => [s.code.toUpperCase(), s])),
+      ratesByMetal,
+    };
+  }
+
+  static validateRow(row, lookups, defaults) {
+    const errors = [];
+
+    const typeKey = String(row.transactionType || defaults.transactionType || "").toLowerCase();
+    const transactionType = TRANSACTION_TYPES[typeKey];
+    if (!transactionType) errors.push("Type must be purchase or sale");
+
+    const party = lookups.parties.get(String(row.partyCode || "").toUpperCase());
+    if (!row.partyCode) errors.push("Party code is required");
+    else if (!party) errors.push(`Party ${row.partyCode} not found`);
+    else if (!party.isActive) errors.push(`Party ${row.partyCode} is inactive`);
+
+    const partyCurrency =
+      party?.acDefinition?.currencies?.find((c) => c.isDefault)?.currency ||
+      party?.acDefinition?.currencies?.[0]?.currency ||
+      party?.balances?.cashBalance?.currency;
+    if (party && !partyCurrency) errors.push(`Party ${row.partyCode} has no currency`);
+
+    const voucherDate = this.parseDate(row.voucherDate);
+    if (!voucherDate) errors.push("Voucher date is missing or invalid");
+
+    const stock = lookups.stocks.get(String(row.stockCode || "").toUpperCase());
+    if (!row.stockCode) errors.push("Stock code is required");
+    else if (!stock) errors.push(`Stock ${row.stockCode} not found or inactive`);
+
+    const karat = stock?.karat;
+    if (stock && !karat) errors.push(`Stock ${row.stockCode} has no karat`);
+    else if (karat && karat.isActive === false) errors.push(`Karat ${karat.karatCode} is inactive`);
+
+    const metalRate = stock ? lookups.ratesByMetal.get(stock.metalType?.toString()) : null;
+    if (stock && !metalRate) errors.push(`No active metal rate for the division of ${row.stockCode}`);
+
+    const grossWeight = this.parseNumber(row.grossWeight);
+    if (!(grossWeight > 0)) errors.push("Gross weight must be a positive number");
+
+    // Purity may be given as a percentage (91.6) or a fraction (0.916); vouchers store the fraction
+    const rawPurity = this.parseNumber(row.purity);
+    const purity = rawPurity > 0 && rawPurity <= 100 ? purityFactor(rawPurity) : null;
+    if (purity === null) {
+      errors.push("Purity must be between 0 and 100");
+    } else if (
+      karat &&
+      karat.maximum > 0 &&
+      (purity < purityFactor(karat.minimum) || purity > purityFactor(karat.maximum))
+    ) {
+      errors.push(`Purity ${rawPurity} is outside the ${karat.karatCode} range ${karat.minimum}-${karat.maximum}`);
+    }
+
+    const rate = this.parseNumber(row.rate) ?? 0;
+    if (Number.isNaN(rate) || rate < 0) errors.push("Rate must be a non-negative number");
+
+    const makingCharges = this.parseNumber(row.makingCharges) ?? 0;
+    if (Number.isNaN(makingCharges) || makingCharges < 0) errors.push("Making charges must be a non-negative number");
+
+    const vatPercentage = this.parseNumber(row.vatPercentage) ?? 0;
+    if (Number.isNaN(vatPercentage) || vatPercentage < 0 || vatPercentage > 100) {
+      errors.push("VAT must be a percentage between 0 and 100");
+    }
+
+    const pieces = this.parseNumber(row.pieces) ?? 0;
+    if (Number.isNaN(pieces) || pieces < 0) errors.push("Pieces must be a non-negative number");
+
+    if (errors.length) return { errors };
+
+    const pureWeight = grossWeight * purity;
+    const metalAmount = pureWeight * rate;
+    const subTotal = metalAmount + makingCharges;
+    const vatAmount = (subTotal * vatPercentage) / 100;
+
+    return {
+      errors,
+      transactionType,
+      party,
+      partyCurrency,
+      voucherDate,
+      item: {
+        stockCode: stock._id,
+        description: stock.description,
+        pieces,
+        grossWeight,
+        purity,
+        pureWeight,
+        purityWeight: pureWeight,
+        weightInOz: pureWeight / GRAMS_PER_TROY_OUNCE,
+        metalRate,
+        metalRateRequirements: { amount: metalAmount, rate },
+        makingCharges: {
+          amount: makingCharges,
+          rate: grossWeight > 0 ? makingCharges / grossWeight : 0,
+        },
+        vat: { percentage: vatPercentage, amount: vatAmount },
+        itemTotal: {
+          baseAmount: metalAmount,
+          makingChargesTotal: makingCharges,
+          premiumTotal: 0,
+          subTotal,
+          vatAmount,
+          itemTotalAmount: subTotal + vatAmount,
+        },
+        itemNotes: row.notes ? String(row.notes) : undefined,
+      },
+    };
+  }
+
+  /**
+   * Validate (and in commit mode import) an uploaded voucher file.
+   * @param {Object} file - multer file (buffer + originalname)
+   * @param {string} adminId
+   * @param {Object} options - { commit, transactionType, periodOverride }
+   */
+  static async importMetalTransactions(file, adminId, options = {}) {
+    const rows = await this.parseFile(file);
+    const lookups = await this.loadLookups(rows);
+
+    const report = [];
+    const vouchers = new Map();
+
+    for (const row of rows) {
+      const result = this.validateRow(row, lookups, options);
+      report.push({
+        row: row.rowNumber,
+        partyCode: row.partyCode,
+        stockCode: row.stockCode,
+        valid: result.errors.length === 0,
+        errors: result.errors,
+      });
+      if (result.errors.length) continue;
+
+      // Rows without a voucher reference become a voucher of their own
+      const key = [
+        result.transactionType,
+        result.party._id,
+        moment(result.voucherDate).format("YYYY-MM-DD"),
+        row.voucherRef || `row-${row.rowNumber}`,
+      ].join("|");
+
+      if (!vouchers.has(key)) {
+        vouchers.set(key, {
+          rows: [],
+          transactionType: result.transactionType,
+          party: result.party,
+          partyCurrency: result.partyCurrency,
+          voucherDate: result.voucherDate,
+          reference: row.voucherRef || null,
+          stockItems: [],
+        });
+      }
+      const voucher = vouchers.get(key);
+      voucher.rows.push(row.rowNumber);
+      voucher.stockItems.push(result.item);
+    }
+
+    // A voucher is only imported when every one of its rows is valid
+    const invalidRows = new Set(report.filter((r) => !r.valid).map((r) => r.row));
+    const importable = [];
+    for (const voucher of vouchers.values()) {
+      const sameReference = rows.filter(
+        (r) => voucher.reference && String(r.voucherRef) === String(voucher.reference)
+      );
+      const blocked = sameReference.some((r) => invalidRows.has(r.rowNumber));
+      if (blocked) {
+        voucher.rows.forEach((rowNumber) => {
+          const entry = report.find((r) => r.row === rowNumber);
+          entry.valid = false;
+          entry.errors.push(`Voucher ${voucher.reference} has invalid rows and was skipped`);
+        });
+      } else {
+        importable.push(voucher);
+      }
+    }
+
+    const summary = {
+      totalRows: rows.length,
+      validRows: report.filter((r) => r.valid).length,
+      invalidRows: report.filter((r) => !r.valid).length,
+      vouchers: importable.length,
+    };
+    const preview = importable.map((voucher) => ({
+      rows: voucher.rows,
+      transactionType: voucher.transactionType,
+      partyCode: voucher.party.accountCode,
+      voucherDate: voucher.voucherDate,
+      reference: voucher.reference,
+      items: voucher.stockItems.length,
+      pureWeight: voucher.stockItems.reduce((sum, i) => sum + i.pureWeight, 0),
+      totalAmount: voucher.stockItems.reduce((sum, i) => sum + i.itemTotal.itemTotalAmount, 0),
+    }));
+
+    if (!options.commit) {
+      return { mode: "dry-run", summary, rows: report, vouchers: preview };
+    }
+
+    if (!importable.length) {
+      throw createAppError("No valid vouchers to import", 400, "NOTHING_TO_IMPORT");
+    }
+
+    const transactionsData = await this.buildTransactions(importable);
+    const result = await MetalTransactionService.createBulkMetalTransactions(
+      transactionsData,
+      adminId,
+      {
+        atomic: true,
+        submitForApproval: true,
+        periodOverride: options.periodOverride,
+      }
+    );
+
+    return {
+      mode: "commit",
+      summary: { ...summary, imported: result.results.length },
+      rows: report,
+      vouchers: result.results.map(({ data }, index) => ({
+        ...preview[index],
+        _id: data._id,
+        voucherNumber: data.voucherNumber,
+        approvalStatus: data.approvalStatus,
+      })),
+    };
+  }
+
+  // Voucher numbers come from the voucher master, numbered on from the next free one
+  static async buildTransactions(vouchers) {
+    const numbering = new Map();
+    const transactions = [];
+
+    for (const voucher of vouchers) {
+      const type = voucher.transactionType;
+      if (!numbering.has(type)) {
+        const info = await VoucherMasterService.generateVoucherNumber(VOUCHER_MODULES[type], type);
+        numbering.set(type, { ...info, next: info.sequence });
+      }
+      const counter = numbering.get(type);
+      const voucherNumber = `${counter.prefix}${counter.next
+        .toString()
+        .padStart(counter.voucherConfig.numberLength, "0")}`;
+      counter.next += 1;
+
+      transactions.push({
+        transactionType: type,
+        // Priced rows are fixed vouchers, rows without a rate stay unfixed
+        fixed: voucher.stockItems.every((i) => i.metalRateRequirements.rate > 0),
+        unfix: !voucher.stockItems.every((i) => i.metalRateRequirements.rate > 0),
+        voucherType: counter.voucherType,
+        voucherDate: voucher.voucherDate,
+        voucherNumber,
+        partyCode: voucher.party._id,
+        partyCurrency: voucher.partyCurrency,
+        stockItems: voucher.stockItems,
+        status: "draft",
+        notes: voucher.reference ? `Imported voucher ${voucher.reference}` : "Imported voucher",
+      });
+    }
+    return transactions;
+  }
+}
+
+export default MetalTransactionImportService;
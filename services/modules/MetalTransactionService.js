@@ -2,37 +2,296 @@ import mongoose from "mongoose";
 import MetalTransaction from "../../models/modules/MetalTransaction.js";
 import Registry from "../../models/modules/Registry.js";
 import Account from "../../models/modules/AccountType.js";
+import CurrencyMaster from "../../models/modules/CurrencyMaster.js";
+import MetalRateMaster from "../../models/modules/MetalRateMaster.js";
+import MetalRateHistory from "../../models/modules/MetalRateHistory.js";
 import { createAppError } from "../../utils/errorHandler.js";
 import InventoryLog from "../../models/modules/InventoryLog.js";
 import Inventory from "../../models/modules/inventory.js";
 import MetalStock from "../../models/modules/MetalStock.js";
 import InventoryService from "./inventoryService.js";
+import FiscalPeriodService from "./FiscalPeriodService.js";
+import CreditExposureService from "./CreditExposureService.js";
+import FixingAllocationService from "./FixingAllocationService.js";
+import InventoryReservationService from "./InventoryReservationService.js";
+
+// A reversed voucher and its reversal cancel out, so neither counts towards totals
+const EXCLUDE_REVERSED = { status: { $ne: "reversed" }, isReversal: { $ne: true } };
 
 class MetalTransactionService {
-  static async createMetalTransaction(transactionData, adminId) {
+  static async createMetalTransaction(transactionData, adminId, options = {}) {
+    // Callers running their own transaction (bulk import) pass its session
+    if (options.session) {
+      return this.saveNewMetalTransaction(transactionData, adminId, options, options.session);
+    }
+
     const session = await mongoose.startSession();
     let createdTransaction;
     try {
       await session.withTransaction(async () => {
+        createdTransaction = await this.saveNewMetalTransaction(
+          transactionData,
+          adminId,
+          options,
+          session
+        );
+        return createdTransaction;
+      });
 
-        this.validateTransactionData(transactionData);
+      return await this.getMetalTransactionById(createdTransaction._id);
+    } catch (error) {
+      throw this.handleError(error);
+    } finally {
+      await session.endSession();
+    }
+  }
 
-        const [party, metalTransaction] = await Promise.all([
-          this.validateParty(transactionData.partyCode, session),
-          this.createTransaction(transactionData, adminId),
-        ]);
+  static async saveNewMetalTransaction(transactionData, adminId, options, session) {
+    this.validateTransactionData(transactionData);
 
-        await metalTransaction.save({ session });
-        createdTransaction = metalTransaction;
-        await Promise.all([
-          this.createRegistryEntries(metalTransaction, party, adminId, session),
-          this.updateAccountBalances(party, metalTransaction, session),
-        ]);
+    await FiscalPeriodService.assertPeriodOpen(transactionData.voucherDate, {
+      adminId,
+      action: "create",
+      voucherType: transactionData.voucherType,
+      voucherNumber: transactionData.voucherNumber,
+      override: options.periodOverride,
+      session,
+    });
+
+    const [, metalTransaction] = await Promise.all([
+      this.validateParty(transactionData.partyCode, session),
+      this.createTransaction(transactionData, adminId),
+    ]);
+
+    if (transactionData.reservation) {
+      await InventoryReservationService.assertUsableForSale(
+        transactionData.reservation,
+        transactionData,
+        session
+      );
+    }
+    await InventoryReservationService.assertSaleStock(transactionData, session);
+
+    metalTransaction.partyCurrencyRate = await CurrencyMaster.getConversionRate(
+      metalTransaction.partyCurrency,
+      session,
+      metalTransaction.voucherDate
+    );
+    await this.snapshotStockItemRates(metalTransaction, session);
+
+    const exposure = await this.checkCreditExposure(metalTransaction, session);
+    if (exposure) {
+      metalTransaction.creditCheck = CreditExposureService.toCreditCheck(exposure);
+    }
+
+    // Nothing is posted until the voucher is approved
+    metalTransaction.approvalStatus = options.submitForApproval ? "pending" : "draft";
+    metalTransaction.requiredApprovals = this.getRequiredApprovals(metalTransaction);
+    if (options.submitForApproval) {
+      metalTransaction.submittedBy = adminId;
+      metalTransaction.submittedAt = new Date();
+    }
+
+    await metalTransaction.save({ session });
+    return metalTransaction;
+  }
 
-        return metalTransaction;
+  /**
+   * Record on each stock item the master rate in force at the end of the voucher date
+   * (or now, for today's vouchers). Rates that have no history yet use the current master.
+   */
+  static async snapshotStockItemRates(transaction, session = null) {
+    const endOfDay = new Date(transaction.voucherDate || Date.now());
+    endOfDay.setHours(23, 59, 59, 999);
+    const at = endOfDay < new Date() ? endOfDay : new Date();
+
+    const snapshots = new Map();
+    for (const item of transaction.stockItems) {
+      const rateId = item.metalRate?._id?.toString() || item.metalRate?.toString();
+      if (!rateId) continue;
+
+      if (!snapshots.has(rateId)) {
+        const tick = await MetalRateHistory.findEffective(rateId, at, session);
+        const source =
+          tick ||
+          (await MetalRateMaster.findById(rateId)
+            .select("rateType convertrate convFactGms currencyId")
+            .session(session)
+            .lean());
+        snapshots.set(
+          rateId,
+          source
+            ? {
+                tick: tick?._id || null,
+                rateType: source.rateType,
+                convertrate: source.convertrate,
+                convFactGms: source.convFactGms,
+                ratePerGram: source.convFactGms ? source.convertrate / source.convFactGms : null,
+                currencyId: source.currencyId || null,
+                effectiveAt: tick?.effectiveAt || null,
+              }
+            : null
+        );
+      }
+
+      const snapshot = snapshots.get(rateId);
+      if (snapshot) item.rateSnapshot = snapshot;
+    }
+  }
+
+  // Second approver is required above the configured voucher value (AED) or pure weight (g)
+  static getApprovalThresholds() {
+    return {
+      value: parseFloat(process.env.METAL_APPROVAL_VALUE_THRESHOLD) || Infinity,
+      weight: parseFloat(process.env.METAL_APPROVAL_WEIGHT_THRESHOLD) || Infinity,
+    };
+  }
+
+  static getRequiredApprovals(transaction) {
+    const thresholds = this.getApprovalThresholds();
+    const totalValue = transaction.totalAmountSession?.totalAmountAED || 0;
+    const totalPureWeight = (transaction.stockItems || []).reduce(
+      (sum, item) => sum + (item.pureWeight || 0),
+      0
+    );
+    return totalValue > thresholds.value || totalPureWeight > thresholds.weight
+      ? 2
+      : 1;
+  }
+
+  // Credit/margin check for vouchers that increase what the party owes us
+  static async checkCreditExposure(transaction, session = null) {
+    const { transactionType, fixed, unfix, stockItems, totalAmountSession, partyCode } = transaction;
+    if (!["sale", "purchaseReturn"].includes(transactionType)) return null;
+
+    const totals = this.calculateTotals(stockItems, totalAmountSession);
+    const changes = this.calculateBalanceChanges(
+      transactionType,
+      this.getTransactionMode(fixed, unfix),
+      totals
+    );
+
+    return CreditExposureService.assertWithinLimits(
+      partyCode._id || partyCode,
+      {
+        cashDelta: changes.cashBalance + changes.premiumBalance + changes.discountBalance,
+        goldDelta: changes.goldBalance,
+      },
+      { session, action: `metal-${transactionType}` }
+    );
+  }
+
+  // A voucher cancelled before approval can never be submitted, approved or edited
+  static assertNotCancelled(transaction) {
+    if (transaction.status === "cancelled" || transaction.approvalStatus === "cancelled") {
+      throw createAppError("Metal transaction has been cancelled", 400, "TRANSACTION_CANCELLED");
+    }
+  }
+
+  // Move a draft or rejected voucher into the approval queue
+  static async submitMetalTransaction(transactionId, adminId) {
+    const transaction = await MetalTransaction.findById(transactionId);
+    if (!transaction || !transaction.isActive) {
+      throw createAppError("Metal transaction not found", 404, "TRANSACTION_NOT_FOUND");
+    }
+    this.assertNotCancelled(transaction);
+    if (!["draft", "rejected"].includes(transaction.approvalStatus)) {
+      throw createAppError(
+        `Cannot submit a voucher that is ${transaction.approvalStatus}`,
+        400,
+        "INVALID_APPROVAL_STATUS"
+      );
+    }
+
+    transaction.approvalStatus = "pending";
+    transaction.requiredApprovals = this.getRequiredApprovals(transaction);
+    transaction.approvals = [];
+    transaction.submittedBy = adminId;
+    transaction.submittedAt = new Date();
+    transaction.rejectedBy = null;
+    transaction.rejectedAt = null;
+    transaction.rejectionReason = undefined;
+    transaction.updatedBy = adminId;
+    await transaction.save();
+
+    return await this.getMetalTransactionById(transactionId);
+  }
+
+  // Record an approval; the final approval posts registry rows, balances and inventory
+  static async approveMetalTransaction(transactionId, adminId, options = {}) {
+    const session = await mongoose.startSession();
+    let posted = false;
+    try {
+      await session.withTransaction(async () => {
+        posted = false;
+        const transaction = await MetalTransaction.findById(transactionId).session(session);
+        if (!transaction || !transaction.isActive) {
+          throw createAppError("Metal transaction not found", 404, "TRANSACTION_NOT_FOUND");
+        }
+        this.assertNotCancelled(transaction);
+        if (transaction.approvalStatus !== "pending") {
+          throw createAppError(
+            `Cannot approve a voucher that is ${transaction.approvalStatus}`,
+            400,
+            "INVALID_APPROVAL_STATUS"
+          );
+        }
+        if (transaction.createdBy?.toString() === adminId.toString()) {
+          throw createAppError(
+            "The maker of a voucher cannot approve it",
+            403,
+            "SELF_APPROVAL_NOT_ALLOWED"
+          );
+        }
+        if (transaction.approvals.some((a) => a.approver.toString() === adminId.toString())) {
+          throw createAppError(
+            "You have already approved this voucher",
+            409,
+            "ALREADY_APPROVED_BY_ADMIN"
+          );
+        }
+
+        transaction.approvals.push({ approver: adminId, remarks: options.remarks });
+        transaction.updatedBy = adminId;
+
+        if (transaction.approvals.length >= transaction.requiredApprovals) {
+          await FiscalPeriodService.assertPeriodOpen(transaction.voucherDate, {
+            adminId,
+            action: "create",
+            voucherType: transaction.voucherType,
+            voucherId: transaction._id,
+            voucherNumber: transaction.voucherNumber,
+            override: options.periodOverride,
+            session,
+          });
+
+          // Balances may have moved since booking, so the limit is checked again
+          const exposure = await this.checkCreditExposure(transaction, session);
+          if (exposure) {
+            transaction.creditCheck = CreditExposureService.toCreditCheck(exposure);
+          }
+
+          const party = await this.validateParty(transaction.partyCode, session);
+          await this.createRegistryEntries(transaction, party, adminId, session);
+          await this.updateAccountBalances(party, transaction, session);
+          // Stock reserved since booking is not available to this sale
+          await InventoryReservationService.assertSaleStock(transaction, session);
+          // The sale now takes the stock itself, so its hold is released as converted
+          await InventoryReservationService.convertForTransaction(transaction, session);
+          await this.applyInventoryMovement(transaction, adminId, session);
+
+          transaction.approvalStatus = "approved";
+          transaction.approvedBy = adminId;
+          transaction.approvedAt = new Date();
+          transaction.status = "completed";
+          posted = true;
+        }
+
+        await transaction.save({ session });
       });
 
-      return await this.getMetalTransactionById(createdTransaction._id);
+      const approvedTransaction = await this.getMetalTransactionById(transactionId);
+      return { transaction: approvedTransaction, posted };
     } catch (error) {
       throw this.handleError(error);
     } finally {
@@ -40,6 +299,77 @@ class MetalTransactionService {
     }
   }
 
+  static async rejectMetalTransaction(transactionId, adminId, reason) {
+    const transaction = await MetalTransaction.findById(transactionId);
+    if (!transaction || !transaction.isActive) {
+      throw createAppError("Metal transaction not found", 404, "TRANSACTION_NOT_FOUND");
+    }
+    if (transaction.approvalStatus !== "pending") {
+      throw createAppError(
+        `Cannot reject a voucher that is ${transaction.approvalStatus}`,
+        400,
+        "INVALID_APPROVAL_STATUS"
+      );
+    }
+
+    transaction.approvalStatus = "rejected";
+    transaction.approvals = [];
+    transaction.rejectedBy = adminId;
+    transaction.rejectedAt = new Date();
+    transaction.rejectionReason = reason;
+    transaction.updatedBy = adminId;
+    await transaction.save();
+
+    return await this.getMetalTransactionById(transactionId);
+  }
+
+  static async getPendingApprovals(page = 1, limit = 50, adminId = null) {
+    const skip = (page - 1) * limit;
+    const query = { isActive: true, approvalStatus: "pending" };
+
+    // Hide vouchers the admin made or already approved
+    if (adminId) {
+      query.createdBy = { $ne: adminId };
+      query["approvals.approver"] = { $ne: adminId };
+    }
+
+    const [transactions, total] = await Promise.all([
+      MetalTransaction.find(query)
+        .populate("partyCode", "accountCode customerName")
+        .populate("createdBy", "name email")
+        .populate("submittedBy", "name email")
+        .populate("approvals.approver", "name email")
+        .sort({ submittedAt: 1 })
+        .skip(skip)
+        .limit(limit),
+      MetalTransaction.countDocuments(query),
+    ]);
+
+    return {
+      transactions,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        itemsPerPage: limit,
+      },
+    };
+  }
+
+  // Stock movement for an approved voucher, posted in the approval session
+  static async applyInventoryMovement(transaction, adminId, session = null) {
+    switch (transaction.transactionType) {
+      case "purchase":
+      case "saleReturn":
+        return InventoryService.updateInventory(transaction, false, adminId, session);
+      case "sale":
+      case "purchaseReturn":
+        return InventoryService.updateInventory(transaction, true, adminId, session);
+      default:
+        throw createAppError("Invalid transaction type", 400, "INVALID_TRANSACTION_TYPE");
+    }
+  }
+
   static async validateParty(partyCode, session) {
     const party = await Account.findById(partyCode)
       .select("_id isActive accountCode customerName balances")
@@ -465,8 +795,8 @@ class MetalTransactionService {
           `Party cash balance - Purchase from ${partyName}`,
           party._id,
           false,
-          totals.goldValue,
-          totals.goldValue,
+          totals.totalAmount,
+          totals.totalAmount,
           {
             goldDebit: totals.grossWeight,
             cashDebit: totals.goldValue,
@@ -2351,6 +2681,25 @@ class MetalTransactionService {
         new: true,
       });
     }
+
+    await this.applyPartyCashChange(
+      party._id,
+      metalTransaction,
+      balanceChanges.cashBalance + balanceChanges.premiumBalance + balanceChanges.discountBalance,
+      session
+    );
+  }
+
+  // Voucher amounts are in the base currency; the party's sub-balance is kept in the voucher's party currency
+  static async applyPartyCashChange(partyId, metalTransaction, baseAmount, session) {
+    const amount = parseFloat((baseAmount || 0).toFixed(2));
+    if (amount === 0) return null;
+
+    const currency = metalTransaction.partyCurrency?._id || metalTransaction.partyCurrency;
+    const conversionRate =
+      metalTransaction.partyCurrencyRate ||
+      (await CurrencyMaster.getConversionRate(currency, session, metalTransaction.voucherDate));
+    return Account.incrementCashBalance(partyId, currency, amount / conversionRate, conversionRate, session);
   }
 
   static buildUpdateOperations(balanceChanges) {
@@ -2364,18 +2713,7 @@ class MetalTransactionService {
       setObj["balances.goldBalance.lastUpdated"] = new Date();
     }
 
-    const netCashChange =
-      balanceChanges.cashBalance +
-      balanceChanges.premiumBalance +
-      // balanceChanges.otherCharges +
-      balanceChanges.discountBalance;
-
-    if (netCashChange !== 0) {
-      incObj["balances.cashBalance.amount"] = parseFloat(
-        netCashChange.toFixed(2)
-      );
-      setObj["balances.cashBalance.lastUpdated"] = new Date();
-    }
+    // Cash is posted per currency by applyPartyCashChange
 
     setObj["balances.lastBalanceUpdate"] = new Date();
 
@@ -2630,7 +2968,35 @@ class MetalTransactionService {
     return true;
   }
 
-  static async createBulkMetalTransactions(transactionsData, adminId) {
+  static async createBulkMetalTransactions(transactionsData, adminId, options = {}) {
+    // All-or-nothing: every voucher is created in one transaction, any failure aborts
+    if (options.atomic) {
+      const session = await mongoose.startSession();
+      const created = [];
+      try {
+        await session.withTransaction(async () => {
+          created.length = 0;
+          for (const transactionData of transactionsData) {
+            created.push(
+              await this.createMetalTransaction(transactionData, adminId, {
+                ...options,
+                session,
+              })
+            );
+          }
+        });
+        return {
+          results: created.map((data, index) => ({ index, success: true, data })),
+          errors: [],
+          totalProcessed: transactionsData.length,
+        };
+      } catch (error) {
+        throw this.handleError(error);
+      } finally {
+        await session.endSession();
+      }
+    }
+
     const results = [];
     const errors = [];
 
@@ -2638,7 +3004,8 @@ class MetalTransactionService {
       try {
         const result = await this.createMetalTransaction(
           transactionsData[i],
-          adminId
+          adminId,
+          options
         );
         results.push({ index: i, success: true, data: result });
       } catch (error) {
@@ -2718,7 +3085,9 @@ class MetalTransactionService {
   // Get all metal transactions with pagination and filters
   static async getAllMetalTransactions(page = 1, limit = 50, filters = {}) {
     const skip = (page - 1) * limit;
-    const query = { isActive: true };
+    const query = filters.includeReversed
+      ? { isActive: true }
+      : { isActive: true, ...EXCLUDE_REVERSED };
 
     if (filters.transactionType)
       query.transactionType = filters.transactionType;
@@ -2806,6 +3175,9 @@ class MetalTransactionService {
     const query = {
       isActive: true,
       unfix: true, // Show only transactions where unfix is true
+      approvalStatus: "approved", // Nothing is open until the voucher is posted
+      fixingStatus: { $ne: "fixed" }, // Fully covered by fixings
+      ...EXCLUDE_REVERSED,
     };
 
     // Apply filters
@@ -2870,10 +3242,35 @@ class MetalTransactionService {
       }
     });
 
+    // Weight still open after fixing allocations, per voucher
+    const vouchers = transactions.map((transaction) => {
+      const totalWeight = FixingAllocationService.getVoucherWeight(transaction);
+      const fixedWeight = transaction.fixedWeight || 0;
+      return {
+        _id: transaction._id,
+        voucherNumber: transaction.voucherNumber,
+        voucherDate: transaction.voucherDate,
+        transactionType: transaction.transactionType,
+        partyId: transaction.partyCode?._id || transaction.partyCode,
+        fixingStatus: transaction.fixingStatus || "unfixed",
+        totalWeight,
+        fixedWeight,
+        remainingWeight: Math.max(0, totalWeight - fixedWeight),
+      };
+    });
+
+    vouchers.forEach((voucher) => {
+      const party = partyDataMap.get(voucher.partyId?.toString());
+      if (party) {
+        party.unfixedWeight = (party.unfixedWeight || 0) + voucher.remainingWeight;
+      }
+    });
+
     const uniquePartyData = Array.from(partyDataMap.values());
 
     return {
       parties: uniquePartyData,
+      vouchers,
       pagination: {
         currentPage: page,
         totalPages: Math.ceil(total / limit),
@@ -2889,6 +3286,10 @@ class MetalTransactionService {
         totalSales: transactions.filter((t) => t.transactionType === "sale")
           .length,
         totalParties: uniquePartyData.length,
+        totalRemainingWeight: vouchers.reduce(
+          (sum, v) => sum + v.remainingWeight,
+          0
+        ),
       },
     };
   }
@@ -3104,7 +3505,7 @@ class MetalTransactionService {
   }
 
   // Update metal transaction
-  static async updateMetalTransaction(transactionId, updateData, adminId) {
+  static async updateMetalTransaction(transactionId, updateData, adminId, options = {}) {
     const session = await mongoose.startSession();
     let transaction;
 
@@ -3126,6 +3527,29 @@ class MetalTransactionService {
         );
       }
 
+      if (transaction.status === "reversed" || transaction.isReversal) {
+        throw createAppError(
+          "Reversed vouchers and reversal vouchers cannot be edited",
+          400,
+          "TRANSACTION_REVERSED"
+        );
+      }
+      this.assertNotCancelled(transaction);
+
+      // Both the original and the new voucher date must be in an open period
+      await FiscalPeriodService.assertPeriodOpen(
+        [transaction.voucherDate, updateData?.voucherDate],
+        {
+          adminId,
+          action: "update",
+          voucherType: transaction.voucherType,
+          voucherId: transaction._id,
+          voucherNumber: transaction.voucherNumber,
+          override: options.periodOverride,
+          session,
+        }
+      );
+
       // Store original transaction data for reversal
       const originalData = {
         ...transaction.toObject(),
@@ -3147,6 +3571,16 @@ class MetalTransactionService {
 
       // Apply updates to transaction
       this.applyTransactionUpdates(transaction, updateData);
+      if (updateData?.voucherDate) {
+        transaction.partyCurrencyRate = await CurrencyMaster.getConversionRate(
+          transaction.partyCurrency,
+          session,
+          transaction.voucherDate
+        );
+      }
+      if (updateData?.voucherDate || updateData?.stockItems) {
+        await this.snapshotStockItemRates(transaction, session);
+      }
 
       // Recalculate session totals if necessary
       if (updateData?.stockItems || updateData?.totalAmountSession) {
@@ -3159,17 +3593,29 @@ class MetalTransactionService {
       await transaction.save({ session });
       console.log(`[UPDATE_TRANSACTION] Transaction ${transactionId} updated`);
 
-      // Handle registry and balance updates
-      await this.handleRegistryAndBalances(
-        transaction,
-        originalData,
-        oldParty,
-        newParty,
-        adminId,
-        session,
-        isPartyChanged,
-        updateData
-      );
+      // Handle registry and balance updates - unapproved vouchers have nothing posted yet
+      if (transaction.approvalStatus === "approved") {
+        await this.handleRegistryAndBalances(
+          transaction,
+          originalData,
+          oldParty,
+          newParty,
+          adminId,
+          session,
+          isPartyChanged,
+          updateData
+        );
+      } else if (transaction.approvalStatus === "pending") {
+        // Edited vouchers go back through the full approval round
+        transaction.approvals = [];
+        transaction.requiredApprovals = this.getRequiredApprovals(transaction);
+        await transaction.save({ session });
+      }
+
+      // Weights may have changed, so the fixed/partial status is recomputed
+      if (updateData?.stockItems) {
+        await FixingAllocationService.refreshVoucherStatus([transaction._id], session);
+      }
       // Commit transaction
       console.log(`[UPDATE_TRANSACTION] Committing transaction for ${transactionId}`);
       await session.commitTransaction();
@@ -3380,11 +3826,18 @@ class MetalTransactionService {
 
       party.balances.goldBalance.totalGrams -= balanceChanges.goldBalance;
       party.balances.goldBalance.totalValue -= balanceChanges.goldValue;
-      party.balances.cashBalance.amount -=
+
+      const netCashChange =
         balanceChanges.cashBalance +
         balanceChanges.premiumBalance +
         balanceChanges.discountBalance;
-      party.balances.cashBalance.lastUpdated = new Date();
+      if (netCashChange !== 0) {
+        const currency = originalData.partyCurrency?._id || originalData.partyCurrency;
+        const conversionRate =
+          originalData.partyCurrencyRate ||
+          (await CurrencyMaster.getConversionRate(currency, session, originalData.voucherDate));
+        party.applyCashMovement(currency, -netCashChange / conversionRate, conversionRate);
+      }
 
       await party.save({ session });
 
@@ -3464,48 +3917,172 @@ class MetalTransactionService {
     }
   }
 
-  // Delete metal transaction (soft delete)
-  static async deleteMetalTransaction(transactionId, adminId) {
+  // Delete metal transaction - posted vouchers are never physically removed,
+  // so a delete is recorded as a reversal of the original voucher
+  static async deleteMetalTransaction(transactionId, adminId, options = {}) {
+    const existing = await MetalTransaction.findById(transactionId);
+    if (!existing || !existing.isActive) {
+      throw createAppError("Metal transaction not found", 404, "TRANSACTION_NOT_FOUND");
+    }
+
+    this.assertNotCancelled(existing);
+
+    // Nothing has been posted for unapproved vouchers, so cancelling is enough
+    if (existing.approvalStatus !== "approved") {
+      existing.status = "cancelled";
+      existing.approvalStatus = "cancelled";
+      existing.approvals = [];
+      existing.updatedBy = adminId;
+      await existing.save();
+      return {
+        original: await this.getMetalTransactionById(transactionId),
+        message: "Metal transaction cancelled successfully",
+      };
+    }
+
+    const result = await this.reverseMetalTransaction(transactionId, adminId, {
+      ...options,
+      reason: options.reason || "Voucher deleted",
+    });
+    return {
+      ...result,
+      message: "Metal transaction reversed successfully",
+    };
+  }
+
+  // Reverse metal transaction: keeps the original voucher and its registry rows,
+  // posts a linked reversal voucher with mirror-image rows and restores inventory
+  static async reverseMetalTransaction(transactionId, adminId, options = {}) {
     const session = await mongoose.startSession();
+    let reversalId;
     try {
-      session.startTransaction();
+      await session.withTransaction(async () => {
+        const transaction = await MetalTransaction.findById(
+          transactionId
+        ).session(session);
+        if (!transaction || !transaction.isActive) {
+          throw createAppError(
+            "Metal transaction not found",
+            404,
+            "TRANSACTION_NOT_FOUND"
+          );
+        }
+        if (transaction.isReversal) {
+          throw createAppError(
+            "A reversal voucher cannot itself be reversed",
+            400,
+            "CANNOT_REVERSE_REVERSAL"
+          );
+        }
+        if (transaction.approvalStatus !== "approved") {
+          throw createAppError(
+            "Only approved vouchers can be reversed",
+            400,
+            "TRANSACTION_NOT_POSTED"
+          );
+        }
+        if (transaction.status === "reversed" || transaction.reversedBy) {
+          throw createAppError(
+            "Metal transaction has already been reversed",
+            409,
+            "ALREADY_REVERSED"
+          );
+        }
 
-      const transaction = await MetalTransaction.findById(
-        transactionId
-      ).session(session);
-      if (!transaction || !transaction.isActive) {
-        throw createAppError(
-          "Metal transaction not found",
-          404,
-          "TRANSACTION_NOT_FOUND"
+        // The reversal is posted today, so only today's period has to be open
+        const reversalDate = new Date();
+        await FiscalPeriodService.assertPeriodOpen(reversalDate, {
+          adminId,
+          action: "create",
+          voucherType: transaction.voucherType,
+          voucherId: transaction._id,
+          voucherNumber: transaction.voucherNumber,
+          override: options.periodOverride,
+          session,
+        });
+
+        const party = await Account.findById(transaction.partyCode)
+          .session(session)
+          .lean();
+        if (!party) {
+          throw createAppError("Party not found", 404, "PARTY_NOT_FOUND");
+        }
+
+        const {
+          _id,
+          __v,
+          createdAt,
+          updatedAt,
+          updatedBy,
+          ...original
+        } = transaction.toObject({ virtuals: false });
+
+        const reversal = new MetalTransaction({
+          ...original,
+          stockItems: original.stockItems.map(({ _id: itemId, ...item }) => item),
+          voucherNumber: original.voucherNumber
+            ? `REV-${original.voucherNumber}`
+            : undefined,
+          voucherDate: reversalDate,
+          status: "completed",
+          isReversal: true,
+          reversalOf: transaction._id,
+          reversalReason: options.reason,
+          notes: `Reversal of ${original.voucherNumber || transaction._id}`,
+          approvalStatus: "approved",
+          requiredApprovals: 1,
+          approvals: [],
+          approvedBy: adminId,
+          approvedAt: reversalDate,
+          fixingStatus: "unfixed",
+          fixedWeight: 0,
+          createdBy: adminId,
+        });
+        await reversal.save({ session });
+        reversalId = reversal._id;
+
+        await this.createReversalRegistryEntries(
+          transaction,
+          party,
+          adminId,
+          session,
+          reversal
         );
-      }
-      await this.deleteRegistryEntry(transaction);
 
-      // update the stocks
+        await this.updateTradeDebtorsBalances(
+          party._id,
+          transaction,
+          session,
+          false,
+          true
+        );
 
-      const party = await Account.findById(transaction.partyCode).session(
-        session
-      );
+        await InventoryService.reverseInventory(transaction, session, {
+          adminId,
+          voucherCode: reversal.voucherNumber,
+          voucherDate: reversalDate,
+        });
 
-      await this.updateTradeDebtorsBalances(
-        party._id,
-        transaction,
-        session,
-        false,
-        true
-      );
+        transaction.status = "reversed";
+        transaction.reversedBy = reversal._id;
+        transaction.reversedAt = reversalDate;
+        transaction.reversalReason = options.reason;
+        transaction.updatedBy = adminId;
+        await transaction.save({ session });
 
-      // hard delete metalTransaction
-      await MetalTransaction.deleteOne({ _id: transactionId }).session(session);
+        // Fixings that covered this voucher become free to allocate elsewhere
+        await FixingAllocationService.releaseVoucher(transaction._id, adminId, session);
+      });
 
-      await session.commitTransaction();
-      return { message: "Metal transaction deleted successfully" };
+      const [original, reversal] = await Promise.all([
+        this.getMetalTransactionById(transactionId),
+        this.getMetalTransactionById(reversalId),
+      ]);
+      return { original, reversal };
     } catch (error) {
-      await session.abortTransaction();
-      throw error;
+      throw this.handleError(error);
     } finally {
-      session.endSession();
+      await session.endSession();
     }
   }
 
@@ -3751,7 +4328,7 @@ class MetalTransactionService {
 
   // Get transaction statistics
   static async getTransactionStatistics(filters = {}) {
-    const matchStage = { isActive: true };
+    const matchStage = { isActive: true, ...EXCLUDE_REVERSED };
     if (filters.transactionType)
       matchStage.transactionType = filters.transactionType;
     if (filters.partyCode)
@@ -3835,7 +4412,7 @@ class MetalTransactionService {
 
   // Get profit/loss analysis
   static async getProfitLossAnalysis(filters = {}) {
-    const matchStage = { isActive: true };
+    const matchStage = { isActive: true, ...EXCLUDE_REVERSED };
     if (filters.partyCode)
       matchStage.partyCode = new mongoose.Types.ObjectId(filters.partyCode);
     if (filters.stockCode)
@@ -4169,7 +4746,8 @@ class MetalTransactionService {
     transaction,
     party,
     adminId,
-    session
+    session,
+    reversalTransaction = null
   ) {
     // Use buildRegistryEntries to get the original entries
     const originalEntries = this.buildRegistryEntries(
@@ -4178,15 +4756,20 @@ class MetalTransactionService {
       adminId
     );
 
-    // Reverse the entries by swapping debit and credit
+    // Reverse the entries by swapping every debit/credit leg
     const reversalEntries = originalEntries.map((entry) => ({
       ...entry,
+      metalTransactionId: reversalTransaction?._id || entry.metalTransactionId,
       transactionId: `${entry.transactionId}-REV`,
       description: `REVERSAL - ${entry.description}`,
       debit: entry.credit, // Swap debit and credit
       credit: entry.debit,
+      cashDebit: entry.cashCredit,
+      cashCredit: entry.cashDebit,
+      goldDebit: entry.goldCredit,
+      goldCredit: entry.goldDebit,
       transactionDate: new Date(), // Use current date for reversal
-      reference: `REV-${entry.reference}`,
+      reference: reversalTransaction?.voucherNumber || `REV-${entry.reference}`,
       createdAt: new Date(),
     }));
 
@@ -4257,23 +4840,14 @@ class MetalTransactionService {
       balanceChanges.cashBalance +
       balanceChanges.premiumBalance +
       balanceChanges.discountBalance;
-    if (netCashChange !== 0) {
-      if (isReversal) {
-        // Reverse cash balance changes
-        updateOps.$inc["balances.cashBalance.amount"] = -netCashChange;
-      } else {
-        // Apply cash balance changes
-        updateOps.$inc["balances.cashBalance.amount"] = netCashChange;
-      }
-      updateOps.$set["balances.cashBalance.lastUpdated"] = new Date();
-    }
+    // Cash sub-balances are posted separately by applyPartyCashChange
+    const cashChange = isReversal ? -netCashChange : netCashChange;
 
     // Update last transaction date and balance summary
     updateOps.$set["balances.lastTransactionDate"] = new Date();
     updateOps.$set["balances.summary"] = {
       totalOutstanding:
-        (party.balances.cashBalance.amount || 0) +
-        (updateOps.$inc["balances.cashBalance.amount"] || 0),
+        (party.balances.cashBalance.amount || 0) + cashChange,
       goldHoldings:
         (party.balances.goldBalance.totalGrams || 0) +
         (updateOps.$inc["balances.goldBalance.totalGrams"] || 0),
@@ -4296,6 +4870,7 @@ class MetalTransactionService {
         new: true,
       });
     }
+    await this.applyPartyCashChange(partyId, transaction, cashChange, session);
 
     console.log(`After balance update:`, {
       goldBalance: {
@@ -4307,9 +4882,7 @@ class MetalTransactionService {
           (updateOps.$inc["balances.goldBalance.totalValue"] || 0),
       },
       cashBalance: {
-        amount:
-          (party.balances.cashBalance.amount || 0) +
-          (updateOps.$inc["balances.cashBalance.amount"] || 0),
+        amount: (party.balances.cashBalance.amount || 0) + cashChange,
       },
       summary: updateOps.$set["balances.summary"],
     });
@@ -4321,7 +4894,8 @@ class MetalTransactionService {
   static async getPartyBalanceSummary(partyId) {
     const party = await Account.findById(partyId)
       .populate("balances.goldBalance.currency", "code symbol")
-      .populate("balances.cashBalance.currency", "code symbol");
+      .populate("balances.cashBalance.currency", "code symbol")
+      .populate("balances.cashBalances.currency", "currencyCode symbol conversionRate");
 
     if (!party || !party.isActive) {
       throw createAppError(
@@ -4341,6 +4915,7 @@ class MetalTransactionService {
       },
       goldBalance: party.balances.goldBalance,
       cashBalance: party.balances.cashBalance,
+      cashBalances: party.balances.cashBalances,
       summary: party.balances.summary,
       lastTransactionDate: party.balances.lastTransactionDate,
     };
@@ -4354,6 +4929,7 @@ class MetalTransactionService {
   ) {
     const matchStage = {
       isActive: true,
+      ...EXCLUDE_REVERSED,
       voucherDate: {
         $gte: new Date(startDate),
         $lte: new Date(endDate),
@@ -4397,7 +4973,7 @@ class MetalTransactionService {
     startDate = null,
     endDate = null
   ) {
-    const matchStage = { isActive: true };
+    const matchStage = { isActive: true, ...EXCLUDE_REVERSED };
 
     if (transactionType) {
       matchStage.transactionType = transactionType;
@@ -0,0 +1,773 @@
+import { Readable } from "stream";
+import ExcelJS from "exceljs";
+import mongoose from "mongoose";
+import Account from "../../models/modules/AccountType.js";
+import CurrencyMaster from "../../models/modules/CurrencyMaster.js";
+import FundTransfer from "../../models/modules/FundTransfer.js";
+import Inventory from "../../models/modules/inventory.js";
+import InventoryLog from "../../models/modules/InventoryLog.js";
+import MetalStock from "../../models/modules/MetalStock.js";
+import OpeningBalanceBatch from "../../models/modules/OpeningBalanceBatch.js";
+import Registry from "../../models/modules/Registry.js";
+import FiscalPeriodService from "./FiscalPeriodService.js";
+import MetalTransactionImportService from "./MetalTransactionImportService.js";
+import { createAppError } from "../../utils/errorHandler.js";
+
+const MAX_LINES = 5000;
+const VOUCHER_TYPE = "OPENING-BALANCE";
+const WEIGHT_TOLERANCE = 0.0001;
+
+// Normalised header -> line field
+const COLUMN_ALIASES = {
+  type: "lineType",
+  linetype: "lineType",
+  partycode: "accountCode",
+  accountcode: "accountCode",
+  party: "accountCode",
+  stockcode: "stockCode",
+  stock: "stockCode",
+  code: "code",
+  currency: "currencyCode",
+  currencycode: "currencyCode",
+  amount: "amount",
+  grams: "grams",
+  goldgrams: "grams",
+  grossweight: "grossWeight",
+  gross: "grossWeight",
+  pureweight: "pureWeight",
+  pure: "pureWeight",
+};
+
+const LINE_TYPES = {
+  cash: "partyCash",
+  partycash: "partyCash",
+  gold: "partyGold",
+  partygold: "partyGold",
+  stock: "stock",
+};
+
+const round = (value, decimals = 4) => Number((value || 0).toFixed(decimals));
+
+/**
+ * Batch opening balances for a new branch: party cash per currency, party gold in
+ * grams and stock gross/pure weight per MetalStock code.
+ *
+ * A batch is previewed first (validated, resulting balances shown, nothing posted),
+ * then confirmed in one transaction. Everything a batch posts is recorded on its lines
+ * so the whole batch can be reversed by its batch number.
+ */
+class OpeningBalanceService {
+  static async parseFile(file) {
+    if (!file?.buffer) {
+      throw createAppError("Import file is required", 400, "FILE_REQUIRED");
+    }
+
+    const workbook = new ExcelJS.Workbook();
+    const extension = file.originalname.split(".").pop().toLowerCase();
+    let worksheet;
+    if (extension === "csv") {
+      worksheet = await workbook.csv.read(Readable.from(file.buffer));
+    } else {
+      await workbook.xlsx.load(file.buffer);
+      worksheet = workbook.worksheets[0];
+    }
+
+    if (!worksheet || worksheet.rowCount < 2) {
+      throw createAppError("Import file has no data rows", 400, "EMPTY_IMPORT");
+    }
+
+    const headers = [];
+    worksheet.getRow(1).eachCell((cell, column) => {
+      const normalised = String(MetalTransactionImportService.cellValue(cell.value) ?? "")
+        .toLowerCase()
+        .replace(/[^a-z]/g, "");
+      headers[column] = COLUMN_ALIASES[normalised] || null;
+    });
+
+    if (!headers.includes("lineType")) {
+      throw createAppError("Missing required column: type", 400, "MISSING_COLUMNS");
+    }
+
+    const lines = [];
+    worksheet.eachRow((row, rowNumber) => {
+      if (rowNumber === 1) return;
+      const values = {};
+      row.eachCell((cell, column) => {
+        if (headers[column]) values[headers[column]] = MetalTransactionImportService.cellValue(cell.value);
+      });
+      lines.push(values);
+    });
+    return { lines, source: extension };
+  }
+
+  static normaliseLines(lines) {
+    if (!Array.isArray(lines) || lines.length === 0) {
+      throw createAppError("At least one opening balance line is required", 400, "EMPTY_IMPORT");
+    }
+    if (lines.length > MAX_LINES) {
+      throw createAppError(`Opening balance imports are limited to ${MAX_LINES} lines`, 400, "IMPORT_TOO_LARGE");
+    }
+
+    return lines.map((line, index) => {
+      const lineType = LINE_TYPES[String(line.lineType || line.type || "").toLowerCase().replace(/[^a-z]/g, "")];
+      const code = line.code ? String(line.code).trim() : null;
+      return {
+        lineNumber: index + 1,
+        lineType,
+        accountCode: line.accountCode ? String(line.accountCode).trim() : lineType !== "stock" ? code : null,
+        stockCode: line.stockCode ? String(line.stockCode).trim() : lineType === "stock" ? code : null,
+        currencyCode: line.currencyCode || line.currency ? String(line.currencyCode || line.currency).trim().toUpperCase() : null,
+        amount: MetalTransactionImportService.parseNumber(line.amount),
+        grams: MetalTransactionImportService.parseNumber(line.grams),
+        grossWeight: MetalTransactionImportService.parseNumber(line.grossWeight),
+        pureWeight: MetalTransactionImportService.parseNumber(line.pureWeight),
+      };
+    });
+  }
+
+  static async loadLookups(lines, session = null) {
+    const accountCodes = [...new Set(lines.map((l) => l.accountCode?.toUpperCase()).filter(Boolean))];
+    const stockCodes = [...new Set(lines.map((l) => l.stockCode?.toUpperCase()).filter(Boolean))];
+    const currencyCodes = [...new Set(lines.map((l) => l.currencyCode).filter(Boolean))];
+
+    // Sequential - these also run inside the confirm transaction, which takes one operation at a time
+    const parties = await Account.find({ accountCode: { $in: accountCodes } })
+      .select("accountCode customerName isActive acDefinition.currencies balances")
+      .session(session)
+      .lean();
+    const stocks = await MetalStock.find({ code: { $in: stockCodes }, isActive: true })
+      .select("code description karat pcs totalValue")
+      .populate("karat", "karatCode standardPurity")
+      .session(session)
+      .lean();
+    const currencies = await CurrencyMaster.find({ currencyCode: { $in: currencyCodes } })
+      .select("currencyCode isActive conversionRate")
+      .session(session)
+      .lean();
+    const openings = await Registry.find({
+      party: { $in: parties.map((p) => p._id) },
+      type: { $in: ["OPENING_CASH_BALANCE", "OPENING_GOLD_BALANCE"] },
+      isActive: true,
+    })
+      .select("party type currency")
+      .session(session)
+      .lean();
+    const inventories = await Inventory.find({ metal: { $in: stocks.map((s) => s._id) } })
+      .select("metal grossWeight pureWeight purity")
+      .session(session)
+      .lean();
+    // Currencies the parties trade in, for defaults and the preview
+    const partyCurrencies = await CurrencyMaster.find({
+      _id: {
+        $in: parties
+          .flatMap((p) => [
+            p.balances?.cashBalance?.currency,
+            ...(p.acDefinition?.currencies || []).map((c) => c.currency),
+          ])
+          .filter(Boolean),
+      },
+    })
+      .select("currencyCode conversionRate")
+      .session(session)
+      .lean();
+
+    return {
+      parties: new Map(parties.map((p) => [p.accountCode.toUpperCase(), p])),
+      stocks: new Map(stocks.map((s) => [s.code.toUpperCase(), s])),
+      currencies: new Map(currencies.map((c) => [c.currencyCode, c])),
+      partyCurrencies: new Map(partyCurrencies.map((c) => [c._id.toString(), c])),
+      // Cash openings posted before per-currency balances carry no currency
+      openings: new Set(openings.map((o) => `${o.party}|${o.type}|${o.currency || "legacy"}`)),
+      inventories: new Map(inventories.map((i) => [i.metal.toString(), i])),
+    };
+  }
+
+  // Cash lines without a currency go to the party's cash currency
+  static getPartyCashCurrency(party) {
+    return (
+      party.balances?.cashBalance?.currency ||
+      party.acDefinition?.currencies?.find((c) => c.isDefault)?.currency ||
+      party.acDefinition?.currencies?.[0]?.currency ||
+      null
+    );
+  }
+
+  static validateLine(line, lookups, seen) {
+    const errors = [];
+    const result = { lineNumber: line.lineNumber, lineType: line.lineType };
+
+    if (!line.lineType) {
+      errors.push("Type must be cash, gold or stock");
+      return { ...result, errors };
+    }
+
+    if (line.lineType === "stock") {
+      const stock = lookups.stocks.get(String(line.stockCode || "").toUpperCase());
+      if (!line.stockCode) errors.push("Stock code is required");
+      else if (!stock) errors.push(`Stock ${line.stockCode} not found or inactive`);
+      else if (seen.has(`stock|${stock._id}`)) errors.push(`Stock ${line.stockCode} appears more than once`);
+
+      if (!(line.grossWeight > 0)) errors.push("Gross weight must be a positive number");
+
+      const inventory = stock ? lookups.inventories.get(stock._id.toString()) : null;
+      const purity = inventory?.purity || stock?.karat?.standardPurity || 0;
+      let pureWeight = line.pureWeight;
+      if (pureWeight === null && line.grossWeight > 0) {
+        if (!purity) errors.push(`Pure weight is required - ${line.stockCode} has no standard purity`);
+        pureWeight = (line.grossWeight * purity) / 100;
+      }
+      if (Number.isNaN(pureWeight) || pureWeight < 0) {
+        errors.push("Pure weight must be a non-negative number");
+      } else if (line.grossWeight > 0 && pureWeight > line.grossWeight + WEIGHT_TOLERANCE) {
+        errors.push("Pure weight cannot exceed gross weight");
+      }
+
+      if (errors.length) return { ...result, stockCode: line.stockCode, errors };
+      seen.add(`stock|${stock._id}`);
+
+      const previousGross = inventory?.grossWeight || 0;
+      const previousPure = inventory?.pureWeight || 0;
+      return {
+        ...result,
+        errors,
+        stock: stock._id,
+        stockCode: stock.code,
+        grossWeight: round(line.grossWeight),
+        pureWeight: round(pureWeight),
+        previousBalance: round(previousGross),
+        resultingBalance: round(previousGross + line.grossWeight),
+        previousPureWeight: round(previousPure),
+        resultingPureWeight: round(previousPure + pureWeight),
+      };
+    }
+
+    const party = lookups.parties.get(String(line.accountCode || "").toUpperCase());
+    if (!line.accountCode) errors.push("Party code is required");
+    else if (!party) errors.push(`Party ${line.accountCode} not found`);
+    else if (!party.isActive) errors.push(`Party ${line.accountCode} is inactive`);
+
+    const isCash = line.lineType === "partyCash";
+    const registryType = isCash ? "OPENING_CASH_BALANCE" : "OPENING_GOLD_BALANCE";
+    const value = isCash ? line.amount : line.grams ?? line.amount;
+    if (value === null || Number.isNaN(value) || value === 0) {
+      errors.push(isCash ? "Amount must be a non-zero number" : "Grams must be a non-zero number");
+    }
+
+    let currency = null;
+    let conversionRate = null;
+    const cashCurrency = party ? this.getPartyCashCurrency(party) : null;
+    if (isCash && party) {
+      const traded = [
+        cashCurrency,
+        ...(party.acDefinition?.currencies || []).map((c) => c.currency),
+      ].filter(Boolean).map((id) => id.toString());
+
+      if (line.currencyCode) {
+        const requested = lookups.currencies.get(line.currencyCode);
+        if (!requested || requested.isActive === false) {
+          errors.push(`Currency ${line.currencyCode} not found or inactive`);
+        } else if (!traded.includes(requested._id.toString())) {
+          errors.push(`Party ${line.accountCode} does not trade in ${line.currencyCode}`);
+        } else {
+          currency = requested;
+        }
+      } else if (!cashCurrency) {
+        errors.push(`Party ${line.accountCode} has no currency`);
+      } else {
+        currency = lookups.partyCurrencies.get(cashCurrency.toString()) || { _id: cashCurrency };
+      }
+      conversionRate = currency?.conversionRate || 1;
+    }
+
+    const key = party && (!isCash || currency) ? `${party._id}|${registryType}|${isCash ? currency._id : "legacy"}` : null;
+    if (key) {
+      const postedBefore =
+        lookups.openings.has(key) ||
+        (isCash &&
+          currency._id.toString() === cashCurrency?.toString() &&
+          lookups.openings.has(`${party._id}|${registryType}|legacy`));
+      const label = isCash ? currency.currencyCode || "cash" : "gold";
+
+      if (postedBefore) {
+        errors.push(`Party ${line.accountCode} already has an opening ${label} balance`);
+      } else if (seen.has(key)) {
+        errors.push(`Party ${line.accountCode} has more than one ${label} line`);
+      }
+    }
+
+    if (errors.length) return { ...result, accountCode: line.accountCode, errors };
+    seen.add(key);
+
+    const previousBalance = isCash
+      ? this.getCashSubBalance(party, currency._id)
+      : party.balances?.goldBalance?.totalGrams || 0;
+    return {
+      ...result,
+      errors,
+      party: party._id,
+      accountCode: party.accountCode,
+      customerName: party.customerName,
+      currency: currency?._id || null,
+      currencyCode: currency?.currencyCode || null,
+      conversionRate,
+      value: round(value, isCash ? 2 : 4),
+      previousBalance: round(previousBalance, isCash ? 2 : 4),
+      resultingBalance: round(previousBalance + value, isCash ? 2 : 4),
+    };
+  }
+
+  // Sub-balance in one currency; a party without sub-balances holds everything in its cash currency
+  static getCashSubBalance(party, currencyId) {
+    const entry = party.balances?.cashBalances?.find((c) => c.currency?.toString() === currencyId.toString());
+    if (entry) return entry.amount || 0;
+    if (!party.balances?.cashBalances?.length && this.getPartyCashCurrency(party)?.toString() === currencyId.toString()) {
+      return party.balances?.cashBalance?.amount || 0;
+    }
+    return 0;
+  }
+
+  static summarise(lines) {
+    const byType = (type) => lines.filter((l) => l.lineType === type);
+    return {
+      partyCashLines: byType("partyCash").length,
+      partyGoldLines: byType("partyGold").length,
+      stockLines: byType("stock").length,
+      totalGoldGrams: round(byType("partyGold").reduce((sum, l) => sum + l.value, 0)),
+      totalStockGrossWeight: round(byType("stock").reduce((sum, l) => sum + l.grossWeight, 0)),
+      totalStockPureWeight: round(byType("stock").reduce((sum, l) => sum + l.pureWeight, 0)),
+    };
+  }
+
+  /**
+   * Validate opening balance lines and show the balances they would produce.
+   * A batch in "preview" status is saved only when every line is valid.
+   * @param {Object} input - { lines, source, openingDate, remarks }
+   * @param {string} adminId
+   */
+  static async previewBatch(input, adminId) {
+    const openingDate = input.openingDate ? new Date(input.openingDate) : new Date();
+    if (isNaN(openingDate.getTime())) {
+      throw createAppError("Invalid opening date", 400, "INVALID_DATE");
+    }
+
+    const lines = this.normaliseLines(input.lines);
+    const lookups = await this.loadLookups(lines);
+    const seen = new Set();
+    const results = lines.map((line) => this.validateLine(line, lookups, seen));
+
+    const report = results.map(({ lineNumber, lineType, accountCode, stockCode, errors }) => ({
+      line: lineNumber,
+      lineType,
+      code: accountCode || stockCode || null,
+      valid: errors.length === 0,
+      errors,
+    }));
+    const invalidLines = report.filter((r) => !r.valid).length;
+    const validLines = results.filter((r) => r.errors.length === 0).map(({ errors, ...line }) => line);
+
+    if (invalidLines > 0) {
+      return {
+        batch: null,
+        summary: { totalLines: lines.length, validLines: validLines.length, invalidLines },
+        lines: report,
+      };
+    }
+
+    const batch = await OpeningBalanceBatch.create({
+      batchNumber: await OpeningBalanceBatch.generateBatchNumber(),
+      openingDate,
+      source: input.source || "json",
+      lines: validLines,
+      summary: this.summarise(validLines),
+      remarks: input.remarks || null,
+      createdBy: adminId,
+    });
+
+    return {
+      batch,
+      summary: { totalLines: lines.length, validLines: validLines.length, invalidLines: 0 },
+      lines: report,
+    };
+  }
+
+  /**
+   * Post a previewed batch. Lines are re-validated against current balances inside
+   * the transaction, so a party or stock changed since the preview is caught here.
+   */
+  static async confirmBatch(batchId, adminId, options = {}) {
+    const session = await mongoose.startSession();
+    try {
+      let batch;
+      await session.withTransaction(async () => {
+        batch = await OpeningBalanceBatch.findById(batchId).session(session);
+        if (!batch) {
+          throw createAppError("Opening balance batch not found", 404, "BATCH_NOT_FOUND");
+        }
+        if (batch.status !== "preview") {
+          throw createAppError(`Opening balance batch is already ${batch.status}`, 409, "BATCH_NOT_IN_PREVIEW");
+        }
+
+        await FiscalPeriodService.assertPeriodOpen(batch.openingDate, {
+          adminId,
+          action: "create",
+          voucherType: VOUCHER_TYPE,
+          voucherId: batch._id,
+          voucherNumber: batch.batchNumber,
+          override: options.periodOverride,
+          session,
+        });
+
+        const lines = batch.lines.map((line) => ({
+          lineNumber: line.lineNumber,
+          lineType: line.lineType,
+          accountCode: line.accountCode,
+          stockCode: line.stockCode,
+          currencyCode: line.currencyCode,
+          amount: line.lineType === "partyCash" ? line.value : null,
+          grams: line.lineType === "partyGold" ? line.value : null,
+          grossWeight: line.grossWeight,
+          pureWeight: line.pureWeight,
+        }));
+        const lookups = await this.loadLookups(lines, session);
+        const seen = new Set();
+        const invalid = lines
+          .map((line) => this.validateLine(line, lookups, seen))
+          .filter((result) => result.errors.length);
+        if (invalid.length) {
+          const error = createAppError(
+            "Opening balances changed since the preview - create a new preview",
+            409,
+            "BATCH_OUT_OF_DATE"
+          );
+          error.details = invalid.map(({ lineNumber, errors }) => ({ line: lineNumber, errors }));
+          throw error;
+        }
+
+        for (const line of batch.lines) {
+          if (line.lineType === "stock") {
+            await this.postStockLine(batch, line, adminId, session);
+          } else {
+            await this.postPartyLine(batch, line, adminId, session);
+          }
+        }
+
+        batch.status = "posted";
+        batch.postedAt = new Date();
+        batch.postedBy = adminId;
+        await batch.save({ session });
+      });
+      return batch;
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  static async postPartyLine(batch, line, adminId, session) {
+    const account = await Account.findById(line.party).session(session);
+    const isCash = line.lineType === "partyCash";
+    const isCredit = line.value > 0;
+    const absoluteValue = Math.abs(line.value);
+
+    let previousBalance;
+    let runningBalance;
+    if (isCash) {
+      ({ previousBalance, balance: runningBalance } = account.applyCashMovement(
+        line.currency,
+        line.value,
+        line.conversionRate || 1
+      ));
+    } else {
+      previousBalance = account.balances.goldBalance.totalGrams || 0;
+      runningBalance = previousBalance + line.value;
+      account.balances.goldBalance.totalGrams = runningBalance;
+      account.balances.goldBalance.lastUpdated = new Date();
+      account.balances.lastBalanceUpdate = new Date();
+    }
+    await account.save({ session });
+
+    const cashCurrency = isCash
+      ? { currency: line.currency, conversionRate: line.conversionRate || 1 }
+      : {};
+
+    const label = isCash ? "CASH" : "GOLD";
+    const [fundTransfer] = await FundTransfer.create(
+      [
+        {
+          transactionId: await FundTransfer.generateTransactionId(),
+          description: `OPENING ${label} BALANCE FOR ${account.customerName}`,
+          value: absoluteValue,
+          assetType: label,
+          ...cashCurrency,
+          receivingParty: { party: account._id, credit: isCredit ? absoluteValue : 0 },
+          sendingParty: { party: null, debit: isCredit ? 0 : absoluteValue },
+          voucherNumber: batch.batchNumber,
+          voucherType: VOUCHER_TYPE,
+          voucherDate: batch.openingDate,
+          transactionDate: batch.openingDate,
+          isBullion: false,
+          createdBy: adminId,
+          type: VOUCHER_TYPE,
+        },
+      ],
+      { session }
+    );
+
+    const registryRows = [];
+    for (const type of [`PARTY_${label}_BALANCE`, `OPENING_${label}_BALANCE`]) {
+      registryRows.push({
+        transactionId: await Registry.generateTransactionId(),
+        type,
+        description: `OPENING ${isCash ? "BALANCE" : "GOLD"} FOR ${account.customerName}`,
+        value: absoluteValue,
+        runningBalance,
+        previousBalance,
+        credit: isCredit ? absoluteValue : 0,
+        debit: isCredit ? 0 : absoluteValue,
+        ...cashCurrency,
+        reference: batch.batchNumber,
+        transactionDate: batch.openingDate,
+        createdBy: adminId,
+        party: account._id,
+        TransferTransactionId: fundTransfer._id,
+      });
+    }
+    const registries = await Registry.insertMany(registryRows, { session });
+
+    line.previousBalance = round(previousBalance, isCash ? 2 : 4);
+    line.resultingBalance = round(runningBalance, isCash ? 2 : 4);
+    line.fundTransferId = fundTransfer._id;
+    line.registryIds = registries.map((r) => r._id);
+  }
+
+  static async postStockLine(batch, line, adminId, session) {
+    const metal = await MetalStock.findById(line.stock).populate("karat", "standardPurity").session(session);
+
+    let inventory = await Inventory.findOne({ metal: metal._id }).session(session);
+    if (!inventory) {
+      inventory = new Inventory({
+        metal: metal._id,
+        pcs: metal.pcs,
+        pcsValue: metal.totalValue,
+        purity: metal.karat?.standardPurity || 0,
+        status: "active",
+        createdBy: adminId,
+      });
+    }
+
+    const previousGross = inventory.grossWeight || 0;
+    const previousPure = inventory.pureWeight || 0;
+    inventory.grossWeight = previousGross + line.grossWeight;
+    inventory.pureWeight = previousPure + line.pureWeight;
+    if (inventory.pcsValue > 0) {
+      inventory.pcsCount = inventory.grossWeight / inventory.pcsValue;
+    }
+    inventory.updatedBy = adminId;
+    await inventory.save({ session });
+
+    const [inventoryLog] = await InventoryLog.create(
+      [
+        {
+          code: metal.code,
+          transactionType: "opening",
+          pcs: metal.pcs,
+          stockCode: metal._id,
+          voucherCode: batch.batchNumber,
+          voucherType: VOUCHER_TYPE,
+          voucherDate: batch.openingDate,
+          grossWeight: line.grossWeight,
+          action: "add",
+          createdBy: adminId,
+          note: `Opening stock from batch ${batch.batchNumber}`,
+        },
+      ],
+      { session }
+    );
+
+    const [registry] = await Registry.insertMany(
+      [
+        {
+          transactionId: await Registry.generateTransactionId(),
+          metalId: metal._id,
+          InventoryLogID: inventoryLog._id,
+          type: "GOLD_STOCK",
+          description: `OPENING STOCK FOR ${metal.code}`,
+          value: line.grossWeight,
+          isBullion: true,
+          credit: line.grossWeight,
+          reference: batch.batchNumber,
+          transactionDate: batch.openingDate,
+          createdBy: adminId,
+          purity: line.grossWeight > 0 ? (line.pureWeight / line.grossWeight) * 100 : inventory.purity,
+          grossWeight: line.grossWeight,
+          pureWeight: line.pureWeight,
+        },
+      ],
+      { session }
+    );
+
+    line.previousBalance = round(previousGross);
+    line.resultingBalance = round(inventory.grossWeight);
+    line.previousPureWeight = round(previousPure);
+    line.resultingPureWeight = round(inventory.pureWeight);
+    line.inventoryLogId = inventoryLog._id;
+    line.registryIds = [registry._id];
+  }
+
+  /**
+   * Take a posted batch back out: balances and inventory are reduced by what the batch
+   * added, its registry rows are cancelled and its fund transfers marked reversed. Stock
+   * that has since been sold cannot be reversed.
+   */
+  static async reverseBatch(batchId, adminId, options = {}) {
+    const session = await mongoose.startSession();
+    try {
+      let batch;
+      await session.withTransaction(async () => {
+        batch = await OpeningBalanceBatch.findById(batchId).session(session);
+        if (!batch) {
+          throw createAppError("Opening balance batch not found", 404, "BATCH_NOT_FOUND");
+        }
+        if (batch.status !== "posted") {
+          throw createAppError("Only posted opening balance batches can be reversed", 409, "BATCH_NOT_POSTED");
+        }
+
+        await FiscalPeriodService.assertPeriodOpen(batch.openingDate, {
+          adminId,
+          action: "delete",
+          voucherType: VOUCHER_TYPE,
+          voucherId: batch._id,
+          voucherNumber: batch.batchNumber,
+          override: options.periodOverride,
+          session,
+        });
+
+        for (const line of batch.lines) {
+          if (line.lineType === "stock") {
+            await this.reverseStockLine(batch, line, adminId, session);
+          } else {
+            await this.reversePartyLine(line, session);
+          }
+        }
+
+        const registryIds = batch.lines.flatMap((line) => line.registryIds);
+        await Registry.updateMany(
+          { _id: { $in: registryIds } },
+          { $set: { isActive: false, status: "cancelled", updatedBy: adminId } },
+          { session }
+        );
+        await FundTransfer.updateMany(
+          { _id: { $in: batch.lines.map((line) => line.fundTransferId).filter(Boolean) } },
+          { $set: { status: "reversed", reversedAt: new Date(), reversedBy: adminId, updatedBy: adminId } },
+          { session }
+        );
+
+        batch.status = "reversed";
+        batch.reversedAt = new Date();
+        batch.reversedBy = adminId;
+        batch.reversalReason = options.reason || null;
+        await batch.save({ session });
+      });
+      return batch;
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  static async reversePartyLine(line, session) {
+    const account = await Account.findById(line.party).session(session);
+    if (!account) return;
+
+    if (line.lineType === "partyCash") {
+      account.applyCashMovement(line.currency, -line.value, line.conversionRate || 1);
+    } else {
+      account.balances.goldBalance.totalGrams = (account.balances.goldBalance.totalGrams || 0) - line.value;
+      account.balances.goldBalance.lastUpdated = new Date();
+      account.balances.lastBalanceUpdate = new Date();
+    }
+    await account.save({ session });
+  }
+
+  static async reverseStockLine(batch, line, adminId, session) {
+    const inventory = await Inventory.findOne({ metal: line.stock }).session(session);
+    const grossWeight = (inventory?.grossWeight || 0) - line.grossWeight;
+    const pureWeight = (inventory?.pureWeight || 0) - line.pureWeight;
+    if (!inventory || grossWeight < -WEIGHT_TOLERANCE || pureWeight < -WEIGHT_TOLERANCE) {
+      throw createAppError(
+        `Stock ${line.stockCode} has been used since the opening balance was posted and cannot be reversed`,
+        409,
+        "INSUFFICIENT_STOCK"
+      );
+    }
+
+    inventory.grossWeight = Math.max(grossWeight, 0);
+    inventory.pureWeight = Math.max(pureWeight, 0);
+    if (inventory.pcsValue > 0) {
+      inventory.pcsCount = inventory.grossWeight / inventory.pcsValue;
+    }
+    inventory.updatedBy = adminId;
+    await inventory.save({ session });
+
+    await InventoryLog.create(
+      [
+        {
+          code: line.stockCode,
+          // Opening rows always count as stock in, so the take-out is an adjustment
+          transactionType: "adjustment",
+          stockCode: line.stock,
+          voucherCode: batch.batchNumber,
+          voucherType: VOUCHER_TYPE,
+          voucherDate: batch.openingDate,
+          grossWeight: line.grossWeight,
+          action: "remove",
+          createdBy: adminId,
+          note: `Opening stock batch ${batch.batchNumber} reversed`,
+        },
+      ],
+      { session }
+    );
+  }
+
+  static async getBatches(page = 1, limit = 20, filters = {}) {
+    const skip = (page - 1) * limit;
+    const query = {};
+    if (filters.status) query.status = filters.status;
+
+    const [batches, total] = await Promise.all([
+      OpeningBalanceBatch.find(query)
+        .select("-lines")
+        .populate("createdBy", "name email")
+        .populate("postedBy", "name email")
+        .populate("reversedBy", "name email")
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      OpeningBalanceBatch.countDocuments(query),
+    ]);
+
+    return {
+      batches,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        itemsPerPage: limit,
+      },
+    };
+  }
+
+  static async getBatchById(id) {
+    const batch = await OpeningBalanceBatch.findById(id)
+      .populate("lines.party", "accountCode customerName")
+      .populate("lines.stock", "code description")
+      .populate("createdBy", "name email")
+      .populate("postedBy", "name email")
+      .populate("reversedBy", "name email");
+
+    if (!batch) {
+      throw createAppError("Opening balance batch not found", 404, "BATCH_NOT_FOUND");
+    }
+    return batch;
+  }
+}
+
+export default OpeningBalanceService;
@@ -0,0 +1,299 @@
+import mongoose from "mongoose";
+import Account from "../../models/modules/AccountType.js";
+import CurrencyMaster from "../../models/modules/CurrencyMaster.js";
+import CreditExposureService from "./CreditExposureService.js";
+import { createAppError } from "../../utils/errorHandler.js";
+
+const RECENT_VOUCHER_LIMIT = 10;
+
+const round = (value, decimals = 2) => Number((value || 0).toFixed(decimals));
+
+// Metal vouchers that still count towards the party's unfixed position
+const liveUnfixVoucherMatch = {
+  isActive: true,
+  unfix: true,
+  approvalStatus: "approved",
+  status: { $ne: "reversed" },
+  isReversal: { $ne: true },
+};
+
+/**
+ * Everything needed to show one party's position, read in a single aggregation.
+ * Balances are from the party's side (negative = the party owes us). Gold by karat is
+ * the net of unfix metal vouchers - fixings and metal entries settle against the total
+ * gold balance and carry no karat, so the karat rows need not add up to it.
+ */
+class PartyPositionService {
+  static buildPipeline(partyId) {
+    return [
+      { $match: { _id: partyId } },
+      {
+        $project: {
+          accountCode: 1,
+          customerName: 1,
+          isActive: 1,
+          balances: 1,
+          limitsMargins: 1,
+        },
+      },
+      {
+        $lookup: {
+          from: "currencymasters",
+          localField: "balances.cashBalances.currency",
+          foreignField: "_id",
+          as: "cashCurrencies",
+        },
+      },
+      {
+        $lookup: {
+          from: "metaltransactions",
+          let: { partyId: "$_id" },
+          pipeline: [
+            { $match: { $expr: { $eq: ["$partyCode", "$$partyId"] }, ...liveUnfixVoucherMatch } },
+            {
+              $project: {
+                stockItems: 1,
+                sign: {
+                  $cond: [{ $in: ["$transactionType", ["purchase", "saleReturn"]] }, 1, -1],
+                },
+              },
+            },
+            { $unwind: "$stockItems" },
+            {
+              $lookup: {
+                from: "metalstocks",
+                localField: "stockItems.stockCode",
+                foreignField: "_id",
+                as: "stock",
+              },
+            },
+            {
+              $lookup: {
+                from: "karatmasters",
+                localField: "stock.karat",
+                foreignField: "_id",
+                as: "karat",
+              },
+            },
+            { $addFields: { karat: { $arrayElemAt: ["$karat", 0] } } },
+            {
+              $group: {
+                _id: "$karat._id",
+                karatCode: { $first: "$karat.karatCode" },
+                description: { $first: "$karat.description" },
+                standardPurity: { $first: "$karat.standardPurity" },
+                grossWeight: { $sum: { $multiply: ["$sign", { $ifNull: ["$stockItems.grossWeight", 0] }] } },
+                pureWeight: { $sum: { $multiply: ["$sign", { $ifNull: ["$stockItems.pureWeight", 0] }] } },
+              },
+            },
+            { $sort: { standardPurity: -1 } },
+          ],
+          as: "goldByKarat",
+        },
+      },
+      {
+        $lookup: {
+          from: "metaltransactions",
+          let: { partyId: "$_id" },
+          pipeline: [
+            {
+              $match: {
+                $expr: { $eq: ["$partyCode", "$$partyId"] },
+                ...liveUnfixVoucherMatch,
+                fixingStatus: { $ne: "fixed" },
+              },
+            },
+            {
+              $project: {
+                remainingWeight: {
+                  $max: [
+                    0,
+                    { $subtract: [{ $sum: "$stockItems.pureWeight" }, { $ifNull: ["$fixedWeight", 0] }] },
+                  ],
+                },
+              },
+            },
+            {
+              $group: {
+                _id: null,
+                voucherCount: { $sum: 1 },
+                remainingWeight: { $sum: "$remainingWeight" },
+              },
+            },
+          ],
+          as: "unfixed",
+        },
+      },
+      {
+        $lookup: {
+          from: "transactionfixings",
+          let: { partyId: "$_id" },
+          pipeline: [
+            {
+              $match: {
+                $expr: { $eq: ["$partyId", "$$partyId"] },
+                isActive: true,
+                status: "active",
+              },
+            },
+            { $sort: { transactionDate: -1 } },
+            {
+              $project: {
+                voucherNumber: 1,
+                voucherDate: 1,
+                transactionDate: 1,
+                type: 1,
+                orders: 1,
+              },
+            },
+          ],
+          as: "openFixings",
+        },
+      },
+      {
+        $lookup: {
+          from: "metaltransactions",
+          let: { partyId: "$_id" },
+          pipeline: [
+            { $match: { $expr: { $eq: ["$partyCode", "$$partyId"] }, isActive: true } },
+            { $sort: { voucherDate: -1, createdAt: -1 } },
+            { $limit: RECENT_VOUCHER_LIMIT },
+            {
+              $project: {
+                voucherNumber: 1,
+                voucherDate: 1,
+                transactionType: 1,
+                status: 1,
+                unfix: 1,
+                fixingStatus: 1,
+                pureWeight: { $sum: "$stockItems.pureWeight" },
+                totalAmount: "$totalAmountSession.totalAmountAED",
+              },
+            },
+          ],
+          as: "recentVouchers",
+        },
+      },
+      // Same rate CreditExposureService values positions at
+      {
+        $lookup: {
+          from: "metalratemasters",
+          pipeline: [
+            { $match: { isActive: true } },
+            { $sort: { isDefault: -1, updatedAt: -1 } },
+            { $limit: 1 },
+            { $project: { rateType: 1, convertrate: 1, convFactGms: 1, updatedAt: 1 } },
+          ],
+          as: "rate",
+        },
+      },
+    ];
+  }
+
+  static toCashBalances(account) {
+    const currencies = new Map(account.cashCurrencies.map((c) => [c._id.toString(), c]));
+    const cashBalances = account.balances?.cashBalances || [];
+
+    // Accounts that never moved a foreign currency only carry the base-currency total
+    if (!cashBalances.length) {
+      return [
+        {
+          currency: null,
+          currencyCode: CurrencyMaster.getBaseCurrencyCode(),
+          amount: round(account.balances?.cashBalance?.amount),
+          baseAmount: round(account.balances?.cashBalance?.amount),
+        },
+      ];
+    }
+
+    return cashBalances.map((balance) => {
+      const currency = currencies.get(balance.currency?.toString());
+      return {
+        currency: balance.currency,
+        currencyCode: currency?.currencyCode || null,
+        amount: round(balance.amount),
+        baseAmount: round(balance.baseAmount),
+        currentRate: currency?.conversionRate || null,
+        lastUpdated: balance.lastUpdated,
+      };
+    });
+  }
+
+  static async getPartyPosition(partyId) {
+    if (!mongoose.Types.ObjectId.isValid(partyId)) {
+      throw createAppError("Invalid party ID", 400, "INVALID_PARTY_ID");
+    }
+
+    const [account] = await Account.aggregate(
+      this.buildPipeline(new mongoose.Types.ObjectId(partyId))
+    );
+    if (!account) {
+      throw createAppError("Account not found", 404, "ACCOUNT_NOT_FOUND");
+    }
+
+    const rate = CreditExposureService.toRatePerGram(account.rate[0]);
+    const limits = CreditExposureService.getPartyLimits(account);
+    const cashBalance = account.balances?.cashBalance?.amount || 0;
+    const goldGrams = account.balances?.goldBalance?.totalGrams || 0;
+
+    const exposure = CreditExposureService.buildPosition(cashBalance, goldGrams, rate.ratePerGram, limits);
+    const fixingSummary = CreditExposureService.summariseFixings(account.openFixings, rate.ratePerGram);
+    const goldValue = goldGrams * rate.ratePerGram;
+    const unfixed = account.unfixed[0] || { voucherCount: 0, remainingWeight: 0 };
+
+    return {
+      party: {
+        _id: account._id,
+        accountCode: account.accountCode,
+        customerName: account.customerName,
+        isActive: account.isActive,
+      },
+      rate,
+      cash: {
+        totalBaseAmount: round(cashBalance),
+        byCurrency: this.toCashBalances(account),
+      },
+      gold: {
+        totalGrams: round(goldGrams, 3),
+        byKarat: account.goldByKarat.map((row) => ({
+          karat: row._id || null,
+          karatCode: row.karatCode || null,
+          description: row.description || null,
+          standardPurity: row.standardPurity ?? null,
+          grossWeight: round(row.grossWeight, 3),
+          pureWeight: round(row.pureWeight, 3),
+        })),
+      },
+      unfixed: {
+        voucherCount: unfixed.voucherCount,
+        remainingWeight: round(unfixed.remainingWeight, 3),
+      },
+      openFixings: {
+        ...fixingSummary,
+        orders: account.openFixings,
+      },
+      markToMarket: {
+        goldValue: round(goldValue),
+        openFixings: round(fixingSummary.markToMarket),
+        netPosition: round(cashBalance + goldValue),
+      },
+      creditUtilisation: {
+        limits,
+        totalExposure: round(exposure.totalExposure),
+        cashReceivable: round(exposure.cashReceivable),
+        unfixedGoldValue: round(exposure.unfixedGoldValue),
+        amountUsedPercent:
+          limits.creditLimitAmt > 0 ? round((exposure.totalExposure / limits.creditLimitAmt) * 100) : null,
+        amountAvailable:
+          limits.creditLimitAmt > 0 ? round(Math.max(0, limits.creditLimitAmt - exposure.totalExposure)) : null,
+        metalUsedPercent:
+          limits.creditLimitMtl > 0 ? round((exposure.unfixedGoldGrams / limits.creditLimitMtl) * 100) : null,
+        marginRequired: round(exposure.marginRequired),
+        marginShortfall: round(exposure.marginShortfall),
+      },
+      recentVouchers: account.recentVouchers,
+    };
+  }
+}
+
+export default PartyPositionService;
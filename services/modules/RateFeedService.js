@@ -0,0 +1,182 @@
+import { EventEmitter } from "events";
+import MetalRateMaster from "../../models/modules/MetalRateMaster.js";
+import CurrencyMaster from "../../models/modules/CurrencyMaster.js";
+import MockRateAdapter from "./rateFeed/MockRateAdapter.js";
+import PollingRateAdapter from "./rateFeed/PollingRateAdapter.js";
+
+const TROY_OUNCE_GRAMS = 31.1034768;
+// Rate masters and currency rates change rarely, so they are re-read at most this often
+const CONFIG_TTL_MS = 30 * 1000;
+
+const ADAPTERS = {
+  mock: MockRateAdapter,
+  poll: PollingRateAdapter,
+};
+
+const round = (value, decimals = 2) => Number((value || 0).toFixed(decimals));
+
+/**
+ * Live dealer rates from a spot feed.
+ * An adapter supplies spot bid/ask per troy ounce; every MetalRateMaster with a matching
+ * feedSymbol turns that into its own unit (convFactGms grams) and currency, then adds its
+ * addOnRate. We buy at bid less posMarginMin and sell at ask plus posMarginMax.
+ * Derived rates are kept in memory and pushed to subscribers - they are not written to
+ * MetalRateMaster, which stays the manually-set rate used on vouchers.
+ */
+class RateFeedService {
+  static adapter = null;
+  static events = new EventEmitter().setMaxListeners(0);
+  static quotes = new Map();
+  static rates = new Map();
+  static config = null;
+  static configLoadedAt = 0;
+
+  static registerAdapter(name, AdapterClass) {
+    ADAPTERS[name] = AdapterClass;
+  }
+
+  // Settings are read here rather than at import - dotenv is loaded after modules are imported
+  static getSettings() {
+    return {
+      adapter: process.env.RATE_FEED_ADAPTER || null,
+      source: process.env.RATE_FEED_SOURCE || null,
+      intervalMs: parseInt(process.env.RATE_FEED_INTERVAL_MS) || undefined,
+      currency: process.env.RATE_FEED_CURRENCY || "USD",
+    };
+  }
+
+  /**
+   * Start the configured adapter. Does nothing when RATE_FEED_ADAPTER is not set.
+   * @param {Object} overrides - settings to use instead of the environment
+   */
+  static async start(overrides = {}) {
+    const settings = { ...this.getSettings(), ...overrides };
+    if (!settings.adapter) return null;
+
+    const AdapterClass = ADAPTERS[settings.adapter];
+    if (!AdapterClass) {
+      throw new Error(`Unknown rate feed adapter "${settings.adapter}"`);
+    }
+
+    await this.stop();
+    const adapter = new AdapterClass(settings);
+    adapter.on("quote", (quote) => {
+      this.handleQuote(quote).catch((error) => {
+        console.error("Rate feed quote failed:", error);
+      });
+    });
+    adapter.on("error", (error) => {
+      console.error("Rate feed error:", error.message);
+    });
+
+    this.adapter = adapter;
+    await adapter.start();
+    console.log(`Rate feed started with the ${settings.adapter} adapter`);
+    return adapter;
+  }
+
+  static async stop() {
+    if (!this.adapter) return;
+    await this.adapter.stop();
+    this.adapter.removeAllListeners();
+    this.adapter = null;
+  }
+
+  static async loadConfig() {
+    if (this.config && Date.now() - this.configLoadedAt < CONFIG_TTL_MS) {
+      return this.config;
+    }
+
+    const metalRates = await MetalRateMaster.find({ isActive: true, feedSymbol: { $ne: null } })
+      .select("metal rateType feedSymbol convFactGms currencyId addOnRate posMarginMin posMarginMax")
+      .populate("metal", "code description")
+      .lean();
+    const currencies = await CurrencyMaster.find({ isActive: true })
+      .select("currencyCode conversionRate")
+      .lean();
+
+    this.config = {
+      metalRates,
+      currencyById: new Map(currencies.map((c) => [c._id.toString(), c])),
+      currencyByCode: new Map(currencies.map((c) => [c.currencyCode, c])),
+    };
+    this.configLoadedAt = Date.now();
+    return this.config;
+  }
+
+  // Force the next quote to re-read rate masters, e.g. after one is edited
+  static invalidateConfig() {
+    this.config = null;
+  }
+
+  // Base-currency value of one unit of a currency, by code; the base currency is 1
+  static rateOfCode(config, code) {
+    if (code === CurrencyMaster.getBaseCurrencyCode()) return 1;
+    return config.currencyByCode.get(code)?.conversionRate || null;
+  }
+
+  static deriveRate(metalRate, quote, config) {
+    const quoteRate = this.rateOfCode(config, quote.currency);
+    const rateCurrency = config.currencyById.get(metalRate.currencyId?.toString());
+    const targetRate = rateCurrency?.conversionRate || null;
+    if (!quoteRate || !targetRate || !metalRate.convFactGms) return null;
+
+    // Spot per ounce in the quote currency -> per rate unit in the rate's currency
+    const perUnit = (price) => (price / TROY_OUNCE_GRAMS) * metalRate.convFactGms * (quoteRate / targetRate);
+    const bid = perUnit(quote.bid) + (metalRate.addOnRate || 0);
+    const ask = perUnit(quote.ask) + (metalRate.addOnRate || 0);
+
+    return {
+      metalRate: metalRate._id,
+      metal: metalRate.metal,
+      rateType: metalRate.rateType,
+      feedSymbol: metalRate.feedSymbol,
+      currencyCode: rateCurrency.currencyCode,
+      convFactGms: metalRate.convFactGms,
+      spot: { bid: quote.bid, ask: quote.ask, currency: quote.currency },
+      bid: round(bid),
+      ask: round(ask),
+      buy: round(bid - (metalRate.posMarginMin || 0)),
+      sell: round(ask + (metalRate.posMarginMax || 0)),
+      timestamp: quote.timestamp,
+      source: quote.source,
+    };
+  }
+
+  static async handleQuote(quote) {
+    this.quotes.set(quote.symbol, quote);
+    const config = await this.loadConfig();
+
+    const updated = [];
+    for (const metalRate of config.metalRates.filter((r) => r.feedSymbol === quote.symbol)) {
+      const derived = this.deriveRate(metalRate, quote, config);
+      if (!derived) continue;
+      this.rates.set(metalRate._id.toString(), derived);
+      updated.push(derived);
+    }
+
+    this.events.emit("rates", { quote, rates: updated });
+  }
+
+  // Latest quotes and derived rates, for clients that connect between ticks
+  static getSnapshot() {
+    return {
+      running: !!this.adapter,
+      adapter: this.adapter?.name || null,
+      quotes: [...this.quotes.values()],
+      rates: [...this.rates.values()],
+    };
+  }
+
+  /**
+   * Listen for rate updates.
+   * @param {Function} listener - called with { quote, rates }
+   * @returns {Function} unsubscribe
+   */
+  static subscribe(listener) {
+    this.events.on("rates", listener);
+    return () => this.events.off("rates", listener);
+  }
+}
+
+export default RateFeedService;
@@ -0,0 +1,575 @@
+import mongoose from "mongoose";
+import Account from "../../models/modules/AccountType.js";
+import CurrencyMaster from "../../models/modules/CurrencyMaster.js";
+import InventoryLog from "../../models/modules/InventoryLog.js";
+import MetalStock from "../../models/modules/MetalStock.js";
+import RefiningJob from "../../models/modules/RefiningJob.js";
+import Registry from "../../models/modules/Registry.js";
+import CreditExposureService from "./CreditExposureService.js";
+import FiscalPeriodService from "./FiscalPeriodService.js";
+import InventoryReservationService from "./InventoryReservationService.js";
+import { createAppError } from "../../utils/errorHandler.js";
+import { moveInventory, purityFactor } from "../../utils/inventoryUtils.js";
+
+const VOUCHER_TYPE = "REFINING";
+const COST_CENTER = "INVENTORY";
+const WEIGHT_TOLERANCE = 0.0005;
+
+const round = (value, decimals = 3) => Number((value || 0).toFixed(decimals));
+
+/**
+ * Refining jobs: scrap or impure metal sent to a refiner party and fine bars received back.
+ *
+ * Issuing takes the metal out of inventory and the refiner owes us its expected pure
+ * weight (gross x karat standard purity) on their gold account. Each receipt brings bars
+ * into a target stock at their assayed purity and credits the refiner's gold account. On
+ * completion whatever pure weight is still open on the job - the refining loss, or a gain
+ * when more came back - is cleared from the refiner's gold account and valued at the
+ * current metal rate, and the refiner's charges are credited to their cash account.
+ */
+class RefiningJobService {
+  static async loadRefiner(refinerId, session) {
+    if (!mongoose.Types.ObjectId.isValid(refinerId)) {
+      throw createAppError("Invalid refiner ID", 400, "INVALID_PARTY_ID");
+    }
+    const refiner = await Account.findById(refinerId).select("accountCode customerName isActive").session(session).lean();
+    if (!refiner?.isActive) {
+      throw createAppError("Refiner not found or inactive", 404, "PARTY_NOT_FOUND");
+    }
+    return refiner;
+  }
+
+  static async loadStocks(stockIds, session) {
+    const stocks = await MetalStock.find({ _id: { $in: stockIds }, isActive: true })
+      .select("code pcs totalValue karat")
+      .populate("karat", "karatCode standardPurity")
+      .session(session)
+      .lean();
+    return new Map(stocks.map((s) => [s._id.toString(), s]));
+  }
+
+  static parseLines(lines, label) {
+    if (!Array.isArray(lines) || lines.length === 0) {
+      throw createAppError(`At least one item must be ${label}`, 400, "INVALID_STOCK_ITEMS");
+    }
+    return lines.map((line, index) => {
+      if (!mongoose.Types.ObjectId.isValid(line.stockCode)) {
+        throw createAppError(`Item ${index + 1}: invalid stock code`, 400, "INVALID_STOCK_ITEMS");
+      }
+      const pieces = Number(line.pieces || 0);
+      const grossWeight = Number(line.grossWeight || 0);
+      const purity = line.purity === undefined || line.purity === "" ? null : Number(line.purity);
+      if (!Number.isFinite(pieces) || pieces < 0 || !Number.isFinite(grossWeight) || grossWeight < 0) {
+        throw createAppError(`Item ${index + 1}: quantities cannot be negative`, 400, "INVALID_QUANTITY");
+      }
+      if (purity !== null && (!Number.isFinite(purity) || purity <= 0 || purity > 100)) {
+        throw createAppError(`Item ${index + 1}: purity must be between 0 and 100`, 400, "INVALID_PURITY");
+      }
+      return { stockCode: line.stockCode.toString(), pieces, grossWeight, purity };
+    });
+  }
+
+  static parseDate(value, label) {
+    const date = value ? new Date(value) : new Date();
+    if (isNaN(date.getTime())) {
+      throw createAppError(`Invalid ${label}`, 400, "INVALID_DATE");
+    }
+    return date;
+  }
+
+  // Positive grams: the refiner holds more of our gold. Returns the ledger balances around the move.
+  static async moveRefinerGold(refinerId, grams, ratePerGram, session) {
+    const before = await Account.findByIdAndUpdate(
+      refinerId,
+      {
+        $inc: {
+          "balances.goldBalance.totalGrams": -grams,
+          "balances.goldBalance.totalValue": round(-grams * ratePerGram, 2),
+        },
+        $set: { "balances.goldBalance.lastUpdated": new Date(), "balances.lastBalanceUpdate": new Date() },
+      },
+      { session, new: false }
+    )
+      .select("balances.goldBalance.totalGrams")
+      .lean();
+    const previousBalance = before?.balances?.goldBalance?.totalGrams || 0;
+    return { previousBalance, runningBalance: round(previousBalance - grams) };
+  }
+
+  static async assertPeriodOpen(date, job, adminId, options, session) {
+    await FiscalPeriodService.assertPeriodOpen(date, {
+      adminId,
+      action: "create",
+      voucherType: VOUCHER_TYPE,
+      voucherId: job._id || null,
+      voucherNumber: job.jobNumber,
+      override: options.periodOverride,
+      session,
+    });
+  }
+
+  static async issueJob(input, adminId, options = {}) {
+    const lines = this.parseLines(input.items, "issued");
+    const issueDate = this.parseDate(input.issueDate, "issue date");
+
+    const session = await mongoose.startSession();
+    try {
+      let job;
+      await session.withTransaction(async () => {
+        const refiner = await this.loadRefiner(input.refiner, session);
+        const stocks = await this.loadStocks(lines.map((l) => l.stockCode), session);
+
+        const issues = lines.map((line, index) => {
+          const stock = stocks.get(line.stockCode);
+          if (!stock) throw createAppError(`Item ${index + 1}: metal stock not found`, 404, "METAL_STOCK_NOT_FOUND");
+          const grossWeight = line.grossWeight || line.pieces * (stock.totalValue || 0);
+          if (grossWeight <= 0) {
+            throw createAppError(`Item ${index + 1}: gross weight is required`, 400, "INVALID_QUANTITY");
+          }
+          const purity = stock.karat?.standardPurity || 0;
+          return {
+            stockCode: stock._id,
+            code: stock.code,
+            pieces: stock.pcs ? line.pieces : 0,
+            grossWeight: round(grossWeight),
+            purity,
+            expectedPureWeight: round(grossWeight * purityFactor(purity)),
+          };
+        });
+
+        // Metal held for sale orders cannot go to the refiner
+        await InventoryReservationService.assertAvailable(
+          issues.map((i) => ({ stockCode: i.stockCode.toString(), code: i.code, pieces: i.pieces, grossWeight: i.grossWeight })),
+          session
+        );
+
+        const jobNumber = await RefiningJob.generateJobNumber(issueDate, session);
+        await this.assertPeriodOpen(issueDate, { jobNumber }, adminId, options, session);
+
+        const rate = await CreditExposureService.getLatestRatePerGram(session);
+        const expectedPureWeight = round(issues.reduce((sum, i) => sum + i.expectedPureWeight, 0));
+        const registryIds = [];
+
+        for (const issue of issues) {
+          await moveInventory(issue.stockCode, issue.code, { grossWeight: -issue.grossWeight, pieces: -issue.pieces }, adminId, session);
+          const [log] = await InventoryLog.create(
+            [
+              {
+                code: issue.code,
+                stockCode: issue.stockCode,
+                voucherCode: jobNumber,
+                voucherType: VOUCHER_TYPE,
+                voucherDate: issueDate,
+                transactionType: "metalPayment",
+                party: refiner._id,
+                pcs: issue.pieces > 0,
+                grossWeight: issue.grossWeight,
+                action: "remove",
+                createdBy: adminId,
+                note: `Issued to refiner ${refiner.customerName || refiner.accountCode}`,
+              },
+            ],
+            { session }
+          );
+          issue.inventoryLogId = log._id;
+          registryIds.push(
+            ...(await this.postStockRows(issue, "credit", jobNumber, issueDate, log._id, rate, adminId, session))
+          );
+        }
+
+        const balances = await this.moveRefinerGold(refiner._id, expectedPureWeight, rate.ratePerGram, session);
+        registryIds.push(
+          await this.postPartyGoldRow(refiner, {
+            grams: expectedPureWeight,
+            side: "debit",
+            description: `REFINING ISSUE TO ${refiner.customerName || refiner.accountCode}`,
+            jobNumber,
+            date: issueDate,
+            balances,
+            rate,
+            adminId,
+          }, session)
+        );
+
+        [job] = await RefiningJob.create(
+          [
+            {
+              jobNumber,
+              refiner: refiner._id,
+              issueDate,
+              issues,
+              expectedPureWeight,
+              registryIds,
+              remarks: input.remarks || null,
+              createdBy: adminId,
+            },
+          ],
+          { session }
+        );
+      });
+      return this.getJobById(job._id);
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  static async receiveBars(id, input, adminId, options = {}) {
+    const lines = this.parseLines(input.items, "received");
+    const receivedAt = this.parseDate(input.receivedAt, "receipt date");
+
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        const job = await RefiningJob.findById(id).session(session);
+        if (!job) throw createAppError("Refining job not found", 404, "REFINING_JOB_NOT_FOUND");
+        this.assertOpen(job);
+        if (receivedAt < job.issueDate) {
+          throw createAppError("Bars cannot be received before they were issued", 400, "INVALID_DATE");
+        }
+        await this.assertPeriodOpen(receivedAt, job, adminId, options, session);
+
+        const refiner = await this.loadRefiner(job.refiner, session);
+        const stocks = await this.loadStocks(lines.map((l) => l.stockCode), session);
+        const rate = await CreditExposureService.getLatestRatePerGram(session);
+
+        let receivedPure = 0;
+        for (const [index, line] of lines.entries()) {
+          const stock = stocks.get(line.stockCode);
+          if (!stock) throw createAppError(`Item ${index + 1}: metal stock not found`, 404, "METAL_STOCK_NOT_FOUND");
+          const grossWeight = line.grossWeight || line.pieces * (stock.totalValue || 0);
+          if (grossWeight <= 0) {
+            throw createAppError(`Item ${index + 1}: gross weight is required`, 400, "INVALID_QUANTITY");
+          }
+          // Assayed purity of the bars when given, else the target karat's
+          const purity = line.purity ?? (stock.karat?.standardPurity || 0);
+          const receipt = {
+            stockCode: stock._id,
+            code: stock.code,
+            pieces: stock.pcs ? line.pieces : 0,
+            grossWeight: round(grossWeight),
+            purity,
+            pureWeight: round(grossWeight * purityFactor(purity)),
+            receivedAt,
+            receivedBy: adminId,
+          };
+
+          await moveInventory(stock._id, stock.code, { grossWeight: receipt.grossWeight, pieces: receipt.pieces }, adminId, session);
+          const [log] = await InventoryLog.create(
+            [
+              {
+                code: stock.code,
+                stockCode: stock._id,
+                voucherCode: job.jobNumber,
+                voucherType: VOUCHER_TYPE,
+                voucherDate: receivedAt,
+                transactionType: "metalReceipt",
+                party: refiner._id,
+                pcs: receipt.pieces > 0,
+                grossWeight: receipt.grossWeight,
+                action: "add",
+                createdBy: adminId,
+                note: `Refined metal received from ${refiner.customerName || refiner.accountCode}`,
+              },
+            ],
+            { session }
+          );
+          receipt.inventoryLogId = log._id;
+          job.registryIds.push(
+            ...(await this.postStockRows(receipt, "debit", job.jobNumber, receivedAt, log._id, rate, adminId, session))
+          );
+          job.receipts.push(receipt);
+          receivedPure += receipt.pureWeight;
+        }
+
+        receivedPure = round(receivedPure);
+        const balances = await this.moveRefinerGold(refiner._id, -receivedPure, rate.ratePerGram, session);
+        job.registryIds.push(
+          await this.postPartyGoldRow(refiner, {
+            grams: receivedPure,
+            side: "credit",
+            description: `REFINED METAL RECEIVED FROM ${refiner.customerName || refiner.accountCode}`,
+            jobNumber: job.jobNumber,
+            date: receivedAt,
+            balances,
+            rate,
+            adminId,
+          }, session)
+        );
+
+        job.receivedPureWeight = round(job.receivedPureWeight + receivedPure);
+        job.status = "partiallyReceived";
+        await job.save({ session });
+      });
+      return this.getJobById(id);
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  /**
+   * Close the job. The pure weight still open between us and the refiner on this job is
+   * the refining loss (or gain) and is cleared from their gold account; charges are in
+   * base currency.
+   */
+  static async completeJob(id, input, adminId, options = {}) {
+    const charges = Number(input.charges || 0);
+    if (!Number.isFinite(charges) || charges < 0) {
+      throw createAppError("Refining charges cannot be negative", 400, "INVALID_CHARGES");
+    }
+    const completedAt = this.parseDate(input.completedAt, "completion date");
+
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        const job = await RefiningJob.findById(id).session(session);
+        if (!job) throw createAppError("Refining job not found", 404, "REFINING_JOB_NOT_FOUND");
+        this.assertOpen(job);
+        if (!job.receipts.length) {
+          throw createAppError("Nothing has been received on this job yet", 400, "NOTHING_RECEIVED");
+        }
+        await this.assertPeriodOpen(completedAt, job, adminId, options, session);
+
+        const refiner = await this.loadRefiner(job.refiner, session);
+        const rate = await CreditExposureService.getLatestRatePerGram(session);
+        const lossPure = round(job.expectedPureWeight - job.receivedPureWeight);
+        const lossValue = round(lossPure * rate.ratePerGram, 2);
+        const name = refiner.customerName || refiner.accountCode;
+
+        if (Math.abs(lossPure) >= WEIGHT_TOLERANCE) {
+          const isLoss = lossPure > 0;
+          const balances = await this.moveRefinerGold(refiner._id, -lossPure, rate.ratePerGram, session);
+          job.registryIds.push(
+            await this.postPartyGoldRow(refiner, {
+              grams: Math.abs(lossPure),
+              side: isLoss ? "credit" : "debit",
+              description: `REFINING ${isLoss ? "LOSS" : "GAIN"} ON ${job.jobNumber} - ${name}`,
+              jobNumber: job.jobNumber,
+              date: completedAt,
+              balances,
+              rate,
+              adminId,
+            }, session)
+          );
+
+          // The other side of the refiner row: metal gains and losses in grams, and the
+          // loss valued at the current rate against stock valuation
+          const grams = Math.abs(lossPure);
+          const value = Math.abs(lossValue);
+          const base = {
+            description: `REFINING ${isLoss ? "LOSS" : "GAIN"} ${grams} G PURE ON ${job.jobNumber}`,
+            costCenter: COST_CENTER,
+            goldBidValue: rate.ratePerGram || null,
+            pureWeight: grams,
+            reference: job.jobNumber,
+            transactionDate: completedAt,
+            createdBy: adminId,
+          };
+          const rows = [
+            {
+              ...base,
+              transactionId: await Registry.generateTransactionId(),
+              type: "METAL_VARIANCE",
+              isBullion: true,
+              value: grams,
+              debit: isLoss ? grams : 0,
+              credit: isLoss ? 0 : grams,
+              goldDebit: isLoss ? grams : 0,
+              goldCredit: isLoss ? 0 : grams,
+            },
+          ];
+          if (value > 0) {
+            rows.push(
+              {
+                ...base,
+                transactionId: await Registry.generateTransactionId(),
+                type: "REFINING_LOSS",
+                value,
+                debit: isLoss ? value : 0,
+                credit: isLoss ? 0 : value,
+                cashDebit: isLoss ? value : 0,
+                cashCredit: isLoss ? 0 : value,
+              },
+              {
+                ...base,
+                transactionId: await Registry.generateTransactionId(),
+                type: "STOCK_VALUATION",
+                value,
+                debit: isLoss ? 0 : value,
+                credit: isLoss ? value : 0,
+                cashDebit: isLoss ? 0 : value,
+                cashCredit: isLoss ? value : 0,
+              }
+            );
+          }
+          const registries = await Registry.insertMany(rows, { session });
+          job.registryIds.push(...registries.map((r) => r._id));
+        }
+
+        if (charges > 0) {
+          const baseCurrency = await CurrencyMaster.getBaseCurrency(session);
+          await Account.incrementCashBalance(refiner._id, baseCurrency?._id || null, charges, 1, session);
+          // Party side of the charge: we owe the refiner
+          const [row] = await Registry.insertMany(
+            [
+              {
+                transactionId: await Registry.generateTransactionId(),
+                type: "REFINING_CHARGES",
+                description: `REFINING CHARGES ON ${job.jobNumber} - ${name}`,
+                party: refiner._id,
+                costCenter: COST_CENTER,
+                value: charges,
+                credit: charges,
+                cashCredit: charges,
+                reference: job.jobNumber,
+                transactionDate: completedAt,
+                createdBy: adminId,
+              },
+            ],
+            { session }
+          );
+          job.registryIds.push(row._id);
+        }
+
+        job.result = { lossPureWeight: lossPure, lossValue, ratePerGram: rate.ratePerGram, charges };
+        job.status = "completed";
+        job.completedAt = completedAt;
+        job.completedBy = adminId;
+        if (input.remarks) job.remarks = input.remarks;
+        await job.save({ session });
+      });
+      return this.getJobById(id);
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  // GOLD (pure) and GOLD_STOCK (gross) rows for metal leaving or entering stock
+  static async postStockRows(line, side, jobNumber, date, inventoryLogId, rate, adminId, session) {
+    const base = {
+      metalId: line.stockCode,
+      InventoryLogID: inventoryLogId,
+      costCenter: COST_CENTER,
+      isBullion: true,
+      reference: jobNumber,
+      transactionDate: date,
+      createdBy: adminId,
+      purity: line.purity,
+      grossWeight: line.grossWeight,
+      pureWeight: line.pureWeight ?? line.expectedPureWeight,
+      goldBidValue: rate.ratePerGram || null,
+    };
+    const label = side === "credit" ? "ISSUED FOR REFINING" : "RECEIVED FROM REFINING";
+    const amounts = (value) => ({
+      value,
+      debit: side === "debit" ? value : 0,
+      credit: side === "credit" ? value : 0,
+      goldDebit: side === "debit" ? value : 0,
+      goldCredit: side === "credit" ? value : 0,
+    });
+
+    const rows = await Registry.insertMany(
+      [
+        {
+          ...base,
+          ...amounts(base.pureWeight),
+          transactionId: await Registry.generateTransactionId(),
+          type: "GOLD",
+          description: `Gold inventory - ${line.code} ${label}`,
+        },
+        {
+          ...base,
+          ...amounts(line.grossWeight),
+          transactionId: await Registry.generateTransactionId(),
+          type: "GOLD_STOCK",
+          description: `Gold stock - ${line.code} ${label}`,
+        },
+      ],
+      { session }
+    );
+    return rows.map((r) => r._id);
+  }
+
+  static async postPartyGoldRow(refiner, { grams, side, description, jobNumber, date, balances, rate, adminId }, session) {
+    const [row] = await Registry.insertMany(
+      [
+        {
+          transactionId: await Registry.generateTransactionId(),
+          type: "PARTY_GOLD_BALANCE",
+          description,
+          party: refiner._id,
+          costCenter: COST_CENTER,
+          isBullion: false,
+          value: grams,
+          debit: side === "debit" ? grams : 0,
+          credit: side === "credit" ? grams : 0,
+          goldDebit: side === "debit" ? grams : 0,
+          goldCredit: side === "credit" ? grams : 0,
+          pureWeight: grams,
+          goldBidValue: rate.ratePerGram || null,
+          previousBalance: balances.previousBalance,
+          runningBalance: balances.runningBalance,
+          reference: jobNumber,
+          transactionDate: date,
+          createdBy: adminId,
+        },
+      ],
+      { session }
+    );
+    return row._id;
+  }
+
+  static assertOpen(job) {
+    if (job.status === "completed") {
+      throw createAppError(`Refining job ${job.jobNumber} is already completed`, 409, "REFINING_JOB_COMPLETED");
+    }
+  }
+
+  static async getJobs(page = 1, limit = 20, filters = {}) {
+    const skip = (page - 1) * limit;
+    const query = {};
+    if (filters.status) query.status = filters.status;
+    if (filters.refiner && mongoose.Types.ObjectId.isValid(filters.refiner)) query.refiner = filters.refiner;
+
+    const [jobs, total] = await Promise.all([
+      RefiningJob.find(query)
+        .select("-registryIds")
+        .populate("refiner", "accountCode customerName")
+        .populate("createdBy", "name email")
+        .sort({ issueDate: -1, createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      RefiningJob.countDocuments(query),
+    ]);
+
+    return {
+      jobs,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        itemsPerPage: limit,
+      },
+    };
+  }
+
+  // The job with what is still outstanding from the refiner
+  static async getJobById(id) {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      throw createAppError("Invalid refining job ID", 400, "INVALID_ID");
+    }
+    const job = await RefiningJob.findById(id)
+      .populate("refiner", "accountCode customerName")
+      .populate("receipts.receivedBy", "name email")
+      .populate("createdBy", "name email")
+      .populate("completedBy", "name email");
+    if (!job) throw createAppError("Refining job not found", 404, "REFINING_JOB_NOT_FOUND");
+
+    return {
+      ...job.toObject(),
+      outstandingPureWeight:
+        job.status === "completed" ? 0 : round(job.expectedPureWeight - job.receivedPureWeight),
+    };
+  }
+}
+
+export default RefiningJobService;
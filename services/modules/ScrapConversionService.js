@@ -0,0 +1,412 @@
+import mongoose from "mongoose";
+import InventoryLog from "../../models/modules/InventoryLog.js";
+import KaratMaster from "../../models/modules/KaratMaster.js";
+import MetalStock from "../../models/modules/MetalStock.js";
+import Registry from "../../models/modules/Registry.js";
+import ScrapConversion from "../../models/modules/ScrapConversion.js";
+import CreditExposureService from "./CreditExposureService.js";
+import FiscalPeriodService from "./FiscalPeriodService.js";
+import InventoryReservationService from "./InventoryReservationService.js";
+import { createAppError } from "../../utils/errorHandler.js";
+import { moveInventory, purityFactor } from "../../utils/inventoryUtils.js";
+
+const VOUCHER_TYPE = "SCRAP";
+
+const round = (value, decimals = 3) => Number((value || 0).toFixed(decimals));
+
+/**
+ * Moves damaged or scrapped goods out of saleable stock.
+ *
+ * A conversion melts the goods into a scrap stock of the scrap karat for the source's
+ * division whose minimum-maximum range takes the source purity (or an explicitly chosen
+ * scrap stock). Pure weight carries over less the melting loss, so the scrap gross weight
+ * is the remaining pure weight at the scrap purity. A write-off removes the goods
+ * outright and the whole pure weight is the loss. The loss is valued at the current metal
+ * rate and posted to the Registry under the scrap cost center.
+ */
+class ScrapConversionService {
+  // Read lazily - dotenv is loaded after services are imported
+  static getCostCenter() {
+    return (process.env.SCRAP_COST_CENTER || "SCRAP").trim().toUpperCase();
+  }
+
+  static parseInput(input) {
+    const mode = input.mode || "convert";
+    if (!["convert", "writeOff"].includes(mode)) {
+      throw createAppError("Mode must be 'convert' or 'writeOff'", 400, "INVALID_MODE");
+    }
+    if (!mongoose.Types.ObjectId.isValid(input.stockCode)) {
+      throw createAppError("Invalid stock code", 400, "INVALID_STOCK_CODE");
+    }
+    if (input.scrapStockCode && !mongoose.Types.ObjectId.isValid(input.scrapStockCode)) {
+      throw createAppError("Invalid scrap stock code", 400, "INVALID_STOCK_CODE");
+    }
+
+    const pieces = Number(input.pieces || 0);
+    const grossWeight = Number(input.grossWeight || 0);
+    const meltingLoss = Number(input.meltingLoss || 0);
+    if ([pieces, grossWeight, meltingLoss].some((v) => !Number.isFinite(v) || v < 0)) {
+      throw createAppError("Quantities cannot be negative", 400, "INVALID_QUANTITY");
+    }
+    if (pieces === 0 && grossWeight === 0) {
+      throw createAppError("Pieces or gross weight is required", 400, "INVALID_QUANTITY");
+    }
+
+    const conversionDate = input.conversionDate ? new Date(input.conversionDate) : new Date();
+    if (isNaN(conversionDate.getTime())) {
+      throw createAppError("Invalid conversion date", 400, "INVALID_DATE");
+    }
+
+    return {
+      mode,
+      reason: ["damaged", "scrap", "other"].includes(input.reason) ? input.reason : "damaged",
+      stockCode: input.stockCode,
+      scrapStockCode: input.scrapStockCode || null,
+      pieces,
+      grossWeight,
+      meltingLoss,
+      conversionDate,
+      remarks: input.remarks || null,
+    };
+  }
+
+  // Scrap stock the source is melted into
+  static async findScrapStock(source, scrapStockCode, session) {
+    if (scrapStockCode) {
+      const stock = await MetalStock.findOne({ _id: scrapStockCode, isActive: true })
+        .populate("karat", "karatCode standardPurity isScrap")
+        .session(session);
+      if (!stock) throw createAppError("Scrap stock not found", 404, "SCRAP_STOCK_NOT_FOUND");
+      if (!stock.karat?.isScrap) {
+        throw createAppError(`${stock.code} is not of a scrap karat`, 400, "NOT_A_SCRAP_STOCK");
+      }
+      return stock;
+    }
+
+    const purity = source.karat.standardPurity;
+    const karats = await KaratMaster.find({
+      division: source.karat.division,
+      isScrap: true,
+      isActive: true,
+    })
+      .session(session)
+      .lean();
+    // The karat whose range takes the purity, else the nearest one not above it
+    const karat =
+      karats.find((k) => purity >= k.minimum && purity <= k.maximum) ||
+      karats
+        .filter((k) => k.standardPurity <= purity)
+        .sort((a, b) => b.standardPurity - a.standardPurity)[0];
+    if (!karat) {
+      throw createAppError("No scrap karat is set up for this division", 404, "SCRAP_KARAT_NOT_FOUND");
+    }
+
+    const query = { karat: karat._id, isActive: true };
+    const stock =
+      (await MetalStock.findOne({ ...query, metalType: source.metalType })
+        .populate("karat", "karatCode standardPurity isScrap")
+        .session(session)) ||
+      (await MetalStock.findOne(query).populate("karat", "karatCode standardPurity isScrap").session(session));
+    if (!stock) {
+      throw createAppError(
+        `No stock code is set up for scrap karat ${karat.karatCode}`,
+        404,
+        "SCRAP_STOCK_NOT_FOUND"
+      );
+    }
+    return stock;
+  }
+
+  static async convert(rawInput, adminId, options = {}) {
+    const input = this.parseInput(rawInput);
+
+    const session = await mongoose.startSession();
+    try {
+      let conversion;
+      await session.withTransaction(async () => {
+        const source = await MetalStock.findOne({ _id: input.stockCode, isActive: true })
+          .populate("karat", "karatCode standardPurity isScrap division")
+          .session(session);
+        if (!source) throw createAppError("Metal stock not found", 404, "METAL_STOCK_NOT_FOUND");
+
+        // Pieces alone are taken at the stock's unit weight
+        const grossWeight = input.grossWeight || input.pieces * (source.totalValue || 0);
+        if (grossWeight <= 0) {
+          throw createAppError("Gross weight is required for this stock", 400, "INVALID_QUANTITY");
+        }
+        if (input.meltingLoss > grossWeight) {
+          throw createAppError("Melting loss cannot exceed the gross weight", 400, "INVALID_MELTING_LOSS");
+        }
+        if (input.mode === "convert" && source.karat?.isScrap) {
+          throw createAppError(`${source.code} is already scrap`, 400, "ALREADY_SCRAP");
+        }
+
+        // Stock held by reservations cannot be scrapped
+        await InventoryReservationService.assertAvailable(
+          [{ stockCode: source._id.toString(), code: source.code, pieces: source.pcs ? input.pieces : 0, grossWeight }],
+          session
+        );
+
+        const conversionNumber = await ScrapConversion.generateConversionNumber(input.conversionDate, session);
+        await FiscalPeriodService.assertPeriodOpen(input.conversionDate, {
+          adminId,
+          action: "create",
+          voucherType: VOUCHER_TYPE,
+          voucherNumber: conversionNumber,
+          override: options.periodOverride,
+          session,
+        });
+
+        const sourcePurity = source.karat?.standardPurity || 0;
+        const sourceLeg = {
+          stockCode: source._id,
+          code: source.code,
+          karat: source.karat?._id || null,
+          pieces: source.pcs ? input.pieces : 0,
+          grossWeight: round(grossWeight),
+          purity: sourcePurity,
+          pureWeight: round(grossWeight * purityFactor(sourcePurity)),
+        };
+
+        let scrapLeg = null;
+        let loss;
+        if (input.mode === "convert") {
+          const scrapStock = await this.findScrapStock(source, input.scrapStockCode, session);
+          const scrapPurity = scrapStock.karat.standardPurity;
+          if (!scrapPurity) {
+            throw createAppError(`Scrap karat ${scrapStock.karat.karatCode} has no purity`, 400, "INVALID_SCRAP_KARAT");
+          }
+          const lossPure = round(input.meltingLoss * purityFactor(sourcePurity));
+          const scrapPure = round(sourceLeg.pureWeight - lossPure);
+          scrapLeg = {
+            stockCode: scrapStock._id,
+            code: scrapStock.code,
+            karat: scrapStock.karat._id,
+            pieces: 0,
+            grossWeight: round(scrapPure / purityFactor(scrapPurity)),
+            purity: scrapPurity,
+            pureWeight: scrapPure,
+          };
+          loss = { grossWeight: round(input.meltingLoss), pureWeight: lossPure };
+        } else {
+          loss = { grossWeight: sourceLeg.grossWeight, pureWeight: sourceLeg.pureWeight };
+        }
+
+        const rate = await CreditExposureService.getLatestRatePerGram(session);
+        loss.value = round(loss.pureWeight * rate.ratePerGram, 2);
+
+        await moveInventory(source._id, source.code, { grossWeight: -sourceLeg.grossWeight, pieces: -sourceLeg.pieces }, adminId, session);
+        if (scrapLeg) {
+          await moveInventory(scrapLeg.stockCode, scrapLeg.code, { grossWeight: scrapLeg.grossWeight }, adminId, session);
+        }
+
+        const costCenter = this.getCostCenter();
+        const { inventoryLogIds, registryIds } = await this.post(
+          { conversionNumber, input, sourceLeg, scrapLeg, loss, rate, costCenter },
+          adminId,
+          session
+        );
+
+        [conversion] = await ScrapConversion.create(
+          [
+            {
+              conversionNumber,
+              mode: input.mode,
+              reason: input.reason,
+              conversionDate: input.conversionDate,
+              source: sourceLeg,
+              scrap: scrapLeg,
+              loss,
+              rate: { rateId: rate.rateId, ratePerGram: rate.ratePerGram },
+              costCenter,
+              inventoryLogIds,
+              registryIds,
+              remarks: input.remarks,
+              createdBy: adminId,
+            },
+          ],
+          { session }
+        );
+      });
+      return this.getConversionById(conversion._id);
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  static async post({ conversionNumber, input, sourceLeg, scrapLeg, loss, rate, costCenter }, adminId, session) {
+    const label = input.mode === "convert" ? "SCRAP CONVERSION" : "WRITE-OFF";
+    const logBase = {
+      voucherCode: conversionNumber,
+      voucherType: VOUCHER_TYPE,
+      voucherDate: input.conversionDate,
+      transactionType: "adjustment",
+      createdBy: adminId,
+    };
+
+    const logs = await InventoryLog.create(
+      [
+        {
+          ...logBase,
+          code: sourceLeg.code,
+          stockCode: sourceLeg.stockCode,
+          pcs: sourceLeg.pieces > 0,
+          grossWeight: sourceLeg.grossWeight,
+          action: "remove",
+          note: scrapLeg
+            ? `Melted into scrap ${scrapLeg.code} (${input.reason}), melting loss ${loss.grossWeight} g`
+            : `Written off (${input.reason})`,
+        },
+        ...(scrapLeg
+          ? [
+              {
+                ...logBase,
+                code: scrapLeg.code,
+                stockCode: scrapLeg.stockCode,
+                pcs: false,
+                grossWeight: scrapLeg.grossWeight,
+                action: "add",
+                note: `Scrap received from ${sourceLeg.code}`,
+              },
+            ]
+          : []),
+      ],
+      { session, ordered: true }
+    );
+
+    const rowBase = {
+      costCenter,
+      reference: conversionNumber,
+      transactionDate: input.conversionDate,
+      createdBy: adminId,
+    };
+    // Gold legs in pure grams; together they net to the pure loss
+    const rows = [
+      {
+        ...rowBase,
+        transactionId: await Registry.generateTransactionId(),
+        type: "STOCK_ADJUSTMENT",
+        description: `${label} - ${sourceLeg.code} OUT`,
+        metalId: sourceLeg.stockCode,
+        InventoryLogID: logs[0]._id,
+        isBullion: true,
+        value: sourceLeg.pureWeight,
+        credit: sourceLeg.pureWeight,
+        goldCredit: sourceLeg.pureWeight,
+        purity: sourceLeg.purity,
+        grossWeight: sourceLeg.grossWeight,
+        pureWeight: sourceLeg.pureWeight,
+        goldBidValue: rate.ratePerGram || null,
+      },
+    ];
+    if (scrapLeg) {
+      rows.push({
+        ...rowBase,
+        transactionId: await Registry.generateTransactionId(),
+        type: "STOCK_ADJUSTMENT",
+        description: `${label} - ${scrapLeg.code} IN`,
+        metalId: scrapLeg.stockCode,
+        InventoryLogID: logs[1]._id,
+        isBullion: true,
+        value: scrapLeg.pureWeight,
+        debit: scrapLeg.pureWeight,
+        goldDebit: scrapLeg.pureWeight,
+        purity: scrapLeg.purity,
+        grossWeight: scrapLeg.grossWeight,
+        pureWeight: scrapLeg.pureWeight,
+        goldBidValue: rate.ratePerGram || null,
+      });
+    }
+    // The pure weight lost goes to metal gains and losses, so the gold legs balance
+    const lostPure = round(sourceLeg.pureWeight - (scrapLeg?.pureWeight || 0));
+    if (lostPure > 0) {
+      rows.push({
+        ...rowBase,
+        transactionId: await Registry.generateTransactionId(),
+        type: "METAL_VARIANCE",
+        description: `${label} LOSS - ${sourceLeg.code}`,
+        metalId: sourceLeg.stockCode,
+        isBullion: true,
+        value: lostPure,
+        debit: lostPure,
+        goldDebit: lostPure,
+        purity: sourceLeg.purity,
+        pureWeight: lostPure,
+        goldBidValue: rate.ratePerGram || null,
+      });
+    }
+    if (loss.value > 0) {
+      const description = `${label} LOSS - ${loss.pureWeight} G PURE OF ${sourceLeg.code}`;
+      rows.push(
+        {
+          ...rowBase,
+          transactionId: await Registry.generateTransactionId(),
+          type: "MELTING_LOSS",
+          description,
+          metalId: sourceLeg.stockCode,
+          value: loss.value,
+          debit: loss.value,
+          cashDebit: loss.value,
+        },
+        {
+          ...rowBase,
+          transactionId: await Registry.generateTransactionId(),
+          type: "STOCK_VALUATION",
+          description,
+          metalId: sourceLeg.stockCode,
+          value: loss.value,
+          credit: loss.value,
+          cashCredit: loss.value,
+        }
+      );
+    }
+    const registries = await Registry.insertMany(rows, { session });
+
+    return {
+      inventoryLogIds: logs.map((log) => log._id),
+      registryIds: registries.map((r) => r._id),
+    };
+  }
+
+  static async getConversions(page = 1, limit = 20, filters = {}) {
+    const skip = (page - 1) * limit;
+    const query = {};
+    if (filters.mode) query.mode = filters.mode;
+    if (filters.stockCode && mongoose.Types.ObjectId.isValid(filters.stockCode)) {
+      query.$or = [{ "source.stockCode": filters.stockCode }, { "scrap.stockCode": filters.stockCode }];
+    }
+
+    const [conversions, total] = await Promise.all([
+      ScrapConversion.find(query)
+        .populate("createdBy", "name email")
+        .sort({ conversionDate: -1, createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      ScrapConversion.countDocuments(query),
+    ]);
+
+    return {
+      conversions,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        itemsPerPage: limit,
+      },
+    };
+  }
+
+  static async getConversionById(id) {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      throw createAppError("Invalid conversion ID", 400, "INVALID_ID");
+    }
+    const conversion = await ScrapConversion.findById(id)
+      .populate("source.karat", "karatCode description")
+      .populate("scrap.karat", "karatCode description")
+      .populate("createdBy", "name email");
+    if (!conversion) throw createAppError("Scrap conversion not found", 404, "SCRAP_CONVERSION_NOT_FOUND");
+    return conversion;
+  }
+}
+
+export default ScrapConversionService;
@@ -0,0 +1,519 @@
+import mongoose from "mongoose";
+import CostCenterMaster from "../../models/modules/CostCenterMaster.js";
+import DivisionMaster from "../../models/modules/DivisionMaster.js";
+import Inventory from "../../models/modules/inventory.js";
+import InventoryLog from "../../models/modules/InventoryLog.js";
+import MetalStock from "../../models/modules/MetalStock.js";
+import Registry from "../../models/modules/Registry.js";
+import StockCount from "../../models/modules/StockCount.js";
+import CreditExposureService from "./CreditExposureService.js";
+import FiscalPeriodService from "./FiscalPeriodService.js";
+import InventoryService from "./inventoryService.js";
+import { createAppError } from "../../utils/errorHandler.js";
+import { moveInventory, purityFactor } from "../../utils/inventoryUtils.js";
+
+const VOUCHER_TYPE = "STOCK-COUNT";
+const WEIGHT_TOLERANCE = 0.0005;
+
+const round = (value, decimals = 3) => Number((value || 0).toFixed(decimals));
+
+/**
+ * Physical stock-take. A count is opened for a division and/or cost center at a
+ * timestamp, counted quantities are recorded per stock code, and on submission each line
+ * is compared with the system quantity at that timestamp (replayed from InventoryLog).
+ * Once approved by someone other than the submitter, each variance is posted as an
+ * `adjustment` to Inventory and InventoryLog, and to the Registry in pure grams
+ * (STOCK_ADJUSTMENT) and in money at the current metal rate (STOCK_VARIANCE).
+ */
+class StockCountService {
+  static async resolveScope(input, session = null) {
+    const scope = { division: null, costCenter: null, costCenterCode: null };
+
+    if (input.division) {
+      if (!mongoose.Types.ObjectId.isValid(input.division)) {
+        throw createAppError("Invalid division ID", 400, "INVALID_DIVISION_ID");
+      }
+      const division = await DivisionMaster.findById(input.division).select("_id").session(session).lean();
+      if (!division) throw createAppError("Division not found", 404, "DIVISION_NOT_FOUND");
+      scope.division = division._id;
+    }
+    if (input.costCenter) {
+      if (!mongoose.Types.ObjectId.isValid(input.costCenter)) {
+        throw createAppError("Invalid cost center ID", 400, "INVALID_COST_CENTER_ID");
+      }
+      const costCenter = await CostCenterMaster.findById(input.costCenter).select("code").session(session).lean();
+      if (!costCenter) throw createAppError("Cost center not found", 404, "COST_CENTER_NOT_FOUND");
+      scope.costCenter = costCenter._id;
+      scope.costCenterCode = costCenter.code;
+    }
+    if (!scope.division && !scope.costCenter) {
+      throw createAppError("A division or cost center is required", 400, "MISSING_COUNT_SCOPE");
+    }
+    return scope;
+  }
+
+  static stockQueryFor(count) {
+    const query = { isActive: true };
+    if (count.division) query.metalType = count.division;
+    if (count.costCenter) query.costCenter = count.costCenter;
+    return query;
+  }
+
+  static async openCount(input, adminId) {
+    const countedAt = input.countedAt ? new Date(input.countedAt) : new Date();
+    if (isNaN(countedAt.getTime())) {
+      throw createAppError("Invalid count timestamp", 400, "INVALID_DATE");
+    }
+    if (countedAt > new Date()) {
+      throw createAppError("Count timestamp cannot be in the future", 400, "INVALID_DATE");
+    }
+
+    const session = await mongoose.startSession();
+    try {
+      let count;
+      await session.withTransaction(async () => {
+        const scope = await this.resolveScope(input, session);
+
+        // One count at a time per scope, so the same stock is not adjusted twice
+        const existing = await StockCount.findOne({
+          division: scope.division,
+          costCenter: scope.costCenter,
+          status: { $in: ["open", "submitted"] },
+        })
+          .select("countNumber")
+          .session(session)
+          .lean();
+        if (existing) {
+          throw createAppError(
+            `Count ${existing.countNumber} is already in progress for this scope`,
+            409,
+            "COUNT_IN_PROGRESS"
+          );
+        }
+
+        [count] = await StockCount.create(
+          [
+            {
+              countNumber: await StockCount.generateCountNumber(countedAt, session),
+              division: scope.division,
+              costCenter: scope.costCenter,
+              countedAt,
+              remarks: input.remarks || null,
+              createdBy: adminId,
+            },
+          ],
+          { session }
+        );
+      });
+      return this.getCountById(count._id);
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  /**
+   * Record counted quantities. A stock code counted again replaces its earlier figure.
+   * For piece-based stock the gross weight defaults to pieces x the stock's unit weight.
+   */
+  static async recordLines(id, lines, adminId) {
+    if (!Array.isArray(lines) || lines.length === 0) {
+      throw createAppError("At least one counted line is required", 400, "INVALID_COUNT_LINES");
+    }
+
+    const count = await this.findCount(id);
+    this.assertStatus(count, ["open"]);
+
+    const stockIds = lines.map((line, index) => {
+      if (!mongoose.Types.ObjectId.isValid(line.stockCode)) {
+        throw createAppError(`Line ${index + 1}: invalid stock code`, 400, "INVALID_COUNT_LINES");
+      }
+      return new mongoose.Types.ObjectId(line.stockCode);
+    });
+    const stocks = await MetalStock.find({ ...this.stockQueryFor(count), _id: { $in: stockIds } })
+      .select("code pcs totalValue karat")
+      .populate("karat", "standardPurity")
+      .lean();
+    const stockById = new Map(stocks.map((s) => [s._id.toString(), s]));
+
+    lines.forEach((line, index) => {
+      const stock = stockById.get(line.stockCode.toString());
+      if (!stock) {
+        throw createAppError(
+          `Line ${index + 1}: stock code is not in the scope of this count`,
+          400,
+          "STOCK_OUT_OF_SCOPE"
+        );
+      }
+
+      const pieces = Number(line.pieces || 0);
+      let grossWeight = line.grossWeight === undefined || line.grossWeight === "" ? null : Number(line.grossWeight);
+      if (!Number.isFinite(pieces) || pieces < 0 || (grossWeight !== null && (!Number.isFinite(grossWeight) || grossWeight < 0))) {
+        throw createAppError(`Line ${index + 1}: counted quantities cannot be negative`, 400, "INVALID_QUANTITY");
+      }
+      if (stock.pcs && !Number.isInteger(pieces)) {
+        throw createAppError(`Line ${index + 1}: pieces must be a whole number`, 400, "INVALID_QUANTITY");
+      }
+      if (grossWeight === null) {
+        grossWeight = stock.pcs ? pieces * (stock.totalValue || 0) : 0;
+      }
+
+      const entry = {
+        stockCode: stock._id,
+        code: stock.code,
+        pcs: !!stock.pcs,
+        purity: stock.karat?.standardPurity || 0,
+        counted: { pieces: stock.pcs ? pieces : 0, grossWeight: round(grossWeight) },
+        remarks: line.remarks?.trim() || null,
+        countedBy: adminId,
+      };
+      const existingIndex = count.lines.findIndex((l) => l.stockCode.toString() === stock._id.toString());
+      if (existingIndex >= 0) {
+        count.lines.set(existingIndex, entry);
+      } else {
+        count.lines.push(entry);
+      }
+    });
+
+    await count.save();
+    return this.getCountById(count._id);
+  }
+
+  // Gross weight per stock code as the InventoryLog stood at the count timestamp
+  static async getSystemQuantities(stockIds, countedAt, session = null) {
+    const rows = await InventoryLog.aggregate([
+      { $match: { stockCode: { $in: stockIds }, createdAt: { $lte: countedAt } } },
+      { $group: { _id: "$stockCode", grossWeight: { $sum: InventoryService.signedGrossWeight() } } },
+    ]).session(session);
+    return new Map(rows.map((row) => [row._id.toString(), row.grossWeight]));
+  }
+
+  /**
+   * Fill in system quantities and variances. The log does not carry piece counts, so
+   * pieces of piece-based stock are the system weight over the unit weight, or the
+   * current Inventory count when the stock has no unit weight.
+   */
+  static async computeVariances(count, ratePerGram = 0, session = null) {
+    const stockIds = count.lines.map((line) => line.stockCode);
+    const [systemWeights, stocks, inventories] = await Promise.all([
+      this.getSystemQuantities(stockIds, count.countedAt, session),
+      MetalStock.find({ _id: { $in: stockIds } }).select("totalValue").session(session).lean(),
+      Inventory.find({ metal: { $in: stockIds } }).select("metal pcsCount").session(session).lean(),
+    ]);
+    const unitWeight = new Map(stocks.map((s) => [s._id.toString(), s.totalValue || 0]));
+    const pcsCount = new Map(inventories.map((inv) => [inv.metal.toString(), inv.pcsCount || 0]));
+
+    for (const line of count.lines) {
+      const key = line.stockCode.toString();
+      const grossWeight = round(systemWeights.get(key) || 0);
+      let pieces = 0;
+      if (line.pcs) {
+        pieces = unitWeight.get(key) > 0 ? Math.round(grossWeight / unitWeight.get(key)) : pcsCount.get(key) || 0;
+      }
+
+      const grossVariance = round(line.counted.grossWeight - grossWeight);
+      const pureVariance = round(grossVariance * purityFactor(line.purity));
+      line.system = { pieces, grossWeight };
+      line.variance = {
+        pieces: line.pcs ? line.counted.pieces - pieces : 0,
+        grossWeight: grossVariance,
+        pureWeight: pureVariance,
+        value: round(pureVariance * ratePerGram, 2),
+      };
+    }
+
+    count.totals = this.summarise(count.lines);
+    return count;
+  }
+
+  static hasVariance(line) {
+    return Math.abs(line.variance?.grossWeight || 0) >= WEIGHT_TOLERANCE || (line.variance?.pieces || 0) !== 0;
+  }
+
+  static summarise(lines) {
+    const withVariance = lines.filter((line) => this.hasVariance(line));
+    const surplus = withVariance.filter((l) => l.variance.pureWeight > 0).reduce((sum, l) => sum + l.variance.pureWeight, 0);
+    const shortage = withVariance.filter((l) => l.variance.pureWeight < 0).reduce((sum, l) => sum - l.variance.pureWeight, 0);
+    return {
+      lines: lines.length,
+      linesWithVariance: withVariance.length,
+      surplusPureWeight: round(surplus),
+      shortagePureWeight: round(shortage),
+      netPureWeight: round(surplus - shortage),
+      netValue: round(withVariance.reduce((sum, l) => sum + (l.variance.value || 0), 0), 2),
+    };
+  }
+
+  static async submitCount(id, adminId) {
+    const count = await this.findCount(id);
+    this.assertStatus(count, ["open"]);
+    if (!count.lines.length) {
+      throw createAppError("Nothing has been counted yet", 400, "EMPTY_COUNT");
+    }
+
+    const rate = await CreditExposureService.getLatestRatePerGram();
+    await this.computeVariances(count, rate.ratePerGram);
+    count.status = "submitted";
+    count.submittedBy = adminId;
+    count.submittedAt = new Date();
+    await count.save();
+    return this.getCountById(count._id);
+  }
+
+  static async rejectCount(id, adminId, reason) {
+    const count = await this.findCount(id);
+    this.assertStatus(count, ["submitted"]);
+
+    count.status = "open";
+    count.rejection = { rejectedBy: adminId, rejectedAt: new Date(), reason };
+    count.submittedBy = null;
+    count.submittedAt = null;
+    await count.save();
+    return this.getCountById(count._id);
+  }
+
+  static async cancelCount(id) {
+    const count = await this.findCount(id);
+    this.assertStatus(count, ["open", "submitted"]);
+    count.status = "cancelled";
+    await count.save();
+    return this.getCountById(count._id);
+  }
+
+  /**
+   * Post the variances. They are recomputed inside the transaction at the current metal
+   * rate; quantities do not move, since they are fixed at the count timestamp.
+   */
+  static async approveCount(id, adminId, options = {}) {
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        const count = await StockCount.findById(id).session(session);
+        if (!count) throw createAppError("Stock count not found", 404, "STOCK_COUNT_NOT_FOUND");
+        this.assertStatus(count, ["submitted"]);
+        if (count.submittedBy?.toString() === adminId.toString()) {
+          throw createAppError(
+            "The submitter of a stock count cannot approve it",
+            403,
+            "SELF_APPROVAL_NOT_ALLOWED"
+          );
+        }
+
+        await FiscalPeriodService.assertPeriodOpen(count.countedAt, {
+          adminId,
+          action: "create",
+          voucherType: VOUCHER_TYPE,
+          voucherId: count._id,
+          voucherNumber: count.countNumber,
+          override: options.periodOverride,
+          session,
+        });
+
+        const rate = await CreditExposureService.getLatestRatePerGram(session);
+        await this.computeVariances(count, rate.ratePerGram, session);
+
+        let costCenterCode = "INVENTORY";
+        if (count.costCenter) {
+          const costCenter = await CostCenterMaster.findById(count.costCenter).select("code").session(session).lean();
+          costCenterCode = costCenter?.code || costCenterCode;
+        }
+
+        for (const line of count.lines) {
+          if (!this.hasVariance(line)) continue;
+          await this.postLine(count, line, rate, costCenterCode, adminId, session);
+        }
+
+        count.rate = { rateId: rate.rateId, ratePerGram: rate.ratePerGram, asOf: rate.asOf };
+        count.status = "approved";
+        count.approvedBy = adminId;
+        count.approvedAt = new Date();
+        await count.save({ session });
+      });
+      return this.getCountById(id);
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  static async postLine(count, line, rate, costCenterCode, adminId, session) {
+    await moveInventory(line.stockCode, line.code, line.variance, adminId, session);
+
+    const isSurplus = line.variance.grossWeight > 0 || (line.variance.grossWeight === 0 && line.variance.pieces > 0);
+    const grossWeight = Math.abs(line.variance.grossWeight);
+    const pureWeight = Math.abs(line.variance.pureWeight);
+    const value = Math.abs(line.variance.value);
+
+    const [log] = await InventoryLog.create(
+      [
+        {
+          code: line.code,
+          stockCode: line.stockCode,
+          voucherCode: count.countNumber,
+          voucherType: VOUCHER_TYPE,
+          voucherDate: count.countedAt,
+          transactionType: "adjustment",
+          pcs: line.pcs,
+          grossWeight,
+          action: isSurplus ? "add" : "remove",
+          createdBy: adminId,
+          note: `Stock count ${isSurplus ? "surplus" : "shortage"} of ${grossWeight} g${line.pcs ? ` / ${Math.abs(line.variance.pieces)} pcs` : ""}`,
+        },
+      ],
+      { session }
+    );
+
+    const description = `STOCK COUNT ${isSurplus ? "SURPLUS" : "SHORTAGE"} FOR ${line.code}`;
+    const common = {
+      metalId: line.stockCode,
+      InventoryLogID: log._id,
+      costCenter: costCenterCode,
+      description,
+      reference: count.countNumber,
+      transactionDate: count.countedAt,
+      createdBy: adminId,
+    };
+
+    // Metal side in pure grams against metal gains and losses; the money side is its
+    // value at the current rate against stock valuation
+    const metal = {
+      ...common,
+      isBullion: true,
+      value: pureWeight,
+      goldBidValue: rate.ratePerGram || null,
+      purity: line.purity,
+      grossWeight,
+      pureWeight,
+    };
+    const rows = [
+      {
+        ...metal,
+        transactionId: await Registry.generateTransactionId(),
+        type: "STOCK_ADJUSTMENT",
+        debit: isSurplus ? pureWeight : 0,
+        credit: isSurplus ? 0 : pureWeight,
+        goldDebit: isSurplus ? pureWeight : 0,
+        goldCredit: isSurplus ? 0 : pureWeight,
+      },
+      {
+        ...metal,
+        transactionId: await Registry.generateTransactionId(),
+        type: "METAL_VARIANCE",
+        debit: isSurplus ? 0 : pureWeight,
+        credit: isSurplus ? pureWeight : 0,
+        goldDebit: isSurplus ? 0 : pureWeight,
+        goldCredit: isSurplus ? pureWeight : 0,
+      },
+    ];
+    if (value > 0) {
+      rows.push(
+        {
+          ...common,
+          transactionId: await Registry.generateTransactionId(),
+          type: "STOCK_VARIANCE",
+          value,
+          debit: isSurplus ? 0 : value,
+          credit: isSurplus ? value : 0,
+          cashDebit: isSurplus ? 0 : value,
+          cashCredit: isSurplus ? value : 0,
+        },
+        {
+          ...common,
+          transactionId: await Registry.generateTransactionId(),
+          type: "STOCK_VALUATION",
+          value,
+          debit: isSurplus ? value : 0,
+          credit: isSurplus ? 0 : value,
+          cashDebit: isSurplus ? value : 0,
+          cashCredit: isSurplus ? 0 : value,
+        }
+      );
+    }
+    const registries = await Registry.insertMany(rows, { session });
+
+    line.inventoryLogId = log._id;
+    line.registryIds = registries.map((r) => r._id);
+  }
+
+  static assertStatus(count, allowed) {
+    if (!allowed.includes(count.status)) {
+      throw createAppError(
+        `Stock count ${count.countNumber} is ${count.status}`,
+        409,
+        "INVALID_COUNT_STATUS"
+      );
+    }
+  }
+
+  static async findCount(id) {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      throw createAppError("Invalid stock count ID", 400, "INVALID_ID");
+    }
+    const count = await StockCount.findById(id);
+    if (!count) throw createAppError("Stock count not found", 404, "STOCK_COUNT_NOT_FOUND");
+    return count;
+  }
+
+  static async getCounts(page = 1, limit = 20, filters = {}) {
+    const skip = (page - 1) * limit;
+    const query = {};
+    if (filters.status) query.status = filters.status;
+    if (filters.division && mongoose.Types.ObjectId.isValid(filters.division)) query.division = filters.division;
+    if (filters.costCenter && mongoose.Types.ObjectId.isValid(filters.costCenter)) query.costCenter = filters.costCenter;
+
+    const [counts, total] = await Promise.all([
+      StockCount.find(query)
+        .select("-lines")
+        .populate("division", "code description")
+        .populate("costCenter", "code description")
+        .populate("createdBy", "name email")
+        .sort({ countedAt: -1, createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      StockCount.countDocuments(query),
+    ]);
+
+    return {
+      counts,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        itemsPerPage: limit,
+      },
+    };
+  }
+
+  /**
+   * A count with its lines. While it is still open the variances are a preview at the
+   * current rate and are not saved.
+   */
+  static async getCountById(id) {
+    const count = await StockCount.findById(id)
+      .populate("division", "code description")
+      .populate("costCenter", "code description")
+      .populate("lines.countedBy", "name email")
+      .populate("createdBy", "name email")
+      .populate("submittedBy", "name email")
+      .populate("approvedBy", "name email");
+    if (!count) throw createAppError("Stock count not found", 404, "STOCK_COUNT_NOT_FOUND");
+
+    if (count.status === "open" && count.lines.length) {
+      const rate = await CreditExposureService.getLatestRatePerGram();
+      await this.computeVariances(count, rate.ratePerGram);
+    }
+
+    const counted = new Set(count.lines.map((line) => line.stockCode.toString()));
+    const scoped = await MetalStock.find(this.stockQueryFor({
+      division: count.division?._id || count.division,
+      costCenter: count.costCenter?._id || count.costCenter,
+    }))
+      .select("code description")
+      .lean();
+
+    return {
+      ...count.toObject(),
+      uncounted: count.status === "open" ? scoped.filter((stock) => !counted.has(stock._id.toString())) : [],
+    };
+  }
+}
+
+export default StockCountService;
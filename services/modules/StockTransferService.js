@@ -0,0 +1,498 @@
+import mongoose from "mongoose";
+import moment from "moment";
+import CostCenterMaster from "../../models/modules/CostCenterMaster.js";
+import InventoryLog from "../../models/modules/InventoryLog.js";
+import MetalStock from "../../models/modules/MetalStock.js";
+import Registry from "../../models/modules/Registry.js";
+import StockTransfer from "../../models/modules/StockTransfer.js";
+import FiscalPeriodService from "./FiscalPeriodService.js";
+import InventoryReservationService from "./InventoryReservationService.js";
+import VoucherMasterService from "./VoucherMasterService.js";
+import { createAppError } from "../../utils/errorHandler.js";
+import { moveInventory, purityFactor } from "../../utils/inventoryUtils.js";
+
+const VOUCHER_MODULE = "stock-transfer";
+
+const round = (value, decimals = 3) => Number((value || 0).toFixed(decimals));
+const sameId = (a, b) => (a ? a.toString() : null) === (b ? b.toString() : null);
+
+/**
+ * Stock transfers between branches and/or cost centers.
+ *
+ * Each MetalStock belongs to one branch and cost center, so a transfer moves quantity
+ * from a stock code at the source to a stock code of the same karat at the destination.
+ * When a line names no destination stock, the one active stock of the same karat and
+ * metal type at the destination is used.
+ * Dispatch takes the stock out of the source and holds its pure weight in
+ * STOCK_IN_TRANSIT; receipt puts it into the destination and clears the transit row.
+ * Both movements are logged as `transfer` in the InventoryLog.
+ */
+class StockTransferService {
+  static async parseLocation(location = {}, label) {
+    const parsed = { branch: null, costCenter: null };
+    if (location.branch) {
+      if (!mongoose.Types.ObjectId.isValid(location.branch)) {
+        throw createAppError(`Invalid ${label} branch`, 400, "INVALID_BRANCH_ID");
+      }
+      parsed.branch = new mongoose.Types.ObjectId(location.branch);
+    }
+    if (location.costCenter) {
+      if (!mongoose.Types.ObjectId.isValid(location.costCenter)) {
+        throw createAppError(`Invalid ${label} cost center`, 400, "INVALID_COST_CENTER_ID");
+      }
+      const costCenter = await CostCenterMaster.findById(location.costCenter).select("_id").lean();
+      if (!costCenter) throw createAppError(`${label} cost center not found`, 404, "COST_CENTER_NOT_FOUND");
+      parsed.costCenter = costCenter._id;
+    }
+    if (!parsed.branch && !parsed.costCenter) {
+      throw createAppError(`A ${label} branch or cost center is required`, 400, "MISSING_TRANSFER_LOCATION");
+    }
+    return parsed;
+  }
+
+  static inLocation(stock, location) {
+    return (
+      (!location.branch || sameId(stock.branch, location.branch)) &&
+      (!location.costCenter || sameId(stock.costCenter, location.costCenter))
+    );
+  }
+
+  /**
+   * Resolve the lines of a transfer. The destination stock defaults to the one active stock
+   * of the same karat and metal type at the destination; if there are several, the line
+   * must name it.
+   */
+  static async buildItems(items, from, to) {
+    if (!Array.isArray(items) || items.length === 0) {
+      throw createAppError("At least one item is required", 400, "INVALID_STOCK_ITEMS");
+    }
+
+    const select = "code pcs totalValue karat metalType branch costCenter";
+    const resolved = [];
+    for (const [index, item] of items.entries()) {
+      const label = `Item ${index + 1}`;
+      if (!mongoose.Types.ObjectId.isValid(item.fromStock)) {
+        throw createAppError(`${label}: invalid source stock`, 400, "INVALID_STOCK_ITEMS");
+      }
+      const fromStock = await MetalStock.findOne({ _id: item.fromStock, isActive: true })
+        .select(select)
+        .populate("karat", "karatCode standardPurity")
+        .lean();
+      if (!fromStock) throw createAppError(`${label}: source stock not found`, 404, "METAL_STOCK_NOT_FOUND");
+      if (!this.inLocation(fromStock, from)) {
+        throw createAppError(`${label}: ${fromStock.code} is not held at the source`, 400, "STOCK_NOT_AT_SOURCE");
+      }
+
+      let toStock;
+      if (item.toStock) {
+        if (!mongoose.Types.ObjectId.isValid(item.toStock)) {
+          throw createAppError(`${label}: invalid destination stock`, 400, "INVALID_STOCK_ITEMS");
+        }
+        toStock = await MetalStock.findOne({ _id: item.toStock, isActive: true }).select(select).lean();
+      } else {
+        // Stock codes are unique, so default to the one stock of the same karat and metal
+        // type held at the destination
+        const query = {
+          karat: fromStock.karat._id,
+          metalType: fromStock.metalType,
+          isActive: true,
+          _id: { $ne: fromStock._id },
+        };
+        if (to.branch) query.branch = to.branch;
+        if (to.costCenter) query.costCenter = to.costCenter;
+        const matches = await MetalStock.find(query).select(select).limit(2).lean();
+        if (matches.length > 1) {
+          throw createAppError(
+            `${label}: more than one ${fromStock.karat.karatCode} stock at the destination, choose the destination stock`,
+            400,
+            "AMBIGUOUS_DESTINATION_STOCK"
+          );
+        }
+        toStock = matches[0];
+      }
+      if (!toStock) throw createAppError(`${label}: destination stock not found`, 404, "METAL_STOCK_NOT_FOUND");
+      if (!this.inLocation(toStock, to)) {
+        throw createAppError(`${label}: ${toStock.code} is not held at the destination`, 400, "STOCK_NOT_AT_DESTINATION");
+      }
+      if (!sameId(toStock.karat, fromStock.karat._id)) {
+        throw createAppError(`${label}: ${fromStock.code} and ${toStock.code} are of different karats`, 400, "KARAT_MISMATCH");
+      }
+
+      const pieces = Number(item.pieces || 0);
+      const grossWeight = Number(item.grossWeight || 0) || pieces * (fromStock.totalValue || 0);
+      if (!Number.isFinite(pieces) || pieces < 0 || !Number.isFinite(grossWeight) || grossWeight <= 0) {
+        throw createAppError(`${label}: a positive gross weight or piece count is required`, 400, "INVALID_QUANTITY");
+      }
+      if (fromStock.pcs && !Number.isInteger(pieces)) {
+        throw createAppError(`${label}: pieces must be a whole number`, 400, "INVALID_QUANTITY");
+      }
+
+      const purity = fromStock.karat?.standardPurity || 0;
+      resolved.push({
+        fromStock: fromStock._id,
+        fromCode: fromStock.code,
+        toStock: toStock._id,
+        toCode: toStock.code,
+        pieces: fromStock.pcs ? pieces : 0,
+        grossWeight: round(grossWeight),
+        purity,
+        pureWeight: round(grossWeight * purityFactor(purity)),
+      });
+    }
+    return resolved;
+  }
+
+  static summarise(items) {
+    return {
+      pieces: items.reduce((sum, i) => sum + (i.pieces || 0), 0),
+      grossWeight: round(items.reduce((sum, i) => sum + i.grossWeight, 0)),
+      pureWeight: round(items.reduce((sum, i) => sum + i.pureWeight, 0)),
+    };
+  }
+
+  static async createTransfer(input, adminId) {
+    const from = await this.parseLocation(input.from, "source");
+    const to = await this.parseLocation(input.to, "destination");
+    if (sameId(from.branch, to.branch) && sameId(from.costCenter, to.costCenter)) {
+      throw createAppError("Source and destination must differ", 400, "SAME_TRANSFER_LOCATION");
+    }
+
+    const voucherDate = input.voucherDate ? new Date(input.voucherDate) : new Date();
+    if (isNaN(voucherDate.getTime())) {
+      throw createAppError("Invalid voucher date", 400, "INVALID_DATE");
+    }
+
+    const items = await this.buildItems(input.items, from, to);
+    const voucher = await VoucherMasterService.generateVoucherNumber(VOUCHER_MODULE);
+
+    const transfer = await StockTransfer.create({
+      voucherNumber: voucher.voucherNumber,
+      voucherType: voucher.voucherType,
+      voucherDate,
+      from,
+      to,
+      items,
+      totals: this.summarise(items),
+      remarks: input.remarks || null,
+      createdBy: adminId,
+    });
+
+    if (input.dispatch) {
+      return this.dispatchTransfer(transfer._id, adminId, { periodOverride: input.periodOverride });
+    }
+    return this.getTransferById(transfer._id);
+  }
+
+  static async costCenterCode(costCenterId, session) {
+    if (!costCenterId) return "INVENTORY";
+    const costCenter = await CostCenterMaster.findById(costCenterId).select("code").session(session).lean();
+    return costCenter?.code || "INVENTORY";
+  }
+
+  // Inventory leg of one line plus its transit row. leg is "dispatch" or "receipt".
+  static async postLeg(transfer, item, leg, adminId, session) {
+    const isDispatch = leg === "dispatch";
+    const stockId = isDispatch ? item.fromStock : item.toStock;
+    const code = isDispatch ? item.fromCode : item.toCode;
+    const date = isDispatch ? transfer.dispatchedAt : transfer.receivedAt;
+    const sign = isDispatch ? -1 : 1;
+
+    await moveInventory(stockId, code, { grossWeight: sign * item.grossWeight, pieces: sign * item.pieces }, adminId, session);
+    const [log] = await InventoryLog.create(
+      [
+        {
+          code,
+          stockCode: stockId,
+          voucherCode: transfer.voucherNumber,
+          voucherType: transfer.voucherType || "",
+          voucherDate: date,
+          transactionType: "transfer",
+          pcs: item.pieces > 0,
+          grossWeight: item.grossWeight,
+          action: isDispatch ? "remove" : "add",
+          createdBy: adminId,
+          note: isDispatch ? `Dispatched to ${item.toCode}` : `Received from ${item.fromCode}`,
+        },
+      ],
+      { session }
+    );
+
+    const costCenter = await this.costCenterCode(isDispatch ? transfer.from.costCenter : transfer.to.costCenter, session);
+    const base = {
+      metalId: stockId,
+      InventoryLogID: log._id,
+      isBullion: true,
+      reference: transfer.voucherNumber,
+      transactionDate: date,
+      createdBy: adminId,
+      purity: item.purity,
+      grossWeight: item.grossWeight,
+      pureWeight: item.pureWeight,
+      value: item.pureWeight,
+    };
+    const description = `STOCK TRANSFER ${item.fromCode} -> ${item.toCode}`;
+    // Out of gold inventory into transit on dispatch; back out of transit on receipt
+    const rows = await Registry.insertMany(
+      [
+        {
+          ...base,
+          transactionId: await Registry.generateTransactionId(),
+          type: "GOLD",
+          costCenter,
+          description: `${description} - ${isDispatch ? "DISPATCHED" : "RECEIVED"}`,
+          debit: isDispatch ? 0 : item.pureWeight,
+          credit: isDispatch ? item.pureWeight : 0,
+          goldDebit: isDispatch ? 0 : item.pureWeight,
+          goldCredit: isDispatch ? item.pureWeight : 0,
+        },
+        {
+          ...base,
+          transactionId: await Registry.generateTransactionId(),
+          type: "STOCK_IN_TRANSIT",
+          costCenter: "INVENTORY",
+          description: `${description} - IN TRANSIT`,
+          debit: isDispatch ? item.pureWeight : 0,
+          credit: isDispatch ? 0 : item.pureWeight,
+          goldDebit: isDispatch ? item.pureWeight : 0,
+          goldCredit: isDispatch ? 0 : item.pureWeight,
+        },
+      ],
+      { session }
+    );
+
+    if (isDispatch) item.dispatchLogId = log._id;
+    else item.receiptLogId = log._id;
+    transfer.registryIds.push(...rows.map((r) => r._id));
+  }
+
+  static async dispatchTransfer(id, adminId, options = {}) {
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        const transfer = await this.findTransfer(id, session);
+        this.assertStatus(transfer, ["draft"]);
+
+        const dispatchedAt = options.dispatchedAt ? new Date(options.dispatchedAt) : new Date();
+        if (isNaN(dispatchedAt.getTime())) {
+          throw createAppError("Invalid dispatch date", 400, "INVALID_DATE");
+        }
+        await FiscalPeriodService.assertPeriodOpen(dispatchedAt, {
+          adminId,
+          action: "create",
+          voucherType: transfer.voucherType,
+          voucherId: transfer._id,
+          voucherNumber: transfer.voucherNumber,
+          override: options.periodOverride,
+          session,
+        });
+
+        // Stock held for sale orders stays where it is
+        const demand = new Map();
+        for (const item of transfer.items) {
+          const key = item.fromStock.toString();
+          const line = demand.get(key) || { stockCode: key, code: item.fromCode, pieces: 0, grossWeight: 0 };
+          line.pieces += item.pieces;
+          line.grossWeight += item.grossWeight;
+          demand.set(key, line);
+        }
+        await InventoryReservationService.assertAvailable([...demand.values()], session);
+
+        transfer.dispatchedAt = dispatchedAt;
+        transfer.dispatchedBy = adminId;
+        for (const item of transfer.items) {
+          await this.postLeg(transfer, item, "dispatch", adminId, session);
+        }
+        transfer.status = "inTransit";
+        await transfer.save({ session });
+      });
+      return this.getTransferById(id);
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  static async receiveTransfer(id, adminId, options = {}) {
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        const transfer = await this.findTransfer(id, session);
+        this.assertStatus(transfer, ["inTransit"]);
+
+        const receivedAt = options.receivedAt ? new Date(options.receivedAt) : new Date();
+        if (isNaN(receivedAt.getTime())) {
+          throw createAppError("Invalid receipt date", 400, "INVALID_DATE");
+        }
+        if (receivedAt < transfer.dispatchedAt) {
+          throw createAppError("Stock cannot be received before it was dispatched", 400, "INVALID_DATE");
+        }
+        await FiscalPeriodService.assertPeriodOpen(receivedAt, {
+          adminId,
+          action: "create",
+          voucherType: transfer.voucherType,
+          voucherId: transfer._id,
+          voucherNumber: transfer.voucherNumber,
+          override: options.periodOverride,
+          session,
+        });
+
+        transfer.receivedAt = receivedAt;
+        transfer.receivedBy = adminId;
+        for (const item of transfer.items) {
+          await this.postLeg(transfer, item, "receipt", adminId, session);
+        }
+        transfer.status = "received";
+        await transfer.save({ session });
+      });
+      return this.getTransferById(id);
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  // Only a draft can be cancelled - nothing has moved yet
+  static async cancelTransfer(id) {
+    const transfer = await this.findTransfer(id);
+    this.assertStatus(transfer, ["draft"]);
+    transfer.status = "cancelled";
+    await transfer.save();
+    return this.getTransferById(id);
+  }
+
+  static assertStatus(transfer, allowed) {
+    if (!allowed.includes(transfer.status)) {
+      throw createAppError(
+        `Stock transfer ${transfer.voucherNumber} is ${transfer.status}`,
+        409,
+        "INVALID_TRANSFER_STATUS"
+      );
+    }
+  }
+
+  static async findTransfer(id, session = null) {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      throw createAppError("Invalid stock transfer ID", 400, "INVALID_ID");
+    }
+    const transfer = await StockTransfer.findById(id).session(session);
+    if (!transfer) throw createAppError("Stock transfer not found", 404, "STOCK_TRANSFER_NOT_FOUND");
+    return transfer;
+  }
+
+  static async getTransfers(page = 1, limit = 20, filters = {}) {
+    const skip = (page - 1) * limit;
+    const query = {};
+    if (filters.status) query.status = filters.status;
+    if (filters.branch && mongoose.Types.ObjectId.isValid(filters.branch)) {
+      query.$or = [{ "from.branch": filters.branch }, { "to.branch": filters.branch }];
+    }
+
+    const [transfers, total] = await Promise.all([
+      StockTransfer.find(query)
+        .select("-registryIds")
+        .populate("from.costCenter", "code description")
+        .populate("to.costCenter", "code description")
+        .populate("createdBy", "name email")
+        .sort({ voucherDate: -1, createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      StockTransfer.countDocuments(query),
+    ]);
+
+    return {
+      transfers,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        itemsPerPage: limit,
+      },
+    };
+  }
+
+  static async getTransferById(id) {
+    const transfer = await StockTransfer.findById(id)
+      .populate("from.costCenter", "code description")
+      .populate("to.costCenter", "code description")
+      .populate("createdBy", "name email")
+      .populate("dispatchedBy", "name email")
+      .populate("receivedBy", "name email");
+    if (!transfer) throw createAppError("Stock transfer not found", 404, "STOCK_TRANSFER_NOT_FOUND");
+    return transfer;
+  }
+
+  /**
+   * Stock in transit as at a date: dispatched on or before it and not yet received by
+   * then. Grouped by destination, with each voucher's days in transit.
+   */
+  static async getStockInTransit(filters = {}) {
+    const asOf = filters.toDate ? moment(filters.toDate).endOf("day").toDate() : new Date();
+    if (isNaN(asOf.getTime())) {
+      throw createAppError("Invalid as-of date", 400, "INVALID_DATE");
+    }
+
+    const query = {
+      status: { $in: ["inTransit", "received"] },
+      dispatchedAt: { $lte: asOf },
+      $or: [{ receivedAt: null }, { receivedAt: { $gt: asOf } }],
+    };
+    for (const side of ["from", "to"]) {
+      for (const field of ["branch", "costCenter"]) {
+        const value = filters[`${side}${field[0].toUpperCase()}${field.slice(1)}`];
+        if (value && mongoose.Types.ObjectId.isValid(value)) {
+          query[`${side}.${field}`] = new mongoose.Types.ObjectId(value);
+        }
+      }
+    }
+
+    const transfers = await StockTransfer.find(query)
+      .select("voucherNumber voucherDate from to items totals dispatchedAt")
+      .populate("from.costCenter", "code description")
+      .populate("to.costCenter", "code description")
+      .sort({ dispatchedAt: 1 })
+      .lean();
+
+    const destinations = new Map();
+    const totals = { transfers: 0, pieces: 0, grossWeight: 0, pureWeight: 0 };
+    for (const transfer of transfers) {
+      const key = `${transfer.to.branch || "-"}|${transfer.to.costCenter?._id || "-"}`;
+      if (!destinations.has(key)) {
+        destinations.set(key, {
+          branch: transfer.to.branch,
+          costCenter: transfer.to.costCenter,
+          transfers: [],
+          totals: { pieces: 0, grossWeight: 0, pureWeight: 0 },
+        });
+      }
+      const destination = destinations.get(key);
+      destination.transfers.push({
+        _id: transfer._id,
+        voucherNumber: transfer.voucherNumber,
+        voucherDate: transfer.voucherDate,
+        dispatchedAt: transfer.dispatchedAt,
+        daysInTransit: moment(asOf).diff(moment(transfer.dispatchedAt), "days"),
+        from: transfer.from,
+        items: transfer.items.map(({ fromCode, toCode, pieces, grossWeight, purity, pureWeight }) => ({
+          fromCode,
+          toCode,
+          pieces,
+          grossWeight,
+          purity,
+          pureWeight,
+        })),
+        totals: transfer.totals,
+      });
+      for (const field of ["pieces", "grossWeight", "pureWeight"]) {
+        destination.totals[field] = round(destination.totals[field] + (transfer.totals[field] || 0));
+        totals[field] = round(totals[field] + (transfer.totals[field] || 0));
+      }
+      totals.transfers += 1;
+    }
+
+    return {
+      asOf,
+      destinations: [...destinations.values()],
+      totals,
+    };
+  }
+}
+
+export default StockTransferService;
@@ -1,12 +1,24 @@
 import TransactionFixing from "../../models/modules/TransactionFixing.js";
 import Registry from "../../models/modules/Registry.js";
 import Account from "../../models/modules/AccountType.js";
+import CurrencyMaster from "../../models/modules/CurrencyMaster.js";
 import { createAppError } from "../../utils/errorHandler.js";
 import mongoose from "mongoose";
+import FiscalPeriodService from "./FiscalPeriodService.js";
+import CreditExposureService from "./CreditExposureService.js";
+import FixingAllocationService from "./FixingAllocationService.js";
+import DealerQuoteService from "./DealerQuoteService.js";
+
+// Fixing prices are in the base currency, so their cash goes to the base currency sub-balance
+const applyBaseCashMovement = async (account, amount, session) => {
+  if (!amount) return;
+  const baseCurrency = await CurrencyMaster.getBaseCurrency(session);
+  account.applyCashMovement(baseCurrency?._id, amount, baseCurrency?.conversionRate || 1);
+};
 
 export const TransactionFixingService = {
   // Create Transaction with Registry Integration
-  createTransaction: async (transactionData, adminId) => {
+  createTransaction: async (transactionData, adminId, options = {}) => {
     const session = await mongoose.startSession();
     session.startTransaction();
 
@@ -70,6 +82,16 @@ export const TransactionFixingService = {
         return transactionId;
       };
 
+      // ====== CHECK ACCOUNTING PERIOD ======
+      await FiscalPeriodService.assertPeriodOpen(transactionData.voucherDate || new Date(), {
+        adminId,
+        action: "create",
+        voucherType: transactionData.voucherType,
+        voucherNumber: transactionData.voucherNumber,
+        override: options.periodOverride,
+        session,
+      });
+
       // Generate the transaction ID
       const transactionId = await generateTransactionId(transactionData.type);
 
@@ -82,14 +104,34 @@ export const TransactionFixingService = {
       console.log(transactionData);
       console.log('====================================');
 
+      // ====== LOCKED DEALER QUOTES ======
+      // Prices come from the quotes, so this runs before anything uses them
+      const quoteIds = await DealerQuoteService.consumeQuotes(transactionData, session);
+
+      // ====== CREDIT / MARGIN CHECK ======
+      // A sell fixing turns unfixed gold into a cash receivable at the fixed price
+      let creditCheck;
+      if (transactionData.type.toUpperCase() === "SELL") {
+        const fixedGrams = transactionData.orders.reduce((sum, o) => sum + o.quantityGm, 0);
+        const fixedValue = transactionData.orders.reduce((sum, o) => sum + o.price * o.quantityGm, 0);
+        const exposure = await CreditExposureService.assertWithinLimits(
+          transactionData.partyId,
+          { cashDelta: -fixedValue, goldDelta: fixedGrams },
+          { session, action: "fixing-sell" }
+        );
+        creditCheck = CreditExposureService.toCreditCheck(exposure);
+      }
+
       // ====== CREATE TRANSACTION DOCUMENT ======
       const transaction = new TransactionFixing({
         ...transactionData,
         transactionId,
+        creditCheck,
         createdBy: adminId,
       });
 
       await transaction.save({ session });
+      await DealerQuoteService.linkQuotes(quoteIds, transaction._id, session);
 
       // Initialize account balance updates
       let totalGoldGramsChange = 0;
@@ -248,9 +290,15 @@ export const TransactionFixingService = {
       // Save all registry entries
       await Promise.all(registryEntries.map(entry => entry.save({ session })));
 
+      // ====== ALLOCATE AGAINST UNFIXED VOUCHERS ======
+      await FixingAllocationService.allocateFixing(transaction, {
+        allocations: options.allocations,
+        adminId,
+        session,
+      });
+
       // Update account balances
       const currentGoldGrams = account.balances.goldBalance.totalGrams || 0;
-      const currentCashBalance = account.balances.cashBalance.amount || 0;
 
       // Update gold balance
       account.balances.goldBalance.totalGrams = currentGoldGrams + totalGoldGramsChange;
@@ -258,8 +306,7 @@ export const TransactionFixingService = {
       account.balances.goldBalance.lastUpdated = new Date();
 
       // Update cash balance
-      account.balances.cashBalance.amount = currentCashBalance + totalCashBalanceChange;
-      account.balances.cashBalance.lastUpdated = new Date();
+      await applyBaseCashMovement(account, totalCashBalanceChange, session);
 
       // Update overall balance tracking
       account.balances.lastBalanceUpdate = new Date();
@@ -283,7 +330,7 @@ export const TransactionFixingService = {
   },
 
   // Update Transaction with Registry and Account Balance Updates
-  updateTransaction: async (id, updateData, adminId) => {
+  updateTransaction: async (id, updateData, adminId, options = {}) => {
 
     const session = await mongoose.startSession();
     session.startTransaction();
@@ -345,6 +392,19 @@ export const TransactionFixingService = {
         updateData.voucherDate = voucherDate;
       }
 
+      // Both the original and the new voucher date must be in an open period
+      await FiscalPeriodService.assertPeriodOpen(
+        [transaction.voucherDate, updateData.voucherDate],
+        {
+          adminId,
+          action: "update",
+          voucherType: transaction.voucherType,
+          voucherId: transaction._id,
+          voucherNumber: transaction.voucherNumber,
+          override: options.periodOverride,
+          session,
+        }
+      );
 
       // Verify account exists
       const account = await Account.findById(updateData.partyId || transaction.partyId).session(session);
@@ -352,6 +412,22 @@ export const TransactionFixingService = {
         throw createAppError("Account not found", 404, "ACCOUNT_NOT_FOUND");
       }
 
+      // ====== LOCKED DEALER QUOTES ======
+      // Repricing goes through a quote, the same as booking
+      let quoteIds = [];
+      if (updateData.orders || updateData.type) {
+        quoteIds = await DealerQuoteService.consumeQuotesForUpdate(
+          {
+            type: updateData.type || transaction.type,
+            partyId: updateData.partyId || transaction.partyId,
+            orders: updateData.orders || transaction.orders,
+          },
+          transaction._id,
+          transaction.orders,
+          session
+        );
+      }
+
       // If type or orders are updated, recalculate registry and account balances
       let totalGoldGramsChange = 0;
       let totalCashBalanceChange = 0;
@@ -531,14 +607,12 @@ export const TransactionFixingService = {
 
         // Update account balances
         const currentGoldGrams = account.balances.goldBalance.totalGrams || 0;
-        const currentCashBalance = account.balances.cashBalance.amount || 0;
 
         account.balances.goldBalance.totalGrams = currentGoldGrams + totalGoldGramsChange;
         account.balances.goldBalance.totalValue = 0;
         account.balances.goldBalance.lastUpdated = new Date();
 
-        account.balances.cashBalance.amount = currentCashBalance + totalCashBalanceChange;
-        account.balances.cashBalance.lastUpdated = new Date();
+        await applyBaseCashMovement(account, totalCashBalanceChange, session);
 
         account.balances.lastBalanceUpdate = new Date();
 
@@ -558,6 +632,17 @@ export const TransactionFixingService = {
         .populate("createdBy", "name email")
         .populate("updatedBy", "name email")
         .session(session);
+      await DealerQuoteService.linkQuotes(quoteIds, transaction._id, session);
+
+      // Orders, type or party changed - match the fixing against vouchers again
+      if (updateData.orders || updateData.type || updateData.partyId) {
+        await FixingAllocationService.releaseFixing(id, adminId, session);
+        await FixingAllocationService.allocateFixing(updatedTransaction, {
+          allocations: options.allocations,
+          adminId,
+          session,
+        });
+      }
 
       // Commit the transaction
       await session.commitTransaction();
@@ -653,7 +738,7 @@ export const TransactionFixingService = {
   },
 
   // Delete Transaction (Soft Delete)
-  deleteTransaction: async (id, adminId) => {
+  deleteTransaction: async (id, adminId, options = {}) => {
   const session = await mongoose.startSession();
   session.startTransaction();
 
@@ -664,6 +749,16 @@ export const TransactionFixingService = {
       throw createAppError("Transaction not found", 404, "NOT_FOUND");
     }
 
+    await FiscalPeriodService.assertPeriodOpen(transaction.voucherDate, {
+      adminId,
+      action: "delete",
+      voucherType: transaction.voucherType,
+      voucherId: transaction._id,
+      voucherNumber: transaction.voucherNumber,
+      override: options.periodOverride,
+      session,
+    });
+
     // Populate necessary fields if needed (for returning)
     const populatedTransaction = await TransactionFixing.findById(id)
       .populate("partyId", "name code customerName accountCode")
@@ -697,7 +792,6 @@ export const TransactionFixingService = {
 
     // Update account balances (apply reverse changes)
     const currentGoldGrams = account.balances.goldBalance.totalGrams || 0;
-    const currentCashBalance = account.balances.cashBalance.amount || 0;
 
     // Update gold balance
     account.balances.goldBalance.totalGrams = currentGoldGrams + totalGoldGramsChange;
@@ -705,8 +799,7 @@ export const TransactionFixingService = {
     account.balances.goldBalance.lastUpdated = new Date();
 
     // Update cash balance
-    account.balances.cashBalance.amount = currentCashBalance + totalCashBalanceChange;
-    account.balances.cashBalance.lastUpdated = new Date();
+    await applyBaseCashMovement(account, totalCashBalanceChange, session);
 
     // Update overall balance tracking
     account.balances.lastBalanceUpdate = new Date();
@@ -717,6 +810,9 @@ export const TransactionFixingService = {
     // Delete all related registry entries
     await Registry.deleteMany({ fixingTransactionId: transaction._id }).session(session);
 
+    // Reopen the vouchers this fixing covered
+    await FixingAllocationService.releaseFixing(transaction._id, adminId, session);
+
     // Delete the transaction
     await TransactionFixing.deleteOne({ _id: transaction._id }).session(session);
 
@@ -756,6 +852,8 @@ export const TransactionFixingService = {
         .populate("createdBy", "name email")
         .populate("updatedBy", "name email");
 
+      await FixingAllocationService.releaseFixing(id, adminId);
+
       return cancelledTransaction;
     } catch (error) {
       if (error.name === "CastError") {
@@ -804,6 +902,9 @@ export const TransactionFixingService = {
         .populate("createdBy", "name email")
         .populate("updatedBy", "name email");
 
+      await FixingAllocationService.releaseFixing(id, adminId);
+      await FixingAllocationService.allocateFixing(restoredTransaction, { adminId });
+
       return restoredTransaction;
     } catch (error) {
       if (error.name === "CastError") {
@@ -813,6 +914,19 @@ export const TransactionFixingService = {
     }
   },
 
+  // Get voucher allocations of a fixing
+  getTransactionAllocations: async (id) => {
+    return await FixingAllocationService.getFixingAllocations(id);
+  },
+
+  // Replace FIFO allocations with a manual allocation
+  reallocateTransaction: async (id, allocations, adminId) => {
+    if (!Array.isArray(allocations) || allocations.length === 0) {
+      throw createAppError("At least one allocation is required", 400, "NO_ALLOCATIONS");
+    }
+    return await FixingAllocationService.reallocateFixing(id, allocations, adminId);
+  },
+
   // Get transactions by party
   getTransactionsByParty: async (partyId, startDate = null, endDate = null) => {
     try {
@@ -0,0 +1,493 @@
+import mongoose from "mongoose";
+import moment from "moment";
+import MetalTransaction from "../../models/modules/MetalTransaction.js";
+import Entry from "../../models/modules/EntryModel.js";
+import MetalStock from "../../models/modules/MetalStock.js";
+import MetalRateMaster from "../../models/modules/MetalRateMaster.js";
+import MetalRateHistory from "../../models/modules/MetalRateHistory.js";
+import TransactionFixing from "../../models/modules/TransactionFixing.js";
+import FixingAllocation from "../../models/modules/FixingAllocation.js";
+import Account from "../../models/modules/AccountType.js";
+import DivisionMaster from "../../models/modules/DivisionMaster.js";
+import { createAppError } from "../../utils/errorHandler.js";
+
+const WEIGHT_TOLERANCE = 0.001;
+
+/**
+ * Weighted-average cost valuation of pure metal held.
+ *
+ * Posted vouchers and metal entries are replayed in date order into one cost pool
+ * per metal (division). Purchases and metal receipts add weight at cost, sales,
+ * purchase returns and metal payments relieve it at the running average. Unfixed
+ * vouchers are priced by the fixings allocated to them; the unpriced remainder is
+ * an open position valued at the MetalRateMaster rate in force at the report's to-date
+ * (the current rate when there is none).
+ */
+class ValuationService {
+  static parseFilters(filters = {}) {
+    const toObjectIds = (value) =>
+      (Array.isArray(value) ? value : value ? [value] : [])
+        .filter((id) => mongoose.Types.ObjectId.isValid(id))
+        .map((id) => id.toString());
+
+    const startDate = filters.fromDate ? moment(filters.fromDate).startOf("day").toDate() : null;
+    const endDate = filters.toDate ? moment(filters.toDate).endOf("day").toDate() : null;
+    if (startDate && endDate && startDate > endDate) {
+      throw createAppError("From date cannot be greater than to date", 400, "INVALID_DATE_RANGE");
+    }
+
+    return {
+      party: toObjectIds(filters.party),
+      division: toObjectIds(filters.division),
+      karat: toObjectIds(filters.karat),
+      startDate,
+      endDate,
+    };
+  }
+
+  // Rate per gram for every metal as of the given time, and the metal behind every rate
+  static async getMetalRates(asOf = null) {
+    const rates = await MetalRateMaster.find({ isActive: true })
+      .select("metal rateType convertrate convFactGms isDefault updatedAt")
+      .sort({ isDefault: -1, updatedAt: -1 })
+      .lean();
+
+    const byMetal = new Map();
+    const metalOfRate = new Map();
+    for (const rate of rates) {
+      const metal = rate.metal?.toString();
+      metalOfRate.set(rate._id.toString(), metal);
+      if (!metal || byMetal.has(metal)) continue;
+
+      const tick = asOf ? await MetalRateHistory.findEffective(rate._id, asOf) : null;
+      const { convertrate, convFactGms } = tick || rate;
+      if (convFactGms) {
+        byMetal.set(metal, convertrate / convFactGms);
+      }
+    }
+    return { byMetal, metalOfRate };
+  }
+
+  static async loadStockMap(stockIds) {
+    const stocks = await MetalStock.find({ _id: { $in: stockIds } })
+      .select("metalType karat")
+      .lean();
+    return new Map(
+      stocks.map((s) => [
+        s._id.toString(),
+        { metal: s.metalType?.toString() || null, karat: s.karat?.toString() || null },
+      ])
+    );
+  }
+
+  static async loadEvents(filters) {
+    const dateLimit = filters.endDate ? { voucherDate: { $lte: filters.endDate } } : {};
+
+    const [vouchers, entries] = await Promise.all([
+      MetalTransaction.find({
+        ...dateLimit,
+        isActive: true,
+        approvalStatus: "approved",
+        status: { $nin: ["cancelled", "reversed"] },
+        isReversal: { $ne: true },
+      })
+        .select("transactionType fixed unfix voucherNumber voucherDate partyCode stockItems createdAt")
+        .lean(),
+      Entry.find({
+        ...dateLimit,
+        type: { $in: ["metal-receipt", "metal-payment"] },
+      })
+        .select("type voucherCode voucherDate party stockItems createdAt")
+        .lean(),
+    ]);
+
+    const allocations = await FixingAllocation.find({
+      status: "active",
+      metalTransactionId: { $in: vouchers.map((v) => v._id) },
+    })
+      .populate("fixingTransactionId", "transactionDate voucherNumber transactionId")
+      .lean();
+
+    return { vouchers, entries, allocations };
+  }
+
+  static async getProfitLoss(rawFilters = {}) {
+    const filters = this.parseFilters(rawFilters);
+    const { byMetal: marketRates, metalOfRate } = await this.getMetalRates(filters.endDate);
+    const { vouchers, entries, allocations } = await this.loadEvents(filters);
+
+    const stockIds = new Set();
+    vouchers.forEach((v) => v.stockItems.forEach((i) => stockIds.add(i.stockCode.toString())));
+    entries.forEach((e) => (e.stockItems || []).forEach((i) => stockIds.add(i.stock.toString())));
+    const stockMap = await this.loadStockMap([...stockIds]);
+
+    const allocationsByVoucher = new Map();
+    for (const allocation of allocations) {
+      const key = allocation.metalTransactionId.toString();
+      if (!allocationsByVoucher.has(key)) allocationsByVoucher.set(key, []);
+      allocationsByVoucher.get(key).push(allocation);
+    }
+
+    // Flatten everything into per-item events
+    const events = [];
+    const includeItem = (stock) =>
+      stock &&
+      (!filters.division.length || filters.division.includes(stock.metal)) &&
+      (!filters.karat.length || filters.karat.includes(stock.karat));
+
+    for (const voucher of vouchers) {
+      const isUnfixed = !(voucher.fixed && !voucher.unfix);
+      const voucherAllocations = allocationsByVoucher.get(voucher._id.toString()) || [];
+
+      for (const item of voucher.stockItems) {
+        const stock = stockMap.get(item.stockCode.toString());
+        if (!includeItem(stock)) continue;
+
+        events.push({
+          kind: voucher.transactionType,
+          date: voucher.voucherDate,
+          createdAt: voucher.createdAt,
+          party: voucher.partyCode?.toString(),
+          voucherNumber: voucher.voucherNumber,
+          metal: stock.metal,
+          metalRate: item.metalRate?.toString(),
+          weight: item.pureWeight || 0,
+          bookedValue: item.metalRateRequirements?.amount || 0,
+          isUnfixed,
+          allocations: voucherAllocations.filter(
+            (a) => a.metalType?.toString() === item.metalRate?.toString()
+          ),
+          voucherMetalWeight: voucher.stockItems
+            .filter((i) => i.metalRate?.toString() === item.metalRate?.toString())
+            .reduce((sum, i) => sum + (i.pureWeight || 0), 0),
+        });
+      }
+    }
+
+    for (const entry of entries) {
+      for (const item of entry.stockItems || []) {
+        const stock = stockMap.get(item.stock.toString());
+        if (!includeItem(stock)) continue;
+
+        events.push({
+          kind: entry.type,
+          date: entry.voucherDate,
+          createdAt: entry.createdAt,
+          party: entry.party?.toString(),
+          voucherNumber: entry.voucherCode,
+          metal: stock.metal,
+          weight: item.purityWeight || 0,
+        });
+      }
+    }
+
+    events.sort((a, b) => a.date - b.date || a.createdAt - b.createdAt);
+
+    const pools = new Map();
+    const realized = [];
+    const openPositions = [];
+    const inPeriod = (date) =>
+      (!filters.startDate || date >= filters.startDate) &&
+      (!filters.endDate || date <= filters.endDate);
+    const partyIncluded = (party) => !filters.party.length || filters.party.includes(party);
+
+    const addRealized = (event, source, date, weight, revenue, cost, reference = null) => {
+      if (!inPeriod(date) || !partyIncluded(event.party)) return;
+      realized.push({
+        date,
+        source,
+        party: event.party,
+        metal: event.metal,
+        voucherNumber: event.voucherNumber,
+        reference,
+        weight,
+        revenue,
+        cost,
+        gain: revenue - cost,
+      });
+    };
+
+    for (const event of events) {
+      if (!pools.has(event.metal)) pools.set(event.metal, { weight: 0, cost: 0 });
+      const pool = pools.get(event.metal);
+      const marketRate = marketRates.get(event.metal) || 0;
+      const averageCost = pool.weight > WEIGHT_TOLERANCE ? pool.cost / pool.weight : marketRate;
+
+      // Allocated fixings priced on this item, pro rata to its share of the voucher weight
+      const share = event.voucherMetalWeight > 0 ? event.weight / event.voucherMetalWeight : 0;
+      const pricedParts = (event.allocations || []).map((a) => ({
+        weight: a.allocatedWeight * share,
+        price: a.price,
+        date: a.fixingTransactionId?.transactionDate || a.createdAt,
+        reference: a.fixingTransactionId?.voucherNumber || a.fixingTransactionId?.transactionId,
+      }));
+      const pricedWeight = pricedParts.reduce((sum, p) => sum + p.weight, 0);
+      const openWeight = Math.max(0, event.weight - pricedWeight);
+
+      switch (event.kind) {
+        case "purchase": {
+          let cost;
+          if (event.isUnfixed) {
+            // Open weight carries its booked value until a fixing prices it
+            const provisionalRate =
+              event.bookedValue > 0 && event.weight > 0 ? event.bookedValue / event.weight : marketRate;
+            cost =
+              pricedParts.reduce((sum, p) => sum + p.weight * p.price, 0) +
+              openWeight * provisionalRate;
+            if (openWeight > WEIGHT_TOLERANCE) {
+              openPositions.push({
+                type: "purchase",
+                party: event.party,
+                metal: event.metal,
+                voucherNumber: event.voucherNumber,
+                weight: openWeight,
+                bookedRate: provisionalRate,
+                marketRate,
+                // Paying more than booked when the purchase is fixed is a loss
+                unrealizedGain: (provisionalRate - marketRate) * openWeight,
+              });
+            }
+          } else {
+            cost = event.bookedValue;
+          }
+          pool.weight += event.weight;
+          pool.cost += cost;
+          break;
+        }
+
+        case "metal-receipt":
+          pool.weight += event.weight;
+          pool.cost += event.weight * averageCost;
+          break;
+
+        case "saleReturn":
+          pool.weight += event.weight;
+          pool.cost += event.weight * averageCost;
+          if (event.bookedValue > 0) {
+            addRealized(event, "saleReturn", event.date, event.weight, -event.bookedValue, -event.weight * averageCost);
+          }
+          break;
+
+        case "sale": {
+          const costOut = event.weight * averageCost;
+          pool.weight -= event.weight;
+          pool.cost -= costOut;
+
+          if (!event.isUnfixed) {
+            addRealized(event, "sale", event.date, event.weight, event.bookedValue, costOut);
+            break;
+          }
+
+          // Unfixed sales realise when fixed, against the cost relieved at sale
+          for (const part of pricedParts) {
+            addRealized(event, "fixing", part.date, part.weight, part.weight * part.price, part.weight * averageCost, part.reference);
+          }
+          if (openWeight > WEIGHT_TOLERANCE) {
+            openPositions.push({
+              type: "sale",
+              party: event.party,
+              metal: event.metal,
+              voucherNumber: event.voucherNumber,
+              weight: openWeight,
+              bookedRate: averageCost,
+              marketRate,
+              unrealizedGain: (marketRate - averageCost) * openWeight,
+            });
+          }
+          break;
+        }
+
+        case "purchaseReturn": {
+          const costOut = event.weight * averageCost;
+          pool.weight -= event.weight;
+          pool.cost -= costOut;
+          addRealized(event, "purchaseReturn", event.date, event.weight, event.bookedValue || costOut, costOut);
+          break;
+        }
+
+        case "metal-payment":
+          pool.weight -= event.weight;
+          pool.cost -= event.weight * averageCost;
+          break;
+
+        default:
+          break;
+      }
+    }
+
+    const unallocatedFixings = await this.getUnallocatedFixings(filters, marketRates, metalOfRate);
+    const positions = [
+      ...openPositions.filter((p) => partyIncluded(p.party)),
+      ...unallocatedFixings,
+    ];
+
+    return this.buildReport(filters, pools, marketRates, realized, positions);
+  }
+
+  // Fixing weight not matched to any voucher is an open position at the fixed price
+  static async getUnallocatedFixings(filters, marketRates, metalOfRate) {
+    const query = { isActive: true, status: "active" };
+    if (filters.party.length) query.partyId = { $in: filters.party };
+    if (filters.endDate) query.transactionDate = { $lte: filters.endDate };
+
+    const fixings = await TransactionFixing.find(query)
+      .select("type partyId orders voucherNumber transactionId")
+      .lean();
+    if (!fixings.length) return [];
+
+    const allocated = await FixingAllocation.aggregate([
+      {
+        $match: {
+          status: "active",
+          fixingTransactionId: { $in: fixings.map((f) => f._id) },
+        },
+      },
+      {
+        $group: {
+          _id: { fixing: "$fixingTransactionId", metalType: "$metalType" },
+          weight: { $sum: "$allocatedWeight" },
+        },
+      },
+    ]);
+    const allocatedMap = new Map(
+      allocated.map((a) => [`${a._id.fixing}:${a._id.metalType}`, a.weight])
+    );
+
+    const positions = [];
+    for (const fixing of fixings) {
+      const byMetalType = new Map();
+      for (const order of fixing.orders) {
+        const key = order.metalType.toString();
+        const current = byMetalType.get(key) || { weight: 0, value: 0 };
+        current.weight += order.quantityGm;
+        current.value += order.quantityGm * order.price;
+        byMetalType.set(key, current);
+      }
+
+      for (const [metalType, totals] of byMetalType) {
+        const metal = metalOfRate.get(metalType);
+        if (filters.division.length && !filters.division.includes(metal)) continue;
+
+        const openWeight = totals.weight - (allocatedMap.get(`${fixing._id}:${metalType}`) || 0);
+        if (openWeight <= WEIGHT_TOLERANCE) continue;
+
+        const price = totals.value / totals.weight;
+        const marketRate = marketRates.get(metal) || 0;
+        const isSell = fixing.type?.toLowerCase() === "sell";
+        positions.push({
+          type: isSell ? "sellFixing" : "purchaseFixing",
+          party: fixing.partyId.toString(),
+          metal,
+          voucherNumber: fixing.voucherNumber || fixing.transactionId,
+          weight: openWeight,
+          bookedRate: price,
+          marketRate,
+          unrealizedGain: (isSell ? price - marketRate : marketRate - price) * openWeight,
+        });
+      }
+    }
+    return positions;
+  }
+
+  static async buildReport(filters, pools, marketRates, realized, positions) {
+    const partyIds = new Set([...realized, ...positions].map((r) => r.party).filter(Boolean));
+    const metalIds = new Set([...pools.keys(), ...positions.map((p) => p.metal)].filter(Boolean));
+
+    const [parties, metals] = await Promise.all([
+      Account.find({ _id: { $in: [...partyIds] } }).select("accountCode customerName").lean(),
+      DivisionMaster.find({ _id: { $in: [...metalIds] } }).select("code description").lean(),
+    ]);
+    const partyInfo = new Map(parties.map((p) => [p._id.toString(), p]));
+    const metalInfo = new Map(metals.map((m) => [m._id.toString(), m]));
+
+    const byMetal = new Map();
+    const metalRow = (metal) => {
+      if (!byMetal.has(metal)) {
+        const info = metalInfo.get(metal);
+        byMetal.set(metal, {
+          metal: info ? { _id: info._id, code: info.code, description: info.description } : null,
+          ratePerGram: marketRates.get(metal) || 0,
+          holdingWeight: 0,
+          holdingCost: 0,
+          averageCost: 0,
+          marketValue: 0,
+          unrealizedStockGain: 0,
+          realizedGain: 0,
+          unrealizedPositionGain: 0,
+        });
+      }
+      return byMetal.get(metal);
+    };
+
+    for (const [metal, pool] of pools) {
+      const row = metalRow(metal);
+      row.holdingWeight = pool.weight;
+      row.holdingCost = pool.cost;
+      row.averageCost = pool.weight > WEIGHT_TOLERANCE ? pool.cost / pool.weight : 0;
+      row.marketValue = pool.weight * row.ratePerGram;
+      row.unrealizedStockGain = row.marketValue - pool.cost;
+    }
+
+    const byParty = new Map();
+    const partyRow = (party) => {
+      if (!byParty.has(party)) {
+        const info = partyInfo.get(party);
+        byParty.set(party, {
+          party: info
+            ? { _id: info._id, accountCode: info.accountCode, customerName: info.customerName }
+            : { _id: party },
+          weight: 0,
+          revenue: 0,
+          cost: 0,
+          realizedGain: 0,
+          openWeight: 0,
+          unrealizedPositionGain: 0,
+        });
+      }
+      return byParty.get(party);
+    };
+
+    for (const line of realized) {
+      metalRow(line.metal).realizedGain += line.gain;
+      const row = partyRow(line.party);
+      row.weight += line.weight;
+      row.revenue += line.revenue;
+      row.cost += line.cost;
+      row.realizedGain += line.gain;
+    }
+
+    for (const position of positions) {
+      metalRow(position.metal).unrealizedPositionGain += position.unrealizedGain;
+      const row = partyRow(position.party);
+      row.openWeight += position.weight;
+      row.unrealizedPositionGain += position.unrealizedGain;
+    }
+
+    const withParty = (line) => ({
+      ...line,
+      party: byParty.get(line.party)?.party || null,
+    });
+
+    const metalRows = Array.from(byMetal.values());
+    const summary = {
+      realizedGain: realized.reduce((sum, r) => sum + r.gain, 0),
+      unrealizedStockGain: metalRows.reduce((sum, m) => sum + m.unrealizedStockGain, 0),
+      unrealizedPositionGain: positions.reduce((sum, p) => sum + p.unrealizedGain, 0),
+    };
+    summary.totalGain =
+      summary.realizedGain + summary.unrealizedStockGain + summary.unrealizedPositionGain;
+
+    return {
+      period: { startDate: filters.startDate, endDate: filters.endDate },
+      valuedAt: new Date(),
+      summary,
+      byMetal: metalRows,
+      byParty: Array.from(byParty.values()),
+      realized: realized.map(withParty),
+      openPositions: positions.map(withParty),
+      filters,
+    };
+  }
+}
+
+export default ValuationService;
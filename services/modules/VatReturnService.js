@@ -0,0 +1,248 @@
+import ExcelJS from "exceljs";
+import moment from "moment";
+import MetalTransaction from "../../models/modules/MetalTransaction.js";
+import { createAppError } from "../../utils/errorHandler.js";
+import { purityFactor } from "../../utils/inventoryUtils.js";
+
+// Fineness (as a fraction) at or above which gold is treated as investment gold
+const INVESTMENT_PURITY = 0.99;
+const SALE_TYPES = ["sale", "saleReturn"];
+const RETURN_TYPES = ["saleReturn", "purchaseReturn"];
+
+const round = (value, decimals = 2) => Number((value || 0).toFixed(decimals));
+
+const emptyLine = () => ({ taxableAmount: 0, vatAmount: 0, itemCount: 0 });
+
+/**
+ * VAT return from posted metal vouchers.
+ *
+ * Each stock item is classed by its own VAT percentage - standard rated when it carries
+ * VAT, zero rated when it does not - and as investment gold when its purity is at least
+ * INVESTMENT_PURITY. Returns are netted off the supplies they reverse. Purchases from a
+ * party whose vatGstDetails.vatStatus is REGISTERED that were not charged VAT and are not
+ * investment gold fall under the reverse charge: we account for the VAT at the standard
+ * rate as output tax and recover the same amount as input tax.
+ */
+class VatReturnService {
+  // Read lazily - dotenv is loaded after services are imported
+  static getStandardRate() {
+    const rate = parseFloat(process.env.VAT_STANDARD_RATE);
+    return Number.isFinite(rate) ? rate : 5;
+  }
+
+  static parseFilters(filters = {}) {
+    if (!filters.fromDate || !filters.toDate) {
+      throw createAppError("From date and to date are required", 400, "MISSING_REQUIRED_FIELDS");
+    }
+    const startDate = moment(filters.fromDate).startOf("day").toDate();
+    const endDate = moment(filters.toDate).endOf("day").toDate();
+    if (isNaN(startDate.getTime()) || isNaN(endDate.getTime())) {
+      throw createAppError("Invalid from or to date", 400, "INVALID_DATE");
+    }
+    if (startDate > endDate) {
+      throw createAppError("From date cannot be greater than to date", 400, "INVALID_DATE_RANGE");
+    }
+
+    const periodType = filters.periodType === "quarter" ? "quarter" : "month";
+    return { startDate, endDate, periodType };
+  }
+
+  static periodKey(date, periodType) {
+    const day = moment(date);
+    return periodType === "quarter"
+      ? `${day.year()}-Q${day.quarter()}`
+      : day.format("YYYY-MM");
+  }
+
+  static async loadItems(filters) {
+    return MetalTransaction.aggregate([
+      {
+        $match: {
+          isActive: true,
+          approvalStatus: "approved",
+          status: { $nin: ["cancelled", "reversed"] },
+          isReversal: { $ne: true },
+          voucherDate: { $gte: filters.startDate, $lte: filters.endDate },
+        },
+      },
+      {
+        $lookup: {
+          from: "accounts",
+          localField: "partyCode",
+          foreignField: "_id",
+          as: "party",
+        },
+      },
+      { $unwind: "$stockItems" },
+      { $match: { "stockItems.itemStatus": { $ne: "cancelled" } } },
+      {
+        $project: {
+          voucherNumber: 1,
+          voucherDate: 1,
+          transactionType: 1,
+          partyVatStatus: { $arrayElemAt: ["$party.vatGstDetails.vatStatus", 0] },
+          purity: "$stockItems.purity",
+          vatPercentage: { $ifNull: ["$stockItems.vat.percentage", 0] },
+          vatAmount: {
+            $ifNull: ["$stockItems.vat.amount", { $ifNull: ["$stockItems.itemTotal.vatAmount", 0] }],
+          },
+          taxableAmount: { $ifNull: ["$stockItems.itemTotal.subTotal", 0] },
+        },
+      },
+    ]);
+  }
+
+  static emptyPeriod(period) {
+    return {
+      period,
+      sales: {
+        standardRated: emptyLine(),
+        zeroRatedInvestmentGold: emptyLine(),
+        zeroRatedOther: emptyLine(),
+      },
+      purchases: {
+        standardRated: emptyLine(),
+        zeroRatedInvestmentGold: emptyLine(),
+        zeroRatedOther: emptyLine(),
+        reverseCharge: emptyLine(),
+      },
+      outputVat: 0,
+      inputVat: 0,
+      netVatPayable: 0,
+    };
+  }
+
+  // Which line of the return an item belongs to, and the VAT it carries there
+  static classify(item, standardRate) {
+    const isSale = SALE_TYPES.includes(item.transactionType);
+    const isInvestment = purityFactor(item.purity) >= INVESTMENT_PURITY;
+    const charged = (item.vatPercentage || 0) > 0 || (item.vatAmount || 0) > 0;
+
+    if (charged) {
+      return { side: isSale ? "sales" : "purchases", line: "standardRated", vat: item.vatAmount || 0 };
+    }
+    if (!isSale && !isInvestment && item.partyVatStatus === "REGISTERED") {
+      return {
+        side: "purchases",
+        line: "reverseCharge",
+        vat: ((item.taxableAmount || 0) * standardRate) / 100,
+      };
+    }
+    return {
+      side: isSale ? "sales" : "purchases",
+      line: isInvestment ? "zeroRatedInvestmentGold" : "zeroRatedOther",
+      vat: 0,
+    };
+  }
+
+  static async getVatReturn(rawFilters = {}) {
+    const filters = this.parseFilters(rawFilters);
+    const standardRate = this.getStandardRate();
+    const items = await this.loadItems(filters);
+
+    const periods = new Map();
+    for (const item of items) {
+      const key = this.periodKey(item.voucherDate, filters.periodType);
+      if (!periods.has(key)) periods.set(key, this.emptyPeriod(key));
+      const period = periods.get(key);
+
+      const { side, line, vat } = this.classify(item, standardRate);
+      const sign = RETURN_TYPES.includes(item.transactionType) ? -1 : 1;
+      const target = period[side][line];
+      target.taxableAmount += sign * (item.taxableAmount || 0);
+      target.vatAmount += sign * vat;
+      target.itemCount += 1;
+    }
+
+    const result = [...periods.values()].sort((a, b) => a.period.localeCompare(b.period));
+    for (const period of result) {
+      for (const side of ["sales", "purchases"]) {
+        for (const line of Object.values(period[side])) {
+          line.taxableAmount = round(line.taxableAmount);
+          line.vatAmount = round(line.vatAmount);
+        }
+      }
+      const reverseCharge = period.purchases.reverseCharge.vatAmount;
+      period.outputVat = round(period.sales.standardRated.vatAmount + reverseCharge);
+      period.inputVat = round(period.purchases.standardRated.vatAmount + reverseCharge);
+      period.netVatPayable = round(period.outputVat - period.inputVat);
+    }
+
+    const totals = this.emptyPeriod("TOTAL");
+    for (const period of result) {
+      for (const side of ["sales", "purchases"]) {
+        for (const [name, line] of Object.entries(period[side])) {
+          totals[side][name].taxableAmount = round(totals[side][name].taxableAmount + line.taxableAmount);
+          totals[side][name].vatAmount = round(totals[side][name].vatAmount + line.vatAmount);
+          totals[side][name].itemCount += line.itemCount;
+        }
+      }
+      totals.outputVat = round(totals.outputVat + period.outputVat);
+      totals.inputVat = round(totals.inputVat + period.inputVat);
+      totals.netVatPayable = round(totals.netVatPayable + period.netVatPayable);
+    }
+
+    return {
+      filters,
+      standardRate,
+      investmentPurity: INVESTMENT_PURITY,
+      periods: result,
+      totals,
+      returnLines: this.toReturnLines(totals),
+    };
+  }
+
+  // Box layout of the return, as filed
+  static toReturnLines(totals) {
+    const { sales, purchases } = totals;
+    return [
+      { box: "1", description: "Standard rated supplies", ...this.pick(sales.standardRated) },
+      { box: "2", description: "Zero rated supplies - investment gold", ...this.pick(sales.zeroRatedInvestmentGold) },
+      { box: "3", description: "Zero rated supplies - other", ...this.pick(sales.zeroRatedOther) },
+      { box: "4", description: "Supplies subject to the reverse charge", ...this.pick(purchases.reverseCharge) },
+      {
+        box: "5",
+        description: "Total output tax",
+        taxableAmount: round(
+          sales.standardRated.taxableAmount +
+            sales.zeroRatedInvestmentGold.taxableAmount +
+            sales.zeroRatedOther.taxableAmount +
+            purchases.reverseCharge.taxableAmount
+        ),
+        vatAmount: totals.outputVat,
+      },
+      { box: "6", description: "Standard rated expenses", ...this.pick(purchases.standardRated) },
+      {
+        box: "7",
+        description: "Reverse charge provisions - recoverable",
+        ...this.pick(purchases.reverseCharge),
+      },
+      {
+        box: "8",
+        description: "Total recoverable tax",
+        taxableAmount: round(purchases.standardRated.taxableAmount + purchases.reverseCharge.taxableAmount),
+        vatAmount: totals.inputVat,
+      },
+      { box: "9", description: "Net VAT payable (refundable)", taxableAmount: null, vatAmount: totals.netVatPayable },
+    ];
+  }
+
+  static pick(line) {
+    return { taxableAmount: line.taxableAmount, vatAmount: line.vatAmount };
+  }
+
+  static async toCsv(report) {
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet("VAT Return");
+    sheet.addRow(["Period from", moment(report.filters.startDate).format("YYYY-MM-DD")]);
+    sheet.addRow(["Period to", moment(report.filters.endDate).format("YYYY-MM-DD")]);
+    sheet.addRow([]);
+    sheet.addRow(["Box", "Description", "Taxable amount", "VAT amount"]);
+    for (const line of report.returnLines) {
+      sheet.addRow([line.box, line.description, line.taxableAmount ?? "", line.vatAmount]);
+    }
+    return workbook.csv.writeBuffer();
+  }
+}
+
+export default VatReturnService;
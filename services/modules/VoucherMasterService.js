@@ -6,6 +6,7 @@ import { createAppError } from "../../utils/errorHandler.js";
 import FundTransfer from "../../models/modules/FundTransfer.js";
 import MetalStock from "../../models/modules/MetalStock.js";
 import Registry from "../../models/modules/Registry.js";
+import StockTransfer from "../../models/modules/StockTransfer.js";
 
 class VoucherMasterService {
   // Cache for voucher configurations to reduce DB queries
@@ -152,6 +153,11 @@ class VoucherMasterService {
         console.log(`[getTransactionCount] MetalStock Count:`, count);
         return count;
       }
+      // Stock transfers between branches / cost centers
+      if (moduleLC === "stock-transfer") {
+        return await StockTransfer.countDocuments({});
+      }
+
       if (moduleLC === "opening-stock-balance") {
         console.log(`[getTransactionCount] Using model: registry`);
 
@@ -4,8 +4,32 @@ import Registry from "../../models/modules/Registry.js";
 import { createAppError } from "../../utils/errorHandler.js";
 import MetalStock from "../../models/modules/MetalStock.js";
 import InventoryLog from "../../models/modules/InventoryLog.js";
+import InventoryReservationService from "./InventoryReservationService.js";
 
 class InventoryService {
+  // Signed gross weight of an InventoryLog row: stock in is positive, stock out negative.
+  // Adjustments and transfers carry their direction in `action`.
+  static signedGrossWeight() {
+    return {
+      $switch: {
+        branches: [
+          { case: { $eq: ["$transactionType", "sale"] }, then: { $multiply: ["$grossWeight", -1] } },
+          { case: { $eq: ["$transactionType", "metalPayment"] }, then: { $multiply: ["$grossWeight", -1] } },
+          { case: { $eq: ["$transactionType", "purchaseReturn"] }, then: { $multiply: ["$grossWeight", -1] } },
+          { case: { $eq: ["$transactionType", "saleReturn"] }, then: "$grossWeight" },
+          { case: { $eq: ["$transactionType", "purchase"] }, then: "$grossWeight" },
+          { case: { $eq: ["$transactionType", "metalReceipt"] }, then: "$grossWeight" },
+          { case: { $eq: ["$transactionType", "opening"] }, then: "$grossWeight" },
+          {
+            case: { $in: ["$transactionType", ["adjustment", "transfer"]] },
+            then: { $cond: [{ $eq: ["$action", "remove"] }, { $multiply: ["$grossWeight", -1] }, "$grossWeight"] }
+          }
+        ],
+        default: 0
+      }
+    };
+  }
+
   static async fetchAllInventory() {
     try {
       const logs = await InventoryLog.aggregate([
@@ -16,22 +40,7 @@ class InventoryService {
         {
           $group: {
             _id: "$stockCode",
-            totalGrossWeight: {
-              $sum: {
-                $switch: {
-                  branches: [
-                    { case: { $eq: ["$transactionType", "sale"] }, then: { $multiply: ["$grossWeight", -1] } },
-                    { case: { $eq: ["$transactionType", "metalPayment"] }, then: { $multiply: ["$grossWeight", -1] } },
-                    { case: { $eq: ["$transactionType", "purchaseReturn"] }, then: { $multiply: ["$grossWeight", -1] } },
-                    { case: { $eq: ["$transactionType", "saleReturn"] }, then: "$grossWeight" },
-                    { case: { $eq: ["$transactionType", "purchase"] }, then: "$grossWeight" },
-                    { case: { $eq: ["$transactionType", "metalReceipt"] }, then: "$grossWeight" },
-                    { case: { $eq: ["$transactionType", "opening"] }, then: "$grossWeight" }
-                  ],
-                  default: 0
-                }
-              }
-            },
+            totalGrossWeight: { $sum: this.signedGrossWeight() },
             pcs: { $first: "$pcs" },
             code: { $first: "$code" }
           }
@@ -70,6 +79,47 @@ class InventoryService {
         },
         { $unwind: { path: "$metalTypeInfo", preserveNullAndEmptyArrays: true } },
 
+        // Pieces on hand from inventories
+        {
+          $lookup: {
+            from: "inventories",
+            localField: "_id",
+            foreignField: "metal",
+            as: "inventoryInfo"
+          }
+        },
+
+        // Quantities held by active reservations
+        {
+          $lookup: {
+            from: "inventoryreservations",
+            let: { stockId: "$_id" },
+            pipeline: [
+              // Lapsed reservations stop holding stock even before they are swept
+              { $match: InventoryReservationService.liveMatch() },
+              { $unwind: "$items" },
+              { $match: { $expr: { $eq: ["$items.stockCode", "$$stockId"] } } },
+              {
+                $group: {
+                  _id: null,
+                  grossWeight: { $sum: "$items.grossWeight" },
+                  pureWeight: { $sum: "$items.pureWeight" },
+                  pieces: { $sum: "$items.pieces" }
+                }
+              }
+            ],
+            as: "reserved"
+          }
+        },
+        {
+          $addFields: {
+            pcsOnHand: { $ifNull: [{ $arrayElemAt: ["$inventoryInfo.pcsCount", 0] }, 0] },
+            reservedGrossWeight: { $ifNull: [{ $arrayElemAt: ["$reserved.grossWeight", 0] }, 0] },
+            reservedPureWeight: { $ifNull: [{ $arrayElemAt: ["$reserved.pureWeight", 0] }, 0] },
+            reservedPieces: { $ifNull: [{ $arrayElemAt: ["$reserved.pieces", 0] }, 0] }
+          }
+        },
+
         // Final projection
         {
           $project: {
@@ -81,7 +131,14 @@ class InventoryService {
             StockName: "$stock.code",
             pcs: "$stock.pcs",
             purity: "$karatInfo.standardPurity",
-            metalType: "$metalTypeInfo.description"
+            metalType: "$metalTypeInfo.description",
+            pcsOnHand: 1,
+            reservedGrossWeight: 1,
+            reservedPureWeight: 1,
+            reservedPieces: 1,
+            // Available = on-hand less what confirmed sale orders hold
+            availableGrossWeight: { $subtract: ["$totalGrossWeight", "$reservedGrossWeight"] },
+            availablePieces: { $subtract: ["$pcsOnHand", "$reservedPieces"] }
           }
         }
       ]);
@@ -96,16 +153,26 @@ class InventoryService {
     }
   }
 
-  static async reverseInventory(transaction, session) {
+  // Undo the stock movement of a transaction. The log carries the mirror
+  // transaction type so fetchAllInventory nets the original movement out.
+  static async reverseInventory(transaction, session, options = {}) {
+    const mirrorTypes = {
+      sale: "saleReturn",
+      saleReturn: "sale",
+      purchase: "purchaseReturn",
+      purchaseReturn: "purchase",
+      metalPayment: "metalReceipt",
+      metalReceipt: "metalPayment",
+    };
+
     try {
       for (const item of transaction.stockItems || []) {
         const metalId = item.stockCode?._id;
         if (!metalId) continue;
 
-        const [inventory, metal] = await Promise.all([
-          Inventory.findOne({ metal: new mongoose.Types.ObjectId(metalId) }).session(session),
-          MetalStock.findById(metalId).session(session),
-        ]);
+        // Sequential - operations in one transaction cannot run in parallel
+        const inventory = await Inventory.findOne({ metal: new mongoose.Types.ObjectId(metalId) }).session(session);
+        const metal = await MetalStock.findById(metalId).session(session);
 
         if (!inventory) {
           throw createAppError(
@@ -115,7 +182,7 @@ class InventoryService {
           );
         }
 
-        const isSale = transaction.transactionType === "sale" || transaction.transactionType === "metalPayment";
+        const isSale = ["sale", "purchaseReturn", "metalPayment"].includes(transaction.transactionType);
         const factor = isSale ? 1 : -1; // Reverse the factor
         const pcsDelta = factor * (item.pieces || 0);
         const weightDelta = factor * (item.grossWeight || 0);
@@ -127,18 +194,20 @@ class InventoryService {
         await InventoryLog.create([{
           code: metal.code,
           stockCode: metal._id,
-          voucherCode: transaction.voucherNumber || item.voucherNumber || '',
-          voucherDate: transaction.voucherDate || item.voucherDate || '',
-          transactionType: transaction.transactionType,
-          pcs: item.pieces || 0,
+          voucherCode: options.voucherCode || transaction.voucherNumber || item.voucherNumber || '',
+          voucherType: transaction.voucherType || '',
+          voucherDate: options.voucherDate || transaction.voucherDate || new Date(),
+          transactionType: mirrorTypes[transaction.transactionType] || "adjustment",
+          party: transaction.partyCode?._id || transaction.partyCode || null,
+          pcs: !!item.pieces,
           grossWeight: item.grossWeight || 0,
-          pureWeight: (item.grossWeight * item.purity) / 100,
-          action: isSale ? "remove" : "add",
-          createdAt: new Date(),
+          action: isSale ? "add" : "remove",
+          createdBy: options.adminId || transaction.createdBy,
+          note: `Reversal of voucher ${transaction.voucherNumber || transaction._id}`,
         }], { session });
       }
     } catch (error) {
-      if (error.name === "AppError") throw error;
+      if (error.statusCode) throw error;
       throw createAppError(
         error.message || "Failed to reverse inventory",
         500,
@@ -176,20 +245,7 @@ class InventoryService {
         {
           $group: {
             _id: "$stockCode",
-            totalGrossWeight: {
-              $sum: {
-                $switch: {
-                  branches: [
-                    { case: { $eq: ["$transactionType", "sale"] }, then: { $multiply: ["$grossWeight", -1] } },
-                    { case: { $eq: ["$transactionType", "purchaseReturn"] }, then: { $multiply: ["$grossWeight", -1] } },
-                    { case: { $eq: ["$transactionType", "saleReturn"] }, then: "$grossWeight" },
-                    { case: { $eq: ["$transactionType", "purchase"] }, then: "$grossWeight" },
-                    { case: { $eq: ["$transactionType", "opening"] }, then: "$grossWeight" }
-                  ],
-                  default: 0
-                }
-              }
-            },
+            totalGrossWeight: { $sum: this.signedGrossWeight() },
             pcs: { $sum: "$pcs" },
             code: { $first: "$code" }
           }
@@ -438,7 +494,7 @@ class InventoryService {
     }
   }
 
-  static async updateInventory(transaction, isSale, admin) {
+  static async updateInventory(transaction, isSale, admin, session = null) {
     try {
       const updated = [];
 
@@ -446,14 +502,13 @@ class InventoryService {
         const metalId = item.stockCode?._id;
         if (!metalId) continue;
 
-        const [inventory, metal] = await Promise.all([
-          Inventory.findOne({ metal: new mongoose.Types.ObjectId(metalId) }),
-          MetalStock.findById(metalId),
-        ]);
+        // Sequential - operations in one transaction cannot run in parallel
+        const inventory = await Inventory.findOne({ metal: new mongoose.Types.ObjectId(metalId) }).session(session);
+        const metal = await MetalStock.findById(metalId).session(session);
 
         if (!inventory) {
           throw createAppError(
-            `Inventory not found for metal: ${item.stockCode.code}`,
+            `Inventory not found for metal: ${metal?.code || metalId}`,
             404,
             "INVENTORY_NOT_FOUND"
           );
@@ -473,11 +528,11 @@ class InventoryService {
         // inventory.pureWeight = (inventory.grossWeight * inventory.purity) / 100;
         inventory.pureWeight = (inventory.grossWeight * inventory.purity) 
 
-        await inventory.save();
+        await inventory.save({ session });
         updated.push(inventory);
 
         // Inventory Log
-        await InventoryLog.create({
+        await InventoryLog.create([{
           code: metal.code,
           stockCode: metal._id,
           voucherCode: transaction.voucherNumber || item.voucherNumber || '',
@@ -490,7 +545,7 @@ class InventoryService {
           note: isSale
             ? "Inventory reduced due to sale transaction"
             : "Inventory increased due to purchase transaction"
-        });
+        }], { session });
       }
 
       return updated;
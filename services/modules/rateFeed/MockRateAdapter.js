@@ -0,0 +1,45 @@
+import RateFeedAdapter from "./RateFeedAdapter.js";
+
+const DEFAULT_PRICES = { XAU: 2350, XAG: 29.5 };
+const DEFAULT_SPREADS = { XAU: 0.5, XAG: 0.03 };
+
+/**
+ * Random-walk quotes for development and testing - never use in production.
+ * Each tick moves the mid by up to `volatility` (a fraction, 0.0005 = 5 bp).
+ */
+export class MockRateAdapter extends RateFeedAdapter {
+  constructor(options = {}) {
+    super("mock", options);
+    this.intervalMs = options.intervalMs || 1000;
+    this.volatility = options.volatility ?? 0.0005;
+    this.prices = { ...DEFAULT_PRICES, ...options.prices };
+    this.timer = null;
+  }
+
+  async start() {
+    this.running = true;
+    this.tick();
+    this.timer = setInterval(() => this.tick(), this.intervalMs);
+  }
+
+  async stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    this.running = false;
+  }
+
+  tick() {
+    for (const [symbol, mid] of Object.entries(this.prices)) {
+      const next = mid * (1 + (Math.random() * 2 - 1) * this.volatility);
+      this.prices[symbol] = next;
+      const halfSpread = (DEFAULT_SPREADS[symbol] ?? next * 0.0002) / 2;
+      this.publish({
+        symbol,
+        bid: Number((next - halfSpread).toFixed(4)),
+        ask: Number((next + halfSpread).toFixed(4)),
+      });
+    }
+  }
+}
+
+export default MockRateAdapter;
@@ -0,0 +1,70 @@
+import { readFile } from "fs/promises";
+import RateFeedAdapter from "./RateFeedAdapter.js";
+
+/**
+ * Polls a JSON document from a local file or an HTTP(S) URL.
+ * Accepted shapes:
+ *   [{ "symbol": "XAU", "bid": 2350.1, "ask": 2350.6 }, ...]
+ *   { "XAU": { "bid": 2350.1, "ask": 2350.6 }, "XAG": { ... } }
+ *   { "quotes": [ ...same as the array form ] }
+ */
+export class PollingRateAdapter extends RateFeedAdapter {
+  constructor(options = {}) {
+    super("poll", options);
+    if (!options.source) {
+      throw new Error("Polling rate adapter needs a source file path or URL");
+    }
+    this.intervalMs = options.intervalMs || 5000;
+    this.timer = null;
+  }
+
+  async start() {
+    this.running = true;
+    await this.poll();
+    this.timer = setInterval(() => this.poll(), this.intervalMs);
+  }
+
+  async stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    this.running = false;
+  }
+
+  async fetchDocument() {
+    const { source, headers = {} } = this.options;
+    if (/^https?:\/\//i.test(source)) {
+      const response = await fetch(source, {
+        headers,
+        signal: AbortSignal.timeout(this.intervalMs),
+      });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status} from ${source}`);
+      }
+      return response.json();
+    }
+    return JSON.parse(await readFile(source, "utf8"));
+  }
+
+  static toQuotes(document) {
+    if (Array.isArray(document)) return document;
+    if (Array.isArray(document?.quotes)) return document.quotes;
+    if (document && typeof document === "object") {
+      return Object.entries(document).map(([symbol, quote]) => ({ symbol, ...quote }));
+    }
+    return [];
+  }
+
+  async poll() {
+    if (!this.running) return;
+    try {
+      const document = await this.fetchDocument();
+      for (const quote of PollingRateAdapter.toQuotes(document)) {
+        this.publish(quote);
+      }
+    } catch (error) {
+      this.emit("error", new Error(`poll: ${error.message}`));
+    }
+  }
+}
+
+export default PollingRateAdapter;
@@ -0,0 +1,50 @@
+import { EventEmitter } from "events";
+
+export const FEED_SYMBOLS = ["XAU", "XAG"];
+
+/**
+ * Base class for spot rate sources.
+ * Adapters call publish() for every spot quote they receive; the rate feed service
+ * listens for "quote" and "error". A quote is { symbol, bid, ask, currency, timestamp }
+ * with bid/ask per troy ounce in the quote currency.
+ */
+export class RateFeedAdapter extends EventEmitter {
+  constructor(name, options = {}) {
+    super();
+    this.name = name;
+    this.options = options;
+    this.running = false;
+  }
+
+  async start() {
+    throw new Error(`${this.name} adapter does not implement start()`);
+  }
+
+  async stop() {
+    this.running = false;
+  }
+
+  // Reject malformed quotes here so every adapter is held to the same shape
+  publish(raw) {
+    const symbol = String(raw?.symbol || "").trim().toUpperCase();
+    const bid = Number(raw?.bid);
+    const ask = Number(raw?.ask);
+
+    if (!FEED_SYMBOLS.includes(symbol) || !(bid > 0) || !(ask > 0) || ask < bid) {
+      this.emit("error", new Error(`${this.name}: ignoring malformed quote ${JSON.stringify(raw)}`));
+      return;
+    }
+
+    const timestamp = raw.timestamp ? new Date(raw.timestamp) : new Date();
+    this.emit("quote", {
+      symbol,
+      bid,
+      ask,
+      currency: String(raw.currency || this.options.currency || "USD").toUpperCase(),
+      timestamp: isNaN(timestamp.getTime()) ? new Date() : timestamp,
+      source: this.name,
+    });
+  }
+}
+
+export default RateFeedAdapter;
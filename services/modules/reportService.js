@@ -5,6 +5,7 @@ import moment from "moment";
 import { log } from "console";
 import Inventory from "../../models/modules/inventory.js";
 import Account from "../../models/modules/AccountType.js";
+import CurrencyMaster from "../../models/modules/CurrencyMaster.js";
 import InventoryLog from "../../models/modules/InventoryLog.js";
 const { ObjectId } = mongoose.Types;
 // ReportService class to handle stock ledger and movement reports
@@ -356,6 +357,7 @@ export class ReportService {
         purchaseRef: [],
       },
       costCenter,
+      currencyView = "converted",
     } = filters;
 
     // Initialize dates
@@ -399,6 +401,8 @@ export class ReportService {
       costCenter,
       discount,
       costFilter,
+      // Cash in the account statement: "separate" per currency or "converted" to base currency
+      currencyView: currencyView === "separate" ? "separate" : "converted",
     };
 
     if (startDate) result.startDate = startDate;
@@ -776,7 +780,7 @@ export class ReportService {
     console.log('====================================');
 
     const goldTypes = ["PARTY_GOLD_BALANCE"];
-    const cashTypes = ["PARTY_CASH_BALANCE", "MAKING_CHARGES", "PREMIUM", "DISCOUNT"];
+    const cashTypes = ["PARTY_CASH_BALANCE", "MAKING_CHARGES", "PREMIUM", "DISCOUNT", "FX_REVALUATION", "REFINING_CHARGES"];
     const pipeline = [];
 
     // --- Step 1: Initial Filtering ---
@@ -851,6 +855,25 @@ export class ReportService {
 
     pipeline.push({ $match: matchConditions });
 
+    // Cash rows without a currency were booked in base currency
+    const converted = filters.currencyView !== "separate";
+    pipeline.push({
+      $lookup: {
+        from: "currencymasters",
+        localField: "currency",
+        foreignField: "_id",
+        as: "currencyDetails"
+      }
+    });
+    pipeline.push({
+      $addFields: {
+        cashCurrencyCode: {
+          $ifNull: [{ $arrayElemAt: ["$currencyDetails.currencyCode", 0] }, CurrencyMaster.getBaseCurrencyCode()]
+        },
+        cashRate: converted ? { $ifNull: ["$conversionRate", 1] } : 1
+      }
+    });
+
     // Group by party to list transactions
     pipeline.push({
       $group: {
@@ -865,9 +888,10 @@ export class ReportService {
             branch: "$branch",
             particulars: "$description",
             cash: {
-              debit: { $cond: [{ $in: ["$type", cashTypes] }, { $ifNull: ["$debit", 0] }, 0] },
-              credit: { $cond: [{ $in: ["$type", cashTypes] }, { $ifNull: ["$credit", 0] }, 0] },
-              balance: "$runningBalance"
+              currencyCode: converted ? CurrencyMaster.getBaseCurrencyCode() : "$cashCurrencyCode",
+              debit: { $cond: [{ $in: ["$type", cashTypes] }, { $multiply: [{ $ifNull: ["$debit", 0] }, "$cashRate"] }, 0] },
+              credit: { $cond: [{ $in: ["$type", cashTypes] }, { $multiply: [{ $ifNull: ["$credit", 0] }, "$cashRate"] }, 0] },
+              balance: { $multiply: [{ $ifNull: ["$runningBalance", 0] }, "$cashRate"] }
             },
             goldInGMS: {
               debit: { $cond: [{ $in: ["$type", goldTypes] }, { $ifNull: ["$debit", 0] }, 0] },
@@ -895,6 +919,7 @@ export class ReportService {
               branch: "$$trans.branch",
               particulars: "$$trans.particulars",
               cash: {
+                currencyCode: "$$trans.cash.currencyCode",
                 debit: "$$trans.cash.debit",
                 credit: "$$trans.cash.credit",
                 balance: {
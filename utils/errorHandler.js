@@ -22,6 +22,7 @@ export const createAppError = (message, statusCode) => {
         success: false,
         message,
         error: process.env.NODE_ENV === "development" ? err.stack : message,
+        ...(err.details && { details: err.details }),
       });
     }
   };
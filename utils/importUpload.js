@@ -0,0 +1,29 @@
+import multer from "multer";
+import { createAppError } from "./errorHandler.js";
+
+const ALLOWED_EXTENSIONS = ["csv", "xlsx"];
+
+// Spreadsheet imports are parsed in memory and never stored
+export const importUpload = (fieldName = "file", maxSizeMb = 5) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxSizeMb * 1024 * 1024, files: 1 },
+    fileFilter: (req, file, cb) => {
+      const extension = file.originalname.split(".").pop().toLowerCase();
+      if (ALLOWED_EXTENSIONS.includes(extension)) {
+        cb(null, true);
+      } else {
+        cb(createAppError("Only .csv and .xlsx files can be imported", 400, "INVALID_FILE_TYPE"), false);
+      }
+    },
+  }).single(fieldName);
+
+  return (req, res, next) => {
+    upload(req, res, (error) => {
+      if (error instanceof multer.MulterError) {
+        return next(createAppError(`Upload failed: ${error.message}`, 400, "UPLOAD_FAILED"));
+      }
+      next(error);
+    });
+  };
+};
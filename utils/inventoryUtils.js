@@ -0,0 +1,20 @@
+import Inventory from "../models/modules/inventory.js";
+import { createAppError } from "./errorHandler.js";
+
+// Karat purity is stored either as a percentage (99.9) or a fraction (0.999)
+export const purityFactor = (purity) => ((purity || 0) > 1 ? purity / 100 : purity || 0);
+
+// Applies a signed gross weight and piece change to a stock's inventory row inside the
+// caller's session, recomputing its pure weight from the stored purity.
+export const moveInventory = async (stockId, code, { grossWeight = 0, pieces = 0 }, adminId, session) => {
+  const inventory = await Inventory.findOne({ metal: stockId }).session(session);
+  if (!inventory) {
+    throw createAppError(`Inventory not found for metal: ${code}`, 404, "INVENTORY_NOT_FOUND");
+  }
+  inventory.grossWeight += grossWeight;
+  inventory.pcsCount += pieces;
+  inventory.pureWeight = inventory.grossWeight * purityFactor(inventory.purity);
+  inventory.updatedBy = adminId;
+  await inventory.save({ session });
+  return inventory;
+};